@@ -21,6 +21,37 @@ Blockly.Blocks['big_bang_typed'] = {
   drawlastCount_: 0,
   typeA_: null,
 
+  /**
+   * The type of big_bang in the universe library. The block applies it to
+   * the initial world and the labeled arguments given by the mutator.
+   * @type {string}
+   */
+  SIGNATURE_: '?name:string -> ?width:int -> ?height:int -> ' +
+      '?to_draw:(\'a -> scene_t) -> ?on_tick:(\'a -> \'a) -> ' +
+      '?on_mouse:(\'a -> int -> int -> string -> \'a) -> ' +
+      '?on_key_press:(\'a -> string -> \'a) -> ' +
+      '?on_key_release:(\'a -> string -> \'a) -> ?rate:int -> ' +
+      '?stop_when:(\'a -> bool) -> ?to_draw_last:(\'a -> scene_t) -> ' +
+      '\'a -> unit',
+
+  /**
+   * Map from names of inputs to the labels of arguments they supply.
+   * @type {!Object.<string, string>}
+   */
+  ARGUMENT_LABELS_: {
+    'NAME': 'name',
+    'WIDTH': 'width',
+    'HEIGHT': 'height',
+    'DRAW': 'to_draw',
+    'TICK': 'on_tick',
+    'MOUSE': 'on_mouse',
+    'KEYPRESS': 'on_key_press',
+    'KEYRELEASE': 'on_key_release',
+    'RATE': 'rate',
+    'STOP': 'stop_when',
+    'DRAWLAST': 'to_draw_last'
+  },
+
   // Create World
   init: function() {
     // big_bang: 'a -> unit
@@ -520,202 +551,98 @@ Blockly.Blocks['big_bang_typed'] = {
       this.removeInput('DRAWLAST');
     }
 
-    var stringType = new Blockly.TypeExpr.STRING();
-    var intType    = new Blockly.TypeExpr.INT();
-    var boolType   = new Blockly.TypeExpr.BOOL();
-
     if (this.nameCount_) {
-      // ?name: string
       this.appendValueInput('NAME')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~name: ')
-          .setTypeExpr(stringType);
+          .appendField('~name: ');
     }
     if (this.widthCount_) {
-      // ?width: int
       this.appendValueInput('WIDTH')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~width: ')
-          .setTypeExpr(intType);
+          .appendField('~width: ');
     }
     if (this.heightCount_) {
-      // ?height: int
       this.appendValueInput('HEIGHT')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~height: ')
-          .setTypeExpr(intType);
+          .appendField('~height: ');
     }
     if (this.drawCount_) {
-      // ?draw: 'a -> scene_t
-      var draw_scene = new Blockly.TypeExpr.SCENE();
-      var draw_function = new Blockly.TypeExpr.FUN(this.typeA_, draw_scene);
       this.appendValueInput('DRAW')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~to_draw: ')
-          .setTypeExpr(draw_function);
+          .appendField('~to_draw: ');
     }
     if (this.tickCount_) {
-      // ?on_tick: 'a -> 'a
-      var tick_function = new Blockly.TypeExpr.FUN(this.typeA_, this.typeA_);
       this.appendValueInput('TICK')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~on_tick: ')
-          .setTypeExpr(tick_function);
+          .appendField('~on_tick: ');
     }
     if (this.mouseCount_) {
-      // ?on_mouse: 'a -> int -> int -> string -> 'a
-      var mouse_fun1     = new Blockly.TypeExpr.FUN(stringType, this.typeA_);
-      var mouse_fun2     = new Blockly.TypeExpr.FUN(intType, mouse_fun1);
-      var mouse_fun3     = new Blockly.TypeExpr.FUN(intType, mouse_fun2);
-      var mouse_function = new Blockly.TypeExpr.FUN(this.typeA_, mouse_fun3);
       this.appendValueInput('MOUSE')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~on_mouse: ')
-          .setTypeExpr(mouse_function);
+          .appendField('~on_mouse: ');
     }
     if (this.keypressCount_) {
-      // ?on_key_press: 'a -> string -> 'a
-      var keypress_fun1     = new Blockly.TypeExpr.FUN(stringType, this.typeA_);
-      var keypress_function = new Blockly.TypeExpr.FUN(this.typeA_, keypress_fun1);
       this.appendValueInput('KEYPRESS')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~on_key_press: ')
-          .setTypeExpr(keypress_function);
+          .appendField('~on_key_press: ');
     }
     if (this.keyreleaseCount_) {
-      // ?on_key_release: 'a -> string -> 'a
-      var keyrelease_fun1     = new Blockly.TypeExpr.FUN(stringType, this.typeA_);
-      var keyrelease_function = new Blockly.TypeExpr.FUN(this.typeA_, keyrelease_fun1);
       this.appendValueInput('KEYRELEASE')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~on_key_release: ')
-          .setTypeExpr(keyrelease_function);
+          .appendField('~on_key_release: ');
     }
     if (this.rateCount_) {
-      // ?rate: int
       this.appendValueInput('RATE')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~rate: ')
-          .setTypeExpr(intType);
+          .appendField('~rate: ');
     }
     if (this.stopCount_) {
-      // ?stop_when: 'a -> bool
-      var stop_function = new Blockly.TypeExpr.FUN(this.typeA_, boolType);
       this.appendValueInput('STOP')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~stop_when: ')
-          .setTypeExpr(stop_function);
+          .appendField('~stop_when: ');
     }
     if (this.drawlastCount_) {
-      // ?to_draw_last: 'a -> scene_t
-      var drawlast_scene    = new Blockly.TypeExpr.SCENE();
-      var drawlast_function = new Blockly.TypeExpr.FUN(this.typeA_, drawlast_scene);
       this.appendValueInput('DRAWLAST')
           .setAlign(Blockly.ALIGN_RIGHT)
-          .appendField('~to_draw_last: ')
-          .setTypeExpr(drawlast_function);
+          .appendField('~to_draw_last: ');
     }
+    this.updateArgumentTypes_();
   },
 
-  infer: function(ctx) {
-    var expected              = /*this.outputConnection.typeExpr ||*/ null;
-    var initialworld_typed    = this.callInfer('INITIAL_WORLD', ctx);
-    var initialworld_expected = this.getInput('INITIAL_WORLD').connection.typeExpr;
-
-    var name_typed       = null;
-    var width_typed      = null;
-    var height_typed     = null;
-    var draw_typed       = null;
-    var tick_typed       = null;
-    var mouse_typed      = null;
-    var keypress_typed   = null;
-    var keyrelease_typed = null;
-    var rate_typed       = null;
-    var stop_typed       = null;
-    var drawlast_typed   = null;
-
-    var name_expected       = null;
-    var width_expected      = null;
-    var height_expected     = null;
-    var draw_expected       = null;
-    var tick_expected       = null;
-    var mouse_expected      = null;
-    var keypress_expected   = null;
-    var keyrelease_expected = null;
-    var rate_expected       = null;
-    var stop_expected       = null;
-    var drawlast_expected   = null;
-
-    if (this.getInput('NAME')) {
-      name_typed    = this.callInfer('NAME', ctx);
-      name_expected = this.getInput('NAME').connection.typeExpr;
-    }
-    if (this.getInput('WIDTH')) {
-      width_typed    = this.callInfer('WIDTH', ctx);
-      width_expected = this.getInput('WIDTH').connection.typeExpr;
-    }
-    if (this.getInput('HEIGHT')) {
-      height_typed    = this.callInfer('HEIGHT', ctx);
-      height_expected = this.getInput('HEIGHT').connection.typeExpr;
-    }
-    if (this.getInput('DRAW')) {
-      draw_typed    = this.callInfer('DRAW', ctx);
-      draw_expected = this.getInput('DRAW').connection.typeExpr;
-    }
-    if (this.getInput('TICK')) {
-      tick_typed    = this.callInfer('TICK', ctx);
-      tick_expected = this.getInput('TICK').connection.typeExpr;
-    }
-    if (this.getInput('MOUSE')) {
-      mouse_typed    = this.callInfer('MOUSE', ctx);
-      mouse_expected = this.getInput('MOUSE').connection.typeExpr;
-    }
-    if (this.getInput('KEYPRESS')) {
-      keypress_typed    = this.callInfer('KEYPRESS', ctx);
-      keypress_expected = this.getInput('KEYPRESS').connection.typeExpr;
-    }
-    if (this.getInput('KEYRELEASE')) {
-      keyrelease_typed    = this.callInfer('KEYRELEASE', ctx);
-      keyrelease_expected = this.getInput('KEYRELEASE').connection.typeExpr;
+  /**
+   * Set the types of inputs to those of the arguments which the inputs
+   * supply to big_bang.
+   * @private
+   */
+  updateArgumentTypes_: function() {
+    var inputNames = ['INITIAL_WORLD'];
+    var labels = [''];
+    for (var i = 0, input; input = this.inputList[i]; i++) {
+      if (input.name in this.ARGUMENT_LABELS_) {
+        inputNames.push(input.name);
+        labels.push(this.ARGUMENT_LABELS_[input.name]);
+      }
     }
-    if (this.getInput('RATE')) {
-      rate_typed    = this.callInfer('RATE', ctx);
-      rate_expected = this.getInput('RATE').connection.typeExpr;
+    var type = Blockly.TypeExpr.parse(this.SIGNATURE_, {'a': this.typeA_});
+    var applied = Blockly.TypeExpr.applyLabels(type, labels);
+    // The initial world keeps its type, i.e. typeA_.
+    for (var i = 1; i < inputNames.length; i++) {
+      this.getInput(inputNames[i]).setTypeExpr(applied.argTypes[i]);
     }
-    if (this.getInput('STOP')) {
-      stop_typed    = this.callInfer('STOP', ctx);
-      stop_expected = this.getInput('STOP').connection.typeExpr;
+  },
+
+  infer: function(ctx) {
+    // big_bang is applied to the arguments like an ordinary function.
+    for (var i = 0, input; input = this.inputList[i]; i++) {
+      if (input.type != Blockly.INPUT_VALUE) {
+        continue;
+      }
+      var argType = this.callInfer(input.name, ctx);
+      if (argType) {
+        argType.unify(input.connection.typeExpr);
+      }
     }
-    if (this.getInput('DRAWLAST')) {
-      drawlast_typed    = this.callInfer('DRAWLAST', ctx);
-      drawlast_expected = this.getInput('DRAWLAST').connection.typeExpr;
-    }
-
-    if (initialworld_typed)
-      initialworld_typed.unify(initialworld_expected);
-    if (name_typed)
-      name_typed.unify(name_expected);
-    if (width_typed)
-      width_typed.unify(width_expected);
-    if (height_typed)
-      height_typed.unify(height_expected);
-    if (draw_typed)
-      draw_typed.unify(draw_expected);
-    if (tick_typed)
-      tick_typed.unify(tick_expected);
-    if (mouse_typed)
-      mouse_typed.unify(mouse_expected);
-    if (keypress_typed)
-      keypress_typed.unify(keypress_expected);
-    if (keyrelease_typed)
-      keyrelease_typed.unify(keyrelease_expected);
-    if (rate_typed)
-      rate_typed.unify(rate_expected);
-    if (stop_typed)
-      stop_typed.unify(stop_expected);
-    if (drawlast_typed)
-      drawlast_typed.unify(drawlast_expected);
-    return expected;
+    return null;
   },
   /**
    * connections for name.
@@ -823,6 +750,47 @@ Blockly.Blocks['defined_recordtype_typed'] = {
     }
   },
 
+  /**
+   * Returns whether the record field is declared as mutable.
+   * @param {string} fieldName The name of field for the record field, e.g.
+   *     'FIELD0'.
+   * @return {boolean} True if the field is mutable.
+   */
+  isMutableField: function(fieldName) {
+    return !!this.getField(fieldName.replace(/FIELD(\d+)/, 'MUTABLE$1'));
+  },
+
+  /**
+   * Declare the record field as mutable or immutable. A mutable field is
+   * prefixed with 'mutable' and can be updated by record_field_set_typed
+   * blocks.
+   * @param {string} fieldName The name of field for the record field, e.g.
+   *     'FIELD0'.
+   * @param {boolean} enabled True to make the field mutable.
+   */
+  setMutableField: function(fieldName, enabled) {
+    if (this.isMutableField(fieldName) == enabled) {
+      return;
+    }
+    var name = fieldName.replace(/FIELD(\d+)/, 'MUTABLE$1');
+    var input = this.getInput(fieldName.replace(/FIELD(\d+)/, 'FIELD_INP$1'));
+    if (enabled) {
+      input.insertFieldAt(0, 'mutable', name);
+      return;
+    }
+    // Delete blocks updating the field while they are still well-typed,
+    // because they would not be accepted anymore.
+    var variables = this.getField(fieldName).getVariable()
+        .getAllBoundVariables();
+    for (var i = 0, variable; variable = variables[i]; i++) {
+      var block = variable.getSourceBlock();
+      if (variable.isReference() && block.type == 'record_field_set_typed') {
+        block.dispose();
+      }
+    }
+    input.removeField(name);
+  },
+
   getTypeScheme: function(fieldName) {
     if (fieldName === 'DATANAME') {
       var recordType = new Blockly.TypeExpr.RECORD(this.recordId_);
@@ -889,6 +857,15 @@ Blockly.Blocks['defined_recordtype_typed'] = {
   mutationToDom: function() {
     var container = document.createElement('mutation');
     container.setAttribute('items', this.itemCount_);
+    var mutables = [];
+    for (var i = 0; i < this.itemCount_; i++) {
+      if (this.isMutableField('FIELD' + i)) {
+        mutables.push(i);
+      }
+    }
+    if (mutables.length) {
+      container.setAttribute('mutable', mutables.join(','));
+    }
     return container;
   },
   /**
@@ -899,6 +876,10 @@ Blockly.Blocks['defined_recordtype_typed'] = {
   domToMutation: function(xmlElement) {
     var newItemCount = parseInt(xmlElement.getAttribute('items')) || 2;
     this.resizeRecordFieldInputs(newItemCount);
+    var mutables = (xmlElement.getAttribute('mutable') || '').split(',');
+    for (var i = 0; i < this.itemCount_; i++) {
+      this.setMutableField('FIELD' + i, mutables.indexOf(String(i)) != -1);
+    }
   },
   /**
    * Populate the mutator's dialog with this block's components.
@@ -913,6 +894,8 @@ Blockly.Blocks['defined_recordtype_typed'] = {
     var connection = containerBlock.getInput('STACK').connection;
     for (var x = 0; x < this.itemCount_; x++) {
       var itemBlock = workspace.newBlock('record_field_item');
+      itemBlock.setFieldValue(
+          this.isMutableField('FIELD' + x) ? 'TRUE' : 'FALSE', 'MUTABLE');
       itemBlock.initSvg();
       connection.connect(itemBlock.previousConnection);
       connection = itemBlock.nextConnection;
@@ -927,10 +910,27 @@ Blockly.Blocks['defined_recordtype_typed'] = {
   compose: function(containerBlock) {
     var itemCount = containerBlock.getItemCount();
     this.resizeRecordFieldInputs(itemCount);
+    var itemBlock = containerBlock.getInputTargetBlock('STACK');
+    for (var i = 0; itemBlock; i++) {
+      this.setMutableField('FIELD' + i,
+          itemBlock.getFieldValue('MUTABLE') == 'TRUE');
+      itemBlock = itemBlock.getNextBlock();
+    }
   },
 
   wouldChange: function(containerBlock) {
-    return containerBlock.getItemCount() != this.itemCount_;
+    if (containerBlock.getItemCount() != this.itemCount_) {
+      return true;
+    }
+    var itemBlock = containerBlock.getInputTargetBlock('STACK');
+    for (var i = 0; itemBlock; i++) {
+      var mutable = itemBlock.getFieldValue('MUTABLE') == 'TRUE';
+      if (mutable != this.isMutableField('FIELD' + i)) {
+        return true;
+      }
+      itemBlock = itemBlock.getNextBlock();
+    }
+    return false;
   }
 };
 
@@ -988,6 +988,10 @@ Blockly.Blocks['create_record_typed'] = {
       } else {
         var input = this.getInput('FIELD_INP' + i);
       }
+      // Labels of a record defined in a module are qualified with the same
+      // module path as the record, e.g. {M.x = ...}.
+      this.getField('FIELD' + i).getVariable().setModulePath(
+          reference.getModulePath());
       // Without the following line, type of record field in flyout is unknown.
       this.setChildInputTypeExpr_(input, children[i]);
     }
@@ -1077,193 +1081,638 @@ Blockly.Blocks['create_record_typed'] = {
   infer: function(ctx) {
     this.updateRecordTypes(ctx);
     return this.outputConnection.typeExpr;
+  },
+
+  isNonExpansive: function() {
+    // A record with mutable fields is a fresh mutable data like a reference.
+    var reference = this.getField('RECORD').getVariable();
+    var value = reference.getBoundValue();
+    var children = value ? value.getChildren() : [];
+    for (var i = 0; i < children.length; i++) {
+      if (children[i].isMutableField()) {
+        return false;
+      }
+    }
+    return this.childrenAreNonExpansive();
   }
 };
 
-Blockly.Blocks['defined_datatype_typed'] = {
-  // Declare constructor types.
+Blockly.Blocks['record_with_typed'] = {
+  // { r with f = e; ... }
   init: function() {
     this.setColour(Blockly.Msg['DEFINE_TYPES_HUE']);
-    var validator = Blockly.BoundVariables.variableNameValidator.bind(null,
-        Blockly.BoundVariableAbstract.VARIABLE);
-
-    this.appendDummyInput()
-        .appendField('type ')
-        .appendField(new Blockly.FieldTextInput('data', validator), 'DATANAME')
-        .appendField('=');
-
-    this.constructId_ = Blockly.utils.genUid();
-    this.itemCount_ = 0;
-    this.appendCtorInput();
-    this.appendCtorInput();
-
-    this.setTypedStatements(true);
-    this.setMutator(new Blockly.Mutator(['constructor_variant_item']));
-    this.setWorkbench(new Blockly.TypeWorkbench());
-
-    this.disableTransfer_ = true;
-  },
-
-  typeExprReplaced() {
-    throw 'Not allowed to replace type expression for value construct.';
-  },
-
-  getStructureId: function() {
-    return this.constructId_;
-  },
+    var recordType = new Blockly.TypeExpr.RECORD(null);
+    var variableField =
+        Blockly.FieldBoundVariable.newReferenceRecord(recordType);
+    this.appendValueInput('ORIGINAL')
+        .setTypeExpr(recordType)
+        .appendField(variableField, 'RECORD')
+        .appendField('{');
+    this.appendDummyInput('WITH')
+        .appendField('with')
+        .setAlign(Blockly.ALIGN_RIGHT);
+    this.appendDummyInput('RBRACE')
+        .appendField('}');
+    this.setOutput(true);
+    this.setOutputTypeExpr(recordType);
+    this.setInputsInline(false);
+    this.setTooltip(Blockly.Msg.RECORD_WITH_TOOLTIP);
 
-  getStructureTypeDef: function(fieldName) {
-    var inputName = fieldName.replace(/CTR(\d+)/, 'CTR_INP$1');
-    return this.getTargetTypeCtor(inputName);
+    this.fieldCount_ = 0;
   },
 
-  updateVariableEnv: function(conn, ctx) {
-    if (!conn || this.nextConnection != conn) {
-      return;
-    }
-    for (var i = 0; i < this.itemCount_; i++) {
-      var field = this.getField('CTR' + i);
-      var variable = field.getVariable();
-      ctx.addVariable(variable);
-    }
+  appendFieldInput: function(index, fieldValue) {
+    return Blockly.Blocks['create_record_typed'].appendFieldInput.call(this,
+        index, fieldValue);
   },
 
-  getTypeScheme: function(fieldName) {
-    if (fieldName.startsWith('CTR')) {
-      var numstr = fieldName.substring(3);
-      var x = parseInt(numstr);
-      if (!isNaN(x) && x < this.itemCount_) {
-        var ctorType = new Blockly.TypeExpr.CONSTRUCT(this.constructId_);
-        return Blockly.Scheme.monoType(ctorType);
-      }
-    }
-    return null;
+  updateStructure: function() {
+    Blockly.Blocks['create_record_typed'].updateStructure.call(this);
   },
 
-  appendCtorInput: function() {
-    var ctrType = new Blockly.TypeExpr.CONSTRUCT(this.constructId_);
-    var variableField =
-        Blockly.FieldBoundVariable.newValueConstructor(ctrType);
-    var index = this.itemCount_++;
-    var input = this.appendValueInput('CTR_INP' + index)
-        .appendField('|')
-        .appendField(variableField, 'CTR' + index)
-        .setTypeExpr(new Blockly.TypeExpr.TYPE_CONSTRUCTOR())
-        .setAlign(Blockly.ALIGN_RIGHT);
-    return input;
+  removeBlocksWithName: function(fieldName) {
+    Blockly.Blocks['create_record_typed'].removeBlocksWithName.call(this,
+        fieldName);
   },
 
-  resizeCtorInputs: function(expectedCount) {
-    while (expectedCount < this.itemCount_) {
-      var index = this.itemCount_ - 1;
-      // Decrement the size of items first. The function this.removeInput()
-      // might disconnect some blocks from this block, and disconnecting blocks
-      // triggers type inference, which causes a null pointer exception. To
-      // avoid the type inference for the removed input, update the size of
-      // items first.
-      this.itemCount_--;
-      this.removeInput('CTR_INP' + index);
-    }
-    while (this.itemCount_ < expectedCount) {
-      this.appendCtorInput();
-    }
+  setChildInputTypeExpr_: function(input, fieldValue) {
+    Blockly.Blocks['create_record_typed'].setChildInputTypeExpr_.call(this,
+        input, fieldValue);
   },
 
   /**
-   * Create XML to represent constructor inputs.
+   * Create XML to represent record field inputs.
    * @return {Element} XML storage element.
    * @this Blockly.Block
    */
   mutationToDom: function() {
     var container = document.createElement('mutation');
-    container.setAttribute('items', this.itemCount_);
+    container.setAttribute('items', this.fieldCount_);
     return container;
   },
-  /**
-   * Parse XML to restore the constructor inputs.
-   * @param {!Element} xmlElement XML storage element.
-   * @this Blockly.Block
-   */
+
   domToMutation: function(xmlElement) {
-    var newItemCount = parseInt(xmlElement.getAttribute('items')) || 2;
-    this.resizeCtorInputs(newItemCount);
+    Blockly.Blocks['create_record_typed'].domToMutation.call(this,
+        xmlElement);
+  },
+
+  infer: function(ctx) {
+    // Fields whose inputs are empty are copied from the original record.
+    Blockly.Blocks['create_record_typed'].updateRecordTypes.call(this, ctx);
+    this.inferChild('ORIGINAL', ctx);
+    return this.outputConnection.typeExpr;
+  },
+
+  isNonExpansive: function() {
+    return Blockly.Blocks['create_record_typed'].isNonExpansive.call(this);
+  }
+};
+
+Blockly.Blocks['record_field_get_typed'] = {
+  // r.f
+  init: function() {
+    this.setColour(Blockly.Msg['DEFINE_TYPES_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    var variableField =
+        Blockly.FieldBoundVariable.newReferenceRecordField(null);
+    this.appendValueInput('RECORD')
+        .setTypeExpr(Blockly.TypeExpr.generateTypeVar());
+    this.appendDummyInput()
+        .appendField('.')
+        .appendField(variableField, 'FIELD');
+    this.setOutput(true);
+    this.setOutputTypeExpr(A);
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg.RECORD_FIELD_GET_TOOLTIP);
   },
+
   /**
-   * Populate the mutator's dialog with this block's components.
-   * @param {!Blockly.Workspace} workspace Mutator's workspace.
-   * @return {!Blockly.Block} Root block in mutator.
-   * @this Blockly.Block
+   * Returns the type of records which have the field this block refers to.
+   * @return {Blockly.TypeExpr} The record type, or null if the field is not
+   *     bound to any record field.
    */
-  decompose: function(workspace) {
-    var containerBlock =
-        workspace.newBlock('constructor_variant_container');
-    containerBlock.initSvg();
-    var connection = containerBlock.getInput('STACK').connection;
-    for (var x = 0; x < this.itemCount_; x++) {
-      var itemBlock = workspace.newBlock('constructor_variant_item');
-      itemBlock.initSvg();
-      connection.connect(itemBlock.previousConnection);
-      connection = itemBlock.nextConnection;
+  getRecordType: function() {
+    var fieldValue = this.getField('FIELD').getBoundValue();
+    var recordValue = fieldValue ? fieldValue.getParent() : null;
+    var recordBlock = recordValue ? recordValue.getSourceBlock() : null;
+    if (!recordBlock) {
+      return null;
     }
-    return containerBlock;
+    return new Blockly.TypeExpr.RECORD(recordBlock.getStructureId());
   },
+
   /**
-   * Reconfigure this block based on the mutator dialog's components.
-   * @param {!Blockly.Block} containerBlock Root block in mutator.
-   * @this Blockly.Block
+   * Returns the declared type of the field this block refers to.
+   * @return {Blockly.TypeExpr} The type of the field, or null if it is not
+   *     known yet.
    */
-  compose: function(containerBlock) {
-    var itemCount = containerBlock.getItemCount();
-    this.resizeCtorInputs(itemCount);
+  getFieldType: function() {
+    var fieldValue = this.getField('FIELD').getBoundValue();
+    var def = fieldValue ? fieldValue.getStructureTypeDef() : null;
+    return def && !def.hasUnknown() ? def : null;
   },
 
-  wouldChange: function(containerBlock) {
-    return containerBlock.getItemCount() != this.itemCount_;
+  updateStructure: function() {
+    var recordType = this.getRecordType();
+    var input = this.getInput('RECORD');
+    if (recordType) {
+      input.setTypeExpr(recordType, true);
+    } else if (input.connection.typeExpr.isRecord()) {
+      // The field has been unbound, so accept any record again.
+      input.setTypeExpr(Blockly.TypeExpr.generateTypeVar(), true);
+    }
   },
 
   infer: function(ctx) {
-    for (var i = 0; i < this.inputList.length; i++) {
-      var input = this.inputList[i];
-      if (!input.name.match(/CTR_INP\d+/)) {
-        continue;
-      }
-      var lastField = goog.array.last(input.fieldRow);
-      var hasOf = lastField.name === 'OF';
-      var hasTypeCtor = !!input.connection.targetBlock();
-      if (hasTypeCtor) {
-        if (!hasOf) input.appendField('of', 'OF');
-      } else {
-        if (hasOf) input.removeField('OF');
-      }
+    this.updateStructure();
+    var expected = this.outputConnection.typeExpr;
+    this.inferChild('RECORD', ctx);
+    var def = this.getFieldType();
+    if (def) {
+      def.unify(expected);
     }
-    this.callInfer(this.nextConnection, ctx);
-    return null;
+    return expected;
+  },
+
+  isNonExpansive: function() {
+    return this.childrenAreNonExpansive();
   }
 };
 
-Blockly.Blocks['create_construct_typed'] = {
+Blockly.Blocks['record_field_set_typed'] = {
+  // r.f <- v : unit, where f is a mutable field.
   init: function() {
     this.setColour(Blockly.Msg['DEFINE_TYPES_HUE']);
-    var ctrType = new Blockly.TypeExpr.CONSTRUCT(null);
+    var A = Blockly.TypeExpr.generateTypeVar();
     var variableField =
-        Blockly.FieldBoundVariable.newReferenceConstructor(ctrType);
-    this.appendDummyInput()
-        .appendField(variableField, 'CONSTRUCTOR');
+        Blockly.FieldBoundVariable.newReferenceRecordField(null);
+    this.appendValueInput('RECORD')
+        .setTypeExpr(Blockly.TypeExpr.generateTypeVar());
+    this.appendValueInput('VALUE')
+        .setTypeExpr(A)
+        .appendField('.')
+        .appendField(variableField, 'FIELD')
+        .appendField('<-');
     this.setOutput(true);
-    this.setOutputTypeExpr(ctrType);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.UNIT());
     this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg.RECORD_FIELD_SET_TOOLTIP);
   },
 
-  updateAndGetParameterInputs_: function() {
-    // TODO(harukam): Move the following code to the bound-varaible class.
-    var value = this.getField('CONSTRUCTOR').getBoundValue();
-    if (!value) {
-      return [];
-    }
-    var def = value.getStructureTypeDef();
-    goog.asserts.assert(def !== undefined, 'Unknown type ctor.');
+  getRecordType: function() {
+    return Blockly.Blocks['record_field_get_typed'].getRecordType.call(this);
+  },
 
-    var lparenInput = this.getInput('LPAREN');
+  getFieldType: function() {
+    return Blockly.Blocks['record_field_get_typed'].getFieldType.call(this);
+  },
+
+  updateStructure: function() {
+    Blockly.Blocks['record_field_get_typed'].updateStructure.call(this);
+  },
+
+  infer: function(ctx) {
+    this.updateStructure();
+    var fieldValue = this.getField('FIELD').getBoundValue();
+    if (fieldValue && !fieldValue.isMutableField() &&
+        this.outputConnection.isConnected()) {
+      throw Blockly.TypeExpr.errorImmutableField(this.getRecordType());
+    }
+    var expected_value = this.getInput('VALUE').connection.typeExpr;
+    this.inferChild('RECORD', ctx);
+    this.inferChild('VALUE', ctx);
+    var def = this.getFieldType();
+    if (def) {
+      def.unify(expected_value);
+    }
+    return this.outputConnection.typeExpr;
+  }
+};
+
+Blockly.Blocks['defined_type_alias_typed'] = {
+  // Declare a type abbreviation.
+  init: function() {
+    this.setColour(Blockly.Msg['DEFINE_TYPES_HUE']);
+    var variableField = Blockly.FieldBoundVariable.newValueTypeAlias(null);
+    this.appendValueInput('TYPE')
+        .appendField('type ')
+        .appendField(variableField, 'DATANAME')
+        .appendField('=')
+        .setTypeExpr(new Blockly.TypeExpr.TYPE_CONSTRUCTOR());
+
+    this.setTypedStatements(true);
+    this.setWorkbench(new Blockly.TypeWorkbench());
+    this.setTooltip(Blockly.Msg['DEFINE_TYPE_ALIAS_TOOLTIP']);
+
+    this.disableTransfer_ = true;
+  },
+
+  typeExprReplaced() {
+    throw 'Not allowed to replace type expression for type abbreviation.';
+  },
+
+  /**
+   * Returns the type which this block declares a name for.
+   * @return {!Blockly.TypeExpr} The type abbreviation, whose expansion is
+   *     unknown if the type is not given yet.
+   */
+  getAliasType: function() {
+    var name = this.getField('DATANAME').getVariable().getVariableName();
+    var def = this.getTargetTypeCtor('TYPE');
+    return new Blockly.TypeExpr.ALIAS(name,
+        def ? def : new Blockly.TypeExpr.UNKNOWN());
+  },
+
+  updateVariableEnv: function(conn, ctx) {
+    if (!conn || this.nextConnection != conn) {
+      return;
+    }
+    ctx.addStructureVariable(this.getField('DATANAME').getVariable());
+  }
+};
+
+Blockly.Blocks['type_annotation_typed'] = {
+  // (e : t)
+  init: function() {
+    this.setColour(Blockly.Msg['TYPES_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    this.appendValueInput('EXP')
+        .setTypeExpr(A)
+        .appendField('(');
+    this.appendValueInput('TYPE')
+        .setTypeExpr(new Blockly.TypeExpr.TYPE_CONSTRUCTOR())
+        .appendField(':');
+    this.appendDummyInput()
+        .appendField(')');
+    this.setOutput(true);
+    this.setOutputTypeExpr(A);
+    this.setInputsInline(true);
+    this.setWorkbench(new Blockly.TypeWorkbench());
+    this.setTooltip(Blockly.Msg['TYPE_ANNOTATION_TOOLTIP']);
+  },
+
+  /**
+   * Returns the type stated by the type blocks attached to this block.
+   * @return {Blockly.TypeExpr} The stated type, or null if it's not given
+   *     completely yet.
+   */
+  getAnnotatedType: function() {
+    var def = this.getTargetTypeCtor('TYPE');
+    return def && !def.hasUnknown() ? def : null;
+  },
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    // Unify with the stated type before the expression so that a type error
+    // is reported at the expression rather than where its value is used.
+    var annotated = this.getAnnotatedType();
+    if (annotated) {
+      expected.unify(annotated);
+    }
+    this.inferChild('EXP', ctx);
+    return expected;
+  },
+
+  isNonExpansive: function() {
+    return this.childrenAreNonExpansive();
+  }
+};
+
+Blockly.Blocks['defined_datatype_typed'] = {
+  // Declare constructor types.
+  init: function() {
+    this.setColour(Blockly.Msg['DEFINE_TYPES_HUE']);
+    var validator = Blockly.BoundVariables.variableNameValidator.bind(null,
+        Blockly.BoundVariableAbstract.VARIABLE);
+
+    var paramsValidator = function(text) {
+      var names = Blockly.Blocks['defined_datatype_typed']
+          .parseTypeParameters_(text);
+      if (!names) {
+        return null;
+      }
+      return goog.string.trim(Blockly.TypeExpr.CONSTRUCT.getTypeArgumentsText(
+          goog.array.map(names, function(name) { return '\'' + name; })));
+    };
+
+    this.appendDummyInput()
+        .appendField('type ')
+        .appendField(new Blockly.FieldTextInput('', paramsValidator), 'PARAMS')
+        .appendField(new Blockly.FieldTextInput('data', validator), 'DATANAME')
+        .appendField('=');
+
+    this.constructId_ = Blockly.utils.genUid();
+    /**
+     * Map from names of type parameters to type variables which represent
+     * them in constructor definitions. A type variable is kept even after
+     * the parameter is removed so that the same name is always mapped to the
+     * same type variable.
+     * @type {!Object.<string, !Blockly.TypeExpr.TVAR>}
+     * @private
+     */
+    this.typeParameters_ = Object.create(null);
+    this.itemCount_ = 0;
+    this.appendCtorInput();
+    this.appendCtorInput();
+
+    this.setTypedStatements(true);
+    this.setMutator(new Blockly.Mutator(['constructor_variant_item']));
+    this.setWorkbench(new Blockly.TypeWorkbench());
+
+    this.disableTransfer_ = true;
+  },
+
+  typeExprReplaced() {
+    throw 'Not allowed to replace type expression for value construct.';
+  },
+
+  getStructureId: function() {
+    return this.constructId_;
+  },
+
+  getStructureTypeDef: function(fieldName) {
+    var inputName = fieldName.replace(/CTR(\d+)/, 'CTR_INP$1');
+    return this.getTargetTypeCtor(inputName);
+  },
+
+  /**
+   * Parses type parameters written in OCaml syntax, e.g. "'a" or
+   * "('a, 'b)".
+   * @param {string} text The type parameters.
+   * @return {Array.<string>} List of names of the type parameters without
+   *     the leading quote, or null if the text is invalid.
+   * @private
+   */
+  parseTypeParameters_: function(text) {
+    text = goog.string.trim(text || '');
+    if (!text) {
+      return [];
+    }
+    var match = /^\((.*)\)$/.exec(text);
+    var items = match ? match[1].split(',') : [text];
+    var names = [];
+    for (var i = 0; i < items.length; i++) {
+      var m = /^\s*'([a-z_][\w']*)\s*$/.exec(items[i]);
+      if (!m || names.indexOf(m[1]) != -1) {
+        return null;
+      }
+      names.push(m[1]);
+    }
+    return names;
+  },
+
+  /**
+   * Returns type variables representing the type parameters of this
+   * datatype in order.
+   * @return {!Array.<!Blockly.TypeExpr.TVAR>} List of type variables.
+   */
+  getTypeParameters: function() {
+    return goog.array.map(this.getTypeParameterNames(), this.getTypeParameter,
+        this);
+  },
+
+  /**
+   * Returns names of the type parameters of this datatype in order.
+   * @return {!Array.<string>} List of names without the leading quote.
+   */
+  getTypeParameterNames: function() {
+    return this.parseTypeParameters_(this.getFieldValue('PARAMS')) || [];
+  },
+
+  /**
+   * Returns the type variable representing the type parameter of the given
+   * name.
+   * @param {string} name The name of type parameter without the leading
+   *     quote, e.g. "a".
+   * @return {Blockly.TypeExpr.TVAR} The type variable, or null if this
+   *     datatype has no such type parameter.
+   */
+  getTypeParameter: function(name) {
+    if (this.getTypeParameterNames().indexOf(name) == -1) {
+      return null;
+    }
+    if (!this.typeParameters_[name]) {
+      this.typeParameters_[name] = Blockly.TypeExpr.generateTypeVar();
+    }
+    return this.typeParameters_[name];
+  },
+
+  /**
+   * Replaces the type parameters in the given type with type arguments of
+   * a use of constructor. The use is identified by its constructor type,
+   * whose type arguments are created freshly if they do not match with the
+   * type parameters, e.g. after type parameters are added.
+   * @param {Blockly.TypeExpr} type The type including the type parameters,
+   *     e.g. the argument type of a constructor.
+   * @param {!Blockly.TypeExpr.CONSTRUCT} ctorType The constructor type of
+   *     the use.
+   * @return {Blockly.TypeExpr} The instantiated type, or null if type is
+   *     null.
+   */
+  instantiateTypeParameters: function(type, ctorType) {
+    var tvars = this.getTypeParameters();
+    if (ctorType.params.length != tvars.length) {
+      ctorType.params = goog.array.map(tvars, function() {
+        return Blockly.TypeExpr.generateTypeVar();
+      });
+    }
+    if (!type || tvars.length == 0) {
+      return type;
+    }
+    var map = {};
+    for (var i = 0; i < tvars.length; i++) {
+      map[tvars[i].name] = ctorType.params[i];
+    }
+    return type.substitute(map);
+  },
+
+  /**
+   * Returns types of arguments which the constructor takes in a pattern.
+   * A constructor of a tuple type takes its elements separately.
+   * @param {string} fieldName The name of the constructor field.
+   * @return {!Array.<!Blockly.TypeExpr>} List of argument types.
+   */
+  getConstructorArgumentTypes: function(fieldName) {
+    var def = this.getStructureTypeDef(fieldName);
+    if (!def) {
+      return [];
+    }
+    return def.isTuple() ? def.getChildren() : [def];
+  },
+
+  /**
+   * Returns the set of constructors declared in this block for
+   * the pattern-matrix analysis.
+   * @return {!Blockly.PatternMatrix.Signature}
+   */
+  getPatternSignature: function() {
+    var names = [];
+    var arities = [];
+    for (var i = 0; i < this.itemCount_; i++) {
+      var fieldName = 'CTR' + i;
+      names.push(this.getField(fieldName).getVariableName());
+      arities.push(this.getConstructorArgumentTypes(fieldName).length);
+    }
+    return Blockly.PatternMatrix.createVariantSignature(this.constructId_,
+        names, arities);
+  },
+
+  updateVariableEnv: function(conn, ctx) {
+    if (!conn || this.nextConnection != conn) {
+      return;
+    }
+    for (var i = 0; i < this.itemCount_; i++) {
+      var field = this.getField('CTR' + i);
+      var variable = field.getVariable();
+      ctx.addVariable(variable);
+    }
+  },
+
+  getTypeScheme: function(fieldName) {
+    if (fieldName.startsWith('CTR')) {
+      var numstr = fieldName.substring(3);
+      var x = parseInt(numstr);
+      if (!isNaN(x) && x < this.itemCount_) {
+        // Constructors are polymorphic over the type parameters.
+        var tvars = this.getTypeParameters();
+        var ctorType = new Blockly.TypeExpr.CONSTRUCT(this.constructId_,
+            tvars);
+        var names = goog.array.map(tvars, function(t) { return t.name; });
+        return new Blockly.Scheme(names, ctorType);
+      }
+    }
+    return null;
+  },
+
+  appendCtorInput: function() {
+    var ctrType = new Blockly.TypeExpr.CONSTRUCT(this.constructId_);
+    var variableField =
+        Blockly.FieldBoundVariable.newValueConstructor(ctrType);
+    var index = this.itemCount_++;
+    var input = this.appendValueInput('CTR_INP' + index)
+        .appendField('|')
+        .appendField(variableField, 'CTR' + index)
+        .setTypeExpr(new Blockly.TypeExpr.TYPE_CONSTRUCTOR())
+        .setAlign(Blockly.ALIGN_RIGHT);
+    return input;
+  },
+
+  resizeCtorInputs: function(expectedCount) {
+    while (expectedCount < this.itemCount_) {
+      var index = this.itemCount_ - 1;
+      // Decrement the size of items first. The function this.removeInput()
+      // might disconnect some blocks from this block, and disconnecting blocks
+      // triggers type inference, which causes a null pointer exception. To
+      // avoid the type inference for the removed input, update the size of
+      // items first.
+      this.itemCount_--;
+      this.removeInput('CTR_INP' + index);
+    }
+    while (this.itemCount_ < expectedCount) {
+      this.appendCtorInput();
+    }
+  },
+
+  /**
+   * Create XML to represent constructor inputs.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('items', this.itemCount_);
+    return container;
+  },
+  /**
+   * Parse XML to restore the constructor inputs.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var newItemCount = parseInt(xmlElement.getAttribute('items')) || 2;
+    this.resizeCtorInputs(newItemCount);
+  },
+  /**
+   * Populate the mutator's dialog with this block's components.
+   * @param {!Blockly.Workspace} workspace Mutator's workspace.
+   * @return {!Blockly.Block} Root block in mutator.
+   * @this Blockly.Block
+   */
+  decompose: function(workspace) {
+    var containerBlock =
+        workspace.newBlock('constructor_variant_container');
+    containerBlock.initSvg();
+    var connection = containerBlock.getInput('STACK').connection;
+    for (var x = 0; x < this.itemCount_; x++) {
+      var itemBlock = workspace.newBlock('constructor_variant_item');
+      itemBlock.initSvg();
+      connection.connect(itemBlock.previousConnection);
+      connection = itemBlock.nextConnection;
+    }
+    return containerBlock;
+  },
+  /**
+   * Reconfigure this block based on the mutator dialog's components.
+   * @param {!Blockly.Block} containerBlock Root block in mutator.
+   * @this Blockly.Block
+   */
+  compose: function(containerBlock) {
+    var itemCount = containerBlock.getItemCount();
+    this.resizeCtorInputs(itemCount);
+  },
+
+  wouldChange: function(containerBlock) {
+    return containerBlock.getItemCount() != this.itemCount_;
+  },
+
+  infer: function(ctx) {
+    for (var i = 0; i < this.inputList.length; i++) {
+      var input = this.inputList[i];
+      if (!input.name.match(/CTR_INP\d+/)) {
+        continue;
+      }
+      var lastField = goog.array.last(input.fieldRow);
+      var hasOf = lastField.name === 'OF';
+      var hasTypeCtor = !!input.connection.targetBlock();
+      if (hasTypeCtor) {
+        if (!hasOf) input.appendField('of', 'OF');
+      } else {
+        if (hasOf) input.removeField('OF');
+      }
+    }
+    this.callInfer(this.nextConnection, ctx);
+    return null;
+  }
+};
+
+Blockly.Blocks['create_construct_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['DEFINE_TYPES_HUE']);
+    var ctrType = new Blockly.TypeExpr.CONSTRUCT(null);
+    var variableField =
+        Blockly.FieldBoundVariable.newReferenceConstructor(ctrType);
+    this.appendDummyInput()
+        .appendField(variableField, 'CONSTRUCTOR');
+    this.setOutput(true);
+    this.setOutputTypeExpr(ctrType);
+    this.setInputsInline(true);
+  },
+
+  updateAndGetParameterInputs_: function() {
+    // TODO(harukam): Move the following code to the bound-varaible class.
+    var value = this.getField('CONSTRUCTOR').getBoundValue();
+    if (!value) {
+      return [];
+    }
+    var def = value.getStructureTypeDef();
+    goog.asserts.assert(def !== undefined, 'Unknown type ctor.');
+    var block = value.getSourceBlock();
+    if (goog.isFunction(block.instantiateTypeParameters)) {
+      def = block.instantiateTypeParameters(def,
+          this.outputConnection.typeExpr);
+    }
+
+    var lparenInput = this.getInput('LPAREN');
     var rparenInput = this.getInput('RPAREN');
 
     var paramSize = 0;
@@ -1360,6 +1809,82 @@ Blockly.Blocks['create_construct_typed'] = {
       }
     }
     return outType;
+  },
+
+  isNonExpansive: function() {
+    return this.childrenAreNonExpansive();
+  }
+};
+
+Blockly.Blocks['exception_declaration_typed'] = {
+  // Declare an exception constructor.
+  init: function() {
+    this.setColour(Blockly.Msg['DEFINE_TYPES_HUE']);
+    var ctrType =
+        new Blockly.TypeExpr.CONSTRUCT(Blockly.TypeExpr.CONSTRUCT.EXN_ID);
+    var variableField =
+        Blockly.FieldBoundVariable.newValueConstructor(ctrType);
+    this.appendValueInput('CTR_INP')
+        .appendField('exception ')
+        .appendField(variableField, 'CTR')
+        .setTypeExpr(new Blockly.TypeExpr.TYPE_CONSTRUCTOR());
+
+    this.setTypedStatements(true);
+    this.setWorkbench(new Blockly.TypeWorkbench());
+    this.setTooltip(Blockly.Msg['EXCEPTION_DECLARATION_TOOLTIP']);
+
+    this.disableTransfer_ = true;
+  },
+
+  typeExprReplaced() {
+    throw 'Not allowed to replace type expression for exception.';
+  },
+
+  getStructureTypeDef: function(fieldName) {
+    return fieldName == 'CTR' ? this.getTargetTypeCtor('CTR_INP') : undefined;
+  },
+
+  /**
+   * Returns types of arguments which the exception constructor takes in
+   * a pattern. A constructor of a tuple type takes its elements separately.
+   * @param {string} fieldName The name of the constructor field.
+   * @return {!Array.<!Blockly.TypeExpr>} List of argument types.
+   */
+  getConstructorArgumentTypes: function(fieldName) {
+    var def = this.getStructureTypeDef(fieldName);
+    if (!def) {
+      return [];
+    }
+    return def.isTuple() ? def.getChildren() : [def];
+  },
+
+  updateVariableEnv: function(conn, ctx) {
+    if (!conn || this.nextConnection != conn) {
+      return;
+    }
+    ctx.addVariable(this.getField('CTR').getVariable());
+  },
+
+  getTypeScheme: function(fieldName) {
+    if (fieldName == 'CTR') {
+      var ctorType =
+          new Blockly.TypeExpr.CONSTRUCT(Blockly.TypeExpr.CONSTRUCT.EXN_ID);
+      return Blockly.Scheme.monoType(ctorType);
+    }
+    return null;
+  },
+
+  infer: function(ctx) {
+    var input = this.getInput('CTR_INP');
+    var hasOf = !!this.getField('OF');
+    var hasTypeCtor = !!input.connection.targetBlock();
+    if (hasTypeCtor) {
+      if (!hasOf) input.appendField('of', 'OF');
+    } else {
+      if (hasOf) input.removeField('OF');
+    }
+    this.callInfer(this.nextConnection, ctx);
+    return null;
   }
 };
 
@@ -1485,6 +2010,26 @@ Blockly.Blocks['string_type_typed'] = {
   }
 };
 
+Blockly.Blocks['char_type_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['TYPES_HUE']);
+    this.appendDummyInput()
+        .appendField('char');
+    this.setOutput(true);
+    var typeCtrType = new Blockly.TypeExpr.TYPE_CONSTRUCTOR();
+    this.setOutputTypeExpr(typeCtrType);
+  },
+
+  getTypeCtor: function() {
+    return new Blockly.TypeExpr.CHAR();
+  },
+
+  searchFieldNameAndRemoveSpecifiedBlocks: function () {
+    Blockly.Blocks['int_type_typed']
+        .searchFieldNameAndRemoveSpecifiedBlocks.call(this);
+  }
+};
+
 Blockly.Blocks['pair_type_constructor_typed'] = {
   init: function() {
     this.setColour(Blockly.Msg['TYPES_HUE']);
@@ -1603,6 +2148,36 @@ Blockly.Blocks['aoption_type_constructor_typed'] = {
   }
 };
 
+Blockly.Blocks['fun_type_constructor_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['TYPES_HUE']);
+    this.appendValueInput('ARG')
+        .setTypeExpr(new Blockly.TypeExpr.TYPE_CONSTRUCTOR());
+    this.appendValueInput('RETURN')
+        .appendField('->')
+        .setTypeExpr(new Blockly.TypeExpr.TYPE_CONSTRUCTOR());
+    this.setOutput(true);
+    this.setInputsInline(true);
+    var typeCtrType = new Blockly.TypeExpr.TYPE_CONSTRUCTOR();
+    this.setOutputTypeExpr(typeCtrType);
+  },
+
+  getTypeCtor: function() {
+    var argBlock = this.getInputTargetBlock('ARG');
+    var returnBlock = this.getInputTargetBlock('RETURN');
+    var arg = argBlock ?
+        argBlock.getTypeCtor() : new Blockly.TypeExpr.UNKNOWN();
+    var ret = returnBlock ?
+        returnBlock.getTypeCtor() : new Blockly.TypeExpr.UNKNOWN();
+    return new Blockly.TypeExpr.FUN(arg, ret);
+  },
+
+  searchFieldNameAndRemoveSpecifiedBlocks: function() {
+    Blockly.Blocks['int_type_typed']
+        .searchFieldNameAndRemoveSpecifiedBlocks.call(this);
+  }
+};
+
 Blockly.Blocks['user_record_type_typed'] = {
   // user-defined types
   init: function() {
@@ -1619,26 +2194,188 @@ Blockly.Blocks['user_record_type_typed'] = {
     this.setOutputTypeExpr(typeCtrType);
   },
 
-  updateStructure: function() {
-    var reference = this.getField('TYPENAME').getVariable();
-    var value = reference.getBoundValue();
-    var name = value.getVariableName();
-    var field = this.getField('NAME');
-    field.setText(name);
-    if (goog.isFunction(this.initSvg)) {
-      this.initSvg();
-    }
+  updateStructure: function() {
+    var reference = this.getField('TYPENAME').getVariable();
+    var value = reference.getBoundValue();
+    var name = value.getVariableName();
+    var field = this.getField('NAME');
+    field.setText(name);
+    if (goog.isFunction(this.initSvg)) {
+      this.initSvg();
+    }
+  },
+
+  getTypeCtor: function() {
+    var reference = this.getField('TYPENAME').getVariable();
+    var value = reference.getBoundValue();
+    var name = value.getVariableName();
+    var id = value.getTypeExpr().id;
+    return new Blockly.TypeExpr.RECORD(id);
+  },
+
+  searchFieldNameAndRemoveSpecifiedBlocks: function () {
+    Blockly.Blocks['int_type_typed']
+        .searchFieldNameAndRemoveSpecifiedBlocks.call(this);
+  }
+};
+
+Blockly.Blocks['type_alias_type_typed'] = {
+  // A type abbreviation declared by the user.
+  init: function() {
+    this.setColour(Blockly.Msg['TYPES_HUE']);
+    var variable = Blockly.FieldBoundVariable.newReferenceTypeAlias(null, 't');
+    this.appendDummyInput()
+        .appendField(variable, 'TYPENAME');
+    this.setOutput(true);
+    var typeCtrType = new Blockly.TypeExpr.TYPE_CONSTRUCTOR();
+    this.setOutputTypeExpr(typeCtrType);
+  },
+
+  getTypeCtor: function() {
+    var reference = this.getField('TYPENAME').getVariable();
+    var value = reference.getBoundValue();
+    if (!value) {
+      return new Blockly.TypeExpr.UNKNOWN();
+    }
+    return value.getSourceBlock().getAliasType();
+  },
+
+  searchFieldNameAndRemoveSpecifiedBlocks: function() {
+    Blockly.Blocks['int_type_typed']
+        .searchFieldNameAndRemoveSpecifiedBlocks.call(this);
+  }
+};
+
+Blockly.Blocks['type_variable_typed'] = {
+  // A type parameter of the variant type being declared.
+  init: function() {
+    this.setColour(Blockly.Msg['TYPES_HUE']);
+    var validator = function(text) {
+      return /^[a-z_][\w']*$/.test(text) ? text : null;
+    };
+    this.appendDummyInput()
+        .appendField('\'')
+        .appendField(new Blockly.FieldTextInput('a', validator), 'NAME');
+    this.setOutput(true);
+    var typeCtrType = new Blockly.TypeExpr.TYPE_CONSTRUCTOR();
+    this.setOutputTypeExpr(typeCtrType);
+  },
+
+  /**
+   * Finds the declaration of variant type which this block is used in.
+   * @return {Blockly.Block} The block declaring the type, or null if not
+   *     found.
+   */
+  getDatatypeBlock: function() {
+    var block = this.getParent();
+    while (block && !goog.isFunction(block.getTypeParameter)) {
+      block = block.getParent();
+    }
+    return block;
+  },
+
+  getTypeCtor: function() {
+    var block = this.getDatatypeBlock();
+    var tvar = block ? block.getTypeParameter(this.getFieldValue('NAME')) :
+        null;
+    return tvar ? tvar : new Blockly.TypeExpr.UNKNOWN();
+  },
+
+  searchFieldNameAndRemoveSpecifiedBlocks: function() {
+    Blockly.Blocks['int_type_typed']
+        .searchFieldNameAndRemoveSpecifiedBlocks.call(this);
+  }
+};
+
+Blockly.Blocks['recursive_datatype_type_typed'] = {
+  // The variant type being declared, which is referred to in its own
+  // constructor definitions.
+  init: function() {
+    this.setColour(Blockly.Msg['TYPES_HUE']);
+    this.appendDummyInput('NAME_INPUT')
+        .appendField('data', 'NAME');
+    this.setOutput(true);
+    this.setInputsInline(true);
+    var typeCtrType = new Blockly.TypeExpr.TYPE_CONSTRUCTOR();
+    this.setOutputTypeExpr(typeCtrType);
+
+    this.itemCount_ = 0;
+  },
+
+  /**
+   * Resizes inputs for type arguments, e.g. ('a, 'b) data.
+   * @param {number} itemCount The number of type arguments.
+   */
+  resizeItemInputs: function(itemCount) {
+    while (itemCount < this.itemCount_) {
+      var index = --this.itemCount_;
+      this.removeInput('ITEM' + index);
+    }
+    while (this.itemCount_ < itemCount) {
+      var index = this.itemCount_++;
+      var input = this.appendValueInput('ITEM' + index)
+          .setTypeExpr(new Blockly.TypeExpr.TYPE_CONSTRUCTOR());
+      if (index != 0) {
+        input.appendField(',');
+      }
+      this.moveInputBefore('ITEM' + index, 'NAME_INPUT');
+    }
+    var firstInput = this.getInput('ITEM0');
+    var nameInput = this.getInput('NAME_INPUT');
+    if (this.getField('LPAREN')) {
+      firstInput.removeField('LPAREN');
+      nameInput.removeField('RPAREN');
+    }
+    if (2 <= this.itemCount_) {
+      firstInput.insertFieldAt(0, '(', 'LPAREN');
+      nameInput.insertFieldAt(0, ')', 'RPAREN');
+    }
+  },
+
+  /**
+   * Create XML to represent the number of type arguments.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('items', this.itemCount_);
+    return container;
+  },
+  /**
+   * Parse XML to restore the inputs for type arguments.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var itemCount = parseInt(xmlElement.getAttribute('items')) || 0;
+    this.resizeItemInputs(itemCount);
+  },
+
+  getDatatypeBlock: function() {
+    return Blockly.Blocks['type_variable_typed'].getDatatypeBlock.call(this);
   },
 
   getTypeCtor: function() {
-    var reference = this.getField('TYPENAME').getVariable();
-    var value = reference.getBoundValue();
-    var name = value.getVariableName();
-    var id = value.getTypeExpr().id;
-    return new Blockly.TypeExpr.RECORD(id);
+    var block = this.getDatatypeBlock();
+    if (!block) {
+      return new Blockly.TypeExpr.UNKNOWN();
+    }
+    this.setFieldValue(block.getFieldValue('DATANAME'), 'NAME');
+    if (block.getTypeParameterNames().length != this.itemCount_) {
+      // The type constructor is applied to a wrong number of arguments.
+      return new Blockly.TypeExpr.UNKNOWN();
+    }
+    var params = [];
+    for (var i = 0; i < this.itemCount_; i++) {
+      var itemBlock = this.getInputTargetBlock('ITEM' + i);
+      params.push(itemBlock ?
+          itemBlock.getTypeCtor() : new Blockly.TypeExpr.UNKNOWN());
+    }
+    return new Blockly.TypeExpr.CONSTRUCT(block.getStructureId(), params);
   },
 
-  searchFieldNameAndRemoveSpecifiedBlocks: function () {
+  searchFieldNameAndRemoveSpecifiedBlocks: function() {
     Blockly.Blocks['int_type_typed']
         .searchFieldNameAndRemoveSpecifiedBlocks.call(this);
   }
@@ -1748,6 +2485,10 @@ Blockly.Blocks['variable_pattern_typed'] = {
     goog.asserts.assert(variable.referenceList_.length == 0);
   },
 
+  getMatrixPattern: function() {
+    return Blockly.PatternMatrix.wildcard();
+  },
+
   getTypeScheme: function(fieldName) {
     if (fieldName !== 'VAR') {
       return null;
@@ -1776,6 +2517,10 @@ Blockly.Blocks['empty_construct_pattern_typed'] = {
     valueBlock.initSvg();
     valueBlock.render();
     return valueBlock;
+  },
+
+  getMatrixPattern: function() {
+    return new Blockly.PatternMatrix.Pattern(Blockly.PatternMatrix.NIL);
   }
 };
 
@@ -1846,6 +2591,11 @@ Blockly.Blocks['cons_construct_pattern_typed'] = {
     }
   },
 
+  getMatrixPattern: function() {
+    return Blockly.PatternMatrix.patternOfInputs(this,
+        Blockly.PatternMatrix.CONS, ['FIRST', 'CONS']);
+  },
+
   infer: function(ctx) {
     var expected = this.outputConnection.typeExpr;
     var expected1 = this.getInput('FIRST').connection.typeExpr;
@@ -1879,6 +2629,10 @@ Blockly.Blocks['option_none_pattern_typed'] = {
     valueBlock.initSvg();
     valueBlock.render();
     return valueBlock;
+  },
+
+  getMatrixPattern: function() {
+    return new Blockly.PatternMatrix.Pattern(Blockly.PatternMatrix.NONE);
   }
 };
 
@@ -1909,121 +2663,524 @@ Blockly.Blocks['option_some_pattern_typed'] = {
   },
 
   updateUpperContext: function(ctx) {
-    var param = this.getInput('PARAM').connection.targetConnection;
-    if (param) {
-      param.callUpdateUpperContext(ctx);
+    var param = this.getInput('PARAM').connection.targetConnection;
+    if (param) {
+      param.callUpdateUpperContext(ctx);
+    }
+  },
+
+  updateUpperTypeContext: function(ctx) {
+    var param = this.getInput('PARAM').connection.targetConnection;
+    if (param) {
+      param.callUpdateUpperTypeContext(ctx);
+    }
+  },
+
+  removePatternReference: function() {
+    var param = this.getInput('PARAM').connection.targetConnection;
+    if (param) {
+      param.callRemovePatternReference();
+    }
+  },
+
+  getMatrixPattern: function() {
+    return Blockly.PatternMatrix.patternOfInputs(this,
+        Blockly.PatternMatrix.SOME, ['PARAM']);
+  },
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    var expectedParam = this.getInput('PARAM').connection.typeExpr;
+    var param1 = this.callInfer('PARAM', ctx);
+    if (param1) {
+      param1.unify(expectedParam);
+    }
+    return expected;
+  }
+};
+
+Blockly.Blocks['pair_pattern_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['PATTERN_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    var B = Blockly.TypeExpr.generateTypeVar();
+    this.appendDummyInput()
+        .appendField('(');
+    this.appendValueInput('LEFT')
+        .setTypeExpr(new Blockly.TypeExpr.PATTERN(A));
+    this.appendValueInput('RIGHT')
+        .setTypeExpr(new Blockly.TypeExpr.PATTERN(B))
+        .appendField(',');
+    this.appendDummyInput()
+        .appendField(')');
+    this.setOutput(true);
+
+    var pairType = new Blockly.TypeExpr.TUPLE(A, B);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.PATTERN(pairType));
+    this.setInputsInline(true);
+  },
+
+  transformToValue: function(workspace) {
+    var valueBlock = workspace.newBlock('pair_pattern_typed');
+    var left = this.getInput('LEFT').connection.targetConnection;
+    if (left) {
+      var newLeft = left.getSourceBlock().transformToValue(workspace);
+      var connection = valueBlock.getInput('LEFT').connection;
+      connection.connect(newLeft.outputConnection);
+    }
+    var right = this.getInput('RIGHT').connection.targetConnection;
+    if (right) {
+      var newLeft = right.getSourceBlock().transformToValue(workspace);
+      var connection = valueBlock.getInput('RIGHT').connection;
+      connection.connect(newLeft.outputConnection);
+    }
+    valueBlock.initSvg();
+    valueBlock.render();
+    return valueBlock;
+  },
+
+  updateUpperContext: function(ctx) {
+    var left = this.getInput('LEFT').connection.targetConnection;
+    if (left) {
+      left.callUpdateUpperContext(ctx);
+    }
+    var right = this.getInput('RIGHT').connection.targetConnection;
+    if (right) {
+      right.callUpdateUpperContext(ctx);
+    }
+  },
+
+  updateUpperTypeContext: function(ctx) {
+    var left = this.getInput('LEFT').connection.targetConnection;
+    if (left) {
+      left.callUpdateUpperTypeContext(ctx);
+    }
+    var right = this.getInput('RIGHT').connection.targetConnection;
+    if (right) {
+      right.callUpdateUpperTypeContext(ctx);
+    }
+  },
+
+  removePatternReference: function() {
+    var left = this.getInput('LEFT').connection.targetConnection;
+    if (left) {
+      left.callRemovePatternReference();
+    }
+    var right = this.getInput('RIGHT').connection.targetConnection;
+    if (right) {
+      right.callRemovePatternReference();
+    }
+  },
+
+  getMatrixPattern: function() {
+    var ctor = Blockly.PatternMatrix.createTupleConstructor(2);
+    return Blockly.PatternMatrix.patternOfInputs(this, ctor,
+        ['LEFT', 'RIGHT']);
+  },
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    var expected1 = this.getInput('LEFT').connection.typeExpr;
+    var arg1 = this.callInfer('LEFT', ctx);
+    if (arg1) {
+      arg1.unify(expected1);
+    }
+    var expected2 = this.getInput('RIGHT').connection.typeExpr;
+    var arg2 = this.callInfer('RIGHT', ctx);
+    if (arg2) {
+      arg2.unify(expected2);
+    }
+    return expected;
+  }
+};
+
+Blockly.Blocks['tuple_pattern_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['PATTERN_HUE']);
+    this.appendDummyInput('RPAREN')
+        .appendField(')');
+    this.setOutput(true);
+    this.setInputsInline(true);
+    this.setMutator(new Blockly.Mutator(['tuple_element_item']));
+    this.setTooltip(Blockly.Msg.TUPLE_PATTERN_TOOLTIP);
+
+    this.itemCount_ = 0;
+    this.resizeItems(3);
+  },
+
+  /**
+   * Add or remove element inputs so that this block has the given number of
+   * elements, and replace the output type with a tuple type of that size.
+   * Pattern blocks on removed inputs are disposed.
+   * @param {number} expectedCount The number of elements.
+   */
+  resizeItems: function(expectedCount) {
+    var storedRendered = this.rendered;
+    this.rendered = false;
+    while (expectedCount < this.itemCount_) {
+      var index = this.itemCount_ - 1;
+      var block = this.getInputTargetBlock('ITEM' + index);
+      if (block) {
+        block.dispose();
+      }
+      // Decrement the size of items first to avoid the type inference for
+      // the input being removed.
+      this.itemCount_--;
+      this.removeInput('ITEM' + index);
+    }
+    while (this.itemCount_ < expectedCount) {
+      var index = this.itemCount_++;
+      var A = Blockly.TypeExpr.generateTypeVar();
+      this.appendValueInput('ITEM' + index)
+          .setTypeExpr(new Blockly.TypeExpr.PATTERN(A))
+          .appendField(index == 0 ? '(' : ',');
+    }
+    this.removeInput('RPAREN');
+    this.appendDummyInput('RPAREN')
+        .appendField(')');
+    this.rendered = storedRendered;
+
+    var types = [];
+    for (var i = 0; i < this.itemCount_; i++) {
+      types.push(this.getInput('ITEM' + i).connection.typeExpr.pattExpr);
+    }
+    var tupleType = new Blockly.TypeExpr.TUPLE(types);
+    this.replaceOutputTypeExpr(new Blockly.TypeExpr.PATTERN(tupleType));
+  },
+
+  mutationToDom: function() {
+    return Blockly.Blocks['tuple_create_typed'].mutationToDom.call(this);
+  },
+
+  domToMutation: function(xmlElement) {
+    Blockly.Blocks['tuple_create_typed'].domToMutation.call(this, xmlElement);
+  },
+
+  decompose: function(workspace) {
+    return Blockly.Blocks['tuple_create_typed'].decompose.call(this,
+        workspace);
+  },
+
+  compose: function(containerBlock) {
+    Blockly.Blocks['tuple_create_typed'].compose.call(this, containerBlock);
+  },
+
+  wouldChange: function(containerBlock) {
+    return Blockly.Blocks['tuple_create_typed'].wouldChange.call(this,
+        containerBlock);
+  },
+
+  transformToValue: function(workspace) {
+    var valueBlock = workspace.newBlock('tuple_pattern_typed');
+    valueBlock.resizeItems(this.itemCount_);
+    for (var i = 0; i < this.itemCount_; i++) {
+      var item = this.getInput('ITEM' + i).connection.targetConnection;
+      if (item) {
+        var newItem = item.getSourceBlock().transformToValue(workspace);
+        var connection = valueBlock.getInput('ITEM' + i).connection;
+        connection.connect(newItem.outputConnection);
+      }
+    }
+    valueBlock.initSvg();
+    valueBlock.render();
+    return valueBlock;
+  },
+
+  updateUpperContext: function(ctx) {
+    for (var i = 0; i < this.itemCount_; i++) {
+      var item = this.getInput('ITEM' + i).connection.targetConnection;
+      if (item) {
+        item.callUpdateUpperContext(ctx);
+      }
+    }
+  },
+
+  updateUpperTypeContext: function(ctx) {
+    for (var i = 0; i < this.itemCount_; i++) {
+      var item = this.getInput('ITEM' + i).connection.targetConnection;
+      if (item) {
+        item.callUpdateUpperTypeContext(ctx);
+      }
+    }
+  },
+
+  removePatternReference: function() {
+    for (var i = 0; i < this.itemCount_; i++) {
+      var item = this.getInput('ITEM' + i).connection.targetConnection;
+      if (item) {
+        item.callRemovePatternReference();
+      }
+    }
+  },
+
+  getMatrixPattern: function() {
+    var ctor = Blockly.PatternMatrix.createTupleConstructor(this.itemCount_);
+    var inputNames = [];
+    for (var i = 0; i < this.itemCount_; i++) {
+      inputNames.push('ITEM' + i);
+    }
+    return Blockly.PatternMatrix.patternOfInputs(this, ctor, inputNames);
+  },
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    for (var i = 0; i < this.itemCount_; i++) {
+      var expectedItem = this.getInput('ITEM' + i).connection.typeExpr;
+      var item = this.callInfer('ITEM' + i, ctx);
+      if (item) {
+        item.unify(expectedItem);
+      }
+    }
+    return expected;
+  }
+};
+
+Blockly.Blocks['or_pattern_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['PATTERN_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    this.appendValueInput('LEFT')
+        .setTypeExpr(new Blockly.TypeExpr.PATTERN(A));
+    this.appendValueInput('RIGHT')
+        .setTypeExpr(new Blockly.TypeExpr.PATTERN(A))
+        .appendField('|');
+    this.setOutput(true);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.PATTERN(A));
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg['OR_PATTERN_TOOLTIP']);
+  },
+
+  transformToValue: function(workspace) {
+    var valueBlock = workspace.newBlock('or_pattern_typed');
+    var names = ['LEFT', 'RIGHT'];
+    for (var i = 0, name; name = names[i]; i++) {
+      var target = this.getInput(name).connection.targetConnection;
+      if (target) {
+        var newBlock = target.getSourceBlock().transformToValue(workspace);
+        var connection = valueBlock.getInput(name).connection;
+        connection.connect(newBlock.outputConnection);
+      }
+    }
+    valueBlock.initSvg();
+    valueBlock.render();
+    return valueBlock;
+  },
+
+  /**
+   * Returns variables which the pattern on the given input binds.
+   * @param {string} name The name of the input.
+   * @return {!Blockly.Block.VariableContext} Context containing the
+   *     variables.
+   * @private
+   */
+  getBoundVariables_: function(name) {
+    var ctx = new Blockly.Block.VariableContext();
+    var target = this.getInput(name).connection.targetConnection;
+    if (target) {
+      target.callUpdateUpperContext(ctx);
+    }
+    return ctx;
+  },
+
+  /**
+   * Returns names of variables which are bound only on one side of this
+   * or-pattern. Both sides are required to bind the same set of variables.
+   * @return {!Array.<string>} List of the variable names, which is empty if
+   *     either side is not filled.
+   */
+  getUnsharedVariableNames: function() {
+    if (!this.getInputTargetBlock('LEFT') ||
+        !this.getInputTargetBlock('RIGHT')) {
+      return [];
+    }
+    var left = this.getBoundVariables_('LEFT').getVariableNames();
+    var right = this.getBoundVariables_('RIGHT').getVariableNames();
+    var leftOnly = goog.array.filter(left,
+        function(name) { return right.indexOf(name) == -1; });
+    var rightOnly = goog.array.filter(right,
+        function(name) { return left.indexOf(name) == -1; });
+    return leftOnly.concat(rightOnly);
+  },
+
+  /**
+   * Rename the variable on the other side which has the old name of the given
+   * variable, so that both sides keep binding the same variables.
+   * @param {!Blockly.BoundVariableValue} variable The renamed variable.
+   * @param {string} oldName The name of the variable before renaming.
+   */
+  boundVariableRenamed: function(variable, oldName) {
+    if (!variable.isVariable()) {
+      return;
+    }
+    var left = this.getBoundVariables_('LEFT');
+    var right = this.getBoundVariables_('RIGHT');
+    var other = null;
+    if (left.getVariables().indexOf(variable) != -1) {
+      other = right;
+    } else if (right.getVariables().indexOf(variable) != -1) {
+      other = left;
+    }
+    var twin = other ? other.getVariable(oldName) : null;
+    if (twin && twin.getVariableName() === oldName) {
+      twin.setVariableName(variable.getVariableName());
+    }
+  },
+
+  // Variables on the left side are visible to the body of the case. Those on
+  // the right side share the same names and types.
+  updateUpperContext: function(ctx) {
+    var left = this.getInput('LEFT').connection.targetConnection;
+    if (left) {
+      left.callUpdateUpperContext(ctx);
     }
   },
 
   updateUpperTypeContext: function(ctx) {
-    var param = this.getInput('PARAM').connection.targetConnection;
-    if (param) {
-      param.callUpdateUpperTypeContext(ctx);
+    var left = this.getInput('LEFT').connection.targetConnection;
+    if (left) {
+      left.callUpdateUpperTypeContext(ctx);
     }
   },
 
   removePatternReference: function() {
-    var param = this.getInput('PARAM').connection.targetConnection;
-    if (param) {
-      param.callRemovePatternReference();
+    var left = this.getInput('LEFT').connection.targetConnection;
+    if (left) {
+      left.callRemovePatternReference();
+    }
+    var right = this.getInput('RIGHT').connection.targetConnection;
+    if (right) {
+      right.callRemovePatternReference();
+    }
+  },
+
+  getMatrixPattern: function() {
+    var left = Blockly.PatternMatrix.patternOfInput(this, 'LEFT');
+    var right = Blockly.PatternMatrix.patternOfInput(this, 'RIGHT');
+    if (!left || !right) {
+      return null;
+    }
+    return Blockly.PatternMatrix.orPattern(left, right);
+  },
+
+  /**
+   * Called whenever anything on the workspace changes.
+   * Check if both sides bind the same variables.
+   * @param {!Blockly.Events.Abstract} e Change event.
+   * @this Blockly.Block
+   */
+  onchange: function(/* e */) {
+    if (!this.workspace.isDragging || this.workspace.isDragging()) {
+      return;  // Don't change state at the start of a drag.
+    }
+    var names = this.getUnsharedVariableNames();
+    if (names.length) {
+      this.setWarningText(Blockly.Msg['OR_PATTERN_VARIABLES_WARNING'] +
+          '\n' + names.join(', '), 'or');
+    } else {
+      this.setWarningText(null, 'or');
     }
   },
 
   infer: function(ctx) {
     var expected = this.outputConnection.typeExpr;
-    var expectedParam = this.getInput('PARAM').connection.typeExpr;
-    var param1 = this.callInfer('PARAM', ctx);
-    if (param1) {
-      param1.unify(expectedParam);
+    var left = this.callInfer('LEFT', ctx);
+    if (left) {
+      left.unify(this.getInput('LEFT').connection.typeExpr);
+    }
+    var right = this.callInfer('RIGHT', ctx);
+    if (right) {
+      right.unify(this.getInput('RIGHT').connection.typeExpr);
+    }
+    // Variables of the same name on both sides have the same type.
+    var leftEnv = this.getBoundVariables_('LEFT');
+    var rightVariables = this.getBoundVariables_('RIGHT').getVariables();
+    for (var i = 0, variable; variable = rightVariables[i]; i++) {
+      var leftVariable = leftEnv.getVariable(variable.getVariableName());
+      if (leftVariable) {
+        leftVariable.getTypeExpr().unify(variable.getTypeExpr());
+      }
     }
     return expected;
   }
 };
 
-Blockly.Blocks['pair_pattern_typed'] = {
+Blockly.Blocks['alias_pattern_typed'] = {
   init: function() {
     this.setColour(Blockly.Msg['PATTERN_HUE']);
     var A = Blockly.TypeExpr.generateTypeVar();
-    var B = Blockly.TypeExpr.generateTypeVar();
-    this.appendDummyInput()
-        .appendField('(');
-    this.appendValueInput('LEFT')
+    var variable = Blockly.FieldBoundVariable.newValue(A, 'x');
+    this.appendValueInput('PATTERN')
         .setTypeExpr(new Blockly.TypeExpr.PATTERN(A));
-    this.appendValueInput('RIGHT')
-        .setTypeExpr(new Blockly.TypeExpr.PATTERN(B))
-        .appendField(',');
     this.appendDummyInput()
-        .appendField(')');
+        .appendField('as')
+        .appendField(variable, 'VAR');
     this.setOutput(true);
-
-    var pairType = new Blockly.TypeExpr.TUPLE(A, B);
-    this.setOutputTypeExpr(new Blockly.TypeExpr.PATTERN(pairType));
+    this.setOutputTypeExpr(new Blockly.TypeExpr.PATTERN(A));
     this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg['ALIAS_PATTERN_TOOLTIP']);
   },
 
   transformToValue: function(workspace) {
-    var valueBlock = workspace.newBlock('pair_pattern_typed');
-    var left = this.getInput('LEFT').connection.targetConnection;
-    if (left) {
-      var newLeft = left.getSourceBlock().transformToValue(workspace);
-      var connection = valueBlock.getInput('LEFT').connection;
-      connection.connect(newLeft.outputConnection);
-    }
-    var right = this.getInput('RIGHT').connection.targetConnection;
-    if (right) {
-      var newLeft = right.getSourceBlock().transformToValue(workspace);
-      var connection = valueBlock.getInput('RIGHT').connection;
-      connection.connect(newLeft.outputConnection);
+    var valueBlock = workspace.newBlock('alias_pattern_typed');
+    var pattern = this.getInput('PATTERN').connection.targetConnection;
+    if (pattern) {
+      var newPattern = pattern.getSourceBlock().transformToValue(workspace);
+      var connection = valueBlock.getInput('PATTERN').connection;
+      connection.connect(newPattern.outputConnection);
     }
     valueBlock.initSvg();
     valueBlock.render();
+    var variable = this.getField('VAR');
+    valueBlock.getField('VAR').setVariableName(variable.getText());
     return valueBlock;
   },
 
   updateUpperContext: function(ctx) {
-    var left = this.getInput('LEFT').connection.targetConnection;
-    if (left) {
-      left.callUpdateUpperContext(ctx);
-    }
-    var right = this.getInput('RIGHT').connection.targetConnection;
-    if (right) {
-      right.callUpdateUpperContext(ctx);
+    var pattern = this.getInput('PATTERN').connection.targetConnection;
+    if (pattern) {
+      pattern.callUpdateUpperContext(ctx);
     }
+    var variable = this.getField('VAR').getVariable();
+    ctx.addVariable(variable);
   },
 
   updateUpperTypeContext: function(ctx) {
-    var left = this.getInput('LEFT').connection.targetConnection;
-    if (left) {
-      left.callUpdateUpperTypeContext(ctx);
-    }
-    var right = this.getInput('RIGHT').connection.targetConnection;
-    if (right) {
-      right.callUpdateUpperTypeContext(ctx);
+    var pattern = this.getInput('PATTERN').connection.targetConnection;
+    if (pattern) {
+      pattern.callUpdateUpperTypeContext(ctx);
     }
+    var variable = this.getField('VAR').getVariable();
+    var varName = variable.getVariableName();
+    var scheme = Blockly.Scheme.monoType(variable.getTypeExpr());
+    ctx.addTypeToEnv(varName, scheme);
   },
 
   removePatternReference: function() {
-    var left = this.getInput('LEFT').connection.targetConnection;
-    if (left) {
-      left.callRemovePatternReference();
+    var pattern = this.getInput('PATTERN').connection.targetConnection;
+    if (pattern) {
+      pattern.callRemovePatternReference();
     }
-    var right = this.getInput('RIGHT').connection.targetConnection;
-    if (right) {
-      right.callRemovePatternReference();
+    Blockly.Blocks['variable_pattern_typed'].removePatternReference.call(this);
+  },
+
+  getMatrixPattern: function() {
+    // The alias does not change which values the pattern matches.
+    return Blockly.PatternMatrix.patternOfInput(this, 'PATTERN');
+  },
+
+  getTypeScheme: function(fieldName) {
+    if (fieldName !== 'VAR') {
+      return null;
     }
+    var variable = this.getField('VAR');
+    return Blockly.Scheme.monoType(variable.defaultTypeExpr_);
   },
 
   infer: function(ctx) {
     var expected = this.outputConnection.typeExpr;
-    var expected1 = this.getInput('LEFT').connection.typeExpr;
-    var arg1 = this.callInfer('LEFT', ctx);
-    if (arg1) {
-      arg1.unify(expected1);
-    }
-    var expected2 = this.getInput('RIGHT').connection.typeExpr;
-    var arg2 = this.callInfer('RIGHT', ctx);
-    if (arg2) {
-      arg2.unify(expected2);
+    var pattern = this.callInfer('PATTERN', ctx);
+    if (pattern) {
+      pattern.unify(this.getInput('PATTERN').connection.typeExpr);
     }
     return expected;
   }
@@ -2215,8 +3372,213 @@ Blockly.Blocks['record_pattern_typed'] = {
     }
   },
 
+  getMatrixPattern: function() {
+    var value = this.getField('RECORD').getBoundValue();
+    if (!value) {
+      return null;
+    }
+    var fieldNames = [];
+    var inputNames = [];
+    for (var i = 0; i < this.fieldCount_; i++) {
+      fieldNames.push(this.getField('FIELD' + i).getVariableName());
+      inputNames.push('FIELD_INP' + i);
+    }
+    var ctor = Blockly.PatternMatrix.createRecordConstructor(
+        value.getVariableName(), fieldNames);
+    return Blockly.PatternMatrix.patternOfInputs(this, ctor, inputNames);
+  },
+
   infer: function(ctx) {
     this.updateRecordTypes(ctx);
     return this.outputConnection.typeExpr;
   }
 };
+
+Blockly.Blocks['construct_pattern_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['PATTERN_HUE']);
+    var ctrType = new Blockly.TypeExpr.CONSTRUCT(null);
+    var variableField =
+        Blockly.FieldBoundVariable.newReferenceConstructor(ctrType);
+    this.appendDummyInput()
+        .appendField(variableField, 'CONSTRUCTOR');
+    this.setOutput(true);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.PATTERN(ctrType));
+    this.setInputsInline(true);
+
+    this.paramCount_ = 0;
+  },
+
+  transformToValue: function(workspace) {
+    var ctorValue = this.getField('CONSTRUCTOR').getBoundValue();
+    var patternValueBlock = workspace.newBlock('construct_pattern_typed');
+    var reference = patternValueBlock.getField('CONSTRUCTOR').getVariable();
+    reference.setVariableName(ctorValue.getVariableName());
+    reference.setBoundValue(ctorValue);
+    for (var i = 0; i < this.paramCount_; i++) {
+      var child = this.getInput('PARAM' + i).connection.targetConnection;
+      if (child) {
+        var newChild = child.getSourceBlock().transformToValue(workspace);
+        var connection = patternValueBlock.getInput('PARAM' + i).connection;
+        connection.connect(newChild.outputConnection);
+      }
+    }
+    if (goog.isFunction(patternValueBlock.initSvg)) {
+      patternValueBlock.initSvg();
+      patternValueBlock.render();
+    }
+    return patternValueBlock;
+  },
+
+  updateUpperContext: function(ctx) {
+    for (var i = 0; i < this.paramCount_; i++) {
+      var con = this.getInput('PARAM' + i).connection.targetConnection;
+      if (con) {
+        con.callUpdateUpperContext(ctx);
+      }
+    }
+  },
+
+  updateUpperTypeContext: function(ctx) {
+    for (var i = 0; i < this.paramCount_; i++) {
+      var con = this.getInput('PARAM' + i).connection.targetConnection;
+      if (con) {
+        con.callUpdateUpperTypeContext(ctx);
+      }
+    }
+  },
+
+  removePatternReference: function() {
+    for (var i = 0; i < this.paramCount_; i++) {
+      var con = this.getInput('PARAM' + i).connection.targetConnection;
+      if (con) {
+        con.callRemovePatternReference();
+      }
+    }
+  },
+
+  /**
+   * Returns types of arguments the bound constructor takes.
+   * @return {!Array.<!Blockly.TypeExpr>} List of argument types.
+   * @private
+   */
+  getParameterTypes_: function() {
+    var value = this.getField('CONSTRUCTOR').getBoundValue();
+    var block = value ? value.getSourceBlock() : null;
+    if (!block || !goog.isFunction(block.getConstructorArgumentTypes)) {
+      return [];
+    }
+    var types = block.getConstructorArgumentTypes(value.getMainFieldName());
+    if (goog.isFunction(block.instantiateTypeParameters)) {
+      var ctorType = this.outputConnection.typeExpr.pattExpr;
+      // Nullary constructors also need type arguments, e.g. Leaf : 'a tree.
+      block.instantiateTypeParameters(null, ctorType);
+      types = goog.array.map(types, function(type) {
+        return block.instantiateTypeParameters(type, ctorType);
+      });
+    }
+    return types;
+  },
+
+  updateStructure: function() {
+    var types = this.getParameterTypes_();
+    var storedRendered = this.rendered;
+    this.rendered = false;
+    while (types.length < this.paramCount_) {
+      var index = --this.paramCount_;
+      var input = this.getInput('PARAM' + index);
+      var con = input.connection.targetConnection;
+      if (con) {
+        con.callRemovePatternReference();
+      }
+      this.removeInputSafely(input);
+    }
+    while (this.paramCount_ < types.length) {
+      var index = this.paramCount_++;
+      var input = this.appendValueInput('PARAM' + index);
+      if (index != 0) {
+        input.appendField(',');
+      }
+    }
+    this.removeInputSafely(this.getInput('RPAREN'));
+    var firstInput = this.getInput('PARAM0');
+    if (this.getField('LPAREN')) {
+      firstInput.removeField('LPAREN');
+    }
+    if (2 <= this.paramCount_) {
+      firstInput.appendField('(', 'LPAREN');
+      this.appendDummyInput('RPAREN')
+          .appendField(')');
+    }
+    for (var i = 0; i < this.paramCount_; i++) {
+      var input = this.getInput('PARAM' + i);
+      var type = types[i];
+      if (type.hasUnknown()) {
+        input.setTypeExpr(new Blockly.TypeExpr.UNKNOWN(), true);
+      } else {
+        input.setTypeExpr(new Blockly.TypeExpr.PATTERN(type), true);
+      }
+    }
+    this.rendered = storedRendered;
+    if (goog.isFunction(this.initSvg)) {
+      this.initSvg();
+    }
+  },
+
+  /**
+   * Create XML to represent the number of parameter inputs.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('items', this.paramCount_);
+    return container;
+  },
+  /**
+   * Parse XML to restore parameter inputs before the constructor is bound,
+   * so that sub-patterns in XML could be connected to them.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var newItemCount = parseInt(xmlElement.getAttribute('items')) || 0;
+    while (this.paramCount_ < newItemCount) {
+      var index = this.paramCount_++;
+      var input = this.appendValueInput('PARAM' + index);
+      if (index != 0) {
+        input.appendField(',');
+      }
+    }
+  },
+
+  getMatrixPattern: function() {
+    var value = this.getField('CONSTRUCTOR').getBoundValue();
+    var block = value ? value.getSourceBlock() : null;
+    if (!block || !goog.isFunction(block.getPatternSignature)) {
+      return null;
+    }
+    var signature = block.getPatternSignature();
+    var ctor = signature.getConstructor(value.getVariableName());
+    if (!ctor || ctor.arity != this.paramCount_) {
+      return null;
+    }
+    var inputNames = [];
+    for (var i = 0; i < this.paramCount_; i++) {
+      inputNames.push('PARAM' + i);
+    }
+    return Blockly.PatternMatrix.patternOfInputs(this, ctor, inputNames);
+  },
+
+  infer: function(ctx) {
+    this.updateStructure();
+    for (var i = 0; i < this.paramCount_; i++) {
+      var expected = this.getInput('PARAM' + i).connection.typeExpr;
+      var param = this.callInfer('PARAM' + i, ctx);
+      if (param) {
+        param.unify(expected);
+      }
+    }
+    return this.outputConnection.typeExpr;
+  }
+};
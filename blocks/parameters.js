@@ -69,6 +69,24 @@ Blockly.Blocks['parameters_arg_container'].init = function() {
   Blockly.Blocks['container_template'].init.call(this, 'parameters');
 };
 
+Blockly.Blocks['let_arg_item'] =
+  Object.assign({}, Blockly.Blocks['item_template']);
+Blockly.Blocks['let_arg_item'].init = function() {
+  Blockly.Blocks['item_template'].init.call(this, 'parameter');
+  this.inputList[0]
+      .appendField(new Blockly.FieldDropdown([
+        ['x', ''],
+        ['~x', '~'],
+        ['?x', '?']
+      ]), 'LABEL');
+};
+
+Blockly.Blocks['let_and_item'] =
+  Object.assign({}, Blockly.Blocks['item_template']);
+Blockly.Blocks['let_and_item'].init = function() {
+  Blockly.Blocks['item_template'].init.call(this, 'and');
+};
+
 Blockly.Blocks['constructor_variant_item'] =
   Object.assign({}, Blockly.Blocks['item_template']);
 Blockly.Blocks['constructor_variant_item'].init = function() {
@@ -85,6 +103,9 @@ Blockly.Blocks['match_pattern_item'] =
   Object.assign({}, Blockly.Blocks['item_template']);
 Blockly.Blocks['match_pattern_item'].init = function() {
   Blockly.Blocks['item_template'].init.call(this, 'pattern');
+  this.inputList[0]
+      .appendField('when')
+      .appendField(new Blockly.FieldCheckbox('FALSE'), 'GUARD');
 };
 
 Blockly.Blocks['match_pattern_container'] =
@@ -97,6 +118,9 @@ Blockly.Blocks['record_field_item'] =
   Object.assign({}, Blockly.Blocks['item_template']);
 Blockly.Blocks['record_field_item'].init = function() {
   Blockly.Blocks['item_template'].init.call(this, 'field');
+  this.inputList[0]
+      .appendField('mutable')
+      .appendField(new Blockly.FieldCheckbox('FALSE'), 'MUTABLE');
 };
 
 Blockly.Blocks['record_field_container'] =
@@ -200,3 +224,15 @@ Blockly.Blocks['operand_container'] =
 Blockly.Blocks['operand_container'].init = function() {
   Blockly.Blocks['container_template'].init.call(this, 'operands');
 };
+
+Blockly.Blocks['tuple_element_item'] =
+  Object.assign({}, Blockly.Blocks['item_template']);
+Blockly.Blocks['tuple_element_item'].init = function() {
+  Blockly.Blocks['item_template'].init.call(this, 'element');
+};
+
+Blockly.Blocks['tuple_element_container'] =
+  Object.assign({}, Blockly.Blocks['container_template']);
+Blockly.Blocks['tuple_element_container'].init = function() {
+  Blockly.Blocks['container_template'].init.call(this, 'tuple');
+};
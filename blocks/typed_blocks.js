@@ -568,6 +568,10 @@ Blockly.Blocks['color_typed'] = {
     this.setOutputTypeExpr(new Blockly.TypeExpr.COLOR());
     this.appendDummyInput()
         .appendField(new Blockly.FieldDropdown(COLORS), 'COLOR');
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -626,6 +630,10 @@ Blockly.Blocks['logic_boolean_typed'] = {
     this.appendDummyInput()
         .appendField(new Blockly.FieldDropdown(BOOLEANS), 'BOOL');
     this.setTooltip(Blockly.Msg.LOGIC_BOOLEAN_TOOLTIP);
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -1021,6 +1029,10 @@ Blockly.Blocks['max_int_typed'] = {
       };
       return TOOLTIPS[ints];
     });
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -1045,6 +1057,10 @@ Blockly.Blocks['infinity_typed'] = {
       };
       return TOOLTIPS[floats];
     })
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -1062,6 +1078,10 @@ Blockly.Blocks['int_typed'] = {
     this.setOutput(true, 'Int');
     this.setOutputTypeExpr(new Blockly.TypeExpr.INT());
     this.setTooltip(Blockly.Msg.MATH_NUMBER_TOOLTIP);
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -1153,6 +1173,10 @@ Blockly.Blocks['float_typed'] = {
     this.setOutput(true, 'Float');
     this.setOutputTypeExpr(new Blockly.TypeExpr.FLOAT());
     this.setTooltip(Blockly.Msg.MATH_NUMBER_TOOLTIP);
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -1239,6 +1263,10 @@ Blockly.Blocks['string_typed'] = {
         .appendField('"');
     this.setOutput(true);
     this.setOutputTypeExpr(new Blockly.TypeExpr.STRING());
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -1415,6 +1443,262 @@ Blockly.Blocks['bool_of_string_typed'] = {
   }
 };
 
+Blockly.Blocks['char_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['STRING_HUE']);
+    var field = new Blockly.FieldTextInput('a', function(text) {
+      // A char literal consists of exactly one character.
+      return text.length == 1 ? text : null;
+    });
+    this.appendDummyInput()
+        .appendField('\'')
+        .appendField(field, 'CHAR')
+        .appendField('\'');
+    this.setOutput(true);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.CHAR());
+    this.setTooltip(Blockly.Msg.CHAR_TOOLTIP);
+  },
+
+  isNonExpansive: function() {
+    return true;
+  }
+};
+
+Blockly.Blocks['printf_typed'] = {
+  /**
+   * Block for Printf.printf, or Printf.sprintf. The block has a value input
+   * for each conversion in the format string.
+   * @param {boolean=} opt_sprintf True if the block returns the formatted
+   *     string instead of printing it.
+   * @this Blockly.Block
+   */
+  init: function(opt_sprintf) {
+    this.setColour(Blockly.Msg['STRING_HUE']);
+    this.isSprintf_ = opt_sprintf === true;
+    /**
+     * The conversion characters in the format string, e.g. ['d', 's'] for
+     * the format "%d: %s".
+     * @type {!Array.<string>}
+     */
+    this.conversions_ = [];
+    var thisBlock = this;
+    var validator = function(text) {
+      return Blockly.Blocks['printf_typed'].parseFormat_(text) ? text : null;
+    };
+    var field = new Blockly.FieldTextInput('%d', validator);
+    // The validator is called on every keystroke, where a half-typed format
+    // may have fewer conversions. Update the inputs only when the edit is
+    // committed.
+    field.onFinishEditing_ = function(text) {
+      thisBlock.updateShape_(
+          Blockly.Blocks['printf_typed'].parseFormat_(text));
+    };
+    this.appendDummyInput()
+        .appendField(this.isSprintf_ ? 'Printf.sprintf' : 'Printf.printf')
+        .appendField('"')
+        .appendField(field, 'FORMAT')
+        .appendField('"');
+    this.setOutput(true);
+    this.setOutputTypeExpr(this.isSprintf_ ? new Blockly.TypeExpr.STRING() :
+        new Blockly.TypeExpr.UNIT());
+    this.setInputsInline(true);
+    this.setTooltip(this.isSprintf_ ? Blockly.Msg.SPRINTF_TOOLTIP :
+        Blockly.Msg.PRINTF_TOOLTIP);
+    this.updateShape_(['d']);
+  },
+
+  /**
+   * Set the format string and update the inputs to match it.
+   * @param {string} format The format string.
+   * @return {boolean} True if the format is set, false if it contains an
+   *     unsupported conversion.
+   */
+  setFormat: function(format) {
+    var conversions = Blockly.Blocks['printf_typed'].parseFormat_(format);
+    if (!conversions) {
+      return false;
+    }
+    this.setFieldValue(format, 'FORMAT');
+    this.updateShape_(conversions);
+    return true;
+  },
+
+  /**
+   * Create XML to represent the conversions of the format string, so that
+   * the inputs exist before the blocks in them are restored.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('conversions', this.conversions_.join(''));
+    return container;
+  },
+
+  /**
+   * Parse XML to restore the inputs for the conversions.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var conversions = xmlElement.getAttribute('conversions') || '';
+    this.updateShape_(conversions.split('').filter(function(c) {
+      return 'dsfbc'.indexOf(c) != -1;
+    }));
+  },
+
+  /**
+   * Returns the type of the argument for the given conversion character.
+   * @param {string} conversion The conversion character.
+   * @return {!Blockly.TypeExpr} The type of the argument.
+   * @private
+   */
+  conversionType_: function(conversion) {
+    switch (conversion) {
+      case 'd':
+        return new Blockly.TypeExpr.INT();
+      case 's':
+        return new Blockly.TypeExpr.STRING();
+      case 'f':
+        return new Blockly.TypeExpr.FLOAT();
+      case 'b':
+        return new Blockly.TypeExpr.BOOL();
+      case 'c':
+        return new Blockly.TypeExpr.CHAR();
+    }
+    goog.asserts.fail('Unknown conversion: ' + conversion);
+  },
+
+  /**
+   * Update the value inputs to match the conversions in the format string.
+   * Inputs for the conversions which are kept unchanged from the head of the
+   * format keep their blocks. Free variables in the blocks of the removed
+   * inputs are deleted.
+   * @param {!Array.<string>} conversions The conversion characters.
+   * @private
+   */
+  updateShape_: function(conversions) {
+    var kept = 0;
+    while (kept < conversions.length && kept < this.conversions_.length &&
+        conversions[kept] == this.conversions_[kept]) {
+      kept++;
+    }
+    for (var i = this.conversions_.length - 1; kept <= i; i--) {
+      this.removeInputSafely(this.getInput('ARG' + i));
+    }
+    var rendered = this.rendered;
+    this.rendered = false;
+    for (var i = kept; i < conversions.length; i++) {
+      this.appendValueInput('ARG' + i)
+          .setTypeExpr(this.conversionType_(conversions[i]));
+    }
+    this.rendered = rendered;
+    this.conversions_ = conversions;
+    if (this.rendered) {
+      this.render();
+    }
+  },
+
+  infer: function(ctx) {
+    for (var i = 0; i < this.conversions_.length; i++) {
+      this.inferChild('ARG' + i, ctx);
+    }
+    return this.outputConnection.typeExpr;
+  }
+};
+
+/**
+ * Parse the format string of Printf functions.
+ * @param {string} format The format string.
+ * @return {Array.<string>} List of the conversion characters in the format,
+ *     or null if the format contains an unsupported conversion.
+ * @private
+ */
+Blockly.Blocks['printf_typed'].parseFormat_ = function(format) {
+  var conversions = [];
+  for (var i = 0; i < format.length; i++) {
+    if (format[i] != '%') {
+      continue;
+    }
+    i++;
+    var c = format[i];
+    if (c == '%') {
+      // Literal '%'.
+      continue;
+    }
+    if (!c || 'dsfbc'.indexOf(c) == -1) {
+      return null;
+    }
+    conversions.push(c);
+  }
+  return conversions;
+};
+
+Blockly.Blocks['sprintf_typed'] =
+  Object.assign({}, Blockly.Blocks['printf_typed']);
+Blockly.Blocks['sprintf_typed'].init = function() {
+  Blockly.Blocks['printf_typed'].init.call(this, true);
+};
+
+Blockly.LibrarySignatures.register([
+  {
+    name: 'String.length',
+    type: 'string -> int',
+    block: 'string_length_typed',
+    colour: '%{BKY_STRING_HUE}',
+    tooltip: '%{BKY_STRING_LENGTH_TOOLTIP}'
+  },
+  {
+    name: 'String.get',
+    type: 'string -> int -> char',
+    block: 'string_get_typed',
+    colour: '%{BKY_STRING_HUE}',
+    tooltip: '%{BKY_STRING_GET_TOOLTIP}'
+  },
+  {
+    name: 'String.sub',
+    type: 'string -> int -> int -> string',
+    block: 'string_sub_typed',
+    colour: '%{BKY_STRING_HUE}',
+    tooltip: '%{BKY_STRING_SUB_TOOLTIP}'
+  },
+  {
+    name: 'String.make',
+    type: 'int -> char -> string',
+    block: 'string_make_typed',
+    colour: '%{BKY_STRING_HUE}',
+    tooltip: '%{BKY_STRING_MAKE_TOOLTIP}'
+  },
+  {
+    name: 'String.uppercase_ascii',
+    type: 'string -> string',
+    block: 'string_uppercase_ascii_typed',
+    colour: '%{BKY_STRING_HUE}',
+    tooltip: '%{BKY_STRING_UPPERCASE_ASCII_TOOLTIP}'
+  },
+  {
+    name: 'String.concat',
+    type: 'string -> string list -> string',
+    block: 'string_concat_list_typed',
+    colour: '%{BKY_STRING_HUE}',
+    tooltip: '%{BKY_STRING_CONCAT_LIST_TOOLTIP}'
+  },
+  {
+    name: 'Char.code',
+    type: 'char -> int',
+    block: 'char_code_typed',
+    colour: '%{BKY_INT_HUE}',
+    tooltip: '%{BKY_CHAR_CODE_TOOLTIP}'
+  },
+  {
+    name: 'Char.chr',
+    type: 'int -> char',
+    block: 'char_chr_typed',
+    colour: '%{BKY_STRING_HUE}',
+    tooltip: '%{BKY_CHAR_CHR_TOOLTIP}'
+  }
+]);
+
 Blockly.Blocks['option_none_typed'] = {
   init: function() {
     this.setColour(Blockly.Msg['OPTION_HUE']);
@@ -1426,6 +1710,10 @@ Blockly.Blocks['option_none_typed'] = {
     this.setOutputTypeExpr(optionType);
     this.setInputsInline(true);
     this.setTooltip(Blockly.Msg.OPTION_NONE_TOOLTIP);
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -1451,6 +1739,10 @@ Blockly.Blocks['option_some_typed'] = {
       expectedElementType.unify(elementType);
     }
     return expected;
+  },
+
+  isNonExpansive: function() {
+    return this.childrenAreNonExpansive();
   }
 }
 
@@ -1599,6 +1891,10 @@ Blockly.Blocks['lists_create_with_typed'] = {
         type.unify(expected.element_type);
     }
     return expected;
+  },
+
+  isNonExpansive: function() {
+    return this.childrenAreNonExpansive();
   }
 };
 
@@ -1613,6 +1909,10 @@ Blockly.Blocks['list_empty_typed'] = {
     this.setOutputTypeExpr(listType);
     this.setInputsInline(true);
     this.setTooltip(Blockly.Msg.LISTS_CREATE_EMPTY_TOOLTIP);
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -1644,6 +1944,10 @@ Blockly.Blocks['list_cons_typed'] = {
       expectedElementType.unify(elementType);
     }
     return expected;
+  },
+
+  isNonExpansive: function() {
+    return this.childrenAreNonExpansive();
   }
 };
 
@@ -2151,6 +2455,166 @@ Blockly.Blocks['random_float_typed'] = {
  * Pairs
  */
 
+Blockly.LibrarySignatures.register([
+  {
+    name: 'ref',
+    type: '\'a -> \'a ref',
+    block: 'ref_typed',
+    colour: '%{BKY_REF_HUE}',
+    tooltip: '%{BKY_REF_CREATE_TOOLTIP}'
+  },
+  {
+    name: 'incr',
+    type: 'int ref -> unit',
+    block: 'ref_incr_typed',
+    colour: '%{BKY_REF_HUE}',
+    tooltip: '%{BKY_REF_INCR_TOOLTIP}'
+  },
+  {
+    name: 'Array.make',
+    type: 'int -> \'a -> \'a array',
+    block: 'array_make_typed',
+    colour: '%{BKY_ARRAYS_HUE}',
+    tooltip: '%{BKY_ARRAY_MAKE_TOOLTIP}'
+  },
+  {
+    name: 'Array.length',
+    type: '\'a array -> int',
+    block: 'array_length_typed',
+    colour: '%{BKY_ARRAYS_HUE}',
+    tooltip: '%{BKY_ARRAY_LENGTH_TOOLTIP}'
+  }
+]);
+
+Blockly.Blocks['ref_get_typed'] = {
+  // (!) : 'a ref -> 'a
+  init: function() {
+    this.setColour(Blockly.Msg['REF_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    this.appendValueInput('REF')
+        .setTypeExpr(new Blockly.TypeExpr.REF(A))
+        .appendField('!');
+    this.setOutput(true);
+    this.setOutputTypeExpr(A);
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg.REF_GET_TOOLTIP);
+  },
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    var expected_ref = this.getInput('REF').connection.typeExpr;
+    var ref = this.callInfer('REF', ctx);
+    if (ref) {
+      ref.unify(expected_ref);
+    }
+    return expected;
+  }
+};
+
+Blockly.Blocks['ref_set_typed'] = {
+  // (:=) : 'a ref -> 'a -> unit
+  init: function() {
+    this.setColour(Blockly.Msg['REF_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    this.appendValueInput('REF')
+        .setTypeExpr(new Blockly.TypeExpr.REF(A));
+    this.appendValueInput('VALUE')
+        .setTypeExpr(A)
+        .appendField(':=');
+    this.setOutput(true);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.UNIT());
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg.REF_SET_TOOLTIP);
+  },
+
+  infer: function(ctx) {
+    var expected_ref = this.getInput('REF').connection.typeExpr;
+    var expected_value = this.getInput('VALUE').connection.typeExpr;
+    var ref = this.callInfer('REF', ctx);
+    var value = this.callInfer('VALUE', ctx);
+    if (ref) {
+      ref.unify(expected_ref);
+    }
+    if (value) {
+      value.unify(expected_value);
+    }
+    return this.outputConnection.typeExpr;
+  }
+};
+
+Blockly.Blocks['array_get_typed'] = {
+  // a.(i) : 'a array -> int -> 'a
+  init: function() {
+    this.setColour(Blockly.Msg['ARRAYS_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    this.appendValueInput('ARRAY')
+        .setTypeExpr(new Blockly.TypeExpr.ARRAY(A));
+    this.appendValueInput('INDEX')
+        .setTypeExpr(new Blockly.TypeExpr.INT())
+        .appendField('.(');
+    this.appendDummyInput()
+        .appendField(')');
+    this.setOutput(true);
+    this.setOutputTypeExpr(A);
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg.ARRAY_GET_TOOLTIP);
+  },
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    var expected_array = this.getInput('ARRAY').connection.typeExpr;
+    var expected_index = this.getInput('INDEX').connection.typeExpr;
+    var array = this.callInfer('ARRAY', ctx);
+    var index = this.callInfer('INDEX', ctx);
+    if (array) {
+      array.unify(expected_array);
+    }
+    if (index) {
+      index.unify(expected_index);
+    }
+    return expected;
+  }
+};
+
+Blockly.Blocks['array_set_typed'] = {
+  // a.(i) <- v : 'a array -> int -> 'a -> unit
+  init: function() {
+    this.setColour(Blockly.Msg['ARRAYS_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    this.appendValueInput('ARRAY')
+        .setTypeExpr(new Blockly.TypeExpr.ARRAY(A));
+    this.appendValueInput('INDEX')
+        .setTypeExpr(new Blockly.TypeExpr.INT())
+        .appendField('.(');
+    this.appendValueInput('VALUE')
+        .setTypeExpr(A)
+        .appendField(') <-');
+    this.setOutput(true);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.UNIT());
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg.ARRAY_SET_TOOLTIP);
+  },
+
+  infer: function(ctx) {
+    var expected_array = this.getInput('ARRAY').connection.typeExpr;
+    var expected_index = this.getInput('INDEX').connection.typeExpr;
+    var expected_value = this.getInput('VALUE').connection.typeExpr;
+    var array = this.callInfer('ARRAY', ctx);
+    var index = this.callInfer('INDEX', ctx);
+    var value = this.callInfer('VALUE', ctx);
+    if (array) {
+      array.unify(expected_array);
+    }
+    if (index) {
+      index.unify(expected_index);
+    }
+    if (value) {
+      value.unify(expected_value);
+    }
+    return this.outputConnection.typeExpr;
+  }
+};
+
 Blockly.Blocks['pair_create_typed'] = {
   init: function() {
     this.setColour(Blockly.Msg['PAIRS_HUE']);
@@ -2178,6 +2642,10 @@ Blockly.Blocks['pair_create_typed'] = {
     if (second)
       second.unify(expected.secondType());
     return expected;
+  },
+
+  isNonExpansive: function() {
+    return this.childrenAreNonExpansive();
   }
 };
 
@@ -2237,110 +2705,362 @@ Blockly.Blocks['pair_second_typed'] = {
   }
 };
 
-Blockly.Blocks['function_app_typed'] = {
+Blockly.Blocks['tuple_create_typed'] = {
+  /**
+   * Block for creating a tuple with any number of elements more than one.
+   * @this Blockly.Block
+   */
   init: function() {
-    this.setColour(Blockly.Msg['VARIABLES_HUE']);
-    var A = Blockly.TypeExpr.generateTypeVar();
-    this.setHelpUrl(Blockly.Msg.VARIABLES_GET_HELPURL);
-    this.appendDummyInput()
-        .appendField(Blockly.FieldBoundVariable.newReference(A), 'VAR')
-
-    this.paramFixed_ = false;
-    this.paramCount_ = 0;
-    this.setInputsInline(true);
+    this.setColour(Blockly.Msg['PAIRS_HUE']);
+    this.appendDummyInput('RPAREN')
+        .appendField(')');
     this.setOutput(true);
-    this.setOutputTypeExpr(A);
+    this.setInputsInline(true);
+    this.setMutator(new Blockly.Mutator(['tuple_element_item']));
+    this.setTooltip(Blockly.Msg.TUPLE_CREATE_TOOLTIP);
+
+    this.itemCount_ = 0;
+    this.resizeItems(3);
   },
 
   /**
-   * Update the type expressions of bound-variable fields on this block.
-   * Would be called if the block's type expressions are replaced with other
-   * ones, and a type expression this field's variable refers to is no longer
-   * up-to-date.
-   * @param {Blockly.Block} block The source block to replace this block with.
-   *     Could be used to additionally replace the type expression of fields.
+   * Add or remove element inputs so that this block has the given number of
+   * elements, and replace the output type with a tuple type of that size.
+   * @param {number} expectedCount The number of elements.
    */
-  typeExprReplaced: function(block) {
-    var variable = this.typedReference['VAR'];
-    var typeOwner = block ? block.typedReference['VAR'] : null;
-
-    if (typeOwner) {
-      variable.setTypeExpr(typeOwner.getTypeExpr());
-    } else {
-      variable.setTypeExpr(null);
-    }
-  },
-
-  resizeStructure: function(newParamCount) {
-    var variable = this.typedReference['VAR'];
-    while (newParamCount < this.paramCount_) {
-      var index = this.paramCount_ - 1;
-      this.removeInput('PARAM' + index);
-      this.paramCount_--;
-    }
-    if (this.paramFixed_) {
-      this.paramFixed_ = false;
-    } else {
-      for (var i = 0; i < newParamCount; i++) {
-        var inputName = 'PARAM' + i;
-        if (this.paramCount_ <= i) {
-          var rendered = this.rendered;
-          this.rendered = false;
-          this.appendValueInput(inputName);
-          this.rendered = rendered;
-          this.paramCount_++;
-        }
+  resizeItems: function(expectedCount) {
+    var storedRendered = this.rendered;
+    this.rendered = false;
+    while (expectedCount < this.itemCount_) {
+      var index = this.itemCount_ - 1;
+      var block = this.getInputTargetBlock('ITEM' + index);
+      if (block) {
+        block.dispose();
       }
+      // Decrement the size of items first to avoid the type inference for
+      // the input being removed.
+      this.itemCount_--;
+      this.removeInput('ITEM' + index);
     }
-  },
+    while (this.itemCount_ < expectedCount) {
+      var index = this.itemCount_++;
+      this.appendValueInput('ITEM' + index)
+          .setTypeExpr(Blockly.TypeExpr.generateTypeVar())
+          .appendField(index == 0 ? '(' : ',');
+    }
+    this.removeInput('RPAREN');
+    this.appendDummyInput('RPAREN')
+        .appendField(')');
+    this.rendered = storedRendered;
 
-  updateStructure: function() {
-    var variable = this.typedReference['VAR'];
-    var currentValue = variable.getBoundValue();
-    if (currentValue && currentValue.getMainFieldName() === 'VAR') {
-      // resize only when variable is a function (not an argument)
-      var newParamCount = currentValue.sourceBlock_.argumentCount_;
-      this.resizeStructure(newParamCount);
+    var types = [];
+    for (var i = 0; i < this.itemCount_; i++) {
+      types.push(this.getInput('ITEM' + i).connection.typeExpr);
     }
-    this.updateFunArgTypes();
-    // if updateFunArgTypes is not called, f will have higher-order type
+    this.replaceOutputTypeExpr(new Blockly.TypeExpr.TUPLE(types));
   },
 
-  // Can be called after binding is resolved.
-  updateFunArgTypes: function() {
-    var variable = this.typedReference['VAR'];
-    var type = variable.getTypeExpr();
-    var types = Blockly.TypeExpr.functionToArray(type);
-    //goog.asserts.assert(2 <= types.length, 'Function type is expected.');
-
-    if (2 <= types.length) {
-      var returnType = types.pop();
-      var argTypes = types;
-    } else {
-      var returnType = type;
-      var argTypes = [];
-    }
+  /**
+   * Create XML to represent the number of elements.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('items', this.itemCount_);
+    return container;
+  },
+  /**
+   * Parse XML to restore the element inputs.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var newItemCount = parseInt(xmlElement.getAttribute('items'), 10) || 2;
+    this.resizeItems(Math.max(newItemCount, 2));
+  },
+  /**
+   * Populate the mutator's dialog with this block's components.
+   * @param {!Blockly.Workspace} workspace Mutator's workspace.
+   * @return {!Blockly.Block} Root block in mutator.
+   * @this Blockly.Block
+   */
+  decompose: function(workspace) {
+    var containerBlock = workspace.newBlock('tuple_element_container');
+    containerBlock.initSvg();
+    var connection = containerBlock.getInput('STACK').connection;
+    for (var x = 0; x < this.itemCount_; x++) {
+      var itemBlock = workspace.newBlock('tuple_element_item');
+      itemBlock.initSvg();
+      connection.connect(itemBlock.previousConnection);
+      connection = itemBlock.nextConnection;
+    }
+    return containerBlock;
+  },
+  /**
+   * Reconfigure this block based on the mutator dialog's components.
+   * A tuple has at least two elements.
+   * @param {!Blockly.Block} containerBlock Root block in mutator.
+   * @this Blockly.Block
+   */
+  compose: function(containerBlock) {
+    var itemCount = Math.max(containerBlock.getItemCount(), 2);
+    this.resizeItems(itemCount);
+  },
 
-    while (argTypes.length < this.paramCount_) {
-      var t1 = Blockly.TypeExpr.generateTypeVar();
-      var t2 = Blockly.TypeExpr.generateTypeVar();
-      returnType.unify(new Blockly.TypeExpr.FUN(t1, t2));
-      argTypes.push(t1);
-      returnType = t2;
+  wouldChange: function(containerBlock) {
+    var itemCount = Math.max(containerBlock.getItemCount(), 2);
+    return itemCount != this.itemCount_;
+  },
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    for (var i = 0; i < this.itemCount_; i++) {
+      var expectedItem = this.getInput('ITEM' + i).connection.typeExpr;
+      var item = this.callInfer('ITEM' + i, ctx);
+      if (item) {
+        item.unify(expectedItem);
+      }
     }
+    return expected;
+  },
+
+  isNonExpansive: function() {
+    return this.childrenAreNonExpansive();
+  }
+};
+
+Blockly.Blocks['function_app_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['VARIABLES_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    this.setHelpUrl(Blockly.Msg.VARIABLES_GET_HELPURL);
+    this.appendDummyInput()
+        .appendField(Blockly.FieldBoundVariable.newReference(A), 'VAR')
+
+    this.paramFixed_ = false;
+    this.paramCount_ = 0;
+    /**
+     * The label with which each argument is supplied, or an empty string for
+     * an unlabeled argument.
+     * @type {!Array.<string>}
+     */
+    this.paramLabels_ = [];
+    this.setInputsInline(true);
+    this.setOutput(true);
+    this.setOutputTypeExpr(A);
+  },
+
+  /**
+   * Update the type expressions of bound-variable fields on this block.
+   * Would be called if the block's type expressions are replaced with other
+   * ones, and a type expression this field's variable refers to is no longer
+   * up-to-date.
+   * @param {Blockly.Block} block The source block to replace this block with.
+   *     Could be used to additionally replace the type expression of fields.
+   */
+  typeExprReplaced: function(block) {
+    var variable = this.typedReference['VAR'];
+    var typeOwner = block ? block.typedReference['VAR'] : null;
+
+    if (typeOwner) {
+      variable.setTypeExpr(typeOwner.getTypeExpr());
+    } else {
+      variable.setTypeExpr(null);
+    }
+  },
+
+  /**
+   * Add or remove argument inputs so that this block has the given number of
+   * them.
+   * @param {number} newParamCount The number of arguments.
+   * @param {Array.<string>=} opt_labels The label of each argument. If
+   *     given, labels of all the arguments are updated.
+   */
+  resizeStructure: function(newParamCount, opt_labels) {
+    var variable = this.typedReference['VAR'];
+    while (newParamCount < this.paramCount_) {
+      var index = this.paramCount_ - 1;
+      this.removeInput('PARAM' + index);
+      this.paramCount_--;
+    }
+    this.paramLabels_.length = this.paramCount_;
+    if (this.paramFixed_) {
+      this.paramFixed_ = false;
+    } else {
+      for (var i = 0; i < newParamCount; i++) {
+        var inputName = 'PARAM' + i;
+        if (this.paramCount_ <= i) {
+          var rendered = this.rendered;
+          this.rendered = false;
+          this.appendValueInput(inputName);
+          this.rendered = rendered;
+          this.paramLabels_.push('');
+          this.paramCount_++;
+        }
+      }
+      for (var i = 0; opt_labels && i < this.paramCount_; i++) {
+        this.setParamLabel_(i, opt_labels[i]);
+      }
+    }
+  },
+
+  /**
+   * Returns the label with which the given argument is supplied.
+   * @param {number} i The index of the argument.
+   * @return {string} The label, or an empty string if the argument is
+   *     unlabeled.
+   */
+  getParamLabel: function(i) {
+    return this.paramLabels_[i] || '';
+  },
+
+  /**
+   * Set the label with which the given argument is supplied. A labeled
+   * argument has a dropdown to choose the label among those of the function.
+   * @param {number} i The index of the argument.
+   * @param {string} label The label, or an empty string for an unlabeled
+   *     argument.
+   * @private
+   */
+  setParamLabel_: function(i, label) {
+    label = label || '';
+    this.paramLabels_[i] = label;
+    var input = this.getInput('PARAM' + i);
+    var fieldName = 'LABEL' + i;
+    var field = this.getField(fieldName);
+    if (!label) {
+      if (field) {
+        input.removeField(fieldName);
+      }
+      return;
+    }
+    if (field) {
+      field.setValue(label);
+      return;
+    }
+    var block = this;
+    field = new Blockly.FieldDropdown(function() {
+      return block.getLabelOptions_(i);
+    });
+    field.setValidator(function(newLabel) {
+      return block.changeParamLabel_(i, newLabel);
+    });
+    field.setValue(label);
+    input.insertFieldAt(0, field, fieldName);
+  },
+
+  /**
+   * Returns the dropdown options for the label of the given argument, i.e.
+   * the labels of the function's parameters.
+   * @param {number} i The index of the argument.
+   * @return {!Array.<!Array.<string>>} Array of option tuples.
+   * @private
+   */
+  getLabelOptions_: function(i) {
+    var options = [];
+    var labels = [];
+    var t = this.typedReference['VAR'].getTypeExpr().deref();
+    while (t.isFunction()) {
+      if (t.argLabel && labels.indexOf(t.argLabel) == -1) {
+        labels.push(t.argLabel);
+        var prefix = t.optional ? '?' : '~';
+        options.push([prefix + t.argLabel + ':', t.argLabel]);
+      }
+      t = t.return_type.deref();
+    }
+    var current = this.paramLabels_[i];
+    if (current && labels.indexOf(current) == -1) {
+      options.push(['~' + current + ':', current]);
+    }
+    return options;
+  },
+
+  /**
+   * Change the label of the given argument if the program is still well-typed
+   * with the new label. If another argument is supplied with the new label,
+   * the labels of the two arguments are swapped.
+   * @param {number} i The index of the argument.
+   * @param {string} newLabel The new label.
+   * @return {?string} The new label, or null if it's rejected.
+   * @private
+   */
+  changeParamLabel_: function(i, newLabel) {
+    var oldLabel = this.paramLabels_[i];
+    if (newLabel == oldLabel || !this.workspace) {
+      return newLabel;
+    }
+    var other = this.paramLabels_.indexOf(newLabel);
+    this.paramLabels_[i] = newLabel;
+    if (other != -1) {
+      this.paramLabels_[other] = oldLabel;
+    }
+    var failed = false;
+    Blockly.Block.doTypeInference(this.workspace.getMainWorkspace(),
+        function() {
+          failed = true;
+        });
+    if (failed) {
+      this.paramLabels_[i] = oldLabel;
+      if (other != -1) {
+        this.paramLabels_[other] = newLabel;
+      }
+      this.updateTypeInference();
+      return null;
+    }
+    if (other != -1) {
+      this.setParamLabel_(other, oldLabel);
+    }
+    if (this.rendered) {
+      this.workspace.renderTypeChangedWorkspaces();
+    }
+    return newLabel;
+  },
+
+  updateStructure: function() {
+    var variable = this.typedReference['VAR'];
+    var currentValue = variable.getBoundValue();
+    if (currentValue && currentValue.getMainFieldName() === 'VAR') {
+      // resize only when variable is a function (not an argument)
+      var sourceBlock = currentValue.sourceBlock_;
+      var newParamCount = sourceBlock.argumentCount_;
+      var labels = [];
+      for (var x = 0; x < newParamCount; x++) {
+        labels.push(sourceBlock.getArgumentLabel ?
+            sourceBlock.getArgumentLabel(x) : '');
+      }
+      this.resizeStructure(newParamCount, labels);
+    }
+    this.updateFunArgTypes();
+    // if updateFunArgTypes is not called, f will have higher-order type
+  },
+
+  // Can be called after binding is resolved.
+  updateFunArgTypes: function() {
+    var variable = this.typedReference['VAR'];
+    var type = variable.getTypeExpr();
+    var labels = [];
+    for (var i = 0; i < this.paramCount_; i++) {
+      labels.push(this.getParamLabel(i));
+    }
+    // Labeled arguments may be supplied in any order.
+    var applied = Blockly.TypeExpr.applyLabels(type, labels);
     for (var i = 0; i < this.paramCount_; i++) {
       var inputName = 'PARAM' + i;
       var input = this.getInput(inputName);
       if (input) {
-        var type = argTypes.shift();
-        input.setTypeExpr(type, true);
+        input.setTypeExpr(applied.argTypes[i], true);
       }
     }
-    if (0 < argTypes.length) {
-      argTypes.push(returnType);
-      returnType = Blockly.TypeExpr.createFunType(argTypes);
-    }
-    this.setOutputTypeExpr(returnType, true);
+    this.setOutputTypeExpr(applied.returnType, true);
+  },
+
+  /**
+   * A reference to a function without arguments is just a variable.
+   * @return {boolean} True if no argument is applied.
+   */
+  isNonExpansive: function() {
+    return this.paramCount_ == 0;
   },
 
   increaseDecreaseHole: function(delta) {
@@ -2378,6 +3098,10 @@ Blockly.Blocks['function_app_typed'] = {
   mutationToDom: function() {
     var container = document.createElement('mutation');
     container.setAttribute('params', this.paramCount_);
+    var labels = this.paramLabels_.slice(0, this.paramCount_);
+    if (goog.array.some(labels, function(label) { return !!label; })) {
+      container.setAttribute('labels', labels.join(','));
+    }
     return container;
   },
 
@@ -2396,6 +3120,7 @@ Blockly.Blocks['function_app_typed'] = {
       var index = --this.paramCount_;
       this.removeInput('PARAM' + index);
     }
+    this.paramLabels_.length = this.paramCount_;
     // The type of the reference value might not be determined yet. For such
     // cases (e.g., [let f x y = <> in f <[0]> <[0]>]), append dummy parameter
     // inputs.
@@ -2406,8 +3131,13 @@ Blockly.Blocks['function_app_typed'] = {
       var input = this.appendValueInput(inputName);
       input.setTypeExpr(Blockly.TypeExpr.generateTypeVar());
       this.rendered = rendered;
+      this.paramLabels_.push('');
       this.paramCount_++;
     }
+    var labels = (xmlElement.getAttribute('labels') || '').split(',');
+    for (var i = 0; i < this.paramCount_; i++) {
+      this.setParamLabel_(i, labels[i]);
+    }
     this.paramFixed_ = true;
     this.setOutputTypeExpr(Blockly.TypeExpr.generateTypeVar(), true);
   },
@@ -2419,7 +3149,9 @@ Blockly.Blocks['function_app_typed'] = {
   infer: function(ctx) {
     var variable = this.typedReference['VAR'];
     var varName = variable.getVariableName();
-    var schemeInEnv = ctx.getTypeInEnv(varName);
+    // A qualified reference never refers to a recursive binding.
+    var schemeInEnv = variable.getModulePath() ? null :
+        ctx.getTypeInEnv(varName);
     if (schemeInEnv) {
       // Fix: let rec c = ... c
       schemeInEnv.unify(variable.getTypeExpr());
@@ -2447,7 +3179,7 @@ Blockly.Blocks['lambda_typed'] = {
     var A = Blockly.TypeExpr.generateTypeVar();
     var B = Blockly.TypeExpr.generateTypeVar();
     var variable_field = Blockly.FieldBoundVariable.newValue(A);
-    this.appendDummyInput()
+    this.appendDummyInput('PARAMS')
         .appendField('fun ')
         .appendField(variable_field, 'VAR');
     this.appendValueInput('RETURN')
@@ -2457,6 +3189,24 @@ Blockly.Blocks['lambda_typed'] = {
         .setWorkbench(new Blockly.Workbench());
     this.setOutput(true);
     this.setOutputTypeExpr(new Blockly.TypeExpr.FUN(A, B));
+    this.setMutator(new Blockly.Mutator(['parameters_arg_item']));
+
+    /**
+     * The number of parameters, which is at least one. The first parameter
+     * is the field 'VAR', and the others are 'VAR1', 'VAR2', ...
+     * @type {number}
+     */
+    this.paramCount_ = 1;
+  },
+
+  /**
+   * Returns the name of variable field for the parameter of the given index.
+   * @param {number} index The index of the parameter.
+   * @return {string} The field name.
+   * @private
+   */
+  getParamFieldName_: function(index) {
+    return index == 0 ? 'VAR' : 'VAR' + index;
   },
 
   /**
@@ -2468,10 +3218,12 @@ Blockly.Blocks['lambda_typed'] = {
    *     Could be used to additionally replace the type expression of fields.
    */
   typeExprReplaced: function(block) {
-    var outputType = this.outputConnection.typeExpr;
-    var argType = outputType ? outputType.arg_type : null;
-    var variable = this.typedValue['VAR'];
-    variable.setTypeExpr(argType);
+    var type = this.outputConnection.typeExpr;
+    for (var i = 0; i < this.paramCount_; i++) {
+      var variable = this.typedValue[this.getParamFieldName_(i)];
+      variable.setTypeExpr(type ? type.arg_type : null);
+      type = type ? type.return_type : null;
+    }
   },
 
   /**
@@ -2483,42 +3235,328 @@ Blockly.Blocks['lambda_typed'] = {
   updateVariableEnv: function(conn, ctx) {
     var returnInput = this.getInput('RETURN');
     if (conn && returnInput.connection == conn) {
-      var variable = this.typedValue['VAR'];
-      ctx.addVariable(variable);
+      for (var i = 0; i < this.paramCount_; i++) {
+        ctx.addVariable(this.typedValue[this.getParamFieldName_(i)]);
+      }
     }
   },
 
   getTypeScheme: function(fieldName) {
-    var scheme = null;
-    if (fieldName === 'VAR') {
-      var variable = this.typedValue['VAR'];
-      var outType = this.outputConnection.typeExpr;
-      goog.asserts.assert(outType.arg_type == variable.getTypeExpr());
-      scheme = Blockly.Scheme.monoType(outType.arg_type);
+    for (var i = 0; i < this.paramCount_; i++) {
+      if (fieldName === this.getParamFieldName_(i)) {
+        var variable = this.typedValue[fieldName];
+        return Blockly.Scheme.monoType(variable.getTypeExpr());
+      }
     }
-    return scheme;
+    return null;
+  },
+
+  /**
+   * Add or remove parameters so that this block has the given number of
+   * them. The output type is replaced with the curried function type.
+   * @param {number} expectedCount The number of parameters.
+   */
+  resizeParameters: function(expectedCount) {
+    goog.asserts.assert(1 <= expectedCount);
+    // Collect types of parameters from the output type because variables of
+    // fields may not be initialized yet while the block is loaded from XML.
+    var types = [];
+    var type = this.outputConnection.typeExpr;
+    for (var i = 0; i < Math.min(expectedCount, this.paramCount_); i++) {
+      types.push(type.arg_type);
+      type = type.return_type;
+    }
+    var input = this.getInput('PARAMS');
+    while (expectedCount < this.paramCount_) {
+      var field = this.getField(this.getParamFieldName_(this.paramCount_ - 1));
+      goog.array.remove(input.fieldRow, field);
+      field.dispose(true);
+      this.paramCount_--;
+    }
+    while (this.paramCount_ < expectedCount) {
+      var A = Blockly.TypeExpr.generateTypeVar();
+      var field = Blockly.FieldBoundVariable.newValue(A);
+      input.appendField(field, this.getParamFieldName_(this.paramCount_));
+      if (this.rendered) {
+        field.init();
+      } else {
+        field.initModel();
+      }
+      types.push(A);
+      this.paramCount_++;
+    }
+    types.push(this.getInput('RETURN').connection.typeExpr);
+    this.replaceOutputTypeExpr(Blockly.TypeExpr.createFunType(types));
+  },
+
+  /**
+   * Create XML to represent the number of parameters.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('params', this.paramCount_);
+    return container;
+  },
+  /**
+   * Parse XML to restore the parameters.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var count = parseInt(xmlElement.getAttribute('params'), 10) || 1;
+    this.resizeParameters(count);
+  },
+  /**
+   * Populate the mutator's dialog with this block's components.
+   * @param {!Blockly.Workspace} workspace Mutator's workspace.
+   * @return {!Blockly.Block} Root block in mutator.
+   * @this Blockly.Block
+   */
+  decompose: function(workspace) {
+    var containerBlock = workspace.newBlock('parameters_arg_container');
+    if (containerBlock.initSvg) {
+      containerBlock.initSvg();
+    }
+    var connection = containerBlock.getInput('STACK').connection;
+    for (var x = 0; x < this.paramCount_; x++) {
+      var itemBlock = workspace.newBlock('parameters_arg_item');
+      if (itemBlock.initSvg) {
+        itemBlock.initSvg();
+      }
+      connection.connect(itemBlock.previousConnection);
+      connection = itemBlock.nextConnection;
+    }
+    return containerBlock;
+  },
+  /**
+   * Reconfigure this block based on the mutator dialog's components.
+   * A function takes at least one parameter.
+   * @param {!Blockly.Block} containerBlock Root block in mutator.
+   * @this Blockly.Block
+   */
+  compose: function(containerBlock) {
+    this.resizeParameters(Math.max(1, containerBlock.getItemCount()));
+  },
+  /**
+   * Would this block be changed based on the mutator blocks?
+   * @param {!Blockly.Block} containerBlock Root block in mutator.
+   * @return {boolean} True if the number of parameters would be changed.
+   * @this Blockly.Block
+   */
+  wouldChange: function(containerBlock) {
+    return Math.max(1, containerBlock.getItemCount()) != this.paramCount_;
   },
 
   clearInnerTypes: function() {
-    var variable = this.typedValue['VAR'];
-    goog.asserts.assert(this.outputConnection.typeExpr.arg_type ==
-        variable.getTypeExpr());
-    variable.getTypeExpr().clear();
+    for (var i = 0; i < this.paramCount_; i++) {
+      var variable = this.typedValue[this.getParamFieldName_(i)];
+      variable.getTypeExpr().clear();
+    }
   },
 
   infer: function(ctx) {
-    var variable = this.typedValue['VAR'];
-    var var_name = variable.getVariableName();
     var expected = this.outputConnection.typeExpr;
     var ctx2 = ctx.copy();
-    ctx2.addTypeToEnv(var_name, Blockly.Scheme.monoType(expected.arg_type));
+    var type = expected;
+    for (var i = 0; i < this.paramCount_; i++) {
+      var variable = this.typedValue[this.getParamFieldName_(i)];
+      goog.asserts.assert(type.arg_type == variable.getTypeExpr());
+      ctx2.addTypeToEnv(variable.getVariableName(),
+          Blockly.Scheme.monoType(type.arg_type));
+      type = type.return_type;
+    }
     var return_type = this.callInfer('RETURN', ctx2);
     if (return_type)
-      return_type.unify(expected.return_type);
+      return_type.unify(type);
     return expected;
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 }
 
+Blockly.Blocks['lambda_pattern_typed'] = {
+  /**
+   * Block for an anonymous function whose parameters are patterns, e.g.
+   * fun (x, y) -> ...
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.setColour(Blockly.Msg['HIGHER_ORDER_HUE']);
+    var B = Blockly.TypeExpr.generateTypeVar();
+    this.appendDummyInput()
+        .appendField('fun');
+    this.appendValueInput('RETURN')
+        .setTypeExpr(B)
+        .setAlign(Blockly.ALIGN_RIGHT)
+        .appendField('->')
+        .setWorkbench(new Blockly.Workbench());
+    this.setOutput(true);
+    this.setOutputTypeExpr(Blockly.TypeExpr.generateTypeVar());
+    this.setInputsInline(true);
+    this.setMutator(new Blockly.Mutator(['parameters_arg_item']));
+    this.setWorkbench(new Blockly.PatternWorkbench());
+    this.setTooltip(Blockly.Msg['LAMBDA_PATTERN_TOOLTIP']);
+
+    this.argumentCount_ = 0;
+    this.resizePatternArgument(1);
+  },
+
+  /**
+   * Store variables of which is declared in this block, and can be used
+   * later the given connection's input.
+   * @param {!Blockly.Connection} conn Connection to specify a scope.
+   * @param {!Blockly.Block.VariableContext} ctx The variable context.
+   */
+  updateVariableEnv: function(conn, ctx) {
+    if (!conn || this.getInput('RETURN').connection != conn) {
+      return;
+    }
+    for (var x = 0; x < this.argumentCount_; x++) {
+      var target = this.getInputTargetBlock('ARG' + x);
+      if (target && goog.isFunction(target.updateUpperContext)) {
+        target.updateUpperContext(ctx);
+      }
+    }
+  },
+
+  /**
+   * Add or remove pattern inputs so that this block has the given number of
+   * parameters. The output type is replaced with the curried function type.
+   * @param {number} expectedCount The number of parameters.
+   */
+  resizePatternArgument: function(expectedCount) {
+    goog.asserts.assert(1 <= expectedCount);
+    // Stop rendering to avoid rendering objects which are already destroyed.
+    var storedRendered = this.rendered;
+    this.rendered = false;
+    while (expectedCount < this.argumentCount_) {
+      var index = this.argumentCount_ - 1;
+      var patternBlock = this.getInputTargetBlock('ARG' + index);
+      if (patternBlock) {
+        patternBlock.dispose();
+      }
+      // Decrement the count first to avoid type inference on the input
+      // being removed.
+      this.argumentCount_--;
+      this.removeInput('ARG' + index);
+    }
+    this.rendered = storedRendered;
+    while (this.argumentCount_ < expectedCount) {
+      var index = this.argumentCount_++;
+      var A = Blockly.TypeExpr.generateTypeVar();
+      this.appendValueInputBefore('ARG' + index, 'RETURN')
+          .setTypeExpr(new Blockly.TypeExpr.PATTERN(A));
+    }
+    this.replaceOutputTypeExpr(this.createFunTypeExpr_());
+  },
+
+  /**
+   * Returns the curried function type of the types of parameters and the
+   * return type.
+   * @return {!Blockly.TypeExpr} The function type.
+   * @private
+   */
+  createFunTypeExpr_: function() {
+    var types = [];
+    for (var x = 0; x < this.argumentCount_; x++) {
+      // The input's type is a pattern. Have to extract the type in it.
+      types.push(this.getInput('ARG' + x).connection.typeExpr.pattExpr);
+    }
+    types.push(this.getInput('RETURN').connection.typeExpr);
+    return Blockly.TypeExpr.createFunType(types);
+  },
+
+  /**
+   * Create XML to represent the number of pattern inputs.
+   * @return {Element} XML storage element.
+   * @this Blockly.Block
+   */
+  mutationToDom: function() {
+    var container = document.createElement('mutation');
+    container.setAttribute('items', this.argumentCount_);
+    return container;
+  },
+  /**
+   * Parse XML to restore the pattern inputs.
+   * @param {!Element} xmlElement XML storage element.
+   * @this Blockly.Block
+   */
+  domToMutation: function(xmlElement) {
+    var count = parseInt(xmlElement.getAttribute('items'), 10) || 1;
+    this.resizePatternArgument(count);
+  },
+  /**
+   * Populate the mutator's dialog with this block's components.
+   * @param {!Blockly.Workspace} workspace Mutator's workspace.
+   * @return {!Blockly.Block} Root block in mutator.
+   * @this Blockly.Block
+   */
+  decompose: function(workspace) {
+    var containerBlock = workspace.newBlock('parameters_arg_container');
+    if (containerBlock.initSvg) {
+      containerBlock.initSvg();
+    }
+    var connection = containerBlock.getInput('STACK').connection;
+    for (var x = 0; x < this.argumentCount_; x++) {
+      var itemBlock = workspace.newBlock('parameters_arg_item');
+      if (itemBlock.initSvg) {
+        itemBlock.initSvg();
+      }
+      connection.connect(itemBlock.previousConnection);
+      connection = itemBlock.nextConnection;
+    }
+    return containerBlock;
+  },
+  /**
+   * Reconfigure this block based on the mutator dialog's components.
+   * A function takes at least one parameter.
+   * @param {!Blockly.Block} containerBlock Root block in mutator.
+   * @this Blockly.Block
+   */
+  compose: function(containerBlock) {
+    this.resizePatternArgument(Math.max(1, containerBlock.getItemCount()));
+  },
+  /**
+   * Would this block be changed based on the mutator blocks?
+   * @param {!Blockly.Block} containerBlock Root block in mutator.
+   * @return {boolean} True if the number of parameters would be changed.
+   * @this Blockly.Block
+   */
+  wouldChange: function(containerBlock) {
+    return Math.max(1, containerBlock.getItemCount()) != this.argumentCount_;
+  },
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    var ctx2 = ctx.copy();
+    for (var x = 0; x < this.argumentCount_; x++) {
+      var argType = this.callInfer('ARG' + x, ctx);
+      if (argType) {
+        argType.unify(this.getInput('ARG' + x).connection.typeExpr);
+      }
+      var target = this.getInputTargetBlock('ARG' + x);
+      if (target && goog.isFunction(target.updateUpperTypeContext)) {
+        target.updateUpperTypeContext(ctx2);
+      }
+    }
+    expected.unify(this.createFunTypeExpr_());
+    var returnExpected = this.getInput('RETURN').connection.typeExpr;
+    var returnType = this.callInfer('RETURN', ctx2);
+    if (returnType) {
+      returnType.unify(returnExpected);
+    }
+    return expected;
+  },
+
+  isNonExpansive: function() {
+    return true;
+  }
+};
+
 Blockly.Blocks['lambda_app_typed'] = {
   init: function() {
     this.setColour(Blockly.Msg['HIGHER_ORDER_HUE']);
@@ -2571,6 +3609,12 @@ Blockly.Blocks['match_typed'] = {
     this.setInputsInline(false);
     this.setMutator(new Blockly.Mutator(['match_pattern_item']));
     this.setWorkbench(new Blockly.PatternWorkbench());
+
+    /**
+     * The list of pattern blocks which have a warning of unused match case.
+     * @type {!Array.<!Blockly.Block>}
+     */
+    this.unusedPatternBlocks_ = [];
   },
 
   updateVariableEnv: function(conn, ctx) {
@@ -2580,7 +3624,8 @@ Blockly.Blocks['match_typed'] = {
     var target = null;
     for (var i = 0; i < this.itemCount_; i++) {
       var outputConn = this.getInput('OUTPUT' + i).connection;
-      if (outputConn == conn) {
+      var guardInput = this.getInput('GUARD' + i);
+      if (outputConn == conn || guardInput && guardInput.connection == conn) {
         target = this.getInputTargetBlock('PATTERN' + i);
         break;
       }
@@ -2603,12 +3648,49 @@ Blockly.Blocks['match_typed'] = {
     return input;
   },
 
+  /**
+   * Returns whether the case of the given index has a guard.
+   * @param {number} index The index of the case.
+   * @return {boolean} True if the case has a 'when' guard.
+   */
+  hasGuard: function(index) {
+    return !!this.getInput('GUARD' + index);
+  },
+
+  /**
+   * Add or remove the 'when' guard of the case of the given index. The guard
+   * is placed between the pattern and the expression of the case, and can
+   * refer to the variables of the pattern.
+   * @param {number} index The index of the case.
+   * @param {boolean} enabled True to add the guard, false to remove it.
+   */
+  setGuard: function(index, enabled) {
+    if (this.hasGuard(index) == enabled) {
+      return;
+    }
+    var name = 'GUARD' + index;
+    if (enabled) {
+      this.appendValueInput(name)
+          .setTypeExpr(new Blockly.TypeExpr.BOOL())
+          .appendField('when')
+          .setAlign(Blockly.ALIGN_RIGHT);
+      this.moveInputBefore(name, 'OUTPUT' + index);
+      return;
+    }
+    var guardBlock = this.getInputTargetBlock(name);
+    if (guardBlock) {
+      guardBlock.dispose();
+    }
+    this.removeInput(name);
+  },
+
   resizePatternInput: function(expectedCount) {
     // Stop rendering to avoid rendering objects which are already destroyed.
     var storedRendered = this.rendered;
     this.rendered = false;
     while (expectedCount < this.itemCount_) {
       var index = this.itemCount_ - 1;
+      this.setGuard(index, false);
       var outputInput = this.getInput('OUTPUT' + index);
       var workbench = outputInput.connection.contextWorkbench;
       // dispose outputBlock
@@ -2656,6 +3738,15 @@ Blockly.Blocks['match_typed'] = {
   mutationToDom: function() {
     var container = document.createElement('mutation');
     container.setAttribute('items', this.itemCount_);
+    var guards = [];
+    for (var i = 0; i < this.itemCount_; i++) {
+      if (this.hasGuard(i)) {
+        guards.push(i);
+      }
+    }
+    if (guards.length) {
+      container.setAttribute('guards', guards.join(','));
+    }
     return container;
   },
   /**
@@ -2666,6 +3757,10 @@ Blockly.Blocks['match_typed'] = {
   domToMutation: function(xmlElement) {
     var newItemCount = parseInt(xmlElement.getAttribute('items')) || 2;
     this.resizePatternInput(newItemCount);
+    var guards = (xmlElement.getAttribute('guards') || '').split(',');
+    for (var i = 0; i < this.itemCount_; i++) {
+      this.setGuard(i, guards.indexOf(String(i)) != -1);
+    }
   },
   /**
    * Populate the mutator's dialog with this block's components.
@@ -2680,6 +3775,7 @@ Blockly.Blocks['match_typed'] = {
     var connection = containerBlock.getInput('STACK').connection;
     for (var x = 0; x < this.itemCount_; x++) {
       var itemBlock = workspace.newBlock('match_pattern_item');
+      itemBlock.setFieldValue(this.hasGuard(x) ? 'TRUE' : 'FALSE', 'GUARD');
       itemBlock.initSvg();
       connection.connect(itemBlock.previousConnection);
       connection = itemBlock.nextConnection;
@@ -2694,6 +3790,11 @@ Blockly.Blocks['match_typed'] = {
   compose: function(containerBlock) {
     var itemCount = containerBlock.getItemCount();
     this.resizePatternInput(itemCount);
+    var itemBlock = containerBlock.getInputTargetBlock('STACK');
+    for (var i = 0; itemBlock; i++) {
+      this.setGuard(i, itemBlock.getFieldValue('GUARD') == 'TRUE');
+      itemBlock = itemBlock.getNextBlock();
+    }
   },
 
   /**
@@ -2701,7 +3802,18 @@ Blockly.Blocks['match_typed'] = {
    * @this Blockly.Block
    */
   wouldChange: function(containerBlock) {
-    return containerBlock.getItemCount() != this.itemCount_;
+    if (containerBlock.getItemCount() != this.itemCount_) {
+      return true;
+    }
+    var itemBlock = containerBlock.getInputTargetBlock('STACK');
+    for (var i = 0; itemBlock; i++) {
+      var hasGuard = itemBlock.getFieldValue('GUARD') == 'TRUE';
+      if (hasGuard != this.hasGuard(i)) {
+        return true;
+      }
+      itemBlock = itemBlock.getNextBlock();
+    }
+    return false;
   },
 
   isAutoMatchAvailable: function(name) {
@@ -2768,50 +3880,473 @@ Blockly.Blocks['match_typed'] = {
     }
   },
 
-  customContextMenu: function(options) {
-    if (this.isInFlyout) {
-      return;
+  customContextMenu: function(options) {
+    if (this.isInFlyout) {
+      return;
+    }
+    var patternAlreadyConnected = false;
+    for (var i = 0; i < this.itemCount_; i++) {
+      if (this.getInputTargetBlock('PATTERN' + i)) {
+        patternAlreadyConnected = true;
+      }
+    }
+    var autoMatchNames = ['list', 'pair'];
+    for (var i = 0, name; name = autoMatchNames[i]; i++) {
+      var isEnabled =
+          patternAlreadyConnected ? false : this.isAutoMatchAvailable(name);
+      var option = {enabled: isEnabled, text: 'Auto match ' + name};
+      if (isEnabled) {
+        option.callback = this.applyAutoMatch.bind(this, name);
+      }
+      options.push(option);
+    }
+  },
+
+  /**
+   * Find values no pattern matches and patterns which can never be matched.
+   * @return {?{missing: !Array.<!Blockly.PatternMatrix.Pattern>,
+   *     unused: !Array.<number>}} The result of the analysis, or null if any
+   *     pattern is not filled or patterns are ill-typed.
+   */
+  analyzePatterns: function() {
+    var patterns = [];
+    var guarded = [];
+    for (var i = 0; i < this.itemCount_; i++) {
+      var pattern = Blockly.PatternMatrix.patternOfInput(this, 'PATTERN' + i);
+      if (!pattern) {
+        return null;
+      }
+      patterns.push(pattern);
+      guarded.push(this.hasGuard(i));
+    }
+    return Blockly.PatternMatrix.analyze(patterns, guarded);
+  },
+
+  /**
+   * Put warnings on this block if the match is not exhaustive, and on
+   * pattern blocks of unused match cases (OCaml's warnings 8 and 11).
+   */
+  updatePatternWarnings: function() {
+    var result = this.analyzePatterns();
+    var unusedBlocks = [];
+    if (result) {
+      for (var i = 0; i < result.unused.length; i++) {
+        var index = result.unused[i];
+        unusedBlocks.push(this.getInputTargetBlock('PATTERN' + index));
+      }
+    }
+    for (var i = 0, block; block = this.unusedPatternBlocks_[i]; i++) {
+      if (block.workspace && unusedBlocks.indexOf(block) == -1) {
+        block.setWarningText(null, 'match');
+      }
+    }
+    for (var i = 0, block; block = unusedBlocks[i]; i++) {
+      block.setWarningText(Blockly.Msg['MATCH_UNUSED_CASE_WARNING'], 'match');
+    }
+    this.unusedPatternBlocks_ = unusedBlocks;
+
+    if (result && result.missing.length != 0) {
+      var examples = goog.array.map(result.missing,
+          function(pattern) { return pattern.toString(); });
+      this.setWarningText(Blockly.Msg['MATCH_NOT_EXHAUSTIVE_WARNING'] +
+          '\n' + examples.join('\n'), 'match');
+    } else {
+      this.setWarningText(null, 'match');
+    }
+  },
+
+  /**
+   * Called whenever anything on the workspace changes.
+   * Check the exhaustiveness and redundancy of patterns.
+   * @param {!Blockly.Events.Abstract} e Change event.
+   * @this Blockly.Block
+   */
+  onchange: function(/* e */) {
+    if (!this.workspace.isDragging || this.workspace.isDragging()) {
+      return;  // Don't change state at the start of a drag.
+    }
+    this.updatePatternWarnings();
+  },
+
+  infer: function(ctx) {
+    var inputExpected = this.getInput('INPUT').connection.typeExpr;
+    var inputType = this.callInfer('INPUT', ctx);
+    if (inputType)
+      inputExpected.unify(inputType);
+
+    var expected = this.outputConnection.typeExpr;
+    for (var i = 0; i < this.itemCount_; i++) {
+      var patternType = this.callInfer('PATTERN' + i, ctx);
+      var outputType = this.callInfer('OUTPUT' + i, ctx);
+      var expectedPatternType = this.getInput('PATTERN' + i).connection.typeExpr;
+      var expectedOutputType = this.getInput('OUTPUT' + i).connection.typeExpr;
+      goog.asserts.assert(expected === expectedOutputType);
+
+      if (patternType)
+        expectedPatternType.unify(patternType);
+      if (outputType)
+        expectedOutputType.unify(outputType);
+      this.inferGuard(i, ctx);
+    }
+    return expected;
+  },
+
+  /**
+   * Infer the type of the guard of the case of the given index if exists.
+   * @param {number} index The index of the case.
+   * @param {!Blockly.Block.typeInferenceContext} ctx Context of type
+   *     inference.
+   */
+  inferGuard: function(index, ctx) {
+    if (!this.hasGuard(index)) {
+      return;
+    }
+    var expected = this.getInput('GUARD' + index).connection.typeExpr;
+    var guardType = this.callInfer('GUARD' + index, ctx);
+    if (guardType) {
+      expected.unify(guardType);
+    }
+  }
+}
+
+Blockly.Blocks['function_typed'] = {
+  /**
+   * Block for an anonymous function which matches its parameter with
+   * cases, i.e. function p1 -> e1 | p2 -> e2 ...
+   * @this Blockly.Block
+   */
+  init: function() {
+    this.setColour(Blockly.Msg['HIGHER_ORDER_HUE']);
+
+    var A = Blockly.TypeExpr.generateTypeVar();
+    var B = Blockly.TypeExpr.generateTypeVar();
+    this.appendDummyInput()
+        .appendField('function');
+    this.setOutput(true);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.FUN(A, B));
+
+    this.itemCount_ = 0;
+    this.appendPatternInput();
+
+    this.setInputsInline(false);
+    this.setMutator(new Blockly.Mutator(['match_pattern_item']));
+    this.setWorkbench(new Blockly.PatternWorkbench());
+    this.setTooltip(Blockly.Msg['FUNCTION_TOOLTIP']);
+
+    /**
+     * The list of pattern blocks which have a warning of unused match case.
+     * @type {!Array.<!Blockly.Block>}
+     */
+    this.unusedPatternBlocks_ = [];
+  },
+
+  /**
+   * Append a pair of inputs for a case, which matches the parameter with
+   * its pattern.
+   * @return {!Blockly.Input} The input for the expression of the case.
+   */
+  appendPatternInput: function() {
+    var funType = this.outputConnection.typeExpr;
+    var index = this.itemCount_++;
+    this.appendValueInput('PATTERN' + index)
+        .setTypeExpr(new Blockly.TypeExpr.PATTERN(funType.arg_type));
+    var input = this.appendValueInput('OUTPUT' + index)
+        .setTypeExpr(funType.return_type)
+        .appendField('->')
+        .setAlign(Blockly.ALIGN_RIGHT)
+        .setWorkbench(new Blockly.Workbench());
+    return input;
+  },
+
+  // Cases are added, removed and checked in the same way as those of match.
+  updateVariableEnv: Blockly.Blocks['match_typed'].updateVariableEnv,
+  resizePatternInput: Blockly.Blocks['match_typed'].resizePatternInput,
+  mutationToDom: Blockly.Blocks['match_typed'].mutationToDom,
+  domToMutation: Blockly.Blocks['match_typed'].domToMutation,
+  decompose: Blockly.Blocks['match_typed'].decompose,
+  compose: Blockly.Blocks['match_typed'].compose,
+  wouldChange: Blockly.Blocks['match_typed'].wouldChange,
+  hasGuard: Blockly.Blocks['match_typed'].hasGuard,
+  setGuard: Blockly.Blocks['match_typed'].setGuard,
+  inferGuard: Blockly.Blocks['match_typed'].inferGuard,
+  analyzePatterns: Blockly.Blocks['match_typed'].analyzePatterns,
+  updatePatternWarnings: Blockly.Blocks['match_typed'].updatePatternWarnings,
+  onchange: Blockly.Blocks['match_typed'].onchange,
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    for (var i = 0; i < this.itemCount_; i++) {
+      var patternType = this.callInfer('PATTERN' + i, ctx);
+      var outputType = this.callInfer('OUTPUT' + i, ctx);
+      var expectedPatternType =
+          this.getInput('PATTERN' + i).connection.typeExpr;
+      if (patternType) {
+        expectedPatternType.unify(patternType);
+      }
+      if (outputType) {
+        expected.return_type.unify(outputType);
+      }
+      this.inferGuard(i, ctx);
+    }
+    return expected;
+  },
+
+  isNonExpansive: function() {
+    return true;
+  }
+};
+
+Blockly.Blocks['raise_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['EXCEPTIONS_HUE']);
+    var exnType =
+        new Blockly.TypeExpr.CONSTRUCT(Blockly.TypeExpr.CONSTRUCT.EXN_ID);
+    this.appendValueInput('EXN')
+        .setTypeExpr(exnType)
+        .appendField('raise');
+    this.setOutput(true);
+    this.setOutputTypeExpr(Blockly.TypeExpr.generateTypeVar());
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg['RAISE_TOOLTIP']);
+  },
+
+  infer: function(ctx) {
+    var expected = this.getInput('EXN').connection.typeExpr;
+    var exnType = this.callInfer('EXN', ctx);
+    if (exnType) {
+      exnType.unify(expected);
+    }
+    return this.outputConnection.typeExpr;
+  }
+};
+
+Blockly.Blocks['failwith_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['EXCEPTIONS_HUE']);
+    this.appendValueInput('MESSAGE')
+        .setTypeExpr(new Blockly.TypeExpr.STRING())
+        .appendField('failwith');
+    this.setOutput(true);
+    this.setOutputTypeExpr(Blockly.TypeExpr.generateTypeVar());
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg['FAILWITH_TOOLTIP']);
+  },
+
+  infer: function(ctx) {
+    var expected = this.getInput('MESSAGE').connection.typeExpr;
+    var messageType = this.callInfer('MESSAGE', ctx);
+    if (messageType) {
+      messageType.unify(expected);
+    }
+    return this.outputConnection.typeExpr;
+  }
+};
+
+Blockly.Blocks['try_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['EXCEPTIONS_HUE']);
+
+    var A = Blockly.TypeExpr.generateTypeVar();
+    this.appendDummyInput()
+        .appendField('try');
+    this.appendValueInput('INPUT')
+        .setTypeExpr(A);
+    this.appendDummyInput()
+        .appendField('with')
+        .setAlign(Blockly.ALIGN_RIGHT);
+    this.setOutput(true);
+    this.setOutputTypeExpr(A);
+
+    this.itemCount_ = 0;
+    this.appendPatternInput();
+
+    this.setInputsInline(false);
+    this.setMutator(new Blockly.Mutator(['match_pattern_item']));
+    this.setWorkbench(new Blockly.PatternWorkbench());
+    this.setTooltip(Blockly.Msg['TRY_TOOLTIP']);
+  },
+
+  /**
+   * Append a pair of inputs for a handler, which matches an exception with
+   * its pattern.
+   * @return {!Blockly.Input} The input for the expression of the handler.
+   */
+  appendPatternInput: function() {
+    var exnType =
+        new Blockly.TypeExpr.CONSTRUCT(Blockly.TypeExpr.CONSTRUCT.EXN_ID);
+    var index = this.itemCount_++;
+    this.appendValueInput('PATTERN' + index)
+        .setTypeExpr(new Blockly.TypeExpr.PATTERN(exnType));
+    var input = this.appendValueInput('OUTPUT' + index)
+        .setTypeExpr(this.outputConnection.typeExpr)
+        .appendField('->')
+        .setAlign(Blockly.ALIGN_RIGHT)
+        .setWorkbench(new Blockly.Workbench());
+    return input;
+  },
+
+  // Handlers are added and removed in the same way as cases of match.
+  updateVariableEnv: Blockly.Blocks['match_typed'].updateVariableEnv,
+  resizePatternInput: Blockly.Blocks['match_typed'].resizePatternInput,
+  mutationToDom: Blockly.Blocks['match_typed'].mutationToDom,
+  domToMutation: Blockly.Blocks['match_typed'].domToMutation,
+  decompose: Blockly.Blocks['match_typed'].decompose,
+  compose: Blockly.Blocks['match_typed'].compose,
+  wouldChange: Blockly.Blocks['match_typed'].wouldChange,
+  hasGuard: Blockly.Blocks['match_typed'].hasGuard,
+  setGuard: Blockly.Blocks['match_typed'].setGuard,
+  inferGuard: Blockly.Blocks['match_typed'].inferGuard,
+
+  infer: function(ctx) {
+    var expected = this.outputConnection.typeExpr;
+    var inputType = this.callInfer('INPUT', ctx);
+    if (inputType) {
+      expected.unify(inputType);
+    }
+
+    for (var i = 0; i < this.itemCount_; i++) {
+      var patternType = this.callInfer('PATTERN' + i, ctx);
+      var outputType = this.callInfer('OUTPUT' + i, ctx);
+      var expectedPatternType =
+          this.getInput('PATTERN' + i).connection.typeExpr;
+      if (patternType) {
+        expectedPatternType.unify(patternType);
+      }
+      if (outputType) {
+        expected.unify(outputType);
+      }
+      this.inferGuard(i, ctx);
+    }
+    return expected;
+  }
+};
+
+Blockly.Blocks['sequence_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['LOOPS_HUE']);
+    var A = Blockly.TypeExpr.generateTypeVar();
+    this.appendValueInput('FIRST')
+        .setTypeExpr(new Blockly.TypeExpr.UNIT());
+    this.appendValueInput('SECOND')
+        .setTypeExpr(A)
+        .appendField(';');
+    this.setOutput(true);
+    this.setOutputTypeExpr(A);
+    this.setInputsInline(false);
+    this.setTooltip(Blockly.Msg['SEQUENCE_TOOLTIP']);
+  },
+
+  infer: function(ctx) {
+    var expectedFirst = this.getInput('FIRST').connection.typeExpr;
+    var firstType = this.callInfer('FIRST', ctx);
+    if (firstType) {
+      firstType.unify(expectedFirst);
+    }
+    var expected = this.outputConnection.typeExpr;
+    var secondType = this.callInfer('SECOND', ctx);
+    if (secondType) {
+      secondType.unify(expected);
+    }
+    return expected;
+  }
+};
+
+Blockly.Blocks['for_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['LOOPS_HUE']);
+    var variableField =
+        Blockly.FieldBoundVariable.newValue(new Blockly.TypeExpr.INT(), 'i');
+    var directions = [['to', 'UPTO'], ['downto', 'DOWNTO']];
+    this.appendValueInput('FROM')
+        .setTypeExpr(new Blockly.TypeExpr.INT())
+        .appendField('for ')
+        .appendField(variableField, 'VAR')
+        .appendField('=');
+    this.appendValueInput('TO')
+        .setTypeExpr(new Blockly.TypeExpr.INT())
+        .appendField(new Blockly.FieldDropdown(directions), 'DIRECTION');
+    this.appendValueInput('DO')
+        .setTypeExpr(new Blockly.TypeExpr.UNIT())
+        .appendField('do')
+        .setWorkbench(new Blockly.Workbench());
+    this.appendDummyInput()
+        .appendField('done');
+    this.setOutput(true);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.UNIT());
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg['FOR_LOOP_TOOLTIP']);
+  },
+
+  /**
+   * Store the loop index, which can be used only in the body of the loop.
+   * @param {!Blockly.Connection} conn Connection to specify a scope.
+   * @param {!Blockly.Block.VariableContext} ctx The variable context.
+   */
+  updateVariableEnv: function(conn, ctx) {
+    if (conn && this.getInput('DO').connection == conn) {
+      ctx.addVariable(this.typedValue['VAR']);
+    }
+  },
+
+  getTypeScheme: function(fieldName) {
+    if (fieldName === 'VAR') {
+      var variable = this.typedValue['VAR'];
+      return Blockly.Scheme.monoType(variable.getTypeExpr());
     }
-    var patternAlreadyConnected = false;
-    for (var i = 0; i < this.itemCount_; i++) {
-      if (this.getInputTargetBlock('PATTERN' + i)) {
-        patternAlreadyConnected = true;
+    return null;
+  },
+
+  infer: function(ctx) {
+    var names = ['FROM', 'TO'];
+    for (var i = 0, name; name = names[i]; i++) {
+      var expected = this.getInput(name).connection.typeExpr;
+      var type = this.callInfer(name, ctx);
+      if (type) {
+        type.unify(expected);
       }
     }
-    var autoMatchNames = ['list', 'pair'];
-    for (var i = 0, name; name = autoMatchNames[i]; i++) {
-      var isEnabled =
-          patternAlreadyConnected ? false : this.isAutoMatchAvailable(name);
-      var option = {enabled: isEnabled, text: 'Auto match ' + name};
-      if (isEnabled) {
-        option.callback = this.applyAutoMatch.bind(this, name);
-      }
-      options.push(option);
+    var variable = this.typedValue['VAR'];
+    var ctx2 = ctx.copy();
+    ctx2.addTypeToEnv(variable.getVariableName(),
+        Blockly.Scheme.monoType(variable.getTypeExpr()));
+    var expectedBody = this.getInput('DO').connection.typeExpr;
+    var bodyType = this.callInfer('DO', ctx2);
+    if (bodyType) {
+      bodyType.unify(expectedBody);
     }
+    return this.outputConnection.typeExpr;
+  }
+};
+
+Blockly.Blocks['while_typed'] = {
+  init: function() {
+    this.setColour(Blockly.Msg['LOOPS_HUE']);
+    this.appendValueInput('COND')
+        .setTypeExpr(new Blockly.TypeExpr.BOOL())
+        .appendField('while');
+    this.appendValueInput('DO')
+        .setTypeExpr(new Blockly.TypeExpr.UNIT())
+        .appendField('do');
+    this.appendDummyInput()
+        .appendField('done');
+    this.setOutput(true);
+    this.setOutputTypeExpr(new Blockly.TypeExpr.UNIT());
+    this.setInputsInline(true);
+    this.setTooltip(Blockly.Msg['WHILE_LOOP_TOOLTIP']);
   },
 
   infer: function(ctx) {
-    var inputExpected = this.getInput('INPUT').connection.typeExpr;
-    var inputType = this.callInfer('INPUT', ctx);
-    if (inputType)
-      inputExpected.unify(inputType);
-
-    var expected = this.outputConnection.typeExpr;
-    for (var i = 0; i < this.itemCount_; i++) {
-      var patternType = this.callInfer('PATTERN' + i, ctx);
-      var outputType = this.callInfer('OUTPUT' + i, ctx);
-      var expectedPatternType = this.getInput('PATTERN' + i).connection.typeExpr;
-      var expectedOutputType = this.getInput('OUTPUT' + i).connection.typeExpr;
-      goog.asserts.assert(expected === expectedOutputType);
-
-      if (patternType)
-        expectedPatternType.unify(patternType);
-      if (outputType)
-        expectedOutputType.unify(outputType);
+    var names = ['COND', 'DO'];
+    for (var i = 0, name; name = names[i]; i++) {
+      var expected = this.getInput(name).connection.typeExpr;
+      var type = this.callInfer(name, ctx);
+      if (type) {
+        type.unify(expected);
+      }
     }
-    return expected;
+    return this.outputConnection.typeExpr;
   }
-}
+};
 
 /**
  * Typed variables
@@ -2862,7 +4397,9 @@ Blockly.Blocks['variables_get_typed'] = {
     var expected = this.outputConnection.typeExpr;
     var varName = variable.getVariableName();
 
-    var schemeInEnv = ctx.getTypeInEnv(varName);
+    // A qualified reference never refers to a recursive binding.
+    var schemeInEnv = variable.getModulePath() ? null :
+        ctx.getTypeInEnv(varName);
     var scheme;
     if (schemeInEnv) {
       // Fix: let rec c = <c> + c.
@@ -2876,6 +4413,10 @@ Blockly.Blocks['variables_get_typed'] = {
     }
     goog.asserts.assert(expected == variable.getTypeExpr());
     return expected;
+  },
+
+  isNonExpansive: function() {
+    return true;
   }
 };
 
@@ -2901,7 +4442,7 @@ Blockly.Blocks['let_typed'] = {
         .appendField('=')
         .setWorkbench(new Blockly.Workbench())
         .setAlign(Blockly.ALIGN_RIGHT);
-    this.setMutator(new Blockly.Mutator(['parameters_arg_item']));
+    this.setMutator(new Blockly.Mutator(['let_arg_item', 'let_and_item']));
     this.setInputsInline(false);
     this.setTooltip(Blockly.Msg.DEFINE_VARIABLE_TOOLTIP);
 
@@ -2911,6 +4452,18 @@ Blockly.Blocks['let_typed'] = {
     this.setIsStatement(opt_statement === true);
 
     this.argumentCount_ = 0;
+    /**
+     * The kind of label of each argument, i.e. '' for an unlabeled argument,
+     * '~' for a labeled one and '?' for an optional one. The label is the
+     * name of the argument variable.
+     * @type {!Array.<string>}
+     */
+    this.argLabels_ = [];
+    /**
+     * The number of bindings joined with 'and' after the first one.
+     * @type {number}
+     */
+    this.andCount_ = 0;
     exp1Type.unify(varType);
 
     /**
@@ -2930,14 +4483,45 @@ Blockly.Blocks['let_typed'] = {
    *     Could be used to additionally replace the type expression of fields.
    */
   typeExprReplaced: function(block) {
-    var variable = this.typedValue['VAR'];
-    var typeOwner = block ? block.typedValue['VAR'] : null;
+    var fieldNames = this.getBindingFieldNames_();
+    for (var i = 0, name; name = fieldNames[i]; i++) {
+      var variable = this.typedValue[name];
+      var typeOwner = block ? block.typedValue[name] : null;
 
-    if (typeOwner) {
-      variable.setTypeExpr(typeOwner.getTypeExpr());
-    } else {
-      variable.setTypeExpr(null);
+      if (typeOwner) {
+        variable.setTypeExpr(typeOwner.getTypeExpr());
+      } else {
+        variable.setTypeExpr(null);
+      }
+    }
+  },
+
+  /**
+   * Returns the names of variable fields bound by this block, i.e. 'VAR'
+   * followed by those of bindings joined with 'and'.
+   * @return {!Array.<string>} List of field names.
+   * @private
+   */
+  getBindingFieldNames_: function() {
+    var names = ['VAR'];
+    for (var x = 0; x < this.andCount_; x++) {
+      names.push('AND_VAR' + x);
+    }
+    return names;
+  },
+
+  /**
+   * Returns the names of inputs for the bound expressions in the same order
+   * as getBindingFieldNames_().
+   * @return {!Array.<string>} List of input names.
+   * @private
+   */
+  getBindingInputNames_: function() {
+    var names = ['EXP1'];
+    for (var x = 0; x < this.andCount_; x++) {
+      names.push('AND_EXP' + x);
     }
+    return names;
   },
 
   /**
@@ -2951,14 +4535,23 @@ Blockly.Blocks['let_typed'] = {
       return;
     }
     var isExp1 = this.getInput('EXP1').connection == conn;
-    var isNext = !isExp1 && this.nextConnection == conn;
-    var isExp2 = !isExp1 && !isNext &&
+    var isAndExp = false;
+    for (var x = 0; x < this.andCount_ && !isExp1; x++) {
+      if (this.getInput('AND_EXP' + x).connection == conn) {
+        isAndExp = true;
+        break;
+      }
+    }
+    var isNext = !isExp1 && !isAndExp && this.nextConnection == conn;
+    var isExp2 = !isExp1 && !isAndExp && !isNext && !this.isStatement_ &&
         this.getInput('EXP2').connection == conn;
 
-    if (isNext || isExp2 || isExp1 && this.isRecursive_) {
-      var variable = this.typedValue['VAR'];
-      var name = variable.getVariableName();
-      ctx.addVariable(variable);
+    // All the variables of a recursive group are visible in every body.
+    if (isNext || isExp2 || (isExp1 || isAndExp) && this.isRecursive_) {
+      var fieldNames = this.getBindingFieldNames_();
+      for (var i = 0, fieldName; fieldName = fieldNames[i]; i++) {
+        ctx.addVariable(this.typedValue[fieldName]);
+      }
     }
     if (isExp1) {
       for (var x = 0; x < this.argumentCount_; x++) {
@@ -2979,16 +4572,17 @@ Blockly.Blocks['let_typed'] = {
         return Blockly.Scheme.monoType(argv.getTypeExpr());
       }
     }
-    if (fieldName !== 'VAR') {
+    if (this.getBindingFieldNames_().indexOf(fieldName) == -1) {
       return null;
     }
-    if ('REC_VAR' in this.lastTypeScheme_ && opt_reference) {
+    var recName = 'REC_' + fieldName;
+    if (recName in this.lastTypeScheme_ && opt_reference) {
       var refs = this.getRecursiveReferences();
       if (refs.indexOf(opt_reference) != -1) {
-        return this.lastTypeScheme_['REC_VAR'];
+        return this.lastTypeScheme_[recName];
       }
     }
-    return this.lastTypeScheme_['VAR'];
+    return this.lastTypeScheme_[fieldName];
   },
 
   canToggleIsStatement: function() {
@@ -3066,13 +4660,132 @@ Blockly.Blocks['let_typed'] = {
     }
   },
 
+  /**
+   * Returns references to any of variables bound by this block inside of
+   * the bound expressions.
+   * @return {!Array.<!Blockly.BoundVariableAbstract>} List of references.
+   */
   getRecursiveReferences: function() {
-    var variable = this.typedValue['VAR']
-    var inputExp1 = this.getInput('EXP1');
-    if (!inputExp1) {
-      return [];
+    var refs = [];
+    var fieldNames = this.getBindingFieldNames_();
+    var inputNames = this.getBindingInputNames_();
+    for (var i = 0, inputName; inputName = inputNames[i]; i++) {
+      var input = this.getInput(inputName);
+      if (!input) {
+        continue;
+      }
+      for (var j = 0, fieldName; fieldName = fieldNames[j]; j++) {
+        var variable = this.typedValue[fieldName];
+        refs = refs.concat(Blockly.BoundVariables.findReferencesInside(
+            variable, input.connection));
+      }
+    }
+    return refs;
+  },
+
+  /**
+   * Returns the label with which callers supply the given argument.
+   * @param {number} x The index of the argument.
+   * @return {string} The label, or an empty string if the argument is
+   *     unlabeled.
+   */
+  getArgumentLabel: function(x) {
+    if (!this.argLabels_[x]) {
+      return '';
+    }
+    return this.typedValue['ARG' + x].getVariableName();
+  },
+
+  /**
+   * Returns whether the given argument is an optional one.
+   * @param {number} x The index of the argument.
+   * @return {boolean} True if the argument is declared with '?'.
+   */
+  isOptionalArgument: function(x) {
+    return this.argLabels_[x] == '?';
+  },
+
+  /**
+   * Set the kind of label of the given argument, and show it in front of the
+   * argument variable.
+   * @param {number} x The index of the argument.
+   * @param {string} kind '' for unlabeled, '~' for labeled or '?' for
+   *     optional.
+   * @private
+   */
+  setArgumentLabel_: function(x, kind) {
+    kind = kind || '';
+    this.argLabels_[x] = kind;
+    var input = this.getInput('VARIABLE');
+    var labelName = 'ARG_LABEL' + x;
+    var labelField = this.getField(labelName);
+    if (labelField) {
+      if (kind) {
+        labelField.setText(kind);
+        return;
+      }
+      input.removeField(labelName);
+      return;
+    }
+    if (kind) {
+      var index = input.fieldRow.indexOf(this.getField('ARG' + x));
+      input.insertFieldAt(index, kind, labelName);
+    }
+  },
+
+  /**
+   * Add or remove bindings joined with 'and' so that this block has the
+   * given number of them.
+   * @param {number} expectedCount The number of bindings after the first one.
+   */
+  resizeAndBindings: function(expectedCount) {
+    // Stop rendering to avoid rendering objects which are already destroyed.
+    var storedRendered = this.rendered;
+    this.rendered = false;
+    while (expectedCount < this.andCount_) {
+      var index = this.andCount_ - 1;
+      var expInput = this.getInput('AND_EXP' + index);
+      var workbench = expInput.connection.contextWorkbench;
+      workbench && workbench.dispose();
+      var expBlock = expInput.connection.targetBlock();
+      if (expBlock) {
+        expBlock.dispose();
+      }
+      var input = this.getInput('AND' + index);
+      var field = this.getField('AND_VAR' + index);
+      goog.array.remove(input.fieldRow, field);
+      field.dispose(true);
+      // Decrement the count first to avoid type inference on the inputs
+      // being removed.
+      this.andCount_--;
+      this.removeInput('AND_EXP' + index);
+      this.removeInput('AND' + index);
+    }
+    this.rendered = storedRendered;
+    while (this.andCount_ < expectedCount) {
+      var index = this.andCount_;
+      var varType = Blockly.TypeExpr.generateTypeVar();
+      var field = Blockly.FieldBoundVariable.newValue(varType);
+      this.appendDummyInput('AND' + index)
+          .appendField('and')
+          .appendField(field, 'AND_VAR' + index)
+          .setAlign(Blockly.ALIGN_RIGHT);
+      if (this.rendered) {
+        field.init();
+      } else {
+        field.initModel();
+      }
+      this.appendValueInput('AND_EXP' + index)
+          .setTypeExpr(varType)
+          .appendField('=')
+          .setWorkbench(new Blockly.Workbench())
+          .setAlign(Blockly.ALIGN_RIGHT);
+      if (!this.isStatement_) {
+        this.moveInputBefore('AND' + index, 'EXP2');
+        this.moveInputBefore('AND_EXP' + index, 'EXP2');
+      }
+      this.andCount_++;
     }
-    return Blockly.BoundVariables.findReferencesInside(variable, inputExp1.connection);
   },
 
   customContextMenu: function(options) {
@@ -3113,8 +4826,14 @@ Blockly.Blocks['let_typed'] = {
       var variable = this.typedValue['ARG' + x];
       var textNode = document.createTextNode(variable.getVariableName());
       itemDom.appendChild(textNode);
+      if (this.argLabels_[x]) {
+        itemDom.setAttribute('label', this.argLabels_[x]);
+      }
       container.appendChild(itemDom);
     }
+    if (this.andCount_) {
+      container.setAttribute('ands', this.andCount_);
+    }
     return container;
   },
   /**
@@ -3134,6 +4853,7 @@ Blockly.Blocks['let_typed'] = {
     }
     var childNodes = xmlElement.childNodes;
     this.argumentCount_ = childNodes.length;
+    this.argLabels_ = [];
     for (var x = 0; x < this.argumentCount_; x++) {
       var text = childNodes[x].textContent;
       var A = Blockly.TypeExpr.generateTypeVar();
@@ -3145,7 +4865,9 @@ Blockly.Blocks['let_typed'] = {
       } else {
         field.initModel();
       }
+      this.setArgumentLabel_(x, childNodes[x].getAttribute('label'));
     }
+    this.resizeAndBindings(parseInt(xmlElement.getAttribute('ands'), 10) || 0);
   },
   /**
    * Populate the mutator's dialog with this block's components.
@@ -3161,7 +4883,16 @@ Blockly.Blocks['let_typed'] = {
     }
     var connection = containerBlock.getInput('STACK').connection;
     for (var x = 0; x < this.argumentCount_; x++) {
-      var itemBlock = workspace.newBlock('parameters_arg_item');
+      var itemBlock = workspace.newBlock('let_arg_item');
+      itemBlock.setFieldValue(this.argLabels_[x], 'LABEL');
+      if (itemBlock.initSvg) {
+        itemBlock.initSvg();
+      }
+      connection.connect(itemBlock.previousConnection);
+      connection = itemBlock.nextConnection;
+    }
+    for (var x = 0; x < this.andCount_; x++) {
+      var itemBlock = workspace.newBlock('let_and_item');
       if (itemBlock.initSvg) {
         itemBlock.initSvg();
       }
@@ -3170,24 +4901,54 @@ Blockly.Blocks['let_typed'] = {
     }
     return containerBlock;
   },
+
+  /**
+   * Count the mutator's items of each kind.
+   * @param {!Blockly.Block} containerBlock Root block in mutator.
+   * @return {!{args: number, ands: number, labels: !Array.<string>}} The
+   *     number of parameters, that of bindings joined with 'and', and the kind
+   *     of label of each parameter.
+   * @private
+   */
+  countMutatorItems_: function(containerBlock) {
+    var counts = {args: 0, ands: 0, labels: []};
+    var itemBlock = containerBlock.getInputTargetBlock('STACK');
+    while (itemBlock) {
+      if (itemBlock.type == 'let_and_item') {
+        counts.ands++;
+      } else {
+        counts.args++;
+        counts.labels.push(itemBlock.getField('LABEL') ?
+            itemBlock.getFieldValue('LABEL') : '');
+      }
+      itemBlock = itemBlock.getNextBlock();
+    }
+    return counts;
+  },
   /**
    * Reconfigure this block based on the mutator dialog's components.
    * @param {!Blockly.Block} containerBlock Root block in mutator.
    * @this Blockly.Block
    */
   compose: function(containerBlock) {
-    var itemCount = containerBlock.getItemCount();
+    var counts = this.countMutatorItems_(containerBlock);
+    var itemCount = counts.args;
     var input = this.getInput('VARIABLE');
-    var contextChanged = itemCount != this.argumentCount_;
+    var contextChanged = itemCount != this.argumentCount_ ||
+        counts.ands != this.andCount_ ||
+        !goog.array.equals(counts.labels,
+            this.argLabels_.slice(0, itemCount));
 
     while (itemCount < this.argumentCount_) {
       var index = this.argumentCount_ - 1;
       var name = 'ARG' + index;
       var field = this.getField(name);
+      this.setArgumentLabel_(index, '');
       field.dispose(true);
       goog.array.remove(input.fieldRow, field);
       this.argumentCount_--;
     }
+    this.argLabels_.length = this.argumentCount_;
     while (this.argumentCount_ < itemCount) {
       var A = Blockly.TypeExpr.generateTypeVar();
       var field = Blockly.FieldBoundVariable.newValue(A);
@@ -3199,6 +4960,10 @@ Blockly.Blocks['let_typed'] = {
       }
       this.argumentCount_++;
     }
+    for (var x = 0; x < itemCount; x++) {
+      this.setArgumentLabel_(x, counts.labels[x]);
+    }
+    this.resizeAndBindings(counts.ands);
     if (contextChanged) {
       var variable = this.typedValue['VAR'];
       variable.updateReferenceStructure();
@@ -3227,22 +4992,28 @@ Blockly.Blocks['let_typed'] = {
    * @this Blockly.Block
    */
   wouldChange: function(containerBlock) {
-    return containerBlock.getItemCount() != this.argumentCount_;
+    var counts = this.countMutatorItems_(containerBlock);
+    return counts.args != this.argumentCount_ ||
+        counts.ands != this.andCount_ ||
+        !goog.array.equals(counts.labels,
+            this.argLabels_.slice(0, counts.args));
   },
 
   clearInnerTypes: function() {
-    this.typedValue['VAR'].getTypeExpr().clear();
     for (var x = 0; x < this.argumentCount_; x++) {
       var variable = this.typedValue['ARG' + x];
       variable.getTypeExpr().clear();
     }
-    delete this.lastTypeScheme_['VAR'];
-    delete this.lastTypeScheme_['REC_VAR'];
+    var fieldNames = this.getBindingFieldNames_();
+    for (var i = 0, name; name = fieldNames[i]; i++) {
+      this.typedValue[name].getTypeExpr().clear();
+      delete this.lastTypeScheme_[name];
+      delete this.lastTypeScheme_['REC_' + name];
+    }
   },
 
   infer: function(ctx) {
     var variable = this.typedValue['VAR'];
-    var var_name = variable.getVariableName();
     var expected_exp1 = this.getInput('EXP1').connection.typeExpr;
 
     if (this.argumentCount_ == 0) {
@@ -3250,21 +5021,38 @@ Blockly.Blocks['let_typed'] = {
       var varType = this.typedValue['VAR'].getTypeExpr();
       exp1Type.unify(varType);
     } else {
-      var funTypes = [];
-      for (var x = 0; x < this.argumentCount_; x++) {
-        var argVar = this.typedValue['ARG' + x];
-        funTypes.push(argVar.getTypeExpr());
+      var funType = expected_exp1;
+      for (var x = this.argumentCount_ - 1; 0 <= x; x--) {
+        var argType = this.typedValue['ARG' + x].getTypeExpr();
+        if (this.isOptionalArgument(x)) {
+          // Callers supply the value itself while the body receives an
+          // option of it.
+          var suppliedType = Blockly.TypeExpr.generateTypeVar();
+          argType.unify(new Blockly.TypeExpr.OPTION(suppliedType));
+          argType = suppliedType;
+        }
+        funType = new Blockly.TypeExpr.FUN(argType, funType,
+            this.getArgumentLabel(x), this.isOptionalArgument(x));
       }
-      funTypes.push(expected_exp1);
-      var funType = Blockly.TypeExpr.createFunType(funTypes);
       variable.getTypeExpr().unify(funType);
     }
-    // Create the context for the EXP1 input.
-    var ctx1 = ctx.copy();
-    var monoScheme = Blockly.Scheme.monoType(variable.getTypeExpr());
+    for (var x = 0; x < this.andCount_; x++) {
+      var expectedAndExp = this.getInput('AND_EXP' + x).connection.typeExpr;
+      this.typedValue['AND_VAR' + x].getTypeExpr().unify(expectedAndExp);
+    }
+    var fieldNames = this.getBindingFieldNames_();
+    var inputNames = this.getBindingInputNames_();
+    // Create the context for the bound expressions. Variables of a recursive
+    // group are monomorphic in any of them.
+    var recCtx = ctx.copy();
     if (this.isRecursive_) {
-      ctx1.addTypeToEnv(var_name, monoScheme);
+      for (var i = 0, fieldName; fieldName = fieldNames[i]; i++) {
+        var groupVar = this.typedValue[fieldName];
+        recCtx.addTypeToEnv(groupVar.getVariableName(),
+            Blockly.Scheme.monoType(groupVar.getTypeExpr()));
+      }
     }
+    var ctx1 = recCtx.copy();
     for (var x = 0; x < this.argumentCount_; x++) {
       var argVar = this.typedValue['ARG' + x];
       var varName = argVar.getVariableName();
@@ -3275,23 +5063,38 @@ Blockly.Blocks['let_typed'] = {
 
     if (exp1)
       exp1.unify(expected_exp1);
+    for (var x = 0; x < this.andCount_; x++) {
+      var andExp = this.callInfer('AND_EXP' + x, recCtx.copy());
+      if (andExp) {
+        andExp.unify(this.getInput('AND_EXP' + x).connection.typeExpr);
+      }
+    }
 
-    var applyPolyType = variable.getTypeExpr().deref().isFunction();
-    var schemeForExp2;
+    // Generalize the types only after the whole group is inferred.
     var ctx2 = ctx.copy();
-    if (applyPolyType) {
-      if (this.isRecursive_) {
-        // Prevent recursive reference blocks to be unified with poly-type.
-        // All of recursive reference must be mono-type.
-        this.lastTypeScheme_['REC_VAR'] = monoScheme;
+    for (var i = 0, fieldName; fieldName = fieldNames[i]; i++) {
+      var boundVar = this.typedValue[fieldName];
+      var monoScheme = Blockly.Scheme.monoType(boundVar.getTypeExpr());
+      // The value restriction: types of expansive expressions such as
+      // function applications are not generalized.
+      var expBlock = this.getInputTargetBlock(inputNames[i]);
+      var hasArguments = i == 0 && this.argumentCount_ != 0;
+      var applyPolyType = boundVar.getTypeExpr().deref().isFunction() &&
+          (hasArguments || !expBlock || expBlock.isNonExpansive());
+      var scheme;
+      if (applyPolyType) {
+        if (this.isRecursive_) {
+          // Prevent recursive reference blocks to be unified with poly-type.
+          // All of recursive reference must be mono-type.
+          this.lastTypeScheme_['REC_' + fieldName] = monoScheme;
+        }
+        scheme = ctx.createPolyType(boundVar.getTypeExpr());
+      } else {
+        scheme = monoScheme;
       }
-      schemeForExp2 = ctx.createPolyType(variable.getTypeExpr());
-    } else {
-      schemeForExp2 = monoScheme;
+      this.lastTypeScheme_[fieldName] = scheme;
+      ctx2.addTypeToEnv(boundVar.getVariableName(), scheme);
     }
-    this.lastTypeScheme_['VAR'] = schemeForExp2;
-
-    ctx2.addTypeToEnv(var_name, schemeForExp2);
     if (this.isStatement_) {
       this.callInfer(this.nextConnection, ctx2);
       return null;
@@ -3709,7 +5512,12 @@ Blockly.Blocks['let_fun_pattern_typed'] = {
     if (exp1)
       exp1.unify(expected_exp1);
 
-    var applyPolyType = variable.getTypeExpr().deref().isFunction();
+    // The value restriction: types of expansive expressions such as function
+    // applications are not generalized.
+    var exp1Block = this.getInputTargetBlock('EXP1');
+    var applyPolyType = variable.getTypeExpr().deref().isFunction() &&
+        (this.argumentCount_ != 0 || !exp1Block ||
+         exp1Block.isNonExpansive());
     var schemeForExp2;
     var ctx2 = ctx.copy();
     if (applyPolyType) {
@@ -3757,6 +5565,133 @@ Blockly.Blocks['letstatement_fun_pattern_typed'].init = function() {
   Blockly.Blocks['let_fun_pattern_typed'].init.call(this, false, true);
 };
 
+Blockly.Blocks['module_typed'] = {
+  // module M = struct ... end
+  init: function() {
+    this.setColour(Blockly.Msg['MODULES_HUE']);
+    var thisBlock = this;
+    var validator = function(text) {
+      var name = Blockly.BoundVariables.moduleNameValidator(text);
+      if (name) {
+        thisBlock.renameModule_(name);
+      }
+      return name;
+    };
+    this.appendDummyInput()
+        .appendField('module')
+        .appendField(new Blockly.FieldTextInput('M', validator), 'NAME')
+        .appendField('= struct');
+    this.appendStatementInput('BODY')
+        .setTypeExpr(Blockly.TypeExpr.generateTypeVar());
+    this.appendDummyInput()
+        .appendField('end');
+    this.setTypedStatements(true);
+    this.setTooltip(Blockly.Msg['MODULE_TOOLTIP']);
+  },
+
+  /**
+   * Returns the variables which the blocks in this module's body define, and
+   * which can be accessed from outside with the module name, e.g. `M.x`.
+   * @return {!Blockly.Block.VariableContext} The exported variables.
+   */
+  getExports: function() {
+    var ctx = new Blockly.Block.VariableContext();
+    var block = this.getInputTargetBlock('BODY');
+    while (block) {
+      // Variables made visible by 'open' are not exported.
+      if (block.type != 'open_module_typed') {
+        block.updateVariableEnvImpl(block.nextConnection, ctx);
+      }
+      block = block.getNextBlock();
+    }
+    return ctx;
+  },
+
+  /**
+   * Update the module path of references qualified with this module's name
+   * after the module is renamed.
+   * @param {string} newName The new name of the module.
+   * @private
+   */
+  renameModule_: function(newName) {
+    // Pairs of the exported variables and how deep they are nested from this
+    // module.
+    var staq = [[this.getExports(), 0]];
+    while (staq.length) {
+      var pair = staq.pop();
+      var ctx = pair[0];
+      var depth = pair[1];
+      var values = ctx.getAllVariables();
+      for (var i = 0, value; value = values[i]; i++) {
+        var variables = value.getAllBoundVariables();
+        for (var j = 0, variable; variable = variables[j]; j++) {
+          var path = variable.isReference() ? variable.getModulePath() : null;
+          if (!path) {
+            continue;
+          }
+          // The name of this module is followed by those of nested modules
+          // in the path, e.g. M.N for a reference M.N.x.
+          var names = path.split('.');
+          var index = names.length - 1 - depth;
+          if (0 <= index && names[index] != newName) {
+            names[index] = newName;
+            variable.setModulePath(names.join('.'));
+          }
+        }
+      }
+      var moduleNames = ctx.getModuleNames();
+      for (var i = 0, name; name = moduleNames[i]; i++) {
+        staq.push([ctx.getModule(name), depth + 1]);
+      }
+    }
+  },
+
+  updateVariableEnv: function(conn, ctx) {
+    if (!conn || this.nextConnection != conn) {
+      return;
+    }
+    ctx.addModule(this.getFieldValue('NAME'), this.getExports());
+  },
+
+  infer: function(ctx) {
+    // Bindings in the body are not visible from the following blocks without
+    // the module name.
+    this.callInfer('BODY', ctx.copy());
+    this.callInfer(this.nextConnection, ctx);
+    return null;
+  }
+};
+
+Blockly.Blocks['open_module_typed'] = {
+  // open M
+  init: function() {
+    this.setColour(Blockly.Msg['MODULES_HUE']);
+    var validator = function(text) {
+      // A module path, e.g. M or M.N for a module N nested in M.
+      var names = goog.string.trim(text).split('.');
+      for (var i = 0; i < names.length; i++) {
+        names[i] = Blockly.BoundVariables.moduleNameValidator(names[i]);
+        if (!names[i]) {
+          return null;
+        }
+      }
+      return names.join('.');
+    };
+    this.appendDummyInput()
+        .appendField('open')
+        .appendField(new Blockly.FieldTextInput('M', validator), 'MODULE');
+    this.setTypedStatements(true);
+    this.setTooltip(Blockly.Msg['OPEN_MODULE_TOOLTIP']);
+  },
+
+  updateVariableEnv: function(conn, ctx) {
+    if (!conn || this.nextConnection != conn) {
+      return;
+    }
+    ctx.openModule(this.getFieldValue('MODULE'));
+  }
+};
+
 Blockly.Blocks['dummy_statement_typed'] = {
   init: function() {
     var type = Blockly.TypeExpr.generateTypeVar();
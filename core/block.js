@@ -39,6 +39,7 @@ goog.require('Blockly.FieldBoundVariable');
 goog.require('Blockly.FlyoutMutator');
 goog.require('Blockly.Input');
 goog.require('Blockly.Mutator');
+goog.require('Blockly.PatternMatrix');
 goog.require('Blockly.PatternWorkbench');
 goog.require('Blockly.Scheme');
 goog.require('Blockly.TypeWorkbench');
@@ -1986,6 +1987,14 @@ Blockly.Block.prototype.setWarningText = function(_text, _opt_id) {
   // NOP.
 };
 
+/**
+ * Show the result of evaluating this block.
+ * @param {?string} _text The value and type of this block, or null to delete.
+ */
+Blockly.Block.prototype.setEvaluationText = function(_text) {
+  // NOP.
+};
+
 /**
  * Give this block a mutator dialog.
  * @param {Blockly.Mutator} _mutator A mutator dialog instance or null to
@@ -2090,10 +2099,15 @@ Blockly.Block.typeInferenceContext.prototype.copy = function() {
  * @param {boolean=} opt_unifyOrphan True if unify type expression of
  *     reference variable which do not have the bound value in its environment.
  *     Defaults to false.
+ * @param {function(!Blockly.Block, *)=} opt_errorHandler If provided, errors
+ *     thrown during type inference on a block are passed to this function
+ *     together with the block, and type inference continues on the rest of
+ *     blocks.
  * @private
  * @static
  */
-Blockly.Block.inferBlocksType_ = function(blocks, opt_reset, opt_unifyOrphan) {
+Blockly.Block.inferBlocksType_ = function(blocks, opt_reset, opt_unifyOrphan,
+    opt_errorHandler) {
   if (opt_reset) {
     for (var i = 0, block; block = blocks[i]; i++) {
       if (!block.isTransferring()) {
@@ -2102,9 +2116,18 @@ Blockly.Block.inferBlocksType_ = function(blocks, opt_reset, opt_unifyOrphan) {
     }
   }
   for (var i = 0, block; block = blocks[i]; i++) {
-    if (!block.isTransferring()) {
-      var context = new Blockly.Block.typeInferenceContext(opt_unifyOrphan);
+    if (block.isTransferring()) {
+      continue;
+    }
+    var context = new Blockly.Block.typeInferenceContext(opt_unifyOrphan);
+    if (!opt_errorHandler) {
       block.inferTypes(context);
+      continue;
+    }
+    try {
+      block.inferTypes(context);
+    } catch (e) {
+      opt_errorHandler(block, e);
     }
   }
 };
@@ -2163,6 +2186,34 @@ Blockly.Block.prototype.updateTypeInference = function(opt_reset) {
   }
 };
 
+/**
+ * Replace the type expression of this block's output, e.g. after a mutator
+ * changed the shape of this block. If the parent block does not accept the
+ * new type, disconnect this block from the parent.
+ * @param {!Blockly.TypeExpr} typeExpr The new type expression.
+ * @return {boolean} True if this block has been disconnected.
+ */
+Blockly.Block.prototype.replaceOutputTypeExpr = function(typeExpr) {
+  var oldTypeExpr = this.outputConnection.typeExpr;
+  this.setOutputTypeExpr(typeExpr, true);
+  if (!this.workspace || !this.outputConnection.isConnected()) {
+    return false;
+  }
+  var failed = false;
+  Blockly.Block.doTypeInference(this.workspace.getMainWorkspace(),
+      function() {
+        failed = true;
+      });
+  if (failed) {
+    // Disconnecting a block triggers type inference on the workspace, so it
+    // has to be done while the old type is still in place.
+    this.setOutputTypeExpr(oldTypeExpr, true);
+    this.unplug();
+    this.setOutputTypeExpr(typeExpr, true);
+  }
+  return failed;
+};
+
 /**
  * Returns whether the block is typed and has a type expression.
  * @param {!Blockly.Block} block
@@ -2194,9 +2245,14 @@ Blockly.Block.isTypedBlock = function(block) {
 /**
  * Trigger type inference on the given workspace and its descendant
  * workbenches's workspace.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @param {function(!Blockly.Block, *)=} opt_errorHandler If provided, type
+ *     inference does not stop at the first failure. Instead, this function is
+ *     called with each root block whose type inference failed and the thrown
+ *     error.
  * @static
  */
-Blockly.Block.doTypeInference = function(workspace) {
+Blockly.Block.doTypeInference = function(workspace, opt_errorHandler) {
   if (workspace.isFlyout) {
     return;
   }
@@ -2232,7 +2288,8 @@ Blockly.Block.doTypeInference = function(workspace) {
     }
   }
 
-  Blockly.Block.inferBlocksType_(blocksToUpdate, true, true);
+  Blockly.Block.inferBlocksType_(blocksToUpdate, true, true,
+      opt_errorHandler);
 };
 
 /**
@@ -2391,6 +2448,12 @@ Blockly.Block.VariableContext = function() {
    */
   this.variableEnv_ = {};
   this.structureEnv_ = {};
+  /**
+   * Variables exported by modules, keyed by module names.
+   * @type {!Object<!string, !Blockly.Block.VariableContext>}
+   * @private
+   */
+  this.moduleEnv_ = {};
 };
 
 /**
@@ -2406,7 +2469,8 @@ Blockly.Block.VariableContext.prototype.getEnvWithLabel_ = function(label) {
     return this.variableEnv_;
   }
   if (Blockly.BoundVariableAbstract.isRecordLabel(label) ||
-      Blockly.BoundVariableAbstract.isRecordFieldLabel(label)) {
+      Blockly.BoundVariableAbstract.isRecordFieldLabel(label) ||
+      Blockly.BoundVariableAbstract.isTypeAliasLabel(label)) {
     return this.structureEnv_;
   }
   goog.asserts.fail('Unexpected variable label.');
@@ -2469,12 +2533,55 @@ Blockly.Block.VariableContext.prototype.getStructureVariables = function() {
 Blockly.Block.VariableContext.prototype.addStructureVariable = function(
     variable) {
   goog.asserts.assert(!variable.isReference() && (variable.isRecord() ||
-     variable.isRecordField()),
+     variable.isRecordField() || variable.isTypeAlias()),
      'Only structure variable values are acceptable.');
   var name = variable.getVariableName();
   this.structureEnv_[name] = variable;
 };
 
+/**
+ * Functions to get and add modules.
+ */
+Blockly.Block.VariableContext.prototype.getModuleNames = function() {
+  return Object.keys(this.moduleEnv_);
+};
+Blockly.Block.VariableContext.prototype.addModule = function(name, moduleCtx) {
+  this.moduleEnv_[name] = moduleCtx;
+};
+
+/**
+ * Look up a module by its path, e.g. 'M' or 'M.N' for a module N nested in
+ * M.
+ * @param {string} path The module path.
+ * @return {Blockly.Block.VariableContext} The variables exported by the
+ *     module, or null if not found.
+ */
+Blockly.Block.VariableContext.prototype.getModule = function(path) {
+  var ctx = this;
+  var names = path.split('.');
+  for (var i = 0; i < names.length; i++) {
+    if (!(names[i] in ctx.moduleEnv_)) {
+      return null;
+    }
+    ctx = ctx.moduleEnv_[names[i]];
+  }
+  return ctx;
+};
+
+/**
+ * Make variables exported by the module visible without qualification.
+ * @param {string} path The module path.
+ * @return {boolean} True if the module is found.
+ */
+Blockly.Block.VariableContext.prototype.openModule = function(path) {
+  var moduleCtx = this.getModule(path);
+  if (!moduleCtx) {
+    return false;
+  }
+  this.assignEnv(moduleCtx);
+  return true;
+};
+
 Blockly.Block.VariableContext.prototype.getVariablesWithLabel = function(
     label) {
   var env = this.getEnvWithLabel_(label);
@@ -2489,6 +2596,7 @@ Blockly.Block.VariableContext.prototype.getAllVariables = function(ctx) {
 Blockly.Block.VariableContext.prototype.assignEnv = function(ctx) {
   Object.assign(this.variableEnv_, ctx.variableEnv_);
   Object.assign(this.structureEnv_, ctx.structureEnv_);
+  Object.assign(this.moduleEnv_, ctx.moduleEnv_);
 };
 
 
@@ -2607,8 +2715,7 @@ Blockly.Block.prototype.resolveReferenceWithEnv_ = function(ctx, opt_bind,
       true /** Gets structure variables too. */);
   var allBound = true;
   for (var i = 0, variable; variable = referenceList[i]; i++) {
-    var name = variable.getVariableName();
-    var value = ctx.getVariableWithLabel(name, variable.label);
+    var value = Blockly.BoundVariables.lookupReference(ctx, variable);
     var currentValue = variable.getBoundValue();
     if (!value) {
       // Refers to an undefined variable.
@@ -2724,6 +2831,48 @@ Blockly.Block.prototype.getUnboundVariables = function() {
   return collector.getUnboundVariables();
 };
 
+/**
+ * Return the toplevel statements to run before evaluating this block on its
+ * own, i.e., the statements from the top of the stack this block is in up to
+ * the last one which defines a free variable on this block.
+ * @return {Array.<!Blockly.Block>} List of the statements in order, or null if
+ *     any free variable on this block is unbound or bound by a block other
+ *     than the toplevel statements preceding the one this block is in.
+ */
+Blockly.Block.prototype.getToplevelPrefix = function() {
+  var statement = this;
+  while (statement.getSurroundParent()) {
+    statement = statement.getSurroundParent();
+  }
+  var preceding = [];
+  var prev = statement.getPreviousBlock();
+  while (prev) {
+    preceding.unshift(prev);
+    prev = prev.getPreviousBlock();
+  }
+  var descendants = this.getDescendants();
+  var end = 0;
+  for (var i = 0, block; block = descendants[i]; i++) {
+    var references = block.getVariables(true, true);
+    for (var j = 0, reference; reference = references[j]; j++) {
+      var value = reference.getBoundValue();
+      if (!value) {
+        return null;
+      }
+      var sourceBlock = value.getSourceBlock();
+      if (descendants.indexOf(sourceBlock) != -1) {
+        continue;
+      }
+      var index = preceding.indexOf(sourceBlock);
+      if (index == -1) {
+        return null;
+      }
+      end = Math.max(end, index + 1);
+    }
+  }
+  return preceding.slice(0, end);
+};
+
 /**
  * Remove an input from this block after deleting free variables on the
  * attached value block. If the given input does not exist in this block, just
@@ -2793,6 +2942,36 @@ Blockly.Block.prototype.allInputsFilled = function(opt_shadowBlocksAreFilled) {
   return true;
 };
 
+/**
+ * Returns whether the expression this block represents is non-expansive, i.e.
+ * a syntactic value such as a constant, a variable or a function. Only types
+ * of non-expansive expressions are generalized by let (the value restriction),
+ * so that e.g. "ref []" is not given a polymorphic type. Block definitions
+ * representing values override this method.
+ * @return {boolean} True if the expression is non-expansive.
+ */
+Blockly.Block.prototype.isNonExpansive = function() {
+  return false;
+};
+
+/**
+ * Returns whether all blocks connected to value inputs of this block are
+ * non-expansive. Empty inputs are regarded as non-expansive.
+ * @return {boolean} True if all the children are non-expansive.
+ */
+Blockly.Block.prototype.childrenAreNonExpansive = function() {
+  for (var i = 0, input; input = this.inputList[i]; i++) {
+    if (input.type != Blockly.INPUT_VALUE) {
+      continue;
+    }
+    var target = input.connection.targetBlock();
+    if (target && !target.isNonExpansive()) {
+      return false;
+    }
+  }
+  return true;
+};
+
 /**
  * This method returns a string describing this Block in developer terms (type
  * name and ID; English only).
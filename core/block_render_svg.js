@@ -488,6 +488,13 @@ Blockly.BlockSvg.prototype.renderCompute_ = function(iconWidth) {
       var typeHeight =
           Blockly.RenderedTypeExpr.getTypeExprHeight(input.connection.typeExpr);
       input.renderHeight = Math.max(input.renderHeight, typeHeight);
+      // Make room for the type label of an empty inline input.
+      var typedHole = input.connection.updateTypedHole();
+      if (typedHole && isInline) {
+        input.renderWidth = Math.max(input.renderWidth,
+            Blockly.BlockSvg.TAB_WIDTH + typedHole.getWidth() +
+            Blockly.BlockSvg.SEP_SPACE_X);
+      }
     }
 
     // Blocks have a one pixel shadow that should sometimes overhang.
@@ -700,8 +707,8 @@ Blockly.BlockSvg.prototype.renderMoveConnections_ = function() {
 };
 
 /**
- * Render the highlights for type variables attached to the connection.
- * Should be called after all of connections on this block has been updated
+ * Render the highlights for type variables and the typed holes attached to
+ * the connection. Should be called after all of connections on this block has been updated
  * with the new locations.
  * @private
  */
@@ -713,6 +720,7 @@ Blockly.BlockSvg.prototype.renderTypeVarHeightlights_ = function() {
   for (var i = 0, input; input = this.inputList[i]; i++) {
     if (input.connection) {
       input.connection.renderTypeVarHighlights();
+      input.connection.renderTypedHole();
     }
   }
 };
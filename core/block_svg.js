@@ -29,6 +29,7 @@ goog.provide('Blockly.BlockSvg');
 goog.require('Blockly.Block');
 goog.require('Blockly.BlockAnimations');
 goog.require('Blockly.ContextMenu');
+goog.require('Blockly.Evaluation');
 goog.require('Blockly.Events.Ui');
 goog.require('Blockly.Events.BlockMove');
 goog.require('Blockly.Grid');
@@ -36,6 +37,7 @@ goog.require('Blockly.RenderedConnection');
 goog.require('Blockly.RenderedTypeExpr');
 goog.require('Blockly.Tooltip');
 goog.require('Blockly.Touch');
+goog.require('Blockly.TypedHole');
 goog.require('Blockly.utils');
 
 goog.require('goog.color');
@@ -205,6 +207,7 @@ Blockly.BlockSvg.prototype.select = function() {
   Blockly.Events.fire(event);
   Blockly.selected = this;
   this.addSelect();
+  Blockly.TypedHole.clearSelection();
 };
 
 /**
@@ -246,7 +249,13 @@ Blockly.BlockSvg.prototype.comment = null;
 Blockly.BlockSvg.prototype.warning = null;
 
 /**
- * Returns a list of mutator, comment, and warning icons.
+ * Block's icon showing the result of evaluating it (if any).
+ * @type {Blockly.Evaluation}
+ */
+Blockly.BlockSvg.prototype.evaluation = null;
+
+/**
+ * Returns a list of mutator, comment, warning, and evaluation icons.
  * @return {!Array} List of icons.
  */
 Blockly.BlockSvg.prototype.getIcons = function() {
@@ -263,6 +272,9 @@ Blockly.BlockSvg.prototype.getIcons = function() {
   if (this.warning) {
     icons.push(this.warning);
   }
+  if (this.evaluation) {
+    icons.push(this.evaluation);
+  }
   return icons;
 };
 
@@ -755,6 +767,15 @@ Blockly.BlockSvg.prototype.showContextMenu_ = function(e) {
 
   menuOptions.push(Blockly.ContextMenu.blockHelpOption(block));
 
+  var isTypedValue = this.outputConnection &&
+      this.outputConnection.typeExprEnabled() && !block.isInFlyout;
+  if (Blockly.evaluateBlock && isTypedValue) {
+    menuOptions.push(Blockly.ContextMenu.blockEvaluateOption(block));
+  }
+  if (Blockly.stepBlock && isTypedValue) {
+    menuOptions.push(Blockly.ContextMenu.blockStepOption(block));
+  }
+
   // Allow the block to add or modify menuOptions.
   if (this.customContextMenu) {
     this.customContextMenu(menuOptions);
@@ -1071,6 +1092,32 @@ Blockly.BlockSvg.prototype.setCommentText = function(text) {
   }
 };
 
+/**
+ * Show the result of evaluating this block in a bubble.
+ * @param {?string} text The value and type of this block, or null to delete.
+ */
+Blockly.BlockSvg.prototype.setEvaluationText = function(text) {
+  var changedState = false;
+  if (typeof text == 'string') {
+    if (!this.evaluation) {
+      this.evaluation = new Blockly.Evaluation(this);
+      changedState = true;
+    }
+    this.evaluation.setResult(text);
+  } else if (this.evaluation) {
+    this.evaluation.dispose();
+    changedState = true;
+  }
+  if (changedState && this.rendered) {
+    this.render();
+    // Adding or removing an icon will cause the block to change shape.
+    this.bumpNeighbours_();
+  }
+  if (this.evaluation && this.rendered) {
+    this.evaluation.setVisible(true);
+  }
+};
+
 /**
  * Set this block's warning text.
  * @param {?string} text The text, or null to delete.
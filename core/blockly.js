@@ -44,8 +44,10 @@ goog.require('Blockly.FieldTextInput');
 goog.require('Blockly.FieldNumber');
 goog.require('Blockly.FieldVariable');
 goog.require('Blockly.Generator');
+goog.require('Blockly.LibrarySignatures');
 goog.require('Blockly.Msg');
 goog.require('Blockly.Procedures');
+goog.require('Blockly.ProblemsPanel');
 goog.require('Blockly.Toolbox');
 goog.require('Blockly.Touch');
 goog.require('Blockly.WidgetDiv');
@@ -77,6 +79,26 @@ Blockly.mainWorkspace = null;
  */
 Blockly.selected = null;
 
+/**
+ * Function which runs a value block on its own, set by the application if it
+ * can run the generated code. It is given the block, the toplevel statements
+ * to run before it (see Blockly.Block.prototype.getToplevelPrefix) and a
+ * callback which receives the value and type of the block as text. If null,
+ * blocks have no context menu option to evaluate them.
+ * @type {?function(!Blockly.Block, !Array.<!Blockly.Block>,
+ *     function(string))}
+ */
+Blockly.evaluateBlock = null;
+
+/**
+ * Function which steps through the evaluation of a value block, set by the
+ * application if it shows a stepper (see Blockly.StepperPanel). It is given
+ * the block and the toplevel statements to run before it. If null, blocks
+ * have no context menu option to step through them.
+ * @type {?function(!Blockly.Block, !Array.<!Blockly.Block>)}
+ */
+Blockly.stepBlock = null;
+
 /**
  * Block currently in the process of transferring and connections that would
  * be connected to each other when block's transferring is done.
@@ -166,6 +166,7 @@ Blockly.BoundVariableAbstract.VARIABLE = 1;
 Blockly.BoundVariableAbstract.CONSTRUCTOR = 3;
 Blockly.BoundVariableAbstract.RECORD = 5;
 Blockly.BoundVariableAbstract.RECORD_FIELD = 6;
+Blockly.BoundVariableAbstract.TYPE_ALIAS = 7;
 
 // Note: Since label names are used to make an error message, they must be
 // lowercase and not be abbreviated. These names are synchronized with XML
@@ -175,7 +176,8 @@ Blockly.BoundVariableAbstract._NAME_LABEL_LIST = [
   ['variable', '変数', Blockly.BoundVariableAbstract.VARIABLE],
   ['constructor', 'コンストラクタ', Blockly.BoundVariableAbstract.CONSTRUCTOR],
   ['record', 'レコード', Blockly.BoundVariableAbstract.RECORD],
-  ['record-field', 'レコードフィールド', Blockly.BoundVariableAbstract.RECORD_FIELD]
+  ['record-field', 'レコードフィールド', Blockly.BoundVariableAbstract.RECORD_FIELD],
+  ['type-alias', '型の別名', Blockly.BoundVariableAbstract.TYPE_ALIAS]
 ];
 
 Blockly.BoundVariableAbstract._LABEL_LIST =
@@ -216,6 +218,9 @@ Blockly.BoundVariableAbstract.prototype.isRecord = function() {
 Blockly.BoundVariableAbstract.prototype.isRecordField = function() {
   return this.label == Blockly.BoundVariableAbstract.RECORD_FIELD;
 };
+Blockly.BoundVariableAbstract.prototype.isTypeAlias = function() {
+  return this.label == Blockly.BoundVariableAbstract.TYPE_ALIAS;
+};
 Blockly.BoundVariableAbstract.isValidLabel = function(label) {
   return Blockly.BoundVariableAbstract._LABEL_LIST.indexOf(label) != -1;
 };
@@ -231,6 +236,9 @@ Blockly.BoundVariableAbstract.isRecordLabel = function(label) {
 Blockly.BoundVariableAbstract.isRecordFieldLabel = function(label) {
   return label == Blockly.BoundVariableAbstract.RECORD_FIELD;
 };
+Blockly.BoundVariableAbstract.isTypeAliasLabel = function(label) {
+  return label == Blockly.BoundVariableAbstract.TYPE_ALIAS;
+};
 
 /**
  * Get the variable name for this variable.
@@ -36,6 +36,14 @@ Blockly.BoundVariableValueReference = function(typeExpr, varName, label,
    */
   this.temporayDisplayName_ = varName;
 
+  /**
+   * The path of the module through which this reference is qualified, e.g.
+   * 'M' for a reference `M.x`, or null if the reference is not qualified.
+   * @type {?string}
+   * @private
+   */
+  this.modulePath_ = null;
+
   Blockly.BoundVariableValueReference.superClass_.constructor.call(this,
       typeExpr, label);
 
@@ -107,6 +115,40 @@ Blockly.BoundVariableValueReference.prototype.setVariableName = function(newName
   }
 };
 
+/**
+ * Gets the module path this reference is qualified with.
+ * @return {?string} The module path, or null if not qualified.
+ */
+Blockly.BoundVariableValueReference.prototype.getModulePath = function() {
+  return this.modulePath_;
+};
+
+/**
+ * Qualify this reference with the given module path.
+ * @param {?string} path The module path, e.g. 'M' or 'M.N', or null to
+ *     remove the qualification.
+ */
+Blockly.BoundVariableValueReference.prototype.setModulePath = function(path) {
+  path = path || null;
+  if (this.modulePath_ === path) {
+    return;
+  }
+  this.modulePath_ = path;
+  var field = this.getMainField();
+  if (field) {
+    field.forceRerender();
+  }
+};
+
+/**
+ * Gets the name of this reference qualified with its module path, e.g. `M.x`.
+ * @return {string} The qualified name.
+ */
+Blockly.BoundVariableValueReference.prototype.getQualifiedName = function() {
+  var name = this.getVariableName();
+  return this.modulePath_ ? this.modulePath_ + '.' + name : name;
+};
+
 /**
  * Returns a list of variables which refer to the same value, or are referred
  * to by them.  Includes this variable in the list.
@@ -109,6 +109,7 @@ Blockly.BoundVariableValue.prototype.setVariableName = function(newName) {
         newName);
     goog.asserts.assert(newName, 'The given name is illegal.');
 
+    var oldName = this.variableName_;
     this.variableName_ = newName;
     for (var i = 0, reference; reference = this.referenceList_[i]; i++) {
       reference.setVariableName(newName);
@@ -118,6 +119,14 @@ Blockly.BoundVariableValue.prototype.setVariableName = function(newName) {
     if (field) {
       field.updateText();
     };
+    // Let ancestors such as or-patterns rename variables tied to this one.
+    var block = this.getSourceBlock();
+    var parent = block ? block.getParent() : null;
+    for (; parent; parent = parent.getParent()) {
+      if (goog.isFunction(parent.boundVariableRenamed)) {
+        parent.boundVariableRenamed(this, oldName);
+      }
+    }
   }
 };
 
@@ -224,6 +233,22 @@ Blockly.BoundVariableValue.prototype.getStructureTypeDef = function() {
   return block.getStructureTypeDef(fieldName);
 };
 
+/**
+ * Gets whether this value is a record field declared as mutable.
+ * @return {boolean} True if this is a mutable record field.
+ */
+Blockly.BoundVariableValue.prototype.isMutableField = function() {
+  if (!this.isRecordField() || !this.parentValue_) {
+    return false;
+  }
+  var block = this.parentValue_.getSourceBlock();
+  var fieldName = this.getMainFieldName();
+  if (!block || !fieldName || typeof block.isMutableField != 'function') {
+    return false;
+  }
+  return block.isMutableField(fieldName);
+};
+
 /**
  * Return a number of the references that refers to this value.
  * @return {number} The number of references.
@@ -235,7 +235,8 @@ Blockly.BoundVariables.getBlockVariableDB = function(variable) {
   if (variable.isVariable() || variable.isConstructor()) {
     return block.typedReference;
   }
-  if (variable.isRecord() || variable.isRecordField()) {
+  if (variable.isRecord() || variable.isRecordField() ||
+      variable.isTypeAlias()) {
     return block.typedStructureReference;
   }
   return null;
@@ -489,6 +490,39 @@ Blockly.BoundVariables.variableNameValidator = function(label, newName) {
   return null;
 };
 
+/**
+ * Validate the given name as a module name.
+ * @param {string} newName The new module name.
+ * @return {string|null} Either the accepted text, or null to abort the
+ *     change.
+ */
+Blockly.BoundVariables.moduleNameValidator = function(newName) {
+  var trimmed = newName ? newName.trim() : '';
+  // [A-Z][\w']*
+  if (trimmed.match(/^[A-Z][\w']*$/) == null) {
+    return null;
+  }
+  return trimmed;
+};
+
+/**
+ * Look up the variable value which the given reference can refer to in the
+ * variable context. A reference qualified with a module path, e.g. `M.x`, is
+ * looked up among variables exported by the module.
+ * @param {!Blockly.Block.VariableContext} ctx The variable context.
+ * @param {!Blockly.BoundVariableValueReference} reference The reference.
+ * @return {Blockly.BoundVariableValue} The variable value if found, or null.
+ */
+Blockly.BoundVariables.lookupReference = function(ctx, reference) {
+  var modulePath = reference.getModulePath();
+  var moduleCtx = modulePath ? ctx.getModule(modulePath) : ctx;
+  if (!moduleCtx) {
+    return null;
+  }
+  return moduleCtx.getVariableWithLabel(reference.getVariableName(),
+      reference.label);
+};
+
 /**
  * Get all the defined variable names of the given label in the
  * workspace.
@@ -521,7 +555,8 @@ Blockly.BoundVariables.getDefinedNames = function(label, workspace) {
 Blockly.BoundVariables.generateUniqueName = function(label, workspace) {
   var namesMap = Blockly.BoundVariables.getDefinedNames(label, workspace);
   var isCtr = Blockly.BoundVariableAbstract.isConstructorLabel(label);
-  var isRecordName = Blockly.BoundVariableAbstract.isRecordLabel(label);
+  var isRecordName = Blockly.BoundVariableAbstract.isRecordLabel(label) ||
+      Blockly.BoundVariableAbstract.isTypeAliasLabel(label);
   var name = null;
   var n = 0;
   while (!name) {
@@ -253,6 +253,52 @@ Blockly.ContextMenu.blockHelpOption = function(block) {
   return helpOption;
 };
 
+/**
+ * Make a context menu option for evaluating the current block on its own. The
+ * option is enabled only if all free variables on the block are defined by
+ * the toplevel statements preceding it.
+ * @param {!Blockly.BlockSvg} block The block where the right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.blockEvaluateOption = function(block) {
+  var prefix = block.getToplevelPrefix();
+  var evaluateOption = {
+    enabled: !!prefix,
+    text: Blockly.Msg['EVALUATE_BLOCK'],
+    callback: function() {
+      block.setEvaluationText(Blockly.Msg['EVALUATING_BLOCK']);
+      Blockly.evaluateBlock(block, prefix, function(result) {
+        // The block might be deleted while it is evaluated.
+        if (block.workspace) {
+          block.setEvaluationText(result);
+        }
+      });
+    }
+  };
+  return evaluateOption;
+};
+
+/**
+ * Make a context menu option for stepping through the evaluation of the
+ * current block. The option is enabled under the same condition as the one
+ * for evaluating the block.
+ * @param {!Blockly.BlockSvg} block The block where the right-click originated.
+ * @return {!Object} A menu option, containing text, enabled, and a callback.
+ * @package
+ */
+Blockly.ContextMenu.blockStepOption = function(block) {
+  var prefix = block.getToplevelPrefix();
+  var stepOption = {
+    enabled: !!prefix,
+    text: Blockly.Msg['STEP_BLOCK'],
+    callback: function() {
+      Blockly.stepBlock(block, prefix);
+    }
+  };
+  return stepOption;
+};
+
 /**
  * Make a context menu option for duplicating the current block.
  * @param {!Blockly.BlockSvg} block The block where the right-click originated.
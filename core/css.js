@@ -346,6 +346,22 @@ Blockly.Css.CONTENT = [
     'font-size: 11pt;',
   '}',
 
+  '.blocklyTypedHoleText {',
+    'cursor: pointer;',
+    'fill: #555;',
+    'font-size: 9pt;',
+    'font-style: italic;',
+  '}',
+
+  '.blocklyTypedHoleSelected {',
+    'fill: #000;',
+    'font-weight: bold;',
+  '}',
+
+  '.blocklyTypeFilteredBlock {',
+    'opacity: .3;',
+  '}',
+
   '.blocklyNonEditableText>text {',
     'pointer-events: none;',
   '}',
@@ -686,6 +702,49 @@ Blockly.Css.CONTENT = [
     '-webkit-tap-highlight-color: transparent;', /* issue #1345 */
   '}',
 
+  /* List of problems in the problems panel. */
+  '.blocklyProblemsHeader {',
+    'font-weight: bold;',
+    'padding: 4px 0;',
+  '}',
+
+  '.blocklyProblemsList {',
+    'list-style: none;',
+    'margin: 0;',
+    'padding: 0;',
+  '}',
+
+  '.blocklyProblemsItem, .blocklyProblemsEmpty {',
+    'border-bottom: 1px solid #ddd;',
+    'padding: 4px;',
+  '}',
+
+  '.blocklyProblemsItem {',
+    'cursor: pointer;',
+  '}',
+
+  '.blocklyProblemsItem:hover {',
+    'background-color: #e4e4e4;',
+  '}',
+
+  /* Stepper panel showing the term being reduced. */
+  '.blocklyStepperHeader {',
+    'font-weight: bold;',
+    'padding: 4px 0;',
+  '}',
+
+  '.blocklyStepperControls {',
+    'padding-bottom: 4px;',
+  '}',
+
+  '.blocklyStepperButton {',
+    'margin-right: 4px;',
+  '}',
+
+  '.blocklyStepperWorkspace {',
+    'height: 300px;',
+  '}',
+
   '.blocklyTreeRoot {',
     'padding: 4px 0;',
   '}',
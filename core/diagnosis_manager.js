@@ -206,6 +206,14 @@ Blockly.ErrorCollector.prototype.isEmpty = function() {
   return this.errors_.length == 0;
 };
 
+/**
+ * Returns a list of collected errors.
+ * @return {!Array.<!Blockly.ErrorItem>} A copy of the list of errors.
+ */
+Blockly.ErrorCollector.prototype.getErrors = function() {
+  return this.errors_.slice();
+};
+
 /**
  * Clear collected errors.
  */
@@ -294,6 +302,29 @@ Blockly.ErrorCollector.prototype.addTypeWorkbenchRefuseBlock = function() {
   this.addItem_(item);
 };
 
+/**
+ * Represents an error where an input is not filled with any block.
+ * @param {!Blockly.Input} input The empty input.
+ */
+Blockly.ErrorCollector.prototype.addEmptyInputError = function(input) {
+  var item = new Blockly.ErrorItem(Blockly.ErrorItem.EMPTY_INPUT, input);
+  this.addItem_(item);
+};
+
+/**
+ * Represents an error where the sides of an or-pattern bind different
+ * variables.
+ * @param {!Blockly.Block} block The or-pattern block.
+ * @param {!Array.<string>} names Names of the variables bound on only one
+ *     side.
+ */
+Blockly.ErrorCollector.prototype.addOrPatternVariablesError = function(block,
+    names) {
+  var item = new Blockly.ErrorItem(Blockly.ErrorItem.OR_PATTERN_VARIABLES,
+      block, names);
+  this.addItem_(item);
+};
+
 /**
  * @constructor
  */
@@ -311,6 +342,8 @@ Blockly.ErrorItem.ORPHAN_PATTERN = 5;
 Blockly.ErrorItem.ORPHAN_TYPE_CTOR = 10;
 Blockly.ErrorItem.PATTERN_WORKBENCH_REFUSE_BLOCK = 15;
 Blockly.ErrorItem.TYPE_WORKBENCH_REFUSE_BLOCK = 20;
+Blockly.ErrorItem.EMPTY_INPUT = 25;
+Blockly.ErrorItem.OR_PATTERN_VARIABLES = 30;
 
 Blockly.ErrorItem.STATE_NONE = 1;
 Blockly.ErrorItem.STATE_CONNECTED_BLOCK = 5;
@@ -358,6 +391,12 @@ Blockly.ErrorItem.prototype.toMessage = function() {
   if (this.label == Blockly.ErrorItem.TYPE_WORKBENCH_REFUSE_BLOCK) {
     return this.toMessageTypeWorkbenchRefuseBlock_();
   }
+  if (this.label == Blockly.ErrorItem.EMPTY_INPUT) {
+    return this.toMessageEmptyInput_();
+  }
+  if (this.label == Blockly.ErrorItem.OR_PATTERN_VARIABLES) {
+    return this.toMessageOrPatternVariables_();
+  }
   goog.asserts.fail('Unknown label');
 };
 
@@ -437,3 +476,28 @@ Blockly.ErrorItem.prototype.toMessageTypeWorkbenchRefuseBlock_ = function() {
       'This error should not happen unless the error state is none.');
   return 'ここには型ブロックしか入れません。';
 };
+
+/**
+ * Get the error message for this empty-input error.
+ * @return {string} An error message for this empty-input error.
+ * @private
+ */
+Blockly.ErrorItem.prototype.toMessageEmptyInput_ = function() {
+  var input = this.errorElement;
+  var typeExpr = input.connection.typeExpr;
+  if (typeExpr && !typeExpr.hasUnknown()) {
+    return '型 ' + typeExpr.getDisplayText() + ' のブロックが入っていません。';
+  }
+  return 'ブロックが入っていない穴があります。';
+};
+
+/**
+ * Get the error message for this or-pattern-variables error.
+ * @return {string} An error message for this or-pattern-variables error.
+ * @private
+ */
+Blockly.ErrorItem.prototype.toMessageOrPatternVariables_ = function() {
+  var names = this.errorTarget;
+  return 'or パターンの両側で同じ変数を束縛してください。' +
+      names.join(', ') + ' は片側でしか束縛されていません。';
+};
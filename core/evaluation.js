@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Object representing the result of evaluating a block.
+ */
+'use strict';
+
+goog.provide('Blockly.Evaluation');
+
+goog.require('Blockly.Warning');
+goog.require('Blockly.utils');
+
+
+/**
+ * Class for the icon which shows the value and type of a block in a bubble
+ * after the block is evaluated from its context menu.
+ * @param {!Blockly.Block} block The block associated with this icon.
+ * @extends {Blockly.Warning}
+ * @constructor
+ */
+Blockly.Evaluation = function(block) {
+  Blockly.Evaluation.superClass_.constructor.call(this, block);
+};
+goog.inherits(Blockly.Evaluation, Blockly.Warning);
+
+/**
+ * Draw the evaluation icon.
+ * @param {!Element} group The icon group.
+ * @private
+ */
+Blockly.Evaluation.prototype.drawIcon_ = function(group) {
+  // Circle.
+  Blockly.utils.createSvgElement('circle',
+      {'class': 'blocklyIconShape', 'r': '8', 'cx': '8', 'cy': '8'},
+      group);
+  // Equals sign.
+  Blockly.utils.createSvgElement('rect',
+      {
+        'class': 'blocklyIconSymbol',
+        'x': '4', 'y': '5', 'height': '2', 'width': '8'
+      },
+      group);
+  Blockly.utils.createSvgElement('rect',
+      {
+        'class': 'blocklyIconSymbol',
+        'x': '4', 'y': '9', 'height': '2', 'width': '8'
+      },
+      group);
+};
+
+/**
+ * Set the text of the evaluation result.
+ * @param {string} text The value and type of the block.
+ */
+Blockly.Evaluation.prototype.setResult = function(text) {
+  this.setText(text, '');
+};
+
+/**
+ * Dispose of this evaluation icon.
+ */
+Blockly.Evaluation.prototype.dispose = function() {
+  this.block_.evaluation = null;
+  Blockly.Icon.prototype.dispose.call(this);
+};
@@ -147,6 +147,12 @@ Blockly.FieldBoundVariable.newValueRecordField =
 Blockly.FieldBoundVariable.newReferenceRecordField =
   Blockly.FieldBoundVariable.NEW_.bind(null,
         Blockly.BoundVariableAbstract.RECORD_FIELD, false);
+Blockly.FieldBoundVariable.newValueTypeAlias =
+  Blockly.FieldBoundVariable.NEW_.bind(null,
+        Blockly.BoundVariableAbstract.TYPE_ALIAS, true);
+Blockly.FieldBoundVariable.newReferenceTypeAlias =
+  Blockly.FieldBoundVariable.NEW_.bind(null,
+        Blockly.BoundVariableAbstract.TYPE_ALIAS, false);
 
 /**
  * Attach this field to a block.
@@ -305,6 +311,9 @@ Blockly.FieldBoundVariable.prototype.isForRecord = function() {
 Blockly.FieldBoundVariable.prototype.isForRecordField = function() {
   return Blockly.BoundVariableAbstract.isRecordFieldLabel(this.label_);
 };
+Blockly.FieldBoundVariable.prototype.isForTypeAlias = function() {
+  return Blockly.BoundVariableAbstract.isTypeAliasLabel(this.label_);
+};
 
 /**
  * Sets the value this reference refers to.  Throws an error if this field
@@ -393,6 +402,24 @@ Blockly.FieldBoundVariable.prototype.setText = function(newText) {
   }
 };
 
+/**
+ * Get the text from this field as displayed on screen. A reference qualified
+ * with a module path is displayed with the path, e.g. `M.x`.
+ * @return {string} Currently displayed text.
+ * @protected
+ * @override
+ */
+Blockly.FieldBoundVariable.prototype.getDisplayText_ = function() {
+  var text = Blockly.FieldBoundVariable.superClass_.getDisplayText_.call(this);
+  if (this.variable_ && this.variable_.isReference()) {
+    var path = this.variable_.getModulePath();
+    if (path) {
+      text = path + '.' + text;
+    }
+  }
+  return text;
+};
+
 /**
  * Update the text in this field with the variable name.
  */
@@ -594,6 +621,8 @@ Blockly.FieldBoundVariable.dropdownCreate = function() {
     var message = 'Rename record name...';
   } else if (this.isForRecordField()) {
     var message = 'Rename record field...';
+  } else if (this.isForTypeAlias()) {
+    var message = 'Rename type...';
   } else if (this.isForVariable()) {
     var message = 'Rename variable..';
   } else {
@@ -664,6 +693,12 @@ Blockly.FieldBoundVariable.prototype.newReferenceBlock_ = function(higherOrder)
   } else if (this.isForRecord()) {
     var getterBlock = workspace.newBlock('create_record_typed');
     var field = getterBlock.getField('RECORD');
+  } else if (this.isForRecordField()) {
+    var getterBlock = workspace.newBlock('record_field_get_typed');
+    var field = getterBlock.getField('FIELD');
+  } else if (this.isForTypeAlias()) {
+    var getterBlock = workspace.newBlock('type_alias_type_typed');
+    var field = getterBlock.getField('TYPENAME');
   } else if (this.isForVariable()) {
     var getterBlock = workspace.newBlock('function_app_typed');
     var field = getterBlock.getField('VAR');
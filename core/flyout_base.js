@@ -33,6 +33,7 @@ goog.require('Blockly.Events.VarCreate');
 goog.require('Blockly.FlyoutButton');
 goog.require('Blockly.Gesture');
 goog.require('Blockly.Touch');
+goog.require('Blockly.TypedHole');
 goog.require('Blockly.utils');
 goog.require('Blockly.WorkspaceSvg');
 goog.require('Blockly.Xml');
@@ -438,6 +439,7 @@ Blockly.Flyout.prototype.show = function(xmlList) {
   var gaps = [];
   this.permanentlyDisabled_.length = 0;
   var contents = this.obtainContentsToShow_(xmlList, gaps);
+  contents = this.filterForType_(contents, gaps);
 
   this.layout_(contents, gaps);
 
@@ -772,6 +774,49 @@ Blockly.Flyout.prototype.filterForCapacity_ = function() {
   }
 };
 
+/**
+ * Dim or hide blocks whose output types can not be unified with the type of
+ * the selected hole on the target workspace, depending on the typeFilter
+ * option of the target workspace.
+ * @param {!Array} contents List of contents (block or button etc.) to show.
+ * @param {!Array} gaps The list of gaps to show between contents, which will
+ *     be modified by this function.
+ * @return {!Array} List of contents to show after filtering.
+ * @private
+ */
+Blockly.Flyout.prototype.filterForType_ = function(contents, gaps) {
+  var mode = this.targetWorkspace_.options.typeFilter;
+  if (!mode) {
+    return contents;
+  }
+  var connection = Blockly.TypedHole.getFilterConnection(
+      this.targetWorkspace_);
+  var expected = connection ?
+      Blockly.TypedHole.getExpectedType(connection) : null;
+  if (!expected) {
+    return contents;
+  }
+  var filtered = [];
+  var filteredGaps = [];
+  for (var i = 0, content; content = contents[i]; i++) {
+    if (content.type == 'block' &&
+        !Blockly.TypedHole.canFillWith(expected, content.block)) {
+      if (mode == 'hide') {
+        content.block.dispose(false, false);
+        continue;
+      }
+      Blockly.utils.addClass(
+          /** @type {!Element} */ (content.block.getSvgRoot()),
+          'blocklyTypeFilteredBlock');
+    }
+    filtered.push(content);
+    filteredGaps.push(gaps[i]);
+  }
+  gaps.length = 0;
+  Array.prototype.push.apply(gaps, filteredGaps);
+  return filtered;
+};
+
 /**
  * Rename the bound variable values existing in the given block to generated
  * names.
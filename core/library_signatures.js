@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Registry of library functions which defines typed blocks
+ * applying the functions from their signatures.
+ */
+'use strict';
+
+goog.provide('Blockly.LibrarySignatures');
+
+goog.require('Blockly.Blocks');
+goog.require('Blockly.TypeExpr');
+
+goog.require('goog.string');
+
+
+/**
+ * Map from block types to entries of library functions registered so far.
+ * @type {!Object.<string, !Blockly.LibrarySignatures.Entry>}
+ * @private
+ */
+Blockly.LibrarySignatures.entries_ = Object.create(null);
+
+/**
+ * List of code generators which generate code for the registered blocks.
+ * Each element is a pair of a generator and the function to generate code.
+ * @type {!Array.<!{generator: !Blockly.Generator, func: !Function}>}
+ * @private
+ */
+Blockly.LibrarySignatures.codeGenerators_ = [];
+
+/**
+ * An entry of library function.
+ *   name: The name of the function, e.g. "List.rev".
+ *   type: The type of the function in OCaml syntax, e.g. "'a list -> 'a list".
+ *   block: The block type to define. Defaults to the one derived from name.
+ *   colour: The colour of the block. Defaults to the hue of list blocks.
+ *   tooltip: The tooltip of the block. Defaults to the signature.
+ * Both of colour and tooltip may be message references like
+ * "%{BKY_STRING_HUE}", which are resolved when a block is created.
+ * @typedef {{name: string, type: string, block: (string|undefined),
+ *     colour: (string|undefined), tooltip: (string|undefined)}}
+ */
+Blockly.LibrarySignatures.Entry;
+
+/**
+ * Returns the block type derived from the name of library function, e.g.
+ * "library_List_rev_typed" for "List.rev".
+ * @param {string} name The name of the function.
+ * @return {string} The block type.
+ */
+Blockly.LibrarySignatures.getBlockType = function(name) {
+  return 'library_' + name.replace(/[^\w]/g, '_') + '_typed';
+};
+
+/**
+ * Parses a list of signatures written like an .mli file, e.g.
+ *   val rev : 'a list -> 'a list
+ *   val map : ('a -> 'b) -> 'a list -> 'b list  (* comment *)
+ * @param {string} text The signatures.
+ * @param {string=} opt_module The name of module to qualify the function
+ *     names with, e.g. "List".
+ * @return {!Array.<!Blockly.LibrarySignatures.Entry>} List of entries.
+ */
+Blockly.LibrarySignatures.parseMli = function(text, opt_module) {
+  // Comments may not be nested here.
+  text = text.replace(/\(\*[\s\S]*?\*\)/g, ' ');
+  var chunks = text.split(/\bval\s+/);
+  if (goog.string.trim(chunks[0])) {
+    throw Error('Unexpected "' + goog.string.trim(chunks[0]) + '".');
+  }
+  var entries = [];
+  for (var i = 1; i < chunks.length; i++) {
+    var match = /^([\w.']+)\s*:([\s\S]+)$/.exec(chunks[i]);
+    if (!match) {
+      throw Error('Invalid signature "val ' + goog.string.trim(chunks[i]) +
+          '".');
+    }
+    var name = opt_module ? opt_module + '.' + match[1] : match[1];
+    entries.push({name: name, type: goog.string.trim(match[2])});
+  }
+  return entries;
+};
+
+/**
+ * Defines blocks applying the given library functions. A block has one input
+ * for each parameter of the function, and the output of its return type.
+ * @param {!Array.<!Blockly.LibrarySignatures.Entry>|string} entries List of
+ *     entries, or its JSON text or .mli-like text (see parseMli).
+ * @return {!Array.<string>} List of the defined block types.
+ */
+Blockly.LibrarySignatures.register = function(entries) {
+  if (typeof entries == 'string') {
+    entries = /^\s*\[/.test(entries) ? JSON.parse(entries) :
+        Blockly.LibrarySignatures.parseMli(entries);
+  }
+  var types = [];
+  for (var i = 0, entry; entry = entries[i]; i++) {
+    if (!entry.name || !entry.type) {
+      throw Error('Library function must have both of name and type.');
+    }
+    // Check if the signature is well-formed before any block is created.
+    Blockly.TypeExpr.parse(entry.type);
+    var blockType = entry.block ||
+        Blockly.LibrarySignatures.getBlockType(entry.name);
+    Blockly.LibrarySignatures.entries_[blockType] = entry;
+    Blockly.Blocks[blockType] =
+        Blockly.LibrarySignatures.createBlockDefinition_(entry);
+    var generators = Blockly.LibrarySignatures.codeGenerators_;
+    for (var j = 0, pair; pair = generators[j]; j++) {
+      pair.generator[blockType] = pair.func;
+    }
+    types.push(blockType);
+  }
+  return types;
+};
+
+/**
+ * Returns the entry of library function which the given block type is
+ * defined for.
+ * @param {string} blockType The block type.
+ * @return {Blockly.LibrarySignatures.Entry} The entry, or null if the block
+ *     type is not defined by this registry.
+ */
+Blockly.LibrarySignatures.getEntry = function(blockType) {
+  return Blockly.LibrarySignatures.entries_[blockType] || null;
+};
+
+/**
+ * Registers a code generator for all the blocks defined by this registry,
+ * including ones to be registered later.
+ * @param {!Blockly.Generator} generator The generator, e.g. Blockly.TypedLang.
+ * @param {function(!Blockly.Block):(string|!Array)} func The function to
+ *     generate code for a block.
+ */
+Blockly.LibrarySignatures.registerGenerator = function(generator, func) {
+  Blockly.LibrarySignatures.codeGenerators_.push(
+      {generator: generator, func: func});
+  for (var blockType in Blockly.LibrarySignatures.entries_) {
+    generator[blockType] = func;
+  }
+};
+
+/**
+ * Creates the definition of block applying the given library function.
+ * @param {!Blockly.LibrarySignatures.Entry} entry The entry.
+ * @return {!Object} The block definition to be stored in Blockly.Blocks.
+ * @private
+ */
+Blockly.LibrarySignatures.createBlockDefinition_ = function(entry) {
+  return {
+    /**
+     * The name of library function this block applies.
+     * @type {string}
+     */
+    libraryFunctionName: entry.name,
+
+    init: function() {
+      var type = Blockly.TypeExpr.parse(entry.type);
+      var types = Blockly.TypeExpr.functionToArray(type);
+      if (types.length == 0) {
+        // The function takes no argument, i.e. it's a constant.
+        types = [type];
+      }
+      this.setColour(entry.colour || Blockly.Msg['LISTS_HUE']);
+      for (var i = 0; i < types.length - 1; i++) {
+        var input = this.appendValueInput('PARAM' + i)
+            .setTypeExpr(types[i]);
+        if (i == 0) {
+          input.appendField(entry.name);
+        }
+      }
+      if (types.length == 1) {
+        this.appendDummyInput().appendField(entry.name);
+      }
+      this.setOutput(true);
+      this.setOutputTypeExpr(types[types.length - 1]);
+      this.setInputsInline(true);
+      this.setTooltip(entry.tooltip ?
+          Blockly.utils.replaceMessageReferences(entry.tooltip) :
+          entry.name + ' : ' + Blockly.TypeExpr.print(type));
+    },
+
+    /**
+     * Returns the number of parameters of the library function.
+     * @return {number} The number of parameters.
+     */
+    getParameterCount: function() {
+      var count = 0;
+      while (this.getInput('PARAM' + count)) {
+        count++;
+      }
+      return count;
+    },
+
+    infer: function(ctx) {
+      var expected = this.outputConnection.typeExpr;
+      for (var i = 0, n = this.getParameterCount(); i < n; i++) {
+        var argType = this.callInfer('PARAM' + i, ctx);
+        if (argType) {
+          this.getInput('PARAM' + i).connection.typeExpr.unify(argType);
+        }
+      }
+      return expected;
+    }
+  };
+};
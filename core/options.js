@@ -86,6 +86,12 @@ Blockly.Options = function(options) {
   if (typedVersion == undefined) {
     typedVersion = false;
   }
+  // Either 'dim' or 'hide' blocks in the flyout which can not fill the
+  // selected hole.
+  var typeFilter = options['typeFilter'];
+  if (typeFilter !== 'dim' && typeFilter !== 'hide') {
+    typeFilter = null;
+  }
 
   if (horizontalLayout) {
     var toolboxPosition = toolboxAtStart ?
@@ -136,6 +142,7 @@ Blockly.Options = function(options) {
   this.zoomOptions = Blockly.Options.parseZoomOptions_(options);
   this.toolboxPosition = toolboxPosition;
   this.typedVersion = typedVersion;
+  this.typeFilter = typeFilter;
 };
 
 /**
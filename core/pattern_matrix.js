@@ -0,0 +1,576 @@
+/**
+ * @fileoverview Pattern-matrix analysis to find missing and unused cases of
+ * pattern-matching. The algorithm follows L. Maranget, "Warnings for pattern
+ * matching" (JFP 2007), which OCaml also uses for warnings 8 and 11.
+ */
+'use strict';
+
+goog.provide('Blockly.PatternMatrix');
+goog.provide('Blockly.PatternMatrix.Constructor');
+goog.provide('Blockly.PatternMatrix.Pattern');
+goog.provide('Blockly.PatternMatrix.Signature');
+
+goog.require('goog.array');
+goog.require('goog.asserts');
+
+/**
+ * The maximum number of counter-examples to be collected.
+ * @type {number}
+ */
+Blockly.PatternMatrix.MAX_COUNTER_EXAMPLES = 3;
+
+/**
+ * Precedences used to decide where parentheses are needed when a pattern is
+ * printed. A larger number binds weaker.
+ */
+Blockly.PatternMatrix.LEVEL_ATOMIC = 0;
+Blockly.PatternMatrix.LEVEL_APP = 1;
+Blockly.PatternMatrix.LEVEL_CONS = 2;
+Blockly.PatternMatrix.LEVEL_OR = 3;
+
+/**
+ * Class for a constructor which a pattern block can destruct.
+ * @param {string} name The name of the constructor, e.g. '::' or 'Some'.
+ * @param {number} arity The number of the sub-patterns.
+ * @param {function(!Array.<!Blockly.PatternMatrix.Pattern>):string} format
+ *     Function to print the constructor applied to the given sub-patterns.
+ * @param {number} level The precedence of the printed constructor.
+ * @constructor
+ */
+Blockly.PatternMatrix.Constructor = function(name, arity, format, level) {
+  this.name = name;
+  this.arity = arity;
+  this.format_ = format;
+  this.level = level;
+
+  /**
+   * The signature this constructor belongs to. Set by the signature.
+   * @type {Blockly.PatternMatrix.Signature}
+   */
+  this.signature = null;
+};
+
+/**
+ * Whether this constructor is the same as the other one.
+ * @param {!Blockly.PatternMatrix.Constructor} other The constructor to compare.
+ * @return {boolean} True if both are the same constructor of the same type.
+ */
+Blockly.PatternMatrix.Constructor.prototype.isSameAs = function(other) {
+  return this.signature.id == other.signature.id && this.name == other.name;
+};
+
+/**
+ * Class for the set of all constructors of a type.
+ * @param {string} id The name to identify the type.
+ * @param {!Array.<!Blockly.PatternMatrix.Constructor>} constructors All
+ *     constructors of the type.
+ * @constructor
+ */
+Blockly.PatternMatrix.Signature = function(id, constructors) {
+  this.id = id;
+  this.constructors = constructors;
+  for (var i = 0, ctor; ctor = constructors[i]; i++) {
+    goog.asserts.assert(!ctor.signature, 'The constructor has a signature.');
+    ctor.signature = this;
+  }
+};
+
+/**
+ * Find the constructor with the given name.
+ * @param {string} name The name of the constructor.
+ * @return {Blockly.PatternMatrix.Constructor} The constructor, or null if not
+ *     found.
+ */
+Blockly.PatternMatrix.Signature.prototype.getConstructor = function(name) {
+  return goog.array.find(this.constructors,
+      function(ctor) { return ctor.name == name; });
+};
+
+/**
+ * Class for a pattern without variables. A variable pattern is represented
+ * as a wildcard.
+ * @param {Blockly.PatternMatrix.Constructor=} opt_ctor The constructor of
+ *     this pattern. If not provided, the pattern is a wildcard.
+ * @param {!Array.<!Blockly.PatternMatrix.Pattern>=} opt_args Sub-patterns.
+ * @constructor
+ */
+Blockly.PatternMatrix.Pattern = function(opt_ctor, opt_args) {
+  this.ctor = opt_ctor || null;
+  this.args = opt_args || [];
+  goog.asserts.assert(!this.ctor || this.ctor.arity == this.args.length,
+      'The number of sub-patterns does not match the constructor.');
+  /**
+   * Patterns of both sides if this is an or-pattern, otherwise null.
+   * @type {Array.<!Blockly.PatternMatrix.Pattern>}
+   */
+  this.alternatives = null;
+};
+
+/**
+ * @return {boolean} True if this pattern is a wildcard.
+ */
+Blockly.PatternMatrix.Pattern.prototype.isWildcard = function() {
+  return !this.ctor && !this.alternatives;
+};
+
+/**
+ * Returns the list of patterns without or-patterns which match the same
+ * values as this pattern, e.g. [(A, C), (B, C)] for ((A | B), C).
+ * @return {!Array.<!Blockly.PatternMatrix.Pattern>} List of patterns.
+ */
+Blockly.PatternMatrix.Pattern.prototype.expandOrPatterns = function() {
+  if (this.alternatives) {
+    var result = [];
+    for (var i = 0, alt; alt = this.alternatives[i]; i++) {
+      Array.prototype.push.apply(result, alt.expandOrPatterns());
+    }
+    return result;
+  }
+  var argsList = [[]];
+  for (var i = 0, arg; arg = this.args[i]; i++) {
+    var expanded = arg.expandOrPatterns();
+    var newArgsList = [];
+    for (var j = 0; j < argsList.length; j++) {
+      for (var k = 0; k < expanded.length; k++) {
+        newArgsList.push(argsList[j].concat([expanded[k]]));
+      }
+    }
+    argsList = newArgsList;
+  }
+  if (argsList.length == 1 && this.args.length == 0) {
+    return [this];
+  }
+  var ctor = this.ctor;
+  return goog.array.map(argsList, function(args) {
+    return new Blockly.PatternMatrix.Pattern(ctor, args);
+  });
+};
+
+/**
+ * Print the pattern in OCaml syntax.
+ * @param {number=} opt_level If the pattern binds weaker than this precedence,
+ *     parenthesize it.
+ * @return {string} The printed pattern.
+ */
+Blockly.PatternMatrix.Pattern.prototype.toString = function(opt_level) {
+  if (this.isWildcard()) {
+    return '_';
+  }
+  if (this.alternatives) {
+    var text = goog.array.map(this.alternatives, function(alt) {
+      return alt.toString(Blockly.PatternMatrix.LEVEL_OR);
+    }).join(' | ');
+    var level = Blockly.PatternMatrix.LEVEL_OR;
+  } else {
+    var text = this.ctor.format_(this.args);
+    var level = this.ctor.level;
+  }
+  if (goog.isNumber(opt_level) && opt_level < level) {
+    return '(' + text + ')';
+  }
+  return text;
+};
+
+/**
+ * Create a wildcard pattern.
+ * @return {!Blockly.PatternMatrix.Pattern} The new wildcard pattern.
+ */
+Blockly.PatternMatrix.wildcard = function() {
+  return new Blockly.PatternMatrix.Pattern();
+};
+
+/**
+ * Create an or-pattern.
+ * @param {!Blockly.PatternMatrix.Pattern} left The pattern of the left side.
+ * @param {!Blockly.PatternMatrix.Pattern} right The pattern of the right side.
+ * @return {!Blockly.PatternMatrix.Pattern} The new or-pattern.
+ */
+Blockly.PatternMatrix.orPattern = function(left, right) {
+  var pattern = new Blockly.PatternMatrix.Pattern();
+  pattern.alternatives = [left, right];
+  return pattern;
+};
+
+/**
+ * Create a pattern consisting of the constructor and wildcards.
+ * @param {!Blockly.PatternMatrix.Constructor} ctor The constructor.
+ * @return {!Blockly.PatternMatrix.Pattern} The new pattern.
+ * @private
+ */
+Blockly.PatternMatrix.wildcardsOf_ = function(ctor) {
+  var args = [];
+  for (var i = 0; i < ctor.arity; i++) {
+    args.push(Blockly.PatternMatrix.wildcard());
+  }
+  return new Blockly.PatternMatrix.Pattern(ctor, args);
+};
+
+/**
+ * Constructors of built-in types.
+ */
+Blockly.PatternMatrix.NIL = new Blockly.PatternMatrix.Constructor('[]', 0,
+    function() { return '[]'; },
+    Blockly.PatternMatrix.LEVEL_ATOMIC);
+
+Blockly.PatternMatrix.CONS = new Blockly.PatternMatrix.Constructor('::', 2,
+    function(args) {
+      return args[0].toString(Blockly.PatternMatrix.LEVEL_APP) + ' :: ' +
+          args[1].toString(Blockly.PatternMatrix.LEVEL_CONS);
+    },
+    Blockly.PatternMatrix.LEVEL_CONS);
+
+Blockly.PatternMatrix.NONE = new Blockly.PatternMatrix.Constructor('None', 0,
+    function() { return 'None'; },
+    Blockly.PatternMatrix.LEVEL_ATOMIC);
+
+Blockly.PatternMatrix.SOME = new Blockly.PatternMatrix.Constructor('Some', 1,
+    function(args) {
+      return 'Some ' + args[0].toString(Blockly.PatternMatrix.LEVEL_ATOMIC);
+    },
+    Blockly.PatternMatrix.LEVEL_APP);
+
+new Blockly.PatternMatrix.Signature('list',
+    [Blockly.PatternMatrix.NIL, Blockly.PatternMatrix.CONS]);
+new Blockly.PatternMatrix.Signature('option',
+    [Blockly.PatternMatrix.NONE, Blockly.PatternMatrix.SOME]);
+
+/**
+ * Create the constructor of tuples.
+ * @param {number} size The number of elements.
+ * @return {!Blockly.PatternMatrix.Constructor} The constructor of the tuple.
+ */
+Blockly.PatternMatrix.createTupleConstructor = function(size) {
+  var ctor = new Blockly.PatternMatrix.Constructor('tuple', size,
+      function(args) {
+        var elements = goog.array.map(args, function(arg) {
+          return arg.toString(Blockly.PatternMatrix.LEVEL_CONS);
+        });
+        return '(' + elements.join(', ') + ')';
+      },
+      Blockly.PatternMatrix.LEVEL_ATOMIC);
+  new Blockly.PatternMatrix.Signature('tuple' + size, [ctor]);
+  return ctor;
+};
+
+/**
+ * Create the constructor of a record type.
+ * @param {string} recordName The name of the record type.
+ * @param {!Array.<string>} fieldNames Names of the record fields.
+ * @return {!Blockly.PatternMatrix.Constructor} The constructor of the record.
+ */
+Blockly.PatternMatrix.createRecordConstructor = function(recordName,
+    fieldNames) {
+  var ctor = new Blockly.PatternMatrix.Constructor(recordName,
+      fieldNames.length,
+      function(args) {
+        var pairs = [];
+        for (var i = 0; i < fieldNames.length; i++) {
+          pairs.push(fieldNames[i] + ' = ' + args[i].toString());
+        }
+        return '{' + pairs.join('; ') + '}';
+      },
+      Blockly.PatternMatrix.LEVEL_ATOMIC);
+  new Blockly.PatternMatrix.Signature('record:' + recordName, [ctor]);
+  return ctor;
+};
+
+/**
+ * Create the signature of a variant type declared by the user.
+ * @param {string} typeId The ID of the variant type.
+ * @param {!Array.<string>} names Names of the constructors.
+ * @param {!Array.<number>} arities The number of arguments of each
+ *     constructor.
+ * @return {!Blockly.PatternMatrix.Signature} The signature of the variant.
+ */
+Blockly.PatternMatrix.createVariantSignature = function(typeId, names,
+    arities) {
+  goog.asserts.assert(names.length == arities.length);
+  var constructors = [];
+  for (var i = 0; i < names.length; i++) {
+    var name = names[i];
+    var arity = arities[i];
+    var format = function(name, args) {
+      if (args.length == 0) {
+        return name;
+      }
+      if (args.length == 1) {
+        return name + ' ' +
+            args[0].toString(Blockly.PatternMatrix.LEVEL_ATOMIC);
+      }
+      var elements = goog.array.map(args, function(arg) {
+        return arg.toString(Blockly.PatternMatrix.LEVEL_CONS);
+      });
+      return name + ' (' + elements.join(', ') + ')';
+    }.bind(null, name);
+    var level = arity == 0 ? Blockly.PatternMatrix.LEVEL_ATOMIC :
+        Blockly.PatternMatrix.LEVEL_APP;
+    constructors.push(
+        new Blockly.PatternMatrix.Constructor(name, arity, format, level));
+  }
+  return new Blockly.PatternMatrix.Signature('variant:' + typeId,
+      constructors);
+};
+
+/**
+ * Get the pattern of the block connected to the given input.
+ * @param {!Blockly.Block} block The block which has the input.
+ * @param {string} name The name of the input.
+ * @return {Blockly.PatternMatrix.Pattern} The pattern, or null if the input
+ *     or any of its descendant pattern inputs is empty.
+ */
+Blockly.PatternMatrix.patternOfInput = function(block, name) {
+  var target = block.getInputTargetBlock(name);
+  if (!target || !goog.isFunction(target.getMatrixPattern)) {
+    return null;
+  }
+  return target.getMatrixPattern();
+};
+
+/**
+ * Create a pattern from the sub-patterns connected to the given inputs.
+ * @param {!Blockly.Block} block The pattern block.
+ * @param {!Blockly.PatternMatrix.Constructor} ctor The constructor of the
+ *     pattern.
+ * @param {!Array.<string>} inputNames Names of inputs for sub-patterns.
+ * @return {Blockly.PatternMatrix.Pattern} The pattern, or null if any of the
+ *     sub-patterns is not filled.
+ */
+Blockly.PatternMatrix.patternOfInputs = function(block, ctor, inputNames) {
+  var args = [];
+  for (var i = 0; i < inputNames.length; i++) {
+    var arg = Blockly.PatternMatrix.patternOfInput(block, inputNames[i]);
+    if (!arg) {
+      return null;
+    }
+    args.push(arg);
+  }
+  return new Blockly.PatternMatrix.Pattern(ctor, args);
+};
+
+/**
+ * Thrown if a column of the matrix mixes constructors of different types,
+ * which happens only if the match has a type error.
+ * @type {!Object}
+ * @private
+ */
+Blockly.PatternMatrix.ILL_TYPED_ = {};
+
+/**
+ * Collect constructors appearing at the head of rows.
+ * @param {!Array.<!Array.<!Blockly.PatternMatrix.Pattern>>} rows The matrix.
+ * @return {!Array.<!Blockly.PatternMatrix.Constructor>} List of distinct
+ *     constructors.
+ * @private
+ */
+Blockly.PatternMatrix.headConstructors_ = function(rows) {
+  var ctors = [];
+  for (var i = 0, row; row = rows[i]; i++) {
+    var ctor = row[0].ctor;
+    if (!ctor) {
+      continue;
+    }
+    if (ctors.length && ctors[0].signature.id != ctor.signature.id) {
+      throw Blockly.PatternMatrix.ILL_TYPED_;
+    }
+    var found = goog.array.find(ctors,
+        function(c) { return c.isSameAs(ctor); });
+    if (!found) {
+      ctors.push(ctor);
+    }
+  }
+  return ctors;
+};
+
+/**
+ * Whether the constructors cover all values of their type.
+ * @param {!Array.<!Blockly.PatternMatrix.Constructor>} ctors Distinct
+ *     constructors of the same type.
+ * @return {boolean} True if no constructor of the type is missing.
+ * @private
+ */
+Blockly.PatternMatrix.isComplete_ = function(ctors) {
+  return ctors.length != 0 &&
+      ctors.length == ctors[0].signature.constructors.length;
+};
+
+/**
+ * Returns rows which can match a value whose head is the given constructor,
+ * replacing the head with its sub-patterns.
+ * @param {!Array.<!Array.<!Blockly.PatternMatrix.Pattern>>} rows The matrix.
+ * @param {!Blockly.PatternMatrix.Constructor} ctor The head constructor.
+ * @return {!Array.<!Array.<!Blockly.PatternMatrix.Pattern>>} The specialized
+ *     matrix.
+ * @private
+ */
+Blockly.PatternMatrix.specialize_ = function(rows, ctor) {
+  var result = [];
+  for (var i = 0, row; row = rows[i]; i++) {
+    var head = row[0];
+    var rest = row.slice(1);
+    if (head.isWildcard()) {
+      result.push(Blockly.PatternMatrix.wildcardsOf_(ctor).args.concat(rest));
+    } else if (head.ctor.isSameAs(ctor)) {
+      result.push(head.args.concat(rest));
+    }
+  }
+  return result;
+};
+
+/**
+ * Returns rows whose head is a wildcard, removing the head.
+ * @param {!Array.<!Array.<!Blockly.PatternMatrix.Pattern>>} rows The matrix.
+ * @return {!Array.<!Array.<!Blockly.PatternMatrix.Pattern>>} The default
+ *     matrix.
+ * @private
+ */
+Blockly.PatternMatrix.defaultMatrix_ = function(rows) {
+  var result = [];
+  for (var i = 0, row; row = rows[i]; i++) {
+    if (row[0].isWildcard()) {
+      result.push(row.slice(1));
+    }
+  }
+  return result;
+};
+
+/**
+ * Whether there is a value matched by the row but not by any of the rows.
+ * @param {!Array.<!Array.<!Blockly.PatternMatrix.Pattern>>} rows The matrix.
+ * @param {!Array.<!Blockly.PatternMatrix.Pattern>} row The vector of patterns
+ *     to be checked.
+ * @return {boolean} True if the row is useful.
+ * @private
+ */
+Blockly.PatternMatrix.isUseful_ = function(rows, row) {
+  if (row.length == 0) {
+    return rows.length == 0;
+  }
+  var head = row[0];
+  if (!head.isWildcard()) {
+    var ctors = Blockly.PatternMatrix.headConstructors_(rows);
+    if (ctors.length && ctors[0].signature.id != head.ctor.signature.id) {
+      throw Blockly.PatternMatrix.ILL_TYPED_;
+    }
+    return Blockly.PatternMatrix.isUseful_(
+        Blockly.PatternMatrix.specialize_(rows, head.ctor),
+        head.args.concat(row.slice(1)));
+  }
+  var ctors = Blockly.PatternMatrix.headConstructors_(rows);
+  if (Blockly.PatternMatrix.isComplete_(ctors)) {
+    var signature = ctors[0].signature.constructors;
+    for (var i = 0, ctor; ctor = signature[i]; i++) {
+      var specialized = Blockly.PatternMatrix.specialize_([row], ctor)[0];
+      if (Blockly.PatternMatrix.isUseful_(
+          Blockly.PatternMatrix.specialize_(rows, ctor), specialized)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  return Blockly.PatternMatrix.isUseful_(
+      Blockly.PatternMatrix.defaultMatrix_(rows), row.slice(1));
+};
+
+/**
+ * Collect vectors of patterns which match values none of the rows match.
+ * @param {!Array.<!Array.<!Blockly.PatternMatrix.Pattern>>} rows The matrix.
+ * @param {number} size The number of columns.
+ * @param {number} limit The maximum number of vectors to collect.
+ * @return {!Array.<!Array.<!Blockly.PatternMatrix.Pattern>>} List of vectors
+ *     of unmatched patterns.
+ * @private
+ */
+Blockly.PatternMatrix.findUnmatched_ = function(rows, size, limit) {
+  if (size == 0) {
+    return rows.length == 0 ? [[]] : [];
+  }
+  var result = [];
+  var ctors = Blockly.PatternMatrix.headConstructors_(rows);
+  if (Blockly.PatternMatrix.isComplete_(ctors)) {
+    var signature = ctors[0].signature.constructors;
+    for (var i = 0, ctor; ctor = signature[i]; i++) {
+      var vectors = Blockly.PatternMatrix.findUnmatched_(
+          Blockly.PatternMatrix.specialize_(rows, ctor),
+          ctor.arity + size - 1, limit - result.length);
+      for (var j = 0, vector; vector = vectors[j]; j++) {
+        var head = new Blockly.PatternMatrix.Pattern(ctor,
+            vector.slice(0, ctor.arity));
+        result.push([head].concat(vector.slice(ctor.arity)));
+      }
+      if (limit <= result.length) {
+        break;
+      }
+    }
+    return result;
+  }
+  var vectors = Blockly.PatternMatrix.findUnmatched_(
+      Blockly.PatternMatrix.defaultMatrix_(rows), size - 1, limit);
+  if (ctors.length == 0) {
+    return goog.array.map(vectors, function(vector) {
+      return [Blockly.PatternMatrix.wildcard()].concat(vector);
+    });
+  }
+  var missing = goog.array.filter(ctors[0].signature.constructors,
+      function(c) {
+        return !goog.array.find(ctors,
+            function(ctor) { return ctor.isSameAs(c); });
+      });
+  for (var i = 0, vector; vector = vectors[i]; i++) {
+    for (var j = 0, ctor; ctor = missing[j]; j++) {
+      if (limit <= result.length) {
+        return result;
+      }
+      result.push([Blockly.PatternMatrix.wildcardsOf_(ctor)].concat(vector));
+    }
+  }
+  return result;
+};
+
+/**
+ * Analyze cases of pattern-matching. A case with a guard may not match even
+ * if its pattern does, so it neither covers values nor makes later cases
+ * unused.
+ * @param {!Array.<!Blockly.PatternMatrix.Pattern>} patterns Patterns of the
+ *     cases in order.
+ * @param {!Array.<boolean>=} opt_guarded Whether each case has a guard.
+ * @return {?{missing: !Array.<!Blockly.PatternMatrix.Pattern>,
+ *     unused: !Array.<number>}} Counter-examples of values which no pattern
+ *     matches, and indices of patterns which can never be matched. Null if
+ *     patterns are ill-typed.
+ */
+Blockly.PatternMatrix.analyze = function(patterns, opt_guarded) {
+  var rows = [];
+  var unused = [];
+  try {
+    for (var i = 0; i < patterns.length; i++) {
+      var alternatives = patterns[i].expandOrPatterns();
+      var isUseful = false;
+      for (var j = 0, alt; alt = alternatives[j]; j++) {
+        if (Blockly.PatternMatrix.isUseful_(rows, [alt])) {
+          isUseful = true;
+          break;
+        }
+      }
+      if (!isUseful) {
+        unused.push(i);
+      }
+      if (opt_guarded && opt_guarded[i]) {
+        continue;
+      }
+      for (var j = 0, alt; alt = alternatives[j]; j++) {
+        rows.push([alt]);
+      }
+    }
+    var vectors = Blockly.PatternMatrix.findUnmatched_(rows, 1,
+        Blockly.PatternMatrix.MAX_COUNTER_EXAMPLES);
+  } catch (e) {
+    if (e === Blockly.PatternMatrix.ILL_TYPED_) {
+      return null;
+    }
+    throw e;
+  }
+  var missing = goog.array.map(vectors, function(vector) {
+    return vector[0];
+  });
+  return {missing: missing, unused: unused};
+};
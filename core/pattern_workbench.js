@@ -194,7 +194,16 @@ Blockly.PatternWorkbench.prototype.getContentsMap_ = function() {
   var b2 = Blockly.PatternWorkbench.createVariableDom(n2, 'true');
   var v2 = Blockly.PatternWorkbench.createValueDom('RIGHT', b2);
   var xml = Blockly.PatternWorkbench.createPairDom([v1, v2]);
-  contentsMap['pair'] = [xml];
+  // tuple of three elements
+  var tupleChildren = [];
+  var tupleNames = ['x', 'y', 'z'];
+  for (var i = 0; i < tupleNames.length; i++) {
+    var n = this.generateUniqueVariableFrom(tupleNames[i], ws);
+    var b = Blockly.PatternWorkbench.createVariableDom(n, 'true');
+    tupleChildren.push(Blockly.PatternWorkbench.createValueDom('ITEM' + i, b));
+  }
+  var xml2 = Blockly.PatternWorkbench.createTupleDom(tupleChildren);
+  contentsMap['pair'] = [xml, xml2];
   // record (later), placed here to fix the order of patterns
   contentsMap['record'] = [];
   // list
@@ -214,6 +223,10 @@ Blockly.PatternWorkbench.prototype.getContentsMap_ = function() {
   var v1 = Blockly.PatternWorkbench.createValueDom('PARAM', b);
   var xml2 = Blockly.PatternWorkbench.createSomeDom(v1);
   contentsMap['option'] = [xml1, xml2];
+  // or-pattern and alias
+  contentsMap['or'] = [Blockly.PatternWorkbench.createOrDom()];
+  var n = this.generateUniqueVariableFrom('whole', ws);
+  contentsMap['alias'] = [Blockly.PatternWorkbench.createAliasDom(n)];
 
   // record
   // var label = Blockly.BoundVariableAbstract.RECORD_FIELD;
@@ -263,6 +276,32 @@ Blockly.PatternWorkbench.prototype.getContentsMap_ = function() {
     }
     contentsMap['record'] = blockXmlList;
   }
+
+  // constructor
+  var ctorValues = ctx.getVariablesWithLabel(
+      Blockly.BoundVariableAbstract.CONSTRUCTOR);
+  if (ctorValues.length != 0) {
+    var blockXmlList = [];
+    for (var i = 0, val; val = ctorValues[i]; i++) {
+      var ctorBlock = val.getSourceBlock();
+      if (!goog.isFunction(ctorBlock.getConstructorArgumentTypes)) {
+        continue;
+      }
+      var types = ctorBlock.getConstructorArgumentTypes(
+          val.getMainFieldName());
+      var children = [];
+      for (var j = 0; j < types.length; j++) {
+        var base = types.length == 1 ? 'x' : 'x' + (j + 1);
+        var n = this.generateUniqueVariableFrom(base, ws);
+        var b = Blockly.PatternWorkbench.createVariableDom(n, 'true');
+        children.push(
+            Blockly.PatternWorkbench.createValueDom('PARAM' + j, b));
+      }
+      blockXmlList.push(
+          Blockly.PatternWorkbench.createConstructDom(val, children));
+    }
+    contentsMap['constructor'] = blockXmlList;
+  }
   return contentsMap;
 };
 
@@ -296,6 +335,40 @@ Blockly.PatternWorkbench.createPairDom = function(children) {
   return xml;
 };
 
+/**
+ * create Dom for tuples
+ * @param {!Array.<!Element>} children List of value Dom, one for each element.
+ * @return {!Element} The Dom of a tuple pattern block.
+ */
+Blockly.PatternWorkbench.createTupleDom = function(children) {
+  var mutation = goog.dom.createDom('mutation');
+  mutation.setAttribute('items', children.length);
+  var xml = goog.dom.createDom('block', {'type': 'tuple_pattern_typed'},
+      [mutation].concat(children));
+  return xml;
+};
+
+/**
+ * create Dom for or-patterns
+ * @return {!Element} The Dom of an or-pattern block.
+ */
+Blockly.PatternWorkbench.createOrDom = function() {
+  return goog.dom.createDom('block', {'type': 'or_pattern_typed'});
+};
+
+/**
+ * create Dom for alias patterns
+ * @param {string} name The name of the variable bound to the whole value.
+ * @return {!Element} The Dom of an alias pattern block.
+ */
+Blockly.PatternWorkbench.createAliasDom = function(name) {
+  var f = goog.dom.createDom('field', {}, name);
+  f.setAttribute('name', 'VAR');
+  f.setAttribute('isvalue', 'true');
+  f.setAttribute('variable-type', 'variable');
+  return goog.dom.createDom('block', {'type': 'alias_pattern_typed'}, f);
+};
+
 /**
  * create Dom for empty list
  */
@@ -331,3 +404,27 @@ Blockly.PatternWorkbench.createSomeDom = function(child) {
       {'type': 'option_some_pattern_typed'}, child);
   return xml;
 };
+
+/**
+ * create Dom for a constructor declared by the user
+ * @param {!Blockly.BoundVariableValue} value The constructor's value.
+ * @param {!Array.<!Element>} children Value DOMs for the arguments.
+ * @return {!Element} The block XML.
+ */
+Blockly.PatternWorkbench.createConstructDom = function(value, children) {
+  var field = goog.dom.createDom('field', {}, value.getVariableName());
+  field.setAttribute('name', 'CONSTRUCTOR');
+  field.setAttribute('isvalue', 'false');
+  field.setAttribute('variable-type',
+      Blockly.BoundVariableAbstract.labelToName(value.label));
+  var valueDom = goog.dom.createDom('refer-to');
+  valueDom.setAttribute('id', value.getId());
+  valueDom.setAttribute('workspace-id', value.getWorkspace().id);
+  field.appendChild(valueDom);
+  var xml = goog.dom.createDom('block', {'type': 'construct_pattern_typed'},
+      field);
+  for (var i = 0; i < children.length; i++) {
+    xml.appendChild(children[i]);
+  }
+  return xml;
+};
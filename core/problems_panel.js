@@ -0,0 +1,359 @@
+/**
+ * @fileoverview Panel listing problems on all blocks in a workspace.
+ */
+'use strict';
+
+goog.provide('Blockly.ProblemsPanel');
+goog.provide('Blockly.ProblemsPanel.Problem');
+
+goog.require('Blockly.Block');
+goog.require('Blockly.ErrorCollector');
+goog.require('Blockly.ErrorItem');
+goog.require('Blockly.Events');
+goog.require('Blockly.TypeExpr');
+
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+
+
+/**
+ * Class for a panel which keeps showing what is still wrong with blocks on
+ * the main workspace and all the workbenches nested in it. Each problem is
+ * listed as a clickable item that selects the offending block.
+ * @param {!Blockly.Workspace} workspace The main workspace to diagnose.
+ * @param {!Element} container The element to render the panel in.
+ * @constructor
+ */
+Blockly.ProblemsPanel = function(workspace, container) {
+  /** @type {!Blockly.Workspace} */
+  this.workspace_ = workspace;
+
+  /** @type {!Element} */
+  this.container_ = container;
+
+  /**
+   * The problems found at the last update.
+   * @type {!Array.<!Blockly.ProblemsPanel.Problem>}
+   */
+  this.problems_ = [];
+
+  /**
+   * Workspaces this panel is listening to.
+   * @type {!Array.<!Blockly.Workspace>}
+   * @private
+   */
+  this.listenedWorkspaces_ = [];
+
+  /** @type {!Function} */
+  this.changeListener_ = this.onChange_.bind(this);
+
+  /**
+   * Process id of a pending update, or null if no update is scheduled.
+   * @type {?number}
+   * @private
+   */
+  this.pendingUpdate_ = null;
+
+  /** @type {Element} */
+  this.dom_ = null;
+
+  /** @type {Element} */
+  this.header_ = null;
+
+  /** @type {Element} */
+  this.list_ = null;
+
+  this.createDom_();
+  this.update();
+};
+
+/**
+ * Class for a problem found on a block.
+ * @param {!Blockly.Block} block The block where the problem is found.
+ * @param {!Blockly.ErrorItem} item The error describing the problem.
+ * @constructor
+ */
+Blockly.ProblemsPanel.Problem = function(block, item) {
+  /** @type {!Blockly.Block} */
+  this.block = block;
+
+  /** @type {!Blockly.ErrorItem} */
+  this.item = item;
+};
+
+/**
+ * Returns the message describing this problem.
+ * @return {string} The message.
+ */
+Blockly.ProblemsPanel.Problem.prototype.toMessage = function() {
+  return this.item.toMessage();
+};
+
+/**
+ * Returns the main workspace and workspaces of all the workbenches opened in
+ * it. Flyout workspaces are excluded.
+ * @param {!Blockly.Workspace} workspace The main workspace.
+ * @return {!Array.<!Blockly.Workspace>} List of workspaces. Parent workspaces
+ *     come before their children.
+ * @private
+ */
+Blockly.ProblemsPanel.getWorkspaces_ = function(workspace) {
+  var workspaces = [];
+  var queue = [workspace];
+  while (queue.length) {
+    var ws = queue.shift();
+    workspaces.push(ws);
+    var topBlocks = ws.getTopBlocks();
+    for (var i = 0, topBlock; topBlock = topBlocks[i]; i++) {
+      var workbenches = topBlock.getAllWorkbenches();
+      for (var j = 0, workbench; workbench = workbenches[j]; j++) {
+        var workbenchWs = workbench.getWorkspace();
+        if (workbenchWs) {
+          queue.push(workbenchWs);
+        }
+      }
+    }
+  }
+  return workspaces;
+};
+
+/**
+ * Adds an empty-input error to the collector for each input of the given
+ * block and its descendants which is not filled with a block.
+ * @param {!Blockly.Block} block The root block.
+ * @param {!Blockly.ErrorCollector} collector The collector.
+ * @private
+ */
+Blockly.ProblemsPanel.collectEmptyInputs_ = function(block, collector) {
+  var descendants = block.getDescendants();
+  for (var i = 0, descendant; descendant = descendants[i]; i++) {
+    for (var j = 0, input; input = descendant.inputList[j]; j++) {
+      if (input.connection && !input.connection.targetBlock()) {
+        collector.addEmptyInputError(input);
+      }
+    }
+  }
+};
+
+/**
+ * Adds an error to the collector for each or-pattern among the given block and
+ * its descendants whose sides bind different variables.
+ * @param {!Blockly.Block} block The root block.
+ * @param {!Blockly.ErrorCollector} collector The collector.
+ * @private
+ */
+Blockly.ProblemsPanel.collectOrPatternErrors_ = function(block, collector) {
+  var descendants = block.getDescendants();
+  for (var i = 0, descendant; descendant = descendants[i]; i++) {
+    if (!goog.isFunction(descendant.getUnsharedVariableNames)) {
+      continue;
+    }
+    var names = descendant.getUnsharedVariableNames();
+    if (names.length) {
+      collector.addOrPatternVariablesError(descendant, names);
+    }
+  }
+};
+
+/**
+ * Returns the block where the given error is found.
+ * @param {!Blockly.ErrorItem} item The error.
+ * @param {!Blockly.Block} rootBlock The root block which was examined when the
+ *     error was found.
+ * @return {!Blockly.Block} The block.
+ * @private
+ */
+Blockly.ProblemsPanel.getErrorBlock_ = function(item, rootBlock) {
+  switch (item.label) {
+    case Blockly.ErrorItem.UNBOUND_VARIABLE:
+      return item.errorElement.getSourceBlock();
+    case Blockly.ErrorItem.EMPTY_INPUT:
+      return item.errorElement.connection.getSourceBlock();
+    case Blockly.ErrorItem.OR_PATTERN_VARIABLES:
+      return item.errorElement;
+    default:
+      return rootBlock;
+  }
+};
+
+/**
+ * Finds unbound variables, type errors, orphan patterns, orphan type
+ * constructors, or-patterns binding different variables and empty inputs on
+ * every root block in the given workspace and its workbenches.
+ * @param {!Blockly.Workspace} workspace The main workspace.
+ * @return {!Array.<!Blockly.ProblemsPanel.Problem>} List of problems.
+ */
+Blockly.ProblemsPanel.collectProblems = function(workspace) {
+  var problems = [];
+  var addProblems = function(rootBlock, collector) {
+    var errors = collector.getErrors();
+    for (var i = 0, item; item = errors[i]; i++) {
+      var block = Blockly.ProblemsPanel.getErrorBlock_(item, rootBlock);
+      problems.push(new Blockly.ProblemsPanel.Problem(block, item));
+    }
+  };
+
+  // Type errors. Type inference is performed on all the blocks at once
+  // because references in workbenches depend on values in parent workspaces.
+  Blockly.Block.doTypeInference(workspace, function(block, e) {
+    var collector = new Blockly.ErrorCollector();
+    collector.addTypeError(e instanceof Blockly.TypeExpr.Error ?
+        e : Blockly.TypeExpr.errorNotSpecified());
+    addProblems(block, collector);
+  });
+
+  // Unbound variables. Blocks in workbenches are checked together with the
+  // block owning the workbench so that they are resolved in the proper
+  // context.
+  var topBlocks = workspace.getTopBlocks(true);
+  for (var i = 0, topBlock; topBlock = topBlocks[i]; i++) {
+    var collector = new Blockly.ErrorCollector();
+    topBlock.resolveReference(null, false, null, collector);
+    addProblems(topBlock, collector);
+  }
+
+  var workspaces = Blockly.ProblemsPanel.getWorkspaces_(workspace);
+  for (var i = 0, ws; ws = workspaces[i]; i++) {
+    var topBlocks = ws.getTopBlocks(true);
+    for (var j = 0, topBlock; topBlock = topBlocks[j]; j++) {
+      var collector = new Blockly.ErrorCollector();
+      topBlock.allowedToBeOrphan(collector);
+      Blockly.ProblemsPanel.collectOrPatternErrors_(topBlock, collector);
+      Blockly.ProblemsPanel.collectEmptyInputs_(topBlock, collector);
+      addProblems(topBlock, collector);
+    }
+  }
+  return problems;
+};
+
+/**
+ * Create the DOM of this panel.
+ * @private
+ */
+Blockly.ProblemsPanel.prototype.createDom_ = function() {
+  this.dom_ = goog.dom.createDom(goog.dom.TagName.DIV, 'blocklyProblemsPanel');
+  this.header_ = goog.dom.createDom(goog.dom.TagName.DIV,
+      'blocklyProblemsHeader');
+  this.list_ = goog.dom.createDom(goog.dom.TagName.UL, 'blocklyProblemsList');
+  this.dom_.appendChild(this.header_);
+  this.dom_.appendChild(this.list_);
+  this.container_.appendChild(this.dom_);
+};
+
+/**
+ * Returns the problems found at the last update.
+ * @return {!Array.<!Blockly.ProblemsPanel.Problem>} List of problems.
+ */
+Blockly.ProblemsPanel.prototype.getProblems = function() {
+  return this.problems_.slice();
+};
+
+/**
+ * Diagnose the workspace again and rebuild the list of problems.
+ */
+Blockly.ProblemsPanel.prototype.update = function() {
+  if (this.pendingUpdate_ !== null) {
+    clearTimeout(this.pendingUpdate_);
+    this.pendingUpdate_ = null;
+  }
+  this.problems_ = Blockly.ProblemsPanel.collectProblems(this.workspace_);
+  this.updateListeners_();
+  this.render_();
+};
+
+/**
+ * Render the list of problems.
+ * @private
+ */
+Blockly.ProblemsPanel.prototype.render_ = function() {
+  this.header_.textContent = Blockly.Msg.PROBLEMS_PANEL_TITLE.replace('%1',
+      this.problems_.length);
+  goog.dom.removeChildren(this.list_);
+  if (this.problems_.length == 0) {
+    var item = goog.dom.createDom(goog.dom.TagName.LI, 'blocklyProblemsEmpty',
+        Blockly.Msg.PROBLEMS_PANEL_EMPTY);
+    this.list_.appendChild(item);
+    return;
+  }
+  for (var i = 0, problem; problem = this.problems_[i]; i++) {
+    var item = goog.dom.createDom(goog.dom.TagName.LI, 'blocklyProblemsItem',
+        problem.toMessage());
+    item.addEventListener('click',
+        this.selectBlock_.bind(this, problem.block));
+    this.list_.appendChild(item);
+  }
+};
+
+/**
+ * Scroll the main workspace to the given block and select it. If the block
+ * lives in a workbench, scroll to the block owning the workbench instead.
+ * @param {!Blockly.Block} block The block to select.
+ * @private
+ */
+Blockly.ProblemsPanel.prototype.selectBlock_ = function(block) {
+  if (block.disposed || !block.workspace) {
+    return;
+  }
+  var ownerBlock = block;
+  while (ownerBlock.workspace.isMutator) {
+    ownerBlock = ownerBlock.workspace.ownerMutator_.block_;
+  }
+  if (this.workspace_.rendered) {
+    this.workspace_.centerOnBlock(ownerBlock.id);
+  }
+  if (block.rendered) {
+    block.select();
+  }
+};
+
+/**
+ * Start listening to workspaces which are newly found, and stop listening to
+ * the workspaces which no longer exist.
+ * @private
+ */
+Blockly.ProblemsPanel.prototype.updateListeners_ = function() {
+  var workspaces = Blockly.ProblemsPanel.getWorkspaces_(this.workspace_);
+  for (var i = 0, ws; ws = this.listenedWorkspaces_[i]; i++) {
+    if (workspaces.indexOf(ws) == -1) {
+      ws.removeChangeListener(this.changeListener_);
+    }
+  }
+  for (var i = 0, ws; ws = workspaces[i]; i++) {
+    if (this.listenedWorkspaces_.indexOf(ws) == -1) {
+      ws.addChangeListener(this.changeListener_);
+    }
+  }
+  this.listenedWorkspaces_ = workspaces;
+};
+
+/**
+ * Handle a change event on one of the workspaces. The update is deferred so
+ * that a group of events triggers only one update.
+ * @param {!Blockly.Events.Abstract} e Change event.
+ * @private
+ */
+Blockly.ProblemsPanel.prototype.onChange_ = function(e) {
+  if (e.type == Blockly.Events.UI || this.pendingUpdate_ !== null) {
+    return;
+  }
+  this.pendingUpdate_ = setTimeout(this.update.bind(this), 0);
+};
+
+/**
+ * Dispose of this panel.
+ */
+Blockly.ProblemsPanel.prototype.dispose = function() {
+  if (this.pendingUpdate_ !== null) {
+    clearTimeout(this.pendingUpdate_);
+    this.pendingUpdate_ = null;
+  }
+  for (var i = 0, ws; ws = this.listenedWorkspaces_[i]; i++) {
+    ws.removeChangeListener(this.changeListener_);
+  }
+  this.listenedWorkspaces_.length = 0;
+  this.problems_.length = 0;
+  goog.dom.removeNode(this.dom_);
+  this.dom_ = null;
+  this.header_ = null;
+  this.list_ = null;
+};
@@ -27,6 +27,7 @@
 goog.provide('Blockly.RenderedConnection');
 
 goog.require('Blockly.Connection');
+goog.require('Blockly.TypedHole');
 goog.require('Blockly.utils');
 
 goog.require('goog.math.Coordinate');
@@ -55,6 +56,13 @@ Blockly.RenderedConnection = function(source, type) {
    * @private
    */
   this.lastRenderedTypeExpr_ = null;
+
+  /**
+   * The typed hole shown while this connection's input is empty.
+   * @type {Blockly.TypedHole}
+   * @private
+   */
+  this.typedHole_ = null;
 };
 goog.inherits(Blockly.RenderedConnection, Blockly.Connection);
 
@@ -500,6 +508,37 @@ Blockly.RenderedConnection.prototype.renderTypeVarHighlights = function() {
       this.typeExpr, pos, 1, this.sourceBlock_.getSvgRoot());
 };
 
+/**
+ * Create or dispose of the typed hole depending on whether this connection's
+ * input is empty, and update the type shown on it.
+ * @return {Blockly.TypedHole} The typed hole, or null if this connection
+ *     should not show it.
+ */
+Blockly.RenderedConnection.prototype.updateTypedHole = function() {
+  if (!Blockly.TypedHole.isHole(this)) {
+    if (this.typedHole_) {
+      this.typedHole_.dispose();
+      this.typedHole_ = null;
+    }
+    return null;
+  }
+  if (!this.typedHole_) {
+    this.typedHole_ = new Blockly.TypedHole(this);
+  }
+  this.typedHole_.updateText();
+  return this.typedHole_;
+};
+
+/**
+ * Move the typed hole to this connection's location. Should be called after
+ * the connection has been moved.
+ */
+Blockly.RenderedConnection.prototype.renderTypedHole = function() {
+  if (this.typedHole_) {
+    this.typedHole_.render();
+  }
+};
+
 /**
  * Set the last rendered type expression. It would be used to detect if the
  * type expression has been updated.
@@ -547,5 +586,9 @@ Blockly.RenderedConnection.prototype.dispose = function() {
     this.contextWorkbench = null;
   }
   this.lastRenderedTypeExpr_ = null;
+  if (this.typedHole_) {
+    this.typedHole_.dispose();
+    this.typedHole_ = null;
+  }
   Blockly.RenderedConnection.superClass_.dispose.call(this);
 };
@@ -106,6 +106,24 @@ Blockly.RenderedTypeExpr.shape['string'] = {
   },
 };
 
+Blockly.RenderedTypeExpr.shape['char'] = {
+  down: function(steps) {
+    steps.push('l 0,5 -4,0 0,4 -4,0 0,7 4,0 0,4 4,0');
+  },
+
+  up: function(steps) {
+    steps.push('l -4,0 0,-4 -4,0 0,-7 4,0 0,-4 4,0 0,-5');
+  },
+
+  height: function() {
+    return 20;
+  },
+
+  offsetsY: function() {
+    return [];
+  },
+};
+
 Blockly.RenderedTypeExpr.shape['list'] = {
   down: function(steps) {
     Blockly.RenderedTypeExpr.renderTypeExpr(this.element_type, steps, 1);
@@ -146,6 +164,46 @@ Blockly.RenderedTypeExpr.shape['option'] = {
   }
 };
 
+Blockly.RenderedTypeExpr.shape['ref'] = {
+  down: function(steps) {
+    Blockly.RenderedTypeExpr.renderTypeExpr(this.element_type, steps, 1);
+    steps.push('l 0,3 -8,5 8,5 0,3');
+  },
+
+  up: function(steps) {
+    steps.push('l 0,-3 -8,-5 8,-5 0,-3');
+    Blockly.RenderedTypeExpr.renderTypeExpr(this.element_type, steps, 2);
+  },
+
+  height: function() {
+    return Blockly.RenderedTypeExpr.getTypeExprHeight(this.element_type) + 16;
+  },
+
+  offsetsY: function() {
+    return [0];
+  }
+};
+
+Blockly.RenderedTypeExpr.shape['array'] = {
+  down: function(steps) {
+    Blockly.RenderedTypeExpr.renderTypeExpr(this.element_type, steps, 1);
+    steps.push('l 0,3 -8,0 0,2 8,0 0,2 -8,0 0,2 8,0 0,3');
+  },
+
+  up: function(steps) {
+    steps.push('l 0,-3 -8,0 0,-2 8,0 0,-2 -8,0 0,-2 8,0 0,-3');
+    Blockly.RenderedTypeExpr.renderTypeExpr(this.element_type, steps, 2);
+  },
+
+  height: function() {
+    return Blockly.RenderedTypeExpr.getTypeExprHeight(this.element_type) + 12;
+  },
+
+  offsetsY: function() {
+    return [0];
+  }
+};
+
 Blockly.RenderedTypeExpr.shape['tuple'] = {
   down: function(steps) {
     steps.push('l 0,3 -12,0 0,3 12,0');
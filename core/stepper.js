@@ -0,0 +1,1408 @@
+/**
+ * @fileoverview Stepper which evaluates typed blocks one reduction at a time
+ * in the substitution model. A block is converted to a term, and each step
+ * rewrites the term by reducing its leftmost-innermost redex in the same
+ * evaluation order as OCaml bytecode, i.e. subexpressions from right to left.
+ * Terms of the trace can be rendered as blocks again.
+ */
+'use strict';
+
+goog.provide('Blockly.Stepper');
+
+goog.require('goog.asserts');
+goog.require('goog.dom');
+
+
+/**
+ * Class for a stepper which evaluates the given value block. The program is
+ * the block preceded by the let statements which define free variables on it.
+ * @param {!Blockly.Block} block The value block to evaluate.
+ * @param {!Array.<!Blockly.Block>=} opt_prefix Toplevel statements to run
+ *     before the block (see Blockly.Block.prototype.getToplevelPrefix).
+ * @constructor
+ */
+Blockly.Stepper = function(block, opt_prefix) {
+  /**
+   * Map from IDs of bound-variable values to binders of terms.
+   * @type {!Object.<string, !Blockly.Stepper.Binder>}
+   * @private
+   */
+  this.binders_ = Object.create(null);
+
+  var statements = (opt_prefix || []).filter(Blockly.Stepper.isLetStatement_);
+  for (var i = 0, statement; statement = statements[i]; i++) {
+    this.bindersOfLet_(statement);
+  }
+  var term = this.termOfBlock_(block);
+  term = this.wrapWithStatements_(statements, term);
+
+  /**
+   * The reduction trace. The entry of the index i holds the i-th term and
+   * the reduction from it, which is computed when it is first needed.
+   * @type {!Array.<!Blockly.Stepper.Entry_>}
+   * @private
+   */
+  this.trace_ = [{term: term, next: undefined}];
+
+  /**
+   * The index of the current entry of the trace.
+   * @type {number}
+   * @private
+   */
+  this.index_ = 0;
+};
+
+/**
+ * Variable bound by a term. Variables are identified by binder objects
+ * rather than by names, so substitution never captures variables.
+ * @typedef {{id: number, name: string}}
+ */
+Blockly.Stepper.Binder;
+
+/**
+ * A node of a term. The field 'tag' is the kind of the node, and 'blockId'
+ * is the ID of the block the node is converted from, if any. The other fields
+ * depend on the tag.
+ * @typedef {!Object}
+ */
+Blockly.Stepper.Term;
+
+/**
+ * A reduction of a term. The redex is the node of the original term which is
+ * reduced. If the reduction raises an exception, the term is null and the
+ * exception is its name.
+ * @typedef {{term: ?Blockly.Stepper.Term, redex: !Blockly.Stepper.Term,
+ *     exception: ?string}}
+ */
+Blockly.Stepper.Reduction;
+
+/**
+ * An entry of the trace. The field 'next' is undefined if the reduction has
+ * not been computed yet, and null if the term is a value.
+ * @typedef {{term: !Blockly.Stepper.Term,
+ *     next: (Blockly.Stepper.Reduction|null|undefined)}}
+ * @private
+ */
+Blockly.Stepper.Entry_;
+
+/**
+ * The number of binders created so far.
+ * @type {number}
+ * @private
+ */
+Blockly.Stepper.binderCount_ = 0;
+
+/**
+ * Throw an error telling that the stepper can not evaluate the given block.
+ * @param {string} message The message.
+ * @param {!Blockly.Block} block The block.
+ * @private
+ */
+Blockly.Stepper.throwError_ = function(message, block) {
+  var error = Error(message);
+  error.blockId = block.id;
+  throw error;
+};
+
+/**
+ * Returns the binder for the given bound-variable value, creating it if
+ * necessary.
+ * @param {!Blockly.BoundVariableValue} value The variable value.
+ * @return {!Blockly.Stepper.Binder} The binder.
+ * @private
+ */
+Blockly.Stepper.prototype.binderOf_ = function(value) {
+  var id = value.getId();
+  if (!this.binders_[id]) {
+    this.binders_[id] = {
+      id: Blockly.Stepper.binderCount_++,
+      name: value.getVariableName()
+    };
+  }
+  return this.binders_[id];
+};
+
+/**
+ * Convert the block connected to the given input to a term.
+ * @param {!Blockly.Block} block The block which has the input.
+ * @param {string} name The name of the input.
+ * @return {!Blockly.Stepper.Term} The term.
+ * @private
+ */
+Blockly.Stepper.prototype.termOfInput_ = function(block, name) {
+  var target = block.getInputTargetBlock(name);
+  if (!target) {
+    Blockly.Stepper.throwError_(Blockly.Msg['STEPPER_EMPTY_INPUT'], block);
+  }
+  return this.termOfBlock_(target);
+};
+
+/**
+ * Convert the block connected to the given input to a pattern.
+ * @param {!Blockly.Block} block The block which has the input.
+ * @param {string} name The name of the input.
+ * @return {!Blockly.Stepper.Term} The pattern.
+ * @private
+ */
+Blockly.Stepper.prototype.patternOfInput_ = function(block, name) {
+  var target = block.getInputTargetBlock(name);
+  if (!target) {
+    Blockly.Stepper.throwError_(Blockly.Msg['STEPPER_EMPTY_INPUT'], block);
+  }
+  switch (target.type) {
+    case 'variable_pattern_typed':
+      var value = target.getField('VAR').getVariable();
+      return {tag: 'pvar', binder: this.binderOf_(value)};
+    case 'empty_construct_pattern_typed':
+      return {tag: 'pnil'};
+    case 'cons_construct_pattern_typed':
+      return {
+        tag: 'pcons',
+        head: this.patternOfInput_(target, 'FIRST'),
+        tail: this.patternOfInput_(target, 'CONS')
+      };
+    case 'pair_pattern_typed':
+      return {
+        tag: 'ppair',
+        first: this.patternOfInput_(target, 'LEFT'),
+        second: this.patternOfInput_(target, 'RIGHT')
+      };
+  }
+  Blockly.Stepper.throwError_(Blockly.Msg['STEPPER_UNSUPPORTED_BLOCK'],
+      target);
+};
+
+/**
+ * Convert the given reference to a variable term.
+ * @param {!Blockly.BoundVariableValueReference} reference The reference.
+ * @param {!Blockly.Block} block The block of the reference.
+ * @return {!Blockly.Stepper.Term} The term.
+ * @private
+ */
+Blockly.Stepper.prototype.termOfReference_ = function(reference, block) {
+  var value = reference.getBoundValue();
+  var binder = value && this.binders_[value.getId()];
+  if (!binder) {
+    // The variable is defined outside of the program, e.g. in a library.
+    Blockly.Stepper.throwError_(Blockly.Msg['STEPPER_UNSUPPORTED_BLOCK'],
+        block);
+  }
+  return {tag: 'var', binder: binder, blockId: block.id};
+};
+
+/**
+ * Returns the binders of the variables defined by the let block.
+ * @param {!Blockly.Block} block The let block.
+ * @return {!Array.<!Blockly.Stepper.Binder>} The binders of 'VAR' followed by
+ *     those of the bindings joined with 'and'.
+ * @private
+ */
+Blockly.Stepper.prototype.bindersOfLet_ = function(block) {
+  var binders = [this.binderOf_(block.typedValue['VAR'])];
+  for (var x = 0; x < block.andCount_; x++) {
+    binders.push(this.binderOf_(block.typedValue['AND_VAR' + x]));
+  }
+  return binders;
+};
+
+/**
+ * Convert the let block to the list of its bindings.
+ * @param {!Blockly.Block} block The let block.
+ * @return {!Array.<{binder: !Blockly.Stepper.Binder,
+ *     exp: !Blockly.Stepper.Term, arity: number}>} The bindings. The arity is
+ *     the number of arguments written on the left-hand side.
+ * @private
+ */
+Blockly.Stepper.prototype.bindingsOfLet_ = function(block) {
+  var rec = block.isRecursive();
+  var binders = this.bindersOfLet_(block);
+  var params = [];
+  for (var x = 0; x < block.argumentCount_; x++) {
+    if (block.argLabels_[x]) {
+      Blockly.Stepper.throwError_(Blockly.Msg['STEPPER_UNSUPPORTED_BLOCK'],
+          block);
+    }
+    params.push(this.binderOf_(block.typedValue['ARG' + x]));
+  }
+  var bindings = [];
+  for (var i = 0; i < binders.length; i++) {
+    var exp = this.termOfInput_(block, i == 0 ? 'EXP1' : 'AND_EXP' + (i - 1));
+    if (i == 0 && params.length) {
+      exp = {tag: 'fun', params: params, body: exp, blockId: block.id};
+    }
+    if (rec && exp.tag != 'fun') {
+      // Values other than functions, e.g. 'let rec x = 1 :: x', are not
+      // supported.
+      Blockly.Stepper.throwError_(Blockly.Msg['STEPPER_UNSUPPORTED_BLOCK'],
+          block);
+    }
+    bindings.push({
+      binder: binders[i],
+      exp: exp,
+      arity: i == 0 ? params.length : 0
+    });
+  }
+  return bindings;
+};
+
+/**
+ * Convert the given value block to a term.
+ * @param {!Blockly.Block} block The block.
+ * @return {!Blockly.Stepper.Term} The term.
+ * @private
+ */
+Blockly.Stepper.prototype.termOfBlock_ = function(block) {
+  var id = block.id;
+  switch (block.type) {
+    case 'int_typed':
+      return {
+        tag: 'int',
+        value: parseInt(block.getFieldValue('INT'), 10),
+        blockId: id
+      };
+    case 'float_typed':
+      return {
+        tag: 'float',
+        value: parseFloat(block.getFieldValue('Float')),
+        blockId: id
+      };
+    case 'string_typed':
+      return {
+        tag: 'string',
+        value: block.getFieldValue('STRING'),
+        blockId: id
+      };
+    case 'logic_boolean_typed':
+      return {
+        tag: 'bool',
+        value: block.getFieldValue('BOOL') == 'TRUE',
+        blockId: id
+      };
+    case 'int_arithmetic_typed':
+    case 'float_arithmetic_typed':
+      var op = block.getFieldValue(block.type == 'int_arithmetic_typed' ?
+          'OP_INT' : 'OP_FLOAT');
+      return {
+        tag: 'arith',
+        op: op,
+        left: this.termOfInput_(block, 'A'),
+        right: this.termOfInput_(block, 'B'),
+        blockId: id
+      };
+    case 'logic_compare_typed':
+      return {
+        tag: 'compare',
+        op: block.getFieldValue('OP'),
+        left: this.termOfInput_(block, 'A'),
+        right: this.termOfInput_(block, 'B'),
+        blockId: id
+      };
+    case 'logic_ternary_typed':
+      // 'else if' branches are nested conditionals.
+      var term = this.termOfInput_(block, 'ELSE');
+      for (var x = block.itemCount_ - 1; 0 <= x; x--) {
+        term = {
+          tag: 'if',
+          cond: this.termOfInput_(block, 'ELSEIF' + x),
+          then: this.termOfInput_(block, 'THEN' + x),
+          else: term,
+          blockId: id
+        };
+      }
+      return {
+        tag: 'if',
+        cond: this.termOfInput_(block, 'IF'),
+        then: this.termOfInput_(block, 'THEN'),
+        else: term,
+        blockId: id
+      };
+    case 'let_typed':
+    case 'letrec_typed':
+      return {
+        tag: 'let',
+        rec: block.isRecursive(),
+        bindings: this.bindingsOfLet_(block),
+        body: this.termOfInput_(block, 'EXP2'),
+        blockId: id
+      };
+    case 'lambda_typed':
+      var params = [];
+      for (var i = 0; i < block.paramCount_; i++) {
+        var fieldName = block.getParamFieldName_(i);
+        params.push(this.binderOf_(block.typedValue[fieldName]));
+      }
+      return {
+        tag: 'fun',
+        params: params,
+        body: this.termOfInput_(block, 'RETURN'),
+        blockId: id
+      };
+    case 'variables_get_typed':
+      return this.termOfReference_(block.typedReference['VAR'], block);
+    case 'function_app_typed':
+      var fn = this.termOfReference_(block.typedReference['VAR'], block);
+      if (block.paramCount_ == 0) {
+        return fn;
+      }
+      var args = [];
+      for (var i = 0; i < block.paramCount_; i++) {
+        if (block.getParamLabel(i)) {
+          Blockly.Stepper.throwError_(
+              Blockly.Msg['STEPPER_UNSUPPORTED_BLOCK'], block);
+        }
+        args.push(this.termOfInput_(block, 'PARAM' + i));
+      }
+      return {tag: 'app', fn: fn, args: args, blockId: id};
+    case 'lambda_app_typed':
+      return {
+        tag: 'app',
+        fn: this.termOfInput_(block, 'FUN'),
+        args: [this.termOfInput_(block, 'ARG')],
+        blockId: id
+      };
+    case 'match_typed':
+      var cases = [];
+      for (var i = 0; i < block.itemCount_; i++) {
+        cases.push({
+          pattern: this.patternOfInput_(block, 'PATTERN' + i),
+          guard: block.hasGuard(i) ?
+              this.termOfInput_(block, 'GUARD' + i) : null,
+          body: this.termOfInput_(block, 'OUTPUT' + i),
+          subst: null
+        });
+      }
+      return {
+        tag: 'match',
+        input: this.termOfInput_(block, 'INPUT'),
+        cases: cases,
+        blockId: id
+      };
+    case 'list_empty_typed':
+      return {tag: 'list', items: [], blockId: id};
+    case 'lists_create_with_typed':
+      var items = [];
+      for (var x = 0; x < block.itemCount_; x++) {
+        items.push(this.termOfInput_(block, 'ADD' + x));
+      }
+      return {tag: 'list', items: items, blockId: id};
+    case 'list_cons_typed':
+      return {
+        tag: 'cons',
+        head: this.termOfInput_(block, 'FIRST'),
+        tail: this.termOfInput_(block, 'CONS'),
+        blockId: id
+      };
+    case 'pair_create_typed':
+      return {
+        tag: 'pair',
+        first: this.termOfInput_(block, 'FIRST'),
+        second: this.termOfInput_(block, 'SECOND'),
+        blockId: id
+      };
+    case 'pair_first_typed':
+      return {
+        tag: 'fst',
+        arg: this.termOfInput_(block, 'FIRST'),
+        blockId: id
+      };
+    case 'pair_second_typed':
+      return {
+        tag: 'snd',
+        arg: this.termOfInput_(block, 'SECOND'),
+        blockId: id
+      };
+  }
+  Blockly.Stepper.throwError_(Blockly.Msg['STEPPER_UNSUPPORTED_BLOCK'],
+      block);
+};
+
+/**
+ * Returns whether the block is a let statement, e.g. 'let x = 1' at the
+ * toplevel.
+ * @param {!Blockly.Block} block The block.
+ * @return {boolean} True if the block is a let statement.
+ * @private
+ */
+Blockly.Stepper.isLetStatement_ = function(block) {
+  return goog.isFunction(block.getIsStatement) && block.getIsStatement() &&
+      goog.isFunction(block.isRecursive);
+};
+
+/**
+ * Wrap the term with the let statements which it depends on directly or
+ * indirectly. Other statements are skipped without being converted.
+ * @param {!Array.<!Blockly.Block>} statements The let statements preceding
+ *     the term in order.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @return {!Blockly.Stepper.Term} The term in the scope of the statements.
+ * @private
+ */
+Blockly.Stepper.prototype.wrapWithStatements_ = function(statements, term) {
+  for (var i = statements.length - 1; 0 <= i; i--) {
+    var statement = statements[i];
+    var used = this.bindersOfLet_(statement).some(function(binder) {
+      return Blockly.Stepper.occurs_(binder, term);
+    });
+    if (used) {
+      term = {
+        tag: 'let',
+        rec: statement.isRecursive(),
+        bindings: this.bindingsOfLet_(statement),
+        body: term,
+        blockId: statement.id
+      };
+    }
+  }
+  return term;
+};
+
+/**
+ * Returns a shallow copy of the term whose children are replaced with the
+ * results of the given function.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @param {function(!Blockly.Stepper.Term):!Blockly.Stepper.Term} f The
+ *     function applied to each child.
+ * @return {!Blockly.Stepper.Term} The new term.
+ * @private
+ */
+Blockly.Stepper.mapChildren_ = function(term, f) {
+  var copy = Object.assign({}, term);
+  switch (term.tag) {
+    case 'arith':
+    case 'compare':
+      copy.left = f(term.left);
+      copy.right = f(term.right);
+      break;
+    case 'if':
+      copy.cond = f(term.cond);
+      copy.then = f(term.then);
+      copy.else = f(term.else);
+      break;
+    case 'let':
+      copy.bindings = term.bindings.map(function(binding) {
+        return {
+          binder: binding.binder,
+          exp: f(binding.exp),
+          arity: binding.arity
+        };
+      });
+      copy.body = f(term.body);
+      break;
+    case 'fun':
+      copy.body = f(term.body);
+      break;
+    case 'app':
+      copy.fn = f(term.fn);
+      copy.args = term.args.map(f);
+      break;
+    case 'match':
+      copy.input = f(term.input);
+      copy.cases = term.cases.map(function(c) {
+        return {
+          pattern: c.pattern,
+          guard: c.guard ? f(c.guard) : null,
+          body: f(c.body),
+          subst: c.subst
+        };
+      });
+      break;
+    case 'list':
+      copy.items = term.items.map(f);
+      break;
+    case 'cons':
+      copy.head = f(term.head);
+      copy.tail = f(term.tail);
+      break;
+    case 'pair':
+      copy.first = f(term.first);
+      copy.second = f(term.second);
+      break;
+    case 'fst':
+    case 'snd':
+      copy.arg = f(term.arg);
+      break;
+  }
+  return copy;
+};
+
+/**
+ * Returns a deep copy of the term. Every node appears at most once in a term
+ * so that the node of a redex identifies a single block when rendered.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @return {!Blockly.Stepper.Term} The copy.
+ * @private
+ */
+Blockly.Stepper.copy_ = function(term) {
+  return Blockly.Stepper.mapChildren_(term, Blockly.Stepper.copy_);
+};
+
+/**
+ * Substitute values for variables in the term.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @param {!Object.<number, !Blockly.Stepper.Term>} subst Map from binder IDs
+ *     to values.
+ * @return {!Blockly.Stepper.Term} The new term.
+ * @private
+ */
+Blockly.Stepper.substitute_ = function(term, subst) {
+  if (term.tag == 'var' && term.binder.id in subst) {
+    return Blockly.Stepper.copy_(subst[term.binder.id]);
+  }
+  return Blockly.Stepper.mapChildren_(term, function(child) {
+    return Blockly.Stepper.substitute_(child, subst);
+  });
+};
+
+/**
+ * Returns whether the variable occurs in the term.
+ * @param {!Blockly.Stepper.Binder} binder The binder of the variable.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @return {boolean} True if the variable occurs.
+ * @private
+ */
+Blockly.Stepper.occurs_ = function(binder, term) {
+  var found = false;
+  var visit = function(t) {
+    if (t.tag == 'var' && t.binder == binder) {
+      found = true;
+    }
+    if (!found) {
+      Blockly.Stepper.mapChildren_(t, visit);
+    }
+    return t;
+  };
+  visit(term);
+  return found;
+};
+
+/**
+ * Returns whether the term is a value, i.e. can not be reduced further.
+ * Variables are values because they are left only for the functions defined
+ * with enclosing 'let rec's.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @return {boolean} True if the term is a value.
+ */
+Blockly.Stepper.isValue = function(term) {
+  switch (term.tag) {
+    case 'int':
+    case 'float':
+    case 'string':
+    case 'bool':
+    case 'fun':
+    case 'var':
+      return true;
+    case 'list':
+      return term.items.every(Blockly.Stepper.isValue);
+    case 'pair':
+      return Blockly.Stepper.isValue(term.first) &&
+          Blockly.Stepper.isValue(term.second);
+    case 'let':
+      // A closure which refers to functions defined by the 'let rec'.
+      return term.rec && Blockly.Stepper.isValue(term.body) &&
+          Blockly.Stepper.referencesBindings_(term);
+  }
+  return false;
+};
+
+/**
+ * Returns whether the body of the let term refers to its bindings.
+ * @param {!Blockly.Stepper.Term} term The let term.
+ * @return {boolean} True if any of the variables occurs in the body.
+ * @private
+ */
+Blockly.Stepper.referencesBindings_ = function(term) {
+  return term.bindings.some(function(binding) {
+    return Blockly.Stepper.occurs_(binding.binder, term.body);
+  });
+};
+
+/**
+ * Compare two values structurally in the same way as OCaml's compare.
+ * @param {!Blockly.Stepper.Term} a The value.
+ * @param {!Blockly.Stepper.Term} b The value.
+ * @return {number} Negative if a < b, zero if a = b, positive if a > b.
+ * @throws {string} 'Invalid_argument "compare: functional value"' if
+ *     functions are compared.
+ * @private
+ */
+Blockly.Stepper.compareValues_ = function(a, b) {
+  switch (a.tag) {
+    case 'int':
+    case 'float':
+    case 'string':
+    case 'bool':
+      return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+    case 'list':
+      for (var i = 0; i < a.items.length && i < b.items.length; i++) {
+        var c = Blockly.Stepper.compareValues_(a.items[i], b.items[i]);
+        if (c) {
+          return c;
+        }
+      }
+      return a.items.length - b.items.length;
+    case 'pair':
+      return Blockly.Stepper.compareValues_(a.first, b.first) ||
+          Blockly.Stepper.compareValues_(a.second, b.second);
+  }
+  throw 'Invalid_argument "compare: functional value"';
+};
+
+/**
+ * Match the value against the pattern.
+ * @param {!Blockly.Stepper.Term} pattern The pattern.
+ * @param {!Blockly.Stepper.Term} value The value.
+ * @param {!Object.<number, !Blockly.Stepper.Term>} subst Map to which the
+ *     values of pattern variables are added.
+ * @return {boolean} True if the value matches.
+ * @private
+ */
+Blockly.Stepper.matchPattern_ = function(pattern, value, subst) {
+  switch (pattern.tag) {
+    case 'pvar':
+      subst[pattern.binder.id] = value;
+      return true;
+    case 'pnil':
+      return value.items.length == 0;
+    case 'pcons':
+      return value.items.length != 0 &&
+          Blockly.Stepper.matchPattern_(pattern.head, value.items[0], subst) &&
+          Blockly.Stepper.matchPattern_(pattern.tail,
+              {tag: 'list', items: value.items.slice(1)}, subst);
+    case 'ppair':
+      return Blockly.Stepper.matchPattern_(pattern.first, value.first,
+          subst) &&
+          Blockly.Stepper.matchPattern_(pattern.second, value.second, subst);
+  }
+  goog.asserts.fail('Unknown pattern ' + pattern.tag);
+};
+
+/**
+ * Apply the function to the arguments, substituting the arguments for as
+ * many parameters as possible.
+ * @param {!Blockly.Stepper.Term} fun The function.
+ * @param {!Array.<!Blockly.Stepper.Term>} args The values of the arguments.
+ * @param {!Blockly.Stepper.Term} app The application term.
+ * @return {!Blockly.Stepper.Term} The result of the reduction.
+ * @private
+ */
+Blockly.Stepper.betaReduce_ = function(fun, args, app) {
+  var n = Math.min(fun.params.length, args.length);
+  var subst = {};
+  for (var i = 0; i < n; i++) {
+    subst[fun.params[i].id] = args[i];
+  }
+  var result = Blockly.Stepper.substitute_(fun.body, subst);
+  if (n < fun.params.length) {
+    // Partial application.
+    result = {
+      tag: 'fun',
+      params: fun.params.slice(n),
+      body: result,
+      blockId: fun.blockId
+    };
+  }
+  if (n < args.length) {
+    result = {
+      tag: 'app',
+      fn: result,
+      args: args.slice(n),
+      blockId: app.blockId
+    };
+  }
+  return result;
+};
+
+/**
+ * Reduce the term whose children are all values.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @param {!Object.<number, !Blockly.Stepper.Term>} env Map from binder IDs
+ *     to the functions defined by enclosing 'let rec's.
+ * @return {?Blockly.Stepper.Term} The result, or null if the term is a
+ *     value.
+ * @throws {string} The name of the exception if it is raised.
+ * @private
+ */
+Blockly.Stepper.contract_ = function(term, env) {
+  switch (term.tag) {
+    case 'arith':
+      var a = term.left.value;
+      var b = term.right.value;
+      switch (term.op) {
+        // Integers are not wrapped around at 63 bits.
+        case 'ADD_INT': return {tag: 'int', value: a + b};
+        case 'MINUS_INT': return {tag: 'int', value: a - b};
+        case 'MULTIPLY_INT': return {tag: 'int', value: a * b};
+        case 'DIVIDE_INT':
+          if (b == 0) {
+            throw 'Division_by_zero';
+          }
+          return {tag: 'int', value: Math.trunc(a / b)};
+        case 'MOD_INT':
+          if (b == 0) {
+            throw 'Division_by_zero';
+          }
+          return {tag: 'int', value: a % b};
+        case 'ADD_FLOAT': return {tag: 'float', value: a + b};
+        case 'MINUS_FLOAT': return {tag: 'float', value: a - b};
+        case 'MULTIPLY_FLOAT': return {tag: 'float', value: a * b};
+        case 'DIVIDE_FLOAT': return {tag: 'float', value: a / b};
+        case 'POWER_FLOAT': return {tag: 'float', value: Math.pow(a, b)};
+      }
+      goog.asserts.fail('Unknown operator ' + term.op);
+      break;
+    case 'compare':
+      var c = Blockly.Stepper.compareValues_(term.left, term.right);
+      var RESULTS = {
+        'EQ': c == 0, 'NEQ': c != 0, 'LT': c < 0, 'LTE': c <= 0,
+        'GT': c > 0, 'GTE': c >= 0
+      };
+      return {tag: 'bool', value: RESULTS[term.op]};
+    case 'if':
+      return term.cond.value ? term.then : term.else;
+    case 'let':
+      if (term.rec) {
+        return Blockly.Stepper.referencesBindings_(term) ? null : term.body;
+      }
+      var subst = {};
+      for (var i = 0, binding; binding = term.bindings[i]; i++) {
+        subst[binding.binder.id] = binding.exp;
+      }
+      return Blockly.Stepper.substitute_(term.body, subst);
+    case 'app':
+      var fn = term.fn;
+      if (fn.tag == 'var') {
+        goog.asserts.assert(fn.binder.id in env, 'Unbound function.');
+        return Blockly.Stepper.betaReduce_(env[fn.binder.id], term.args,
+            term);
+      }
+      if (fn.tag == 'let') {
+        // Move the application into the scope of the 'let rec' returning the
+        // function.
+        var copy = Object.assign({}, fn);
+        copy.body = {
+          tag: 'app',
+          fn: fn.body,
+          args: term.args,
+          blockId: term.blockId
+        };
+        return copy;
+      }
+      return Blockly.Stepper.betaReduce_(fn, term.args, term);
+    case 'match':
+      var first = term.cases[0];
+      if (first && first.subst) {
+        // The guard of the matched case is evaluated.
+        if (first.guard.value) {
+          return Blockly.Stepper.substitute_(first.body, first.subst);
+        }
+        if (term.cases.length == 1) {
+          throw 'Match_failure';
+        }
+        var copy = Object.assign({}, term);
+        copy.cases = term.cases.slice(1);
+        return copy;
+      }
+      for (var i = 0, c; c = term.cases[i]; i++) {
+        var subst = {};
+        if (!Blockly.Stepper.matchPattern_(c.pattern, term.input, subst)) {
+          continue;
+        }
+        if (!c.guard) {
+          return Blockly.Stepper.substitute_(c.body, subst);
+        }
+        // Drop the cases which are not matched, and evaluate the guard.
+        var copy = Object.assign({}, term);
+        copy.cases = term.cases.slice(i);
+        copy.cases[0] = {
+          pattern: c.pattern,
+          guard: Blockly.Stepper.substitute_(c.guard, subst),
+          body: c.body,
+          subst: subst
+        };
+        return copy;
+      }
+      throw 'Match_failure';
+    case 'cons':
+      return {tag: 'list', items: [term.head].concat(term.tail.items)};
+    case 'fst':
+      return term.arg.first;
+    case 'snd':
+      return term.arg.second;
+  }
+  return null;
+};
+
+/**
+ * Returns the children of the term which are evaluated before the term
+ * itself is reduced, in the order of evaluation. Each child is specified by
+ * a pair of the name of the field and the index in the field if the field is
+ * an array.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @return {!Array.<!Array>} The list of children.
+ * @private
+ */
+Blockly.Stepper.evaluatedChildren_ = function(term) {
+  var indices = function(name, array) {
+    return array.map(function(_, i) {
+      return [name, i];
+    }).reverse();
+  };
+  switch (term.tag) {
+    case 'arith':
+    case 'compare':
+      return [['right'], ['left']];
+    case 'if':
+      return [['cond']];
+    case 'let':
+      return term.rec ? [['body']] : indices('bindings', term.bindings);
+    case 'app':
+      return indices('args', term.args).concat([['fn']]);
+    case 'match':
+      var first = term.cases[0];
+      return first && first.subst ? [['input'], ['cases', 0]] : [['input']];
+    case 'list':
+      return indices('items', term.items);
+    case 'cons':
+      return [['tail'], ['head']];
+    case 'pair':
+      return [['second'], ['first']];
+    case 'fst':
+    case 'snd':
+      return [['arg']];
+  }
+  return [];
+};
+
+/**
+ * Returns the child of the term. Bindings of let terms and cases of match
+ * terms are represented by their expressions and guards respectively.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @param {!Array} path The name of the field and optionally the index.
+ * @return {!Blockly.Stepper.Term} The child.
+ * @private
+ */
+Blockly.Stepper.getChild_ = function(term, path) {
+  var child = term[path[0]];
+  if (path.length == 1) {
+    return child;
+  }
+  child = child[path[1]];
+  if (path[0] == 'bindings') {
+    return child.exp;
+  }
+  return path[0] == 'cases' ? child.guard : child;
+};
+
+/**
+ * Returns a shallow copy of the term whose child is replaced.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @param {!Array} path The name of the field and optionally the index.
+ * @param {!Blockly.Stepper.Term} child The new child.
+ * @return {!Blockly.Stepper.Term} The new term.
+ * @private
+ */
+Blockly.Stepper.setChild_ = function(term, path, child) {
+  var copy = Object.assign({}, term);
+  if (path.length == 1) {
+    copy[path[0]] = child;
+    return copy;
+  }
+  var array = copy[path[0]] = term[path[0]].slice();
+  if (path[0] == 'bindings') {
+    array[path[1]] = Object.assign({}, array[path[1]], {exp: child});
+  } else if (path[0] == 'cases') {
+    array[path[1]] = Object.assign({}, array[path[1]], {guard: child});
+  } else {
+    array[path[1]] = child;
+  }
+  return copy;
+};
+
+/**
+ * Reduce the term by one step.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @param {!Object.<number, !Blockly.Stepper.Term>} env Map from binder IDs
+ *     to the functions defined by enclosing 'let rec's.
+ * @return {?Blockly.Stepper.Reduction} The reduction, or null if the term is
+ *     a value.
+ * @private
+ */
+Blockly.Stepper.step_ = function(term, env) {
+  if (term.tag == 'let' && term.rec) {
+    env = Object.assign({}, env);
+    for (var i = 0, binding; binding = term.bindings[i]; i++) {
+      env[binding.binder.id] = binding.exp;
+    }
+  }
+  var children = Blockly.Stepper.evaluatedChildren_(term);
+  for (var i = 0, path; path = children[i]; i++) {
+    var reduction = Blockly.Stepper.step_(
+        Blockly.Stepper.getChild_(term, path), env);
+    if (reduction) {
+      if (reduction.term) {
+        reduction.term =
+            Blockly.Stepper.setChild_(term, path, reduction.term);
+      }
+      return reduction;
+    }
+  }
+  try {
+    var result = Blockly.Stepper.contract_(term, env);
+  } catch (e) {
+    if (typeof e != 'string') {
+      throw e;
+    }
+    return {term: null, redex: term, exception: e};
+  }
+  return result ? {term: result, redex: term, exception: null} : null;
+};
+
+/**
+ * Returns the current entry of the trace, computing its reduction.
+ * @return {!Blockly.Stepper.Entry_} The entry.
+ * @private
+ */
+Blockly.Stepper.prototype.getEntry_ = function() {
+  var entry = this.trace_[this.index_];
+  if (entry.next === undefined) {
+    entry.next = Blockly.Stepper.step_(entry.term, {});
+  }
+  return entry;
+};
+
+/**
+ * Returns the number of steps taken to reach the current term.
+ * @return {number} The index of the current term in the trace.
+ */
+Blockly.Stepper.prototype.getIndex = function() {
+  return this.index_;
+};
+
+/**
+ * Returns the current term.
+ * @return {!Blockly.Stepper.Term} The term.
+ */
+Blockly.Stepper.prototype.getTerm = function() {
+  return this.trace_[this.index_].term;
+};
+
+/**
+ * Returns the node of the current term which is reduced by the next step.
+ * @return {?Blockly.Stepper.Term} The redex, or null if the current term is a
+ *     value.
+ */
+Blockly.Stepper.prototype.getRedex = function() {
+  var next = this.getEntry_().next;
+  return next ? next.redex : null;
+};
+
+/**
+ * Returns the exception raised by reducing the current term.
+ * @return {?string} The exception, or null if the next step raises no
+ *     exception.
+ */
+Blockly.Stepper.prototype.getException = function() {
+  var next = this.getEntry_().next;
+  return next ? next.exception : null;
+};
+
+/**
+ * Returns whether the current term can be reduced further.
+ * @return {boolean} True if the forward step is available.
+ */
+Blockly.Stepper.prototype.canForward = function() {
+  var next = this.getEntry_().next;
+  return !!next && !!next.term;
+};
+
+/**
+ * Returns whether there is a term before the current one.
+ * @return {boolean} True if the backward step is available.
+ */
+Blockly.Stepper.prototype.canBack = function() {
+  return 0 < this.index_;
+};
+
+/**
+ * Move to the next term of the trace, reducing the current term if it has
+ * never been reduced.
+ * @return {boolean} True if moved.
+ */
+Blockly.Stepper.prototype.forward = function() {
+  if (!this.canForward()) {
+    return false;
+  }
+  this.index_++;
+  if (this.trace_.length == this.index_) {
+    var term = this.trace_[this.index_ - 1].next.term;
+    this.trace_.push({term: term, next: undefined});
+  }
+  return true;
+};
+
+/**
+ * Move to the previous term of the trace.
+ * @return {boolean} True if moved.
+ */
+Blockly.Stepper.prototype.back = function() {
+  if (!this.canBack()) {
+    return false;
+  }
+  this.index_--;
+  return true;
+};
+
+/**
+ * Format the float in the same way as OCaml, e.g. '3.' for 3.
+ * @param {number} value The float.
+ * @return {string} The text.
+ * @private
+ */
+Blockly.Stepper.floatToString_ = function(value) {
+  var text = String(value);
+  if (isFinite(value) && text.indexOf('.') == -1) {
+    text = text.replace(/^(-?\d+)/, '$1.');
+  }
+  return text;
+};
+
+/**
+ * Render the current term as blocks on the given workspace.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {{block: !Blockly.Block, redexBlock: Blockly.Block}} The root
+ *     block, and the block rendered from the redex of the next step, if any.
+ */
+Blockly.Stepper.prototype.renderTerm = function(workspace) {
+  var renderer = new Blockly.Stepper.Renderer_(workspace, this.getRedex());
+  var block = renderer.render(this.getTerm(), null);
+  if (workspace.rendered) {
+    var descendants = block.getDescendants();
+    for (var i = 0, descendant; descendant = descendants[i]; i++) {
+      descendant.initSvg();
+    }
+    block.render();
+  }
+  return {block: block, redexBlock: renderer.redexBlock};
+};
+
+/**
+ * Class for an object which builds blocks from terms. Blocks are connected
+ * to their parent before their children are built so that references are
+ * always in the scope of their values.
+ * @param {!Blockly.Workspace} workspace The workspace to build blocks on.
+ * @param {Blockly.Stepper.Term} redex The node whose block is remembered.
+ * @constructor
+ * @private
+ */
+Blockly.Stepper.Renderer_ = function(workspace, redex) {
+  this.workspace_ = workspace;
+  this.redex_ = redex;
+
+  /**
+   * Map from binder IDs to the variable values on the built blocks.
+   * @type {!Object.<number, !Blockly.BoundVariableValue>}
+   * @private
+   */
+  this.values_ = Object.create(null);
+
+  /** @type {Blockly.Block} */
+  this.redexBlock = null;
+};
+
+/**
+ * Create a block, and connect it to the given connection.
+ * @param {string} type The type of the block.
+ * @param {Blockly.Connection} connection The connection, or null for a
+ *     top block.
+ * @param {Element=} opt_mutation The mutation of the block.
+ * @return {!Blockly.Block} The block.
+ * @private
+ */
+Blockly.Stepper.Renderer_.prototype.newBlock_ = function(type, connection,
+    opt_mutation) {
+  var block = this.workspace_.newBlock(type);
+  if (opt_mutation) {
+    block.domToMutation(opt_mutation);
+  }
+  if (connection) {
+    connection.connect(block.outputConnection);
+  }
+  return block;
+};
+
+/**
+ * Name the variable of the field on the block after the binder.
+ * @param {!Blockly.Block} block The block.
+ * @param {string} fieldName The name of the bound-variable field.
+ * @param {!Blockly.Stepper.Binder} binder The binder.
+ * @private
+ */
+Blockly.Stepper.Renderer_.prototype.bind_ = function(block, fieldName,
+    binder) {
+  var variable = block.typedValue[fieldName];
+  variable.setVariableName(binder.name);
+  this.values_[binder.id] = variable;
+};
+
+/**
+ * Make the reference on the block refer to the variable of the binder.
+ * @param {!Blockly.Block} block The block.
+ * @param {!Blockly.Stepper.Binder} binder The binder.
+ * @private
+ */
+Blockly.Stepper.Renderer_.prototype.refer_ = function(block, binder) {
+  var reference = block.typedReference['VAR'];
+  reference.setVariableName(binder.name);
+  reference.setBoundValue(this.values_[binder.id]);
+};
+
+/**
+ * Build the block of the term, and the blocks of its children.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @param {Blockly.Connection} connection The connection to connect the block
+ *     to, or null for a top block.
+ * @return {!Blockly.Block} The block.
+ */
+Blockly.Stepper.Renderer_.prototype.render = function(term, connection) {
+  var block = this.renderNode_(term, connection);
+  if (term == this.redex_) {
+    this.redexBlock = block;
+  }
+  return block;
+};
+
+/**
+ * Build the block of the given child of the block.
+ * @param {!Blockly.Block} block The parent block.
+ * @param {string} name The name of the input.
+ * @param {!Blockly.Stepper.Term} term The child term.
+ * @private
+ */
+Blockly.Stepper.Renderer_.prototype.renderInput_ = function(block, name,
+    term) {
+  this.render(term, block.getInput(name).connection);
+};
+
+/**
+ * Build the block of the term.
+ * @param {!Blockly.Stepper.Term} term The term.
+ * @param {Blockly.Connection} connection The connection to connect the block
+ *     to, or null for a top block.
+ * @return {!Blockly.Block} The block.
+ * @private
+ */
+Blockly.Stepper.Renderer_.prototype.renderNode_ = function(term,
+    connection) {
+  var createDom = goog.dom.createDom;
+  switch (term.tag) {
+    case 'int':
+      var block = this.newBlock_('int_typed', connection);
+      block.setFieldValue(String(term.value), 'INT');
+      return block;
+    case 'float':
+      if (term.value === Infinity) {
+        return this.newBlock_('infinity_typed', connection);
+      }
+      var block = this.newBlock_('float_typed', connection);
+      block.setFieldValue(Blockly.Stepper.floatToString_(term.value),
+          'Float');
+      return block;
+    case 'string':
+      var block = this.newBlock_('string_typed', connection);
+      block.setFieldValue(term.value, 'STRING');
+      return block;
+    case 'bool':
+      var block = this.newBlock_('logic_boolean_typed', connection);
+      block.setFieldValue(term.value ? 'TRUE' : 'FALSE', 'BOOL');
+      return block;
+    case 'var':
+      var block = this.newBlock_('variables_get_typed', null);
+      this.refer_(block, term.binder);
+      if (connection) {
+        connection.connect(block.outputConnection);
+      }
+      return block;
+    case 'arith':
+      var isInt = /_INT$/.test(term.op);
+      var block = this.newBlock_(isInt ? 'int_arithmetic_typed' :
+          'float_arithmetic_typed', connection);
+      block.setFieldValue(term.op, isInt ? 'OP_INT' : 'OP_FLOAT');
+      this.renderInput_(block, 'A', term.left);
+      this.renderInput_(block, 'B', term.right);
+      return block;
+    case 'compare':
+      var block = this.newBlock_('logic_compare_typed', connection);
+      block.setFieldValue(term.op, 'OP');
+      this.renderInput_(block, 'A', term.left);
+      this.renderInput_(block, 'B', term.right);
+      return block;
+    case 'if':
+      var block = this.newBlock_('logic_ternary_typed', connection);
+      this.renderInput_(block, 'IF', term.cond);
+      this.renderInput_(block, 'THEN', term.then);
+      this.renderInput_(block, 'ELSE', term.else);
+      return block;
+    case 'let':
+      // Arguments of the first binding are shown on its left-hand side.
+      var first = term.bindings[0];
+      var args = [];
+      var exp1 = first.exp;
+      if (first.arity && exp1.tag == 'fun' &&
+          first.arity <= exp1.params.length) {
+        args = exp1.params.slice(0, first.arity);
+        exp1 = first.arity == exp1.params.length ? exp1.body :
+            {
+              tag: 'fun',
+              params: exp1.params.slice(first.arity),
+              body: exp1.body
+            };
+      }
+      var mutation = createDom('mutation', null, args.map(function(arg) {
+        return createDom('item', null, arg.name);
+      }));
+      mutation.setAttribute('ands', term.bindings.length - 1);
+      var block = this.newBlock_(term.rec ? 'letrec_typed' : 'let_typed',
+          null, mutation);
+      this.bind_(block, 'VAR', first.binder);
+      for (var x = 0; x < args.length; x++) {
+        this.bind_(block, 'ARG' + x, args[x]);
+      }
+      for (var x = 1; x < term.bindings.length; x++) {
+        this.bind_(block, 'AND_VAR' + (x - 1), term.bindings[x].binder);
+      }
+      if (connection) {
+        connection.connect(block.outputConnection);
+      }
+      this.renderInput_(block, 'EXP1', exp1);
+      for (var x = 1; x < term.bindings.length; x++) {
+        this.renderInput_(block, 'AND_EXP' + (x - 1), term.bindings[x].exp);
+      }
+      this.renderInput_(block, 'EXP2', term.body);
+      return block;
+    case 'fun':
+      var mutation = createDom('mutation');
+      mutation.setAttribute('params', term.params.length);
+      var block = this.newBlock_('lambda_typed', null, mutation);
+      for (var i = 0; i < term.params.length; i++) {
+        this.bind_(block, block.getParamFieldName_(i), term.params[i]);
+      }
+      if (connection) {
+        connection.connect(block.outputConnection);
+      }
+      this.renderInput_(block, 'RETURN', term.body);
+      return block;
+    case 'app':
+      if (term.fn.tag == 'var') {
+        var block = this.newBlock_('function_app_typed', null);
+        this.refer_(block, term.fn.binder);
+        if (block.paramCount_ != term.args.length) {
+          block.resizeStructure(term.args.length);
+        }
+        if (connection) {
+          connection.connect(block.outputConnection);
+        }
+        for (var i = 0; i < term.args.length; i++) {
+          this.renderInput_(block, 'PARAM' + i, term.args[i]);
+        }
+        return block;
+      }
+      // Apply the function to one argument at a time from the last one.
+      var args = term.args;
+      var block = this.newBlock_('lambda_app_typed', connection);
+      var outer = block;
+      for (var i = args.length - 1; 1 <= i; i--) {
+        outer = this.newBlock_('lambda_app_typed',
+            outer.getInput('FUN').connection);
+      }
+      this.renderInput_(outer, 'FUN', term.fn);
+      for (var i = 0; i < args.length; i++) {
+        this.renderInput_(outer, 'ARG', args[i]);
+        outer = outer.getParent();
+      }
+      return block;
+    case 'match':
+      var guards = [];
+      for (var i = 0; i < term.cases.length; i++) {
+        if (term.cases[i].guard) {
+          guards.push(i);
+        }
+      }
+      var mutation = createDom('mutation');
+      mutation.setAttribute('items', term.cases.length);
+      mutation.setAttribute('guards', guards.join(','));
+      var block = this.newBlock_('match_typed', connection, mutation);
+      this.renderInput_(block, 'INPUT', term.input);
+      for (var i = 0, c; c = term.cases[i]; i++) {
+        this.renderPattern_(c.pattern,
+            block.getInput('PATTERN' + i).connection);
+        if (c.guard) {
+          this.renderInput_(block, 'GUARD' + i, c.guard);
+        }
+        this.renderInput_(block, 'OUTPUT' + i, c.body);
+      }
+      return block;
+    case 'list':
+      if (!term.items.length) {
+        return this.newBlock_('list_empty_typed', connection);
+      }
+      var mutation = createDom('mutation');
+      mutation.setAttribute('items', term.items.length);
+      var block = this.newBlock_('lists_create_with_typed', connection,
+          mutation);
+      for (var x = 0; x < term.items.length; x++) {
+        this.renderInput_(block, 'ADD' + x, term.items[x]);
+      }
+      return block;
+    case 'cons':
+      var block = this.newBlock_('list_cons_typed', connection);
+      this.renderInput_(block, 'FIRST', term.head);
+      this.renderInput_(block, 'CONS', term.tail);
+      return block;
+    case 'pair':
+      var block = this.newBlock_('pair_create_typed', connection);
+      this.renderInput_(block, 'FIRST', term.first);
+      this.renderInput_(block, 'SECOND', term.second);
+      return block;
+    case 'fst':
+      var block = this.newBlock_('pair_first_typed', connection);
+      this.renderInput_(block, 'FIRST', term.arg);
+      return block;
+    case 'snd':
+      var block = this.newBlock_('pair_second_typed', connection);
+      this.renderInput_(block, 'SECOND', term.arg);
+      return block;
+  }
+  goog.asserts.fail('Unknown term ' + term.tag);
+};
+
+/**
+ * Build the block of the pattern.
+ * @param {!Blockly.Stepper.Term} pattern The pattern.
+ * @param {!Blockly.Connection} connection The connection to connect the
+ *     block to.
+ * @private
+ */
+Blockly.Stepper.Renderer_.prototype.renderPattern_ = function(pattern,
+    connection) {
+  switch (pattern.tag) {
+    case 'pvar':
+      var block = this.workspace_.newBlock('variable_pattern_typed');
+      this.bind_(block, 'VAR', pattern.binder);
+      connection.connect(block.outputConnection);
+      break;
+    case 'pnil':
+      this.newBlock_('empty_construct_pattern_typed', connection);
+      break;
+    case 'pcons':
+      var block = this.newBlock_('cons_construct_pattern_typed', connection);
+      this.renderPattern_(pattern.head, block.getInput('FIRST').connection);
+      this.renderPattern_(pattern.tail, block.getInput('CONS').connection);
+      break;
+    case 'ppair':
+      var block = this.newBlock_('pair_pattern_typed', connection);
+      this.renderPattern_(pattern.first, block.getInput('LEFT').connection);
+      this.renderPattern_(pattern.second,
+          block.getInput('RIGHT').connection);
+      break;
+  }
+};
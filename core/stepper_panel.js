@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Panel which shows the trace of a stepper as blocks.
+ */
+'use strict';
+
+goog.provide('Blockly.StepperPanel');
+
+goog.require('Blockly.Stepper');
+
+goog.require('goog.dom');
+goog.require('goog.dom.TagName');
+goog.require('goog.style');
+
+
+/**
+ * Class for a panel which steps through the evaluation of a block on the
+ * main workspace. The term being reduced is shown as blocks on a read-only
+ * workspace in the panel, and the block reduced by the next step is
+ * highlighted both on that workspace and on the main workspace.
+ * @param {!Blockly.WorkspaceSvg} workspace The main workspace.
+ * @param {!Element} container The element to render the panel in.
+ * @param {Object=} opt_options Options for injecting the workspace of the
+ *     panel, e.g. the path to media files.
+ * @constructor
+ */
+Blockly.StepperPanel = function(workspace, container, opt_options) {
+  /** @type {!Blockly.WorkspaceSvg} */
+  this.workspace_ = workspace;
+
+  /** @type {!Element} */
+  this.container_ = container;
+
+  /** @type {!Object} */
+  this.options_ = opt_options || {};
+
+  /**
+   * The stepper of the block being evaluated, or null if nothing is
+   * evaluated.
+   * @type {Blockly.Stepper}
+   */
+  this.stepper_ = null;
+
+  /**
+   * The workspace which shows the current term. Injected when the panel is
+   * opened for the first time.
+   * @type {Blockly.WorkspaceSvg}
+   */
+  this.termWorkspace_ = null;
+
+  /**
+   * Blocks highlighted as the redex of the next step.
+   * @type {!Array.<!Blockly.BlockSvg>}
+   * @private
+   */
+  this.highlightedBlocks_ = [];
+
+  /** @type {Element} */
+  this.dom_ = null;
+
+  /** @type {Element} */
+  this.header_ = null;
+
+  /** @type {Element} */
+  this.backButton_ = null;
+
+  /** @type {Element} */
+  this.forwardButton_ = null;
+
+  /** @type {Element} */
+  this.workspaceDiv_ = null;
+
+  this.createDom_();
+  goog.style.setElementShown(this.dom_, false);
+};
+
+/**
+ * Create the DOM of this panel.
+ * @private
+ */
+Blockly.StepperPanel.prototype.createDom_ = function() {
+  var createDom = goog.dom.createDom;
+  this.dom_ = createDom(goog.dom.TagName.DIV, 'blocklyStepperPanel');
+  this.header_ = createDom(goog.dom.TagName.DIV, 'blocklyStepperHeader');
+  this.backButton_ = createDom(goog.dom.TagName.BUTTON,
+      'blocklyStepperButton', Blockly.Msg['STEPPER_BACK']);
+  this.forwardButton_ = createDom(goog.dom.TagName.BUTTON,
+      'blocklyStepperButton', Blockly.Msg['STEPPER_FORWARD']);
+  var closeButton = createDom(goog.dom.TagName.BUTTON,
+      'blocklyStepperButton', Blockly.Msg['STEPPER_CLOSE']);
+  this.backButton_.addEventListener('click', this.back.bind(this));
+  this.forwardButton_.addEventListener('click', this.forward.bind(this));
+  closeButton.addEventListener('click', this.close.bind(this));
+  var controls = createDom(goog.dom.TagName.DIV, 'blocklyStepperControls',
+      this.backButton_, this.forwardButton_, closeButton);
+  this.workspaceDiv_ = createDom(goog.dom.TagName.DIV,
+      'blocklyStepperWorkspace');
+  this.dom_.appendChild(this.header_);
+  this.dom_.appendChild(controls);
+  this.dom_.appendChild(this.workspaceDiv_);
+  this.container_.appendChild(this.dom_);
+};
+
+/**
+ * Start stepping through the evaluation of the given block. If the block can
+ * not be evaluated, the reason is shown and the offending block is selected.
+ * @param {!Blockly.Block} block The value block to evaluate.
+ * @param {!Array.<!Blockly.Block>} prefix Toplevel statements to run before
+ *     the block.
+ */
+Blockly.StepperPanel.prototype.start = function(block, prefix) {
+  goog.style.setElementShown(this.dom_, true);
+  if (!this.termWorkspace_) {
+    var options = Object.assign({}, this.options_, {
+      readOnly: true,
+      typedVersion: true,
+      scrollbars: true
+    });
+    this.termWorkspace_ = Blockly.inject(this.workspaceDiv_, options);
+  }
+  try {
+    this.stepper_ = new Blockly.Stepper(block, prefix);
+  } catch (e) {
+    if (!e.blockId) {
+      throw e;
+    }
+    this.stop_();
+    this.header_.textContent = e.message;
+    var errorBlock = this.workspace_.getBlockById(e.blockId);
+    if (errorBlock) {
+      errorBlock.select();
+    }
+    return;
+  }
+  this.render_();
+};
+
+/**
+ * Show the previous term.
+ */
+Blockly.StepperPanel.prototype.back = function() {
+  if (this.stepper_ && this.stepper_.back()) {
+    this.render_();
+  }
+};
+
+/**
+ * Show the next term.
+ */
+Blockly.StepperPanel.prototype.forward = function() {
+  if (this.stepper_ && this.stepper_.forward()) {
+    this.render_();
+  }
+};
+
+/**
+ * Stop stepping, and hide this panel.
+ */
+Blockly.StepperPanel.prototype.close = function() {
+  this.stop_();
+  goog.style.setElementShown(this.dom_, false);
+};
+
+/**
+ * Forget the current stepper, and remove the blocks and highlights it left.
+ * @private
+ */
+Blockly.StepperPanel.prototype.stop_ = function() {
+  this.stepper_ = null;
+  this.clearHighlights_();
+  if (this.termWorkspace_) {
+    this.termWorkspace_.clear();
+  }
+  this.backButton_.disabled = true;
+  this.forwardButton_.disabled = true;
+};
+
+/**
+ * Remove highlights from the blocks which are highlighted as the redex.
+ * @private
+ */
+Blockly.StepperPanel.prototype.clearHighlights_ = function() {
+  for (var i = 0, block; block = this.highlightedBlocks_[i]; i++) {
+    // Keep the look of the block the user has selected.
+    if (block.workspace && block != Blockly.selected) {
+      block.removeSelect();
+    }
+  }
+  this.highlightedBlocks_.length = 0;
+};
+
+/**
+ * Highlight the block as the redex of the next step.
+ * @param {Blockly.BlockSvg} block The block, or null to do nothing.
+ * @private
+ */
+Blockly.StepperPanel.prototype.highlight_ = function(block) {
+  if (block && block.rendered) {
+    block.addSelect();
+    this.highlightedBlocks_.push(block);
+  }
+};
+
+/**
+ * Show the current term of the stepper, and update the header and buttons.
+ * @private
+ */
+Blockly.StepperPanel.prototype.render_ = function() {
+  var stepper = this.stepper_;
+  this.clearHighlights_();
+  this.termWorkspace_.clear();
+  var result = stepper.renderTerm(this.termWorkspace_);
+  result.block.moveBy(Blockly.SNAP_RADIUS, Blockly.SNAP_RADIUS);
+  this.highlight_(result.redexBlock);
+  var redex = stepper.getRedex();
+  if (redex && redex.blockId) {
+    this.highlight_(this.workspace_.getBlockById(redex.blockId));
+  }
+
+  var index = stepper.getIndex();
+  var exception = stepper.getException();
+  var message;
+  if (exception) {
+    message = Blockly.Msg['STEPPER_EXCEPTION'].replace('%2', exception);
+  } else if (redex) {
+    message = Blockly.Msg['STEPPER_STEP'];
+  } else {
+    message = Blockly.Msg['STEPPER_VALUE'];
+  }
+  this.header_.textContent = message.replace('%1', index);
+  this.backButton_.disabled = !stepper.canBack();
+  this.forwardButton_.disabled = !stepper.canForward();
+};
+
+/**
+ * Dispose of this panel.
+ */
+Blockly.StepperPanel.prototype.dispose = function() {
+  this.stop_();
+  if (this.termWorkspace_) {
+    this.termWorkspace_.dispose();
+    this.termWorkspace_ = null;
+  }
+  goog.dom.removeNode(this.dom_);
+  this.dom_ = null;
+  this.header_ = null;
+  this.backButton_ = null;
+  this.forwardButton_ = null;
+  this.workspaceDiv_ = null;
+};
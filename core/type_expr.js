@@ -8,6 +8,7 @@ goog.require('Blockly.ErrorCollector');
 goog.require('goog.array');
 goog.require('goog.asserts');
 goog.require('goog.dom');
+goog.require('goog.string');
 
 /**
  * @constructor
@@ -41,6 +42,12 @@ Blockly.TypeExpr.BOOL_ = 110;
  */
 Blockly.TypeExpr.STRING_ = 113;
 
+/**
+ * @type {number}
+ * @private
+ */
+Blockly.TypeExpr.CHAR_ = 114;
+
 /**
  * @type {number}
  * @private
@@ -53,6 +60,18 @@ Blockly.TypeExpr.LIST_ = 115;
  */
 Blockly.TypeExpr.OPTION_ = 118;
 
+/**
+ * @type {number}
+ * @private
+ */
+Blockly.TypeExpr.REF_ = 119;
+
+/**
+ * @type {number}
+ * @private
+ */
+Blockly.TypeExpr.ARRAY_ = 120;
+
 /**
  * @type {number}
  * @private
@@ -89,6 +108,12 @@ Blockly.TypeExpr.TYPE_CONSTRUCTOR_ = 150;
  */
 Blockly.TypeExpr.RECORD_ = 155;
 
+/**
+ * @type {number}
+ * @private
+ */
+Blockly.TypeExpr.ALIAS_ = 157;
+
 /**
  * @type {number}
  * @private
@@ -146,10 +171,16 @@ Blockly.TypeExpr.prototype.getTypeName = function() {
       return 'bool';
     case Blockly.TypeExpr.STRING_:
       return 'string';
+    case Blockly.TypeExpr.CHAR_:
+      return 'char';
     case Blockly.TypeExpr.LIST_:
       return 'list';
     case Blockly.TypeExpr.OPTION_:
       return 'option';
+    case Blockly.TypeExpr.REF_:
+      return 'ref';
+    case Blockly.TypeExpr.ARRAY_:
+      return 'array';
     case Blockly.TypeExpr.TUPLE_:
       return 'tuple';
     case Blockly.TypeExpr.UNIT_:
@@ -162,6 +193,8 @@ Blockly.TypeExpr.prototype.getTypeName = function() {
       return 'type-constructor';
     case Blockly.TypeExpr.RECORD_:
       return 'record';
+    case Blockly.TypeExpr.ALIAS_:
+      return 'alias';
     case Blockly.TypeExpr.PATTERN_:
       return 'pattern';
     case Blockly.TypeExpr.UNKNOWN_:
@@ -195,6 +228,9 @@ Blockly.TypeExpr.prototype.isBool = function() {
 Blockly.TypeExpr.prototype.isString = function() {
   return this.label == Blockly.TypeExpr.STRING_;
 };
+Blockly.TypeExpr.prototype.isChar = function() {
+  return this.label == Blockly.TypeExpr.CHAR_;
+};
 Blockly.TypeExpr.prototype.isPrimitive = function() {
   return this.label == Blockly.TypeExpr.INT_ ||
       this.label == Blockly.TypeExpr.FLOAT_ ||
@@ -209,6 +245,12 @@ Blockly.TypeExpr.prototype.isList = function() {
 Blockly.TypeExpr.prototype.isOption = function() {
   return this.label == Blockly.TypeExpr.OPTION_;
 }
+Blockly.TypeExpr.prototype.isRef = function() {
+  return this.label == Blockly.TypeExpr.REF_;
+};
+Blockly.TypeExpr.prototype.isArray = function() {
+  return this.label == Blockly.TypeExpr.ARRAY_;
+};
 Blockly.TypeExpr.prototype.isTuple = function() {
   return this.label == Blockly.TypeExpr.TUPLE_;
 };
@@ -235,6 +277,9 @@ Blockly.TypeExpr.prototype.isTypeConstructor = function() {
 Blockly.TypeExpr.prototype.isRecord = function() {
   return this.label == Blockly.TypeExpr.RECORD_;
 };
+Blockly.TypeExpr.prototype.isAlias = function() {
+  return this.label == Blockly.TypeExpr.ALIAS_;
+};
 Blockly.TypeExpr.prototype.isStructure = function() {
   // The class of type expression representing a structure is expected to have
   // a field named `id` to identify the structure.
@@ -434,6 +479,33 @@ Blockly.TypeExpr.STRING.prototype.clone = function() {
   return new Blockly.TypeExpr.STRING();
 };
 
+/**
+ * @constructor
+ * @extends {Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.CHAR = function() {
+  Blockly.TypeExpr.call(this, Blockly.TypeExpr.CHAR_);
+};
+goog.inherits(Blockly.TypeExpr.CHAR, Blockly.TypeExpr);
+
+/**
+ * @param {boolean=} opt_deref
+ * @return {string}
+ * @override
+ */
+Blockly.TypeExpr.CHAR.prototype.toString = function(opt_deref) {
+  return "CHAR";
+};
+
+/**
+ * Deeply clone the object
+ * @override
+ * @return {Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.CHAR.prototype.clone = function() {
+  return new Blockly.TypeExpr.CHAR();
+};
+
 /**
  * @extends {Blockly.TypeExpr}
  * @constructor
@@ -574,6 +646,146 @@ Blockly.TypeExpr.OPTION.prototype.deepDeref = function() {
   return new Blockly.TypeExpr.OPTION(this.element_type.deepDeref());
 };
 
+/**
+ * @extends {Blockly.TypeExpr}
+ * @constructor
+ * @param {Blockly.TypeExpr} element_type
+ * @return {Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.REF = function(element_type) {
+  /** @type {Blockly.TypeExpr} */
+  this.element_type = element_type;
+  Blockly.TypeExpr.call(this, Blockly.TypeExpr.REF_);
+};
+goog.inherits(Blockly.TypeExpr.REF, Blockly.TypeExpr);
+
+/**
+ * @override
+ * @param {boolean=} opt_deref
+ * @return {string}
+ */
+Blockly.TypeExpr.REF.prototype.toString = function(opt_deref) {
+  return "REF[" + this.element_type.toString(opt_deref) + "]";
+};
+
+/**
+ * Gets the display text for type expression.
+ * @return {string}
+ * @private
+ */
+Blockly.TypeExpr.REF.prototype.getDisplayText = function() {
+  return this.element_type.getDisplayText() + " ref";
+};
+
+/**
+ * @override
+ * @return {Array<Type>}
+ */
+Blockly.TypeExpr.REF.prototype.getChildren = function() {
+  return [this.element_type];
+};
+
+/**
+ * Replace one of children type which this type directly has with another
+ * type.
+ * @param {!Blockly.Block} oldChild The child type to be replaced.
+ * @param {!Blockly.Block} newChild The child type to be inserted instead of
+ *      oldChild.
+ */
+Blockly.TypeExpr.REF.prototype.replaceChild = function(oldChild, newChild) {
+  goog.asserts.assert(this.element_type == oldChild,
+    'The specified child is not found.');
+  this.element_type = newChild;
+};
+
+/**
+ * Deeply clone the object
+ * @override
+ * @return {Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.REF.prototype.clone = function() {
+  return new Blockly.TypeExpr.REF(this.element_type.clone());
+};
+
+/**
+ * Returns the object which is dereferenced recursively.
+ * @override
+ * @return {Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.REF.prototype.deepDeref = function() {
+  return new Blockly.TypeExpr.REF(this.element_type.deepDeref());
+};
+
+/**
+ * @extends {Blockly.TypeExpr}
+ * @constructor
+ * @param {Blockly.TypeExpr} element_type
+ * @return {Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.ARRAY = function(element_type) {
+  /** @type {Blockly.TypeExpr} */
+  this.element_type = element_type;
+  Blockly.TypeExpr.call(this, Blockly.TypeExpr.ARRAY_);
+};
+goog.inherits(Blockly.TypeExpr.ARRAY, Blockly.TypeExpr);
+
+/**
+ * @override
+ * @param {boolean=} opt_deref
+ * @return {string}
+ */
+Blockly.TypeExpr.ARRAY.prototype.toString = function(opt_deref) {
+  return "ARRAY[" + this.element_type.toString(opt_deref) + "]";
+};
+
+/**
+ * Gets the display text for type expression.
+ * @return {string}
+ * @private
+ */
+Blockly.TypeExpr.ARRAY.prototype.getDisplayText = function() {
+  return this.element_type.getDisplayText() + " array";
+};
+
+/**
+ * @override
+ * @return {Array<Type>}
+ */
+Blockly.TypeExpr.ARRAY.prototype.getChildren = function() {
+  return [this.element_type];
+};
+
+/**
+ * Replace one of children type which this type directly has with another
+ * type.
+ * @param {!Blockly.Block} oldChild The child type to be replaced.
+ * @param {!Blockly.Block} newChild The child type to be inserted instead of
+ *      oldChild.
+ */
+Blockly.TypeExpr.ARRAY.prototype.replaceChild = function(oldChild, newChild) {
+  goog.asserts.assert(this.element_type == oldChild,
+    'The specified child is not found.');
+  this.element_type = newChild;
+};
+
+/**
+ * Deeply clone the object
+ * @override
+ * @return {Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.ARRAY.prototype.clone = function() {
+  return new Blockly.TypeExpr.ARRAY(this.element_type.clone());
+};
+
+/**
+ * Returns the object which is dereferenced recursively.
+ * @override
+ * @return {Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.ARRAY.prototype.deepDeref = function() {
+  return new Blockly.TypeExpr.ARRAY(this.element_type.deepDeref());
+};
+
 /**
  * @param {Array.<!Blockly.TypeExpr>|...!Blockly.TypeExpr}
  * @constructor
@@ -734,24 +946,47 @@ Blockly.TypeExpr.UNIT.prototype.clone = function() {
  * @constructor
  * @param {Blockly.TypeExpr} arg_type
  * @param {Blockly.TypeExpr} return_type
+ * @param {string=} opt_label The label of the argument, e.g. "x" for
+ *     "~x:int -> int". Defaults to an unlabeled argument.
+ * @param {boolean=} opt_optional True if the labeled argument is optional,
+ *     e.g. "?x:int -> int". arg_type is then the type of the argument
+ *     supplied by callers, not its option type.
  * @return {Blockly.TypeExpr}
  */
-Blockly.TypeExpr.FUN = function(arg_type, return_type) {
+Blockly.TypeExpr.FUN = function(arg_type, return_type, opt_label,
+    opt_optional) {
   /** @type {Blockly.TypeExpr} */
   this.arg_type = arg_type;
   /** @type {Blockly.TypeExpr} */
   this.return_type = return_type;
+  /** @type {string} */
+  this.argLabel = opt_label || '';
+  /** @type {boolean} */
+  this.optional = !!opt_label && !!opt_optional;
   Blockly.TypeExpr.call(this, Blockly.TypeExpr.FUN_);
 };
 goog.inherits(Blockly.TypeExpr.FUN, Blockly.TypeExpr);
 
+/**
+ * Returns the prefix of the argument type in OCaml syntax, e.g. "x:" or
+ * "?x:", or an empty string if the argument is unlabeled.
+ * @return {string}
+ */
+Blockly.TypeExpr.FUN.prototype.getLabelPrefix = function() {
+  if (!this.argLabel) {
+    return '';
+  }
+  return (this.optional ? '?' : '') + this.argLabel + ':';
+};
+
 /**
  * @override
  * @param {boolean=} opt_deref
  * @return {string}
  */
 Blockly.TypeExpr.FUN.prototype.toString = function(opt_deref) {
-  return "FUN((" + this.arg_type.toString(opt_deref) + ") -> (" +
+  return "FUN(" + this.getLabelPrefix() + "(" +
+      this.arg_type.toString(opt_deref) + ") -> (" +
       this.return_type.toString(opt_deref) + "))";
 };
 
@@ -761,7 +996,7 @@ Blockly.TypeExpr.FUN.prototype.toString = function(opt_deref) {
  * @private
  */
 Blockly.TypeExpr.FUN.prototype.getDisplayText = function() {
-  return this.arg_type.getDisplayText() + " -> " +
+  return this.getLabelPrefix() + this.arg_type.getDisplayText() + " -> " +
       this.return_type.getDisplayText();
 };
 
@@ -772,7 +1007,7 @@ Blockly.TypeExpr.FUN.prototype.getDisplayText = function() {
  */
 Blockly.TypeExpr.FUN.prototype.clone = function() {
   return new Blockly.TypeExpr.FUN(this.arg_type.clone(),
-      this.return_type.clone());
+      this.return_type.clone(), this.argLabel, this.optional);
 };
 
 /**
@@ -807,28 +1042,46 @@ Blockly.TypeExpr.FUN.prototype.replaceChild = function(oldChild, newChild) {
  */
 Blockly.TypeExpr.FUN.prototype.deepDeref = function() {
   return new Blockly.TypeExpr.FUN(this.arg_type.deepDeref(),
-      this.return_type.deepDeref());
+      this.return_type.deepDeref(), this.argLabel, this.optional);
 };
 
 /**
  * @param {string} id The string to identify constructor type. Null if it's not
  *     identified.
+ * @param {Array.<!Blockly.TypeExpr>=} opt_params List of type arguments given
+ *     to the type constructor, e.g. [int] for "int tree". Defaults to none.
  * @constructor
  * @extends {Blockly.TypeExpr}
  */
-Blockly.TypeExpr.CONSTRUCT = function(id) {
+Blockly.TypeExpr.CONSTRUCT = function(id, opt_params) {
   this.id = (typeof id == 'string') ? id : null;
+  /** @type {!Array.<!Blockly.TypeExpr>} */
+  this.params = opt_params ? [].concat(opt_params) : [];
   Blockly.TypeExpr.call(this, Blockly.TypeExpr.CONSTRUCT_);
 };
 goog.inherits(Blockly.TypeExpr.CONSTRUCT, Blockly.TypeExpr);
 
+/**
+ * The ID of the extensible variant type exn. All the exception constructors
+ * belong to this type.
+ * @type {string}
+ * @const
+ */
+Blockly.TypeExpr.CONSTRUCT.EXN_ID = 'exn';
+
 /**
  * @param {boolean=} opt_deref
  * @return {string}
  * @override
  */
 Blockly.TypeExpr.CONSTRUCT.prototype.toString = function(opt_deref) {
-  return "CONSTRUCT(" + (this.id ? this.id : "null") + ")";
+  var str = "CONSTRUCT(" + (this.id ? this.id : "null") + ")";
+  if (this.params.length) {
+    str += "[" + goog.array.map(this.params, function(param) {
+      return param.toString(opt_deref);
+    }).join(", ") + "]";
+  }
+  return str;
 };
 
 /**
@@ -837,6 +1090,24 @@ Blockly.TypeExpr.CONSTRUCT.prototype.toString = function(opt_deref) {
  * @private
  */
 Blockly.TypeExpr.CONSTRUCT.prototype.getDisplayText = function() {
+  var dataname = this.getDataName();
+  if (!dataname) {
+    return '';
+  }
+  return Blockly.TypeExpr.CONSTRUCT.getTypeArgumentsText(
+      goog.array.map(this.params, function(param) {
+        return param.getDisplayText();
+      })) + dataname;
+};
+
+/**
+ * Returns the name of the type constructor without type arguments.
+ * @return {string} The name, or an empty string if it's not found.
+ */
+Blockly.TypeExpr.CONSTRUCT.prototype.getDataName = function() {
+  if (this.id == Blockly.TypeExpr.CONSTRUCT.EXN_ID) {
+    return 'exn';
+  }
   var dataname;
   if (Blockly.mainWorkspace) {
     dataname = Blockly.mainWorkspace.getCtorDataName(this.id);
@@ -844,13 +1115,52 @@ Blockly.TypeExpr.CONSTRUCT.prototype.getDisplayText = function() {
   return dataname ? dataname : '';
 };
 
+/**
+ * Returns the text of type arguments to be put before the name of a type
+ * constructor in OCaml syntax, e.g. "'a " or "('a, 'b) ".
+ * @param {!Array.<string>} params List of the type arguments.
+ * @return {string} The text, or an empty string if there is no argument.
+ */
+Blockly.TypeExpr.CONSTRUCT.getTypeArgumentsText = function(params) {
+  if (params.length == 0) {
+    return '';
+  }
+  if (params.length == 1) {
+    return params[0] + ' ';
+  }
+  return '(' + params.join(', ') + ') ';
+};
+
+/**
+ * @return {Array<Type>}
+ * @override
+ */
+Blockly.TypeExpr.CONSTRUCT.prototype.getChildren = function() {
+  return [].concat(this.params);
+};
+
+/**
+ * Replace one of children type which this type directly has with another
+ * type.
+ * @param {!Blockly.Block} oldChild The child type to be replaced.
+ * @param {!Blockly.Block} newChild The child type to be inserted instead of
+ *     oldChild.
+ */
+Blockly.TypeExpr.CONSTRUCT.prototype.replaceChild = function(oldChild,
+    newChild) {
+  var index = this.params.indexOf(oldChild);
+  goog.asserts.assert(index != -1, 'The specidied child is not found.');
+  this.params[index] = newChild;
+};
+
 /**
  * Deeply clone the object
  * @return {Blockly.TypeExpr}
  * @override
  */
 Blockly.TypeExpr.CONSTRUCT.prototype.clone = function() {
-  return new Blockly.TypeExpr.CONSTRUCT(this.id);
+  return new Blockly.TypeExpr.CONSTRUCT(this.id,
+      goog.array.map(this.params, function(param) { return param.clone(); }));
 };
 
 /**
@@ -859,7 +1169,10 @@ Blockly.TypeExpr.CONSTRUCT.prototype.clone = function() {
  * @override
  */
 Blockly.TypeExpr.CONSTRUCT.prototype.deepDeref = function() {
-  return new Blockly.TypeExpr.CONSTRUCT(this.id);
+  return new Blockly.TypeExpr.CONSTRUCT(this.id,
+      goog.array.map(this.params, function(param) {
+        return param.deepDeref();
+      }));
 };
 
 /**
@@ -951,6 +1264,90 @@ Blockly.TypeExpr.RECORD.prototype.deepDeref = function() {
   return new Blockly.TypeExpr.RECORD(this.id);
 };
 
+/**
+ * Type abbreviation, e.g. `type point = int * int`. It is expanded during
+ * unification, but displayed by its name.
+ * @param {string} name The name of the type abbreviation.
+ * @param {!Blockly.TypeExpr} type The type which the abbreviation stands for.
+ * @constructor
+ * @extends {Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.ALIAS = function(name, type) {
+  /** @type {string} */
+  this.name = name;
+  /** @type {!Blockly.TypeExpr} */
+  this.type = type;
+  Blockly.TypeExpr.call(this, Blockly.TypeExpr.ALIAS_);
+};
+goog.inherits(Blockly.TypeExpr.ALIAS, Blockly.TypeExpr);
+
+/**
+ * @param {boolean=} opt_deref
+ * @return {string}
+ * @override
+ */
+Blockly.TypeExpr.ALIAS.prototype.toString = function(opt_deref) {
+  return "ALIAS(" + this.name + ", " + this.type.toString(opt_deref) + ")";
+};
+
+/**
+ * Gets the display text for type expression.
+ * @return {string}
+ * @private
+ */
+Blockly.TypeExpr.ALIAS.prototype.getDisplayText = function() {
+  return this.name;
+};
+
+/**
+ * @override
+ * @return {Array<Type>}
+ */
+Blockly.TypeExpr.ALIAS.prototype.getChildren = function() {
+  return [this.type];
+};
+
+/**
+ * Replace one of children type which this type directly has with another
+ * type.
+ * @param {!Blockly.Block} oldChild The child type to be replaced.
+ * @param {!Blockly.Block} newChild The child type to be inserted instead of
+ *     oldChild.
+ * @override
+ */
+Blockly.TypeExpr.ALIAS.prototype.replaceChild = function(oldChild, newChild) {
+  goog.asserts.assert(this.type == oldChild, 'Not found.');
+  this.type = newChild;
+};
+
+/**
+ * Deeply clone the object
+ * @return {Blockly.TypeExpr}
+ * @override
+ */
+Blockly.TypeExpr.ALIAS.prototype.clone = function() {
+  return new Blockly.TypeExpr.ALIAS(this.name, this.type.clone());
+};
+
+/**
+ * Returns the object which is dereferenced recursively.
+ * @return {Blockly.TypeExpr}
+ * @override
+ */
+Blockly.TypeExpr.ALIAS.prototype.deepDeref = function() {
+  return new Blockly.TypeExpr.ALIAS(this.name, this.type.deepDeref());
+};
+
+/**
+ * Returns the type which this abbreviation stands for, expanding nested
+ * abbreviations too.
+ * @return {!Blockly.TypeExpr}
+ */
+Blockly.TypeExpr.ALIAS.prototype.expand = function() {
+  var t = this.type.deref();
+  return t.isAlias() ? t.expand() : t;
+};
+
 /**
  * @param {!Blockly.TypeExpr} pattExpr
  * @constructor
@@ -1356,6 +1753,30 @@ Blockly.TypeExpr.prototype.instantiate = function(targetNames) {
   return {instance: cloned, bounds: boundList};
 };
 
+/**
+ * Clone type expression and replace type variables with the given types,
+ * e.g. type parameters of a variant type with its type arguments.
+ * @param {!Object.<string, !Blockly.TypeExpr>} map Map from names of type
+ *     variables to types to be inserted instead of them. Type variables not
+ *     in the map are left as they are.
+ * @return {!Blockly.TypeExpr} The cloned type expression.
+ */
+Blockly.TypeExpr.prototype.substitute = function(map) {
+  var substitute = function(t) {
+    if (t.isTypeVar()) {
+      return t.name in map ? map[t.name] : t;
+    }
+    var cloned = t.clone();
+    var children = t.getChildren();
+    var clonedChildren = cloned.getChildren();
+    for (var i = 0; i < children.length; i++) {
+      cloned.replaceChild(clonedChildren[i], substitute(children[i]));
+    }
+    return cloned;
+  };
+  return substitute(this.deepDeref());
+};
+
 /**
  * @param {Blockly.TypeExpr} other
  */
@@ -1406,9 +1827,15 @@ Blockly.TypeExpr.prototype.unify = function(other) {
       } else {
         tvar.val = othr;
       }
+    } else if (t1.isAlias() || t2.isAlias()) {
+      staq.push([t1.isAlias() ? t1.expand() : t1,
+          t2.isAlias() ? t2.expand() : t2]);
     } else if (t1.label != t2.label) {
       throw Blockly.TypeExpr.errorInconsistentLabel(t1, t2);
-    } else if (t1.isTuple() && t1.tuples_.length != t1.tuples_.length) {
+    } else if (t1.isTuple() && t1.tuples_.length != t2.tuples_.length) {
+      throw Blockly.TypeExpr.errorInconsistentLabel(t1, t2);
+    } else if (t1.isFunction() && (t1.argLabel != t2.argLabel ||
+        t1.optional != t2.optional)) {
       throw Blockly.TypeExpr.errorInconsistentLabel(t1, t2);
     } else if (t1.isStructure() && t2.isStructure()) {
       if (t1.id && t2.id) {
@@ -1423,6 +1850,21 @@ Blockly.TypeExpr.prototype.unify = function(other) {
         console.log('Both are undefined structure: ' + t1 + ', '+ t2);
         goog.asserts.fail('Both are undefined structure.');
       }
+      var children1 = t1.getChildren();
+      var children2 = t2.getChildren();
+      if (children1.length == children2.length) {
+        for (var i = 0; i < children1.length; i++) {
+          staq.push([children1[i], children2[i]]);
+        }
+      } else if (children1.length && children2.length) {
+        throw Blockly.TypeExpr.errorInconsistentStructure(t1, t2);
+      } else if (children1.length) {
+        // The other does not know type arguments yet, e.g. the type of
+        // a constructor reference before it's bound.
+        t2.params = children1;
+      } else {
+        t1.params = children2;
+      }
     } else {
       var children1 = t1.getChildren();
       var children2 = t2.getChildren();
@@ -1530,8 +1972,9 @@ Blockly.TypeExpr.equals = function(typ1, typ2) {
   if (typ1.isPrimitive()) {
     return true;
   }
-  if (typ1.isStructure()) {
-    return typ1.id && typ2.id ? typ1.id == typ2.id : false;
+  if (typ1.isStructure() && !(typ1.id && typ2.id && typ1.id == typ2.id &&
+      typ1.getChildren().length == typ2.getChildren().length)) {
+    return false;
   }
   if (typ1.isTypeConstructor()) {
     return false;
@@ -1545,6 +1988,13 @@ Blockly.TypeExpr.equals = function(typ1, typ2) {
   if (typ1.isTypeVar()) {
     return typ1.name == typ2.name;
   }
+  if (typ1.isAlias() && typ1.name != typ2.name) {
+    return false;
+  }
+  if (typ1.isFunction() && (typ1.argLabel != typ2.argLabel ||
+      typ1.optional != typ2.optional)) {
+    return false;
+  }
   var children1 = typ1.getChildren();
   var children2 = typ2.getChildren();
   for (var i = 0; i < children1.length; i++) {
@@ -1589,6 +2039,401 @@ Blockly.TypeExpr.functionToArray = function(type) {
   return result;
 };
 
+/**
+ * Matches arguments of an application against the parameters of the applied
+ * function following the label commutation of OCaml:
+ *   - A labeled argument is passed to the first remaining parameter with the
+ *     same label, wherever the parameter is.
+ *   - Unlabeled arguments are passed to the unlabeled parameters in order.
+ *   - Optional parameters before the last unlabeled parameter which is
+ *     applied are omitted.
+ *   - Labels may be omitted entirely if the application is total, i.e. the
+ *     arguments are as many as the non-optional parameters of a function
+ *     whose return type is known.
+ * Arguments left over are applied to the return type of the function.
+ * @param {!Blockly.TypeExpr} funType The type of the applied function.
+ * @param {!Array.<string>} labels The label of each argument, or an empty
+ *     string for an unlabeled argument.
+ * @return {!{argTypes: !Array.<!Blockly.TypeExpr>,
+ *     returnType: !Blockly.TypeExpr}} The types expected for the arguments
+ *     in the same order as labels, and the type of the application.
+ */
+Blockly.TypeExpr.applyLabels = function(funType, labels) {
+  var params = [];
+  var t = funType.deref();
+  while (t.isFunction()) {
+    params.push(t);
+    t = t.return_type.deref();
+  }
+  var returnType = t;
+  var used = goog.array.repeat(false, params.length);
+  var argTypes = [];
+
+  var requiredParams = goog.array.filter(params, function(param) {
+    return !param.optional;
+  });
+  var isTotal = !returnType.isTypeVar() && labels.length != 0 &&
+      labels.length == requiredParams.length &&
+      goog.array.every(labels, function(label) { return !label; }) &&
+      goog.array.some(requiredParams, function(param) {
+        return !!param.argLabel;
+      });
+  if (isTotal) {
+    for (var i = 0; i < requiredParams.length; i++) {
+      argTypes.push(requiredParams[i].arg_type);
+    }
+    return {argTypes: argTypes, returnType: returnType};
+  }
+
+  var extraLabels = [];
+  var lastUnlabeled = -1;
+  for (var i = 0; i < labels.length; i++) {
+    var label = labels[i];
+    var index = goog.array.findIndex(params, function(param, j) {
+      return !used[j] && param.argLabel == label;
+    });
+    if (index == -1) {
+      // Applied to the return type later.
+      argTypes.push(null);
+      extraLabels.push(i);
+      continue;
+    }
+    used[index] = true;
+    argTypes.push(params[index].arg_type);
+    if (!label) {
+      lastUnlabeled = Math.max(lastUnlabeled, index);
+    }
+  }
+
+  var restParams = [];
+  for (var j = 0; j < params.length; j++) {
+    if (used[j]) {
+      continue;
+    }
+    if (params[j].optional && (j < lastUnlabeled || extraLabels.length)) {
+      continue;
+    }
+    if (extraLabels.length) {
+      // The remaining parameter must be supplied before the return type is
+      // applied to further arguments.
+      var supplied = new Blockly.TypeExpr.FUN(
+          Blockly.TypeExpr.generateTypeVar(),
+          Blockly.TypeExpr.generateTypeVar(),
+          labels[extraLabels[0]]);
+      throw Blockly.TypeExpr.errorInconsistentLabel(params[j], supplied);
+    }
+    restParams.push(params[j]);
+  }
+
+  if (extraLabels.length) {
+    var resultType = Blockly.TypeExpr.generateTypeVar();
+    var extraType = resultType;
+    for (var k = extraLabels.length - 1; 0 <= k; k--) {
+      var i = extraLabels[k];
+      argTypes[i] = Blockly.TypeExpr.generateTypeVar();
+      extraType = new Blockly.TypeExpr.FUN(argTypes[i], extraType, labels[i]);
+    }
+    returnType.unify(extraType);
+    returnType = resultType;
+  }
+  for (var j = restParams.length - 1; 0 <= j; j--) {
+    var param = restParams[j];
+    returnType = new Blockly.TypeExpr.FUN(param.arg_type, returnType,
+        param.argLabel, param.optional);
+  }
+  return {argTypes: argTypes, returnType: returnType};
+};
+
+/**
+ * Map from names of predefined types in OCaml syntax to functions creating
+ * the type instances.
+ * @type {!Object.<string, function():!Blockly.TypeExpr>}
+ * @private
+ */
+Blockly.TypeExpr.PREDEFINED_TYPES_ = {
+  'int': function() { return new Blockly.TypeExpr.INT(); },
+  'float': function() { return new Blockly.TypeExpr.FLOAT(); },
+  'bool': function() { return new Blockly.TypeExpr.BOOL(); },
+  'string': function() { return new Blockly.TypeExpr.STRING(); },
+  'char': function() { return new Blockly.TypeExpr.CHAR(); },
+  'unit': function() { return new Blockly.TypeExpr.UNIT(); },
+  'exn': function() {
+    return new Blockly.TypeExpr.CONSTRUCT(Blockly.TypeExpr.CONSTRUCT.EXN_ID);
+  },
+  'Color.t': function() { return new Blockly.TypeExpr.COLOR(); },
+  'Image.t': function() { return new Blockly.TypeExpr.IMAGE(); },
+  'scene_t': function() { return new Blockly.TypeExpr.SCENE(); }
+};
+
+/**
+ * Map from names of predefined type constructors taking one type argument to
+ * the classes.
+ * @type {!Object.<string, !Function>}
+ * @private
+ */
+Blockly.TypeExpr.PREDEFINED_TYPE_CTORS_ = {
+  'list': Blockly.TypeExpr.LIST,
+  'option': Blockly.TypeExpr.OPTION,
+  'ref': Blockly.TypeExpr.REF,
+  'array': Blockly.TypeExpr.ARRAY
+};
+
+/**
+ * Splits a type written in OCaml syntax into tokens.
+ * @param {string} text The type in OCaml syntax.
+ * @return {!Array.<string>} List of tokens.
+ * @private
+ */
+Blockly.TypeExpr.tokenize_ = function(text) {
+  var tokens = [];
+  var re = /^\s*(->|[*(),:?~]|'[A-Za-z_][\w']*|[A-Za-z_][\w'.]*)/;
+  var rest = goog.string.trim(text);
+  while (rest) {
+    var match = re.exec(rest);
+    if (!match) {
+      throw Error('Unexpected character in type "' + text + '".');
+    }
+    tokens.push(match[1]);
+    rest = rest.substring(match[0].length);
+  }
+  return tokens;
+};
+
+/**
+ * Finds the type of the given type name which is defined on the main
+ * workspace.
+ * @param {string} name The name of variant or record type.
+ * @return {Blockly.TypeExpr} The type, or null if no such type is defined.
+ * @private
+ */
+Blockly.TypeExpr.lookupStructure_ = function(name) {
+  var workspace = Blockly.mainWorkspace;
+  if (!workspace) {
+    return null;
+  }
+  var id = workspace.getStructureIdByName(
+      Blockly.BoundVariableAbstract.CONSTRUCTOR, name);
+  if (id) {
+    return new Blockly.TypeExpr.CONSTRUCT(id);
+  }
+  id = workspace.getStructureIdByName(
+      Blockly.BoundVariableAbstract.RECORD, name);
+  if (id) {
+    return new Blockly.TypeExpr.RECORD(id);
+  }
+  return null;
+};
+
+/**
+ * Parses a type written in OCaml syntax, e.g. "('a -> 'b) -> 'a list ->
+ * 'b list" or "?step:int -> int -> int". The same name of type variable is
+ * turned into the same type variable instance.
+ * @param {string} text The type in OCaml syntax.
+ * @param {Object.<string, !Blockly.TypeExpr.TVAR>=} opt_tvars Map from names
+ *     of type variables (without the leading quote) to type variables. New
+ *     type variables are added to it, so passing the same map to several
+ *     calls shares type variables among the results.
+ * @param {function(string):Blockly.TypeExpr=} opt_lookup Function to return
+ *     the type for a name which is not predefined, or null if the name is
+ *     unknown. Defaults to find variant and record types on the main
+ *     workspace.
+ * @return {!Blockly.TypeExpr} The parsed type.
+ */
+Blockly.TypeExpr.parse = function(text, opt_tvars, opt_lookup) {
+  var tokens = Blockly.TypeExpr.tokenize_(text);
+  var tvars = opt_tvars || {};
+  var lookup = opt_lookup || Blockly.TypeExpr.lookupStructure_;
+  var pos = 0;
+
+  var fail = function(message) {
+    throw Error(message + ' in type "' + text + '".');
+  };
+  var peek = function() {
+    return pos < tokens.length ? tokens[pos] : null;
+  };
+  var expect = function(token) {
+    if (peek() !== token) {
+      fail('Expected "' + token + '"');
+    }
+    pos++;
+  };
+  var isName = function(token) {
+    return !!token && /^[A-Za-z_]/.test(token);
+  };
+
+  // type ::= tuple | tuple '->' type | label ':' tuple '->' type
+  // label ::= name | '~' name | '?' name
+  var parseType = function() {
+    var token = peek();
+    if (token == '?' || token == '~' ||
+        isName(token) && tokens[pos + 1] == ':') {
+      var optional = token == '?';
+      if (!isName(token)) {
+        pos++;
+      }
+      var label = tokens[pos++];
+      if (!isName(label) || label.indexOf('.') != -1) {
+        fail('Invalid label "' + label + '"');
+      }
+      expect(':');
+      var argType = parseTuple();
+      expect('->');
+      return new Blockly.TypeExpr.FUN(argType, parseType(), label, optional);
+    }
+    var type = parseTuple();
+    if (peek() == '->') {
+      pos++;
+      type = new Blockly.TypeExpr.FUN(type, parseType());
+    }
+    return type;
+  };
+  // tuple ::= app | app '*' tuple
+  var parseTuple = function() {
+    var types = [parseApp()];
+    while (peek() == '*') {
+      pos++;
+      types.push(parseApp());
+    }
+    return types.length == 1 ? types[0] : new Blockly.TypeExpr.TUPLE(types);
+  };
+  // Applies the type constructor of the given name to type arguments.
+  var applyCtor = function(name, params) {
+    var ctor = Blockly.TypeExpr.PREDEFINED_TYPE_CTORS_[name];
+    if (ctor && params.length == 1) {
+      return new ctor(params[0]);
+    }
+    var type = ctor ? null : lookup(name);
+    if (!type || !type.isConstruct()) {
+      fail('Unknown type constructor "' + name + '"');
+    }
+    type.params = params;
+    return type;
+  };
+  // app ::= atom | app ctor | '(' type (',' type)+ ')' ctor
+  var parseApp = function() {
+    var type = parseAtom();
+    if (goog.isArray(type)) {
+      if (!isName(peek())) {
+        fail('Expected a type constructor');
+      }
+      type = applyCtor(tokens[pos++], type);
+    }
+    while (isName(peek())) {
+      type = applyCtor(tokens[pos++], [type]);
+    }
+    return type;
+  };
+  // atom ::= 'tvar | name | '(' type ')'
+  // Returns a list of types for type arguments in parentheses.
+  var parseAtom = function() {
+    var token = peek();
+    if (token === null) {
+      fail('Unexpected end');
+    }
+    pos++;
+    if (token == '(') {
+      var type = parseType();
+      if (peek() == ',') {
+        var params = [type];
+        while (peek() == ',') {
+          pos++;
+          params.push(parseType());
+        }
+        expect(')');
+        return params;
+      }
+      expect(')');
+      return type;
+    }
+    if (token.charAt(0) == '\'') {
+      var name = token.substring(1);
+      if (!tvars[name]) {
+        tvars[name] = Blockly.TypeExpr.generateTypeVar();
+      }
+      return tvars[name];
+    }
+    if (!isName(token)) {
+      fail('Unexpected token "' + token + '"');
+    }
+    if (token in Blockly.TypeExpr.PREDEFINED_TYPES_) {
+      return Blockly.TypeExpr.PREDEFINED_TYPES_[token]();
+    }
+    var type = lookup(token);
+    if (!type) {
+      fail('Unknown type "' + token + '"');
+    }
+    return type;
+  };
+
+  var result = parseType();
+  if (pos != tokens.length) {
+    fail('Unexpected token "' + tokens[pos] + '"');
+  }
+  return result;
+};
+
+/**
+ * Returns the name of the n-th type variable in OCaml syntax, i.e. 'a, 'b,
+ * ..., 'z, 'a1, 'b1 and so on.
+ * @param {number} n The index starting from 0.
+ * @return {string} The name of the type variable.
+ * @private
+ */
+Blockly.TypeExpr.tvarNameAt_ = function(n) {
+  var suffix = n < 26 ? '' : String(Math.floor(n / 26));
+  return '\'' + String.fromCharCode('a'.charCodeAt(0) + n % 26) + suffix;
+};
+
+/**
+ * Prints a type in OCaml syntax, which can be read by Blockly.TypeExpr.parse.
+ * Unresolved type variables are named 'a, 'b, ... in order of appearance.
+ * @param {!Blockly.TypeExpr} type The type to print.
+ * @param {Object.<string, string>=} opt_tvarNames Map from names of type
+ *     variable instances to printed names. New names are added to it, so
+ *     passing the same map to several calls names type variables
+ *     consistently.
+ * @return {string} The type in OCaml syntax.
+ */
+Blockly.TypeExpr.print = function(type, opt_tvarNames) {
+  var names = opt_tvarNames || {};
+  var count = Object.keys(names).length;
+  // Precedence levels: 0 for function types, 1 for tuple types and 2 for
+  // type constructor applications and atoms.
+  var print = function(t, level) {
+    t = t.deref();
+    var str;
+    if (t.isTypeVar()) {
+      if (!names[t.name]) {
+        names[t.name] = Blockly.TypeExpr.tvarNameAt_(count++);
+      }
+      return names[t.name];
+    } else if (t.isAlias()) {
+      return t.name;
+    } else if (t.isFunction()) {
+      str = t.getLabelPrefix() + print(t.arg_type, 1) + ' -> ' +
+          print(t.return_type, 0);
+      return level > 0 ? '(' + str + ')' : str;
+    } else if (t.isTuple()) {
+      str = goog.array.map(t.getChildren(), function(child) {
+        return print(child, 2);
+      }).join(' * ');
+      return level > 1 ? '(' + str + ')' : str;
+    } else if (t.isList() || t.isOption() || t.isRef() || t.isArray()) {
+      return print(t.element_type, 2) + ' ' + t.getTypeName();
+    } else if (t.isStructure()) {
+      var children = t.getChildren();
+      var params = goog.array.map(children, function(child) {
+        return print(child, children.length == 1 ? 2 : 0);
+      });
+      var name = t.isConstruct() ? t.getDataName() : t.getDisplayText();
+      return Blockly.TypeExpr.CONSTRUCT.getTypeArgumentsText(params) +
+          (name || t.id);
+    }
+    return t.getDisplayText();
+  };
+  return print(type, 0);
+};
+
 /**
  * Class which defines unification errors.
  * @param {number} label Enum to specify error type.
@@ -1607,6 +2452,7 @@ Blockly.TypeExpr.ERROR_STRUCTURE_INCONSISTENT = 15;
 Blockly.TypeExpr.ERROR_LABEL_INCONSISTENT = 20;
 Blockly.TypeExpr.ERROR_UNKNOWN_TYPE = 25;
 Blockly.TypeExpr.ERROR_NOT_SPECIFIED = 30;
+Blockly.TypeExpr.ERROR_IMMUTABLE_FIELD = 35;
 
 Blockly.TypeExpr.errorUnifyTypeCtor = function(t) {
   return new Blockly.TypeExpr.Error(Blockly.TypeExpr.ERROR_TYPECTOR, t, null);
@@ -1640,6 +2486,11 @@ Blockly.TypeExpr.errorNotSpecified = function() {
   return new Blockly.TypeExpr.Error(Blockly.TypeExpr.ERROR_NOT_SPECIFIED);
 };
 
+Blockly.TypeExpr.errorImmutableField = function(record) {
+  return new Blockly.TypeExpr.Error(Blockly.TypeExpr.ERROR_IMMUTABLE_FIELD,
+    record, null);
+};
+
 /**
  * Returns error message.
  * @return {!string}
@@ -1672,6 +2523,12 @@ Blockly.TypeExpr.Error.prototype.toMessage = function() {
       return '相手の型はまだ決定されていません。';
     case Blockly.TypeExpr.ERROR_NOT_SPECIFIED:
       return '別の箇所の部分で型が合っていません。';
+    case Blockly.TypeExpr.ERROR_IMMUTABLE_FIELD:
+      if (s1 === '') {
+        return 'mutable でないフィールドの値は書き換えられません。';
+      }
+      return 'レコード ' + s1 + ' のこのフィールドは mutable でないので、' +
+          '値を書き換えられません。';
     default:
       goog.asserts.fail('Unexpected type error label.');
   }
@@ -109,13 +109,28 @@ Blockly.TypeWorkbench.prototype.blocksForFlyout_ = function(flyoutWorkspace) {
   blocks.push(flyoutWorkspace.newBlock('float_type_typed'));
   blocks.push(flyoutWorkspace.newBlock('bool_type_typed'));
   blocks.push(flyoutWorkspace.newBlock('string_type_typed'));
+  blocks.push(flyoutWorkspace.newBlock('char_type_typed'));
   blocks.push(flyoutWorkspace.newBlock('pair_type_constructor_typed'));
   blocks.push(flyoutWorkspace.newBlock('triple_type_constructor_typed'));
   blocks.push(flyoutWorkspace.newBlock('alist_type_constructor_typed'));
   blocks.push(flyoutWorkspace.newBlock('aoption_type_constructor_typed'));
+  blocks.push(flyoutWorkspace.newBlock('fun_type_constructor_typed'));
   blocks.push(flyoutWorkspace.newBlock('color_type_typed'));
   blocks.push(flyoutWorkspace.newBlock('image_type_typed'));
   blocks.push(flyoutWorkspace.newBlock('scene_type_typed'));
+  // type parameters of the variant type being declared, and the type itself
+  if (goog.isFunction(this.block_.getTypeParameterNames)) {
+    var names = this.block_.getTypeParameterNames();
+    for (var i = 0; i < names.length; i++) {
+      var tvarBlock = flyoutWorkspace.newBlock('type_variable_typed');
+      tvarBlock.setFieldValue(names[i], 'NAME');
+      blocks.push(tvarBlock);
+    }
+    var selfBlock = flyoutWorkspace.newBlock('recursive_datatype_type_typed');
+    selfBlock.resizeItemInputs(names.length);
+    selfBlock.setFieldValue(this.block_.getFieldValue('DATANAME'), 'NAME');
+    blocks.push(selfBlock);
+  }
   // initialize
   for (var i = 0, block; block = blocks[i]; i++) {
     if (typeof block.initSvg == 'function') {
@@ -123,8 +138,10 @@ Blockly.TypeWorkbench.prototype.blocksForFlyout_ = function(flyoutWorkspace) {
     }
   }
   // user-defined types
-  var parentConnection = this.block_.previousConnection ?
-      this.block_.previousConnection.targetConnection : null;
+  var contextConnection = this.block_.previousConnection ||
+      this.block_.outputConnection;
+  var parentConnection = contextConnection ?
+      contextConnection.targetConnection : null;
   var parentBlock = parentConnection &&
       parentConnection.getSourceBlock();
   if (parentBlock && parentConnection) {
@@ -141,6 +158,16 @@ Blockly.TypeWorkbench.prototype.blocksForFlyout_ = function(flyoutWorkspace) {
         field.setVariableName(variable.getVariableName());
         field.setBoundValue(variable);
         blocks.push(getterBlock);
+      } else if (variable.isTypeAlias()) {
+        var aliasBlock = flyoutWorkspace.newBlock('type_alias_type_typed');
+        var field = aliasBlock.getField('TYPENAME');
+        if (typeof aliasBlock.initSvg == 'function') {
+          aliasBlock.initSvg();
+        }
+        field.initModel();
+        field.setVariableName(variable.getVariableName());
+        field.setBoundValue(variable);
+        blocks.push(aliasBlock);
       } else if (variable.isConstructor()) {
         // not yet implemented
         continue;
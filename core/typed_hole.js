@@ -0,0 +1,425 @@
+/**
+ * @fileoverview Class for a typed hole, an empty value input labelled with
+ * the type expected for it.
+ */
+'use strict';
+
+goog.provide('Blockly.TypedHole');
+
+goog.require('Blockly.BoundVariableAbstract');
+goog.require('Blockly.utils');
+
+goog.require('goog.dom');
+goog.require('goog.math.Coordinate');
+
+
+/**
+ * Class for a typed hole. Shows the type expected for an empty value input,
+ * and offers blocks which can fill the input when it is clicked.
+ * @param {!Blockly.RenderedConnection} connection The connection of the empty
+ *     input.
+ * @constructor
+ */
+Blockly.TypedHole = function(connection) {
+  /** @type {!Blockly.RenderedConnection} */
+  this.connection_ = connection;
+
+  /** @type {SVGElement} */
+  this.svgText_ = null;
+
+  /**
+   * Wrapper data for the mouse down event bound to the text element.
+   * @type {Array.<!Array>}
+   * @private
+   */
+  this.onMouseDownWrapper_ = null;
+
+  this.createDom_();
+};
+
+/**
+ * Space between the tab of the input and the label, in workspace units.
+ */
+Blockly.TypedHole.LABEL_OFFSET_X = 4;
+
+/**
+ * The currently selected hole.
+ * @type {Blockly.TypedHole}
+ * @private
+ */
+Blockly.TypedHole.selected_ = null;
+
+/**
+ * Returns whether a typed hole should be shown for the given connection.
+ * @param {!Blockly.Connection} connection The connection.
+ * @return {boolean} True if the connection is of an empty value input whose
+ *     type expression is an expression's type.
+ */
+Blockly.TypedHole.isHole = function(connection) {
+  if (connection.type != Blockly.INPUT_VALUE || connection.isConnected()) {
+    return false;
+  }
+  return !!Blockly.TypedHole.getExpectedType(connection);
+};
+
+/**
+ * Returns the type expected for values connected to the given connection.
+ * @param {!Blockly.Connection} connection The connection.
+ * @return {Blockly.TypeExpr} The dereferenced type expression, or null if the
+ *     connection expects patterns or types instead of values.
+ */
+Blockly.TypedHole.getExpectedType = function(connection) {
+  if (!connection.typeExpr) {
+    return null;
+  }
+  var type = connection.typeExpr.deref();
+  if (type.isPattern() || type.isTypeConstructor()) {
+    return null;
+  }
+  return type;
+};
+
+/**
+ * Returns whether the given block can fill a hole of the given type.
+ * @param {!Blockly.TypeExpr} expected The type expected for the hole.
+ * @param {!Blockly.Block} block The block.
+ * @return {boolean} True if the block's output type can be unified with the
+ *     expected type.
+ */
+Blockly.TypedHole.canFillWith = function(expected, block) {
+  var output = block.outputConnection;
+  return !!output && !!output.typeExpr && expected.ableToUnify(output.typeExpr);
+};
+
+/**
+ * Returns the connection which blocks in the flyout should be filtered for.
+ * That is the selected hole if any, or the first hole on the selected block.
+ * @param {!Blockly.Workspace} workspace The workspace the flyout creates blocks
+ *     on.
+ * @return {Blockly.Connection} The connection, or null if there is no hole to
+ *     fill.
+ */
+Blockly.TypedHole.getFilterConnection = function(workspace) {
+  var hole = Blockly.TypedHole.selected_;
+  if (hole && hole.connection_.getSourceBlock().workspace == workspace) {
+    return hole.connection_;
+  }
+  var block = Blockly.selected;
+  if (!block || block.workspace != workspace) {
+    return null;
+  }
+  for (var i = 0, input; input = block.inputList[i]; i++) {
+    if (input.connection && Blockly.TypedHole.isHole(input.connection)) {
+      return input.connection;
+    }
+  }
+  return null;
+};
+
+/**
+ * Unselect the currently selected hole if any.
+ */
+Blockly.TypedHole.clearSelection = function() {
+  if (Blockly.TypedHole.selected_) {
+    Blockly.TypedHole.selected_.unselect();
+  }
+};
+
+/**
+ * Returns the type of the given variable value as it would be seen from a new
+ * reference to it.
+ * @param {!Blockly.BoundVariableValue} value The variable value.
+ * @return {!Blockly.TypeExpr} The type expression.
+ * @private
+ */
+Blockly.TypedHole.getVariableType_ = function(value) {
+  var scheme = value.getTypeScheme();
+  return scheme ? scheme.instantiate() : value.getTypeExpr();
+};
+
+/**
+ * Finds variables visible from the given connection whose types can be
+ * unified with the type expected there.
+ * @param {!Blockly.Connection} connection The connection of an empty input.
+ * @return {!Array.<!Blockly.BoundVariableValue>} List of variable values.
+ */
+Blockly.TypedHole.getVariableSuggestions = function(connection) {
+  var expected = Blockly.TypedHole.getExpectedType(connection);
+  if (!expected) {
+    return [];
+  }
+  var block = connection.getSourceBlock();
+  var context = block.allVisibleVariables(connection,
+      true /** Includes the implicit context. */);
+  var values = context.getVariablesWithLabel(
+      Blockly.BoundVariableAbstract.VARIABLE);
+  var suggestions = [];
+  for (var i = 0, value; value = values[i]; i++) {
+    var type = Blockly.TypedHole.getVariableType_(value);
+    if (expected.ableToUnify(type)) {
+      suggestions.push(value);
+    }
+  }
+  suggestions.sort(function(a, b) {
+    return a.getVariableName() < b.getVariableName() ? -1 : 1;
+  });
+  return suggestions;
+};
+
+/**
+ * Returns a list of XML elements of blocks in the toolbox of the given
+ * workspace. Blocks in a workbench use the toolbox of the main workspace.
+ * @param {!Blockly.Workspace} workspace The workspace.
+ * @return {!Array.<!Element>} List of XML elements.
+ */
+Blockly.TypedHole.getToolboxBlocks = function(workspace) {
+  var tree = workspace.getMainWorkspace().options.languageTree;
+  var xmlList = [];
+  var collect = function(node) {
+    for (var i = 0, child; child = node.childNodes[i]; i++) {
+      var tagName = child.tagName ? child.tagName.toUpperCase() : '';
+      if (tagName == 'BLOCK') {
+        xmlList.push(child);
+      } else if (tagName == 'CATEGORY') {
+        collect(child);
+      }
+    }
+  };
+  if (tree) {
+    collect(tree);
+  }
+  return xmlList;
+};
+
+/**
+ * Finds toolbox blocks whose output types can be unified with the type
+ * expected at the given connection.
+ * @param {!Blockly.Connection} connection The connection of an empty input.
+ * @param {!Array.<!Element>} xmlList List of XML elements of candidate
+ *     blocks.
+ * @return {!Array.<{xml: !Element, text: string}>} List of objects holding
+ *     XML of a suggested block and the text describing the block.
+ */
+Blockly.TypedHole.getBlockSuggestions = function(connection, xmlList) {
+  var expected = Blockly.TypedHole.getExpectedType(connection);
+  if (!expected || !xmlList.length) {
+    return [];
+  }
+  var suggestions = [];
+  // Create candidate blocks on a separate workspace to find their types.
+  var scratch = new Blockly.Workspace({typedVersion: true});
+  Blockly.Events.disable();
+  try {
+    for (var i = 0, xml; xml = xmlList[i]; i++) {
+      var block = Blockly.Xml.domToBlock(xml, scratch);
+      if (Blockly.TypedHole.canFillWith(expected, block)) {
+        suggestions.push({xml: xml, text: block.toString()});
+      }
+      block.dispose();
+    }
+  } finally {
+    scratch.dispose();
+    Blockly.Events.enable();
+  }
+  return suggestions;
+};
+
+/**
+ * Fill the empty input with a new reference to the given variable.
+ * @param {!Blockly.Connection} connection The connection of an empty input.
+ * @param {!Blockly.BoundVariableValue} value The variable value to refer to.
+ * @return {!Blockly.Block} The newly created reference block.
+ */
+Blockly.TypedHole.insertVariable = function(connection, value) {
+  var workspace = connection.getSourceBlock().workspace;
+  Blockly.Events.setGroup(true);
+  try {
+    var block = workspace.newBlock('variables_get_typed');
+    block.typedReference['VAR'].setVariableName(value.getVariableName());
+    if (workspace.rendered) {
+      block.initSvg();
+      block.render();
+    }
+    Blockly.TypedHole.connectOrDispose_(connection, block);
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  return block;
+};
+
+/**
+ * Fill the empty input with a new block created from the given XML.
+ * @param {!Blockly.Connection} connection The connection of an empty input.
+ * @param {!Element} xml The XML element of the block.
+ * @return {!Blockly.Block} The newly created block.
+ */
+Blockly.TypedHole.insertBlock = function(connection, xml) {
+  var workspace = connection.getSourceBlock().workspace;
+  Blockly.Events.setGroup(true);
+  try {
+    var block = Blockly.Xml.domToBlock(xml, workspace);
+    Blockly.TypedHole.connectOrDispose_(connection, block);
+  } finally {
+    Blockly.Events.setGroup(false);
+  }
+  return block;
+};
+
+/**
+ * Connect the given block to the connection. Dispose of the block if it can
+ * not be connected.
+ * @param {!Blockly.Connection} connection The connection of an empty input.
+ * @param {!Blockly.Block} block The block to connect.
+ * @private
+ */
+Blockly.TypedHole.connectOrDispose_ = function(connection, block) {
+  try {
+    connection.connect(block.outputConnection);
+  } catch (e) {
+    block.dispose();
+    throw e;
+  }
+};
+
+/**
+ * Create the SVG text element of this hole.
+ * @private
+ */
+Blockly.TypedHole.prototype.createDom_ = function() {
+  var block = this.connection_.getSourceBlock();
+  this.svgText_ = Blockly.utils.createSvgElement('text',
+      {'class': 'blocklyText blocklyTypedHoleText'}, block.getSvgRoot());
+  this.svgText_.appendChild(document.createTextNode(''));
+  if (!block.workspace.isFlyout) {
+    this.onMouseDownWrapper_ = Blockly.bindEventWithChecks_(this.svgText_,
+        'mousedown', this, this.onMouseDown_);
+  }
+};
+
+/**
+ * Update the label to show the type currently expected.
+ */
+Blockly.TypedHole.prototype.updateText = function() {
+  var type = Blockly.TypedHole.getExpectedType(this.connection_);
+  var text = type ? type.getDisplayText() : '';
+  if (this.svgText_.textContent != text) {
+    this.svgText_.textContent = text;
+  }
+};
+
+/**
+ * Returns the width of the label.
+ * @return {number} Width in workspace units.
+ */
+Blockly.TypedHole.prototype.getWidth = function() {
+  return Blockly.Field.getCachedWidth(this.svgText_) +
+      Blockly.TypedHole.LABEL_OFFSET_X;
+};
+
+/**
+ * Move the label next to the tab of the connection.
+ */
+Blockly.TypedHole.prototype.render = function() {
+  var block = this.connection_.getSourceBlock();
+  var xy = block.getRelativeToSurfaceXY();
+  var offset = new goog.math.Coordinate(this.connection_.x_ - xy.x,
+      this.connection_.y_ - xy.y);
+  var height = Blockly.RenderedTypeExpr.getTypeExprHeight(
+      this.connection_.typeExpr);
+  var dx = Blockly.BlockSvg.TAB_WIDTH + Blockly.TypedHole.LABEL_OFFSET_X;
+  this.svgText_.setAttribute('x', block.RTL ? offset.x - dx : offset.x + dx);
+  this.svgText_.setAttribute('y', offset.y + height / 2);
+  this.svgText_.setAttribute('dominant-baseline', 'central');
+  this.svgText_.setAttribute('text-anchor', block.RTL ? 'end' : 'start');
+};
+
+/**
+ * Show the menu of suggestions when the label is clicked.
+ * @param {!Event} e Mouse down event.
+ * @private
+ */
+Blockly.TypedHole.prototype.onMouseDown_ = function(e) {
+  var block = this.connection_.getSourceBlock();
+  var workspace = block.workspace;
+  e.stopPropagation();
+  e.preventDefault();
+  if (workspace.options.readOnly || this.connection_.isConnected()) {
+    return;
+  }
+  this.select();
+  Blockly.ContextMenu.show(e, this.getMenuOptions_(), block.RTL);
+};
+
+/**
+ * Select this hole so that the flyout shows blocks which can fill it.
+ */
+Blockly.TypedHole.prototype.select = function() {
+  if (Blockly.TypedHole.selected_ == this) {
+    return;
+  }
+  Blockly.TypedHole.clearSelection();
+  if (Blockly.selected) {
+    Blockly.selected.unselect();
+  }
+  Blockly.TypedHole.selected_ = this;
+  Blockly.utils.addClass(this.svgText_, 'blocklyTypedHoleSelected');
+};
+
+/**
+ * Unselect this hole.
+ */
+Blockly.TypedHole.prototype.unselect = function() {
+  if (Blockly.TypedHole.selected_ != this) {
+    return;
+  }
+  Blockly.TypedHole.selected_ = null;
+  Blockly.utils.removeClass(this.svgText_, 'blocklyTypedHoleSelected');
+};
+
+/**
+ * Returns the menu options to fill this hole.
+ * @return {!Array.<!Object>} List of menu options.
+ * @private
+ */
+Blockly.TypedHole.prototype.getMenuOptions_ = function() {
+  var connection = this.connection_;
+  var options = [];
+  var variables = Blockly.TypedHole.getVariableSuggestions(connection);
+  for (var i = 0, value; value = variables[i]; i++) {
+    var type = Blockly.TypedHole.getVariableType_(value);
+    options.push({
+      text: value.getVariableName() + ' : ' + type.getDisplayText(),
+      enabled: true,
+      callback: Blockly.TypedHole.insertVariable.bind(null, connection, value)
+    });
+  }
+  var xmlList = Blockly.TypedHole.getToolboxBlocks(
+      connection.getSourceBlock().workspace);
+  var blocks = Blockly.TypedHole.getBlockSuggestions(connection, xmlList);
+  for (var i = 0, suggestion; suggestion = blocks[i]; i++) {
+    options.push({
+      text: suggestion.text,
+      enabled: true,
+      callback: Blockly.TypedHole.insertBlock.bind(null, connection,
+          suggestion.xml)
+    });
+  }
+  if (!options.length) {
+    options.push({text: Blockly.Msg.TYPED_HOLE_NO_SUGGESTION, enabled: false});
+  }
+  return options;
+};
+
+/**
+ * Dispose of this hole.
+ */
+Blockly.TypedHole.prototype.dispose = function() {
+  this.unselect();
+  if (this.onMouseDownWrapper_) {
+    Blockly.unbindEvent_(this.onMouseDownWrapper_);
+    this.onMouseDownWrapper_ = null;
+  }
+  goog.dom.removeNode(this.svgText_);
+  this.svgText_ = null;
+  this.connection_ = null;
+};
@@ -455,31 +455,9 @@ Blockly.Workbench.prototype.getBlockContext = function() {
  */
 Blockly.Workbench.prototype.blocksForFlyout_ = function(flyoutWorkspace) {
   var ctx = this.getContext();
-  var variables = ctx.getAllVariables();
   var blocks = [];
-
-  for (var i = 0, variable; variable = variables[i]; i++) {
-    if (variable.isVariable()) {
-      var prototypeName = 'function_app_typed';
-      // TODO(harukam): Do not create variable block of type variables_get_typed
-      // because it could be first-order function. Otherwise, the following case
-      // must be fixed:
-      //  1. There is 'let b = ? in a :: b' block.
-      //  2. Add arguments using mutator on let block.
-      //  3. Type error occurs since variable b has 'a list type but was
-      //     expected of type 'b -> 'c.
-      var fieldName = 'VAR';
-    } else if (variable.isConstructor()) {
-      var prototypeName = 'create_construct_typed';
-      var fieldName = 'CONSTRUCTOR';
-    } else if (variable.isRecord()) {
-      var prototypeName = 'create_record_typed';
-      var fieldName = 'RECORD';
-    } else if (variable.isRecordField()) {
-      continue;
-    } else {
-      goog.asserts.fail('Not supported type of variable.');
-    }
+  var newGetterBlock = function(prototypeName, fieldName, variable,
+      modulePath) {
     var getterBlock = flyoutWorkspace.newBlock(prototypeName);
     var field = getterBlock.getField(fieldName);
     if (typeof getterBlock.initSvg == 'function') {
@@ -487,8 +465,60 @@ Blockly.Workbench.prototype.blocksForFlyout_ = function(flyoutWorkspace) {
     }
     field.initModel();
     field.setVariableName(variable.getVariableName());
+    field.getVariable().setModulePath(modulePath);
     field.setBoundValue(variable);
-    blocks.push(getterBlock);
+    return getterBlock;
+  };
+
+  // Pairs of a variable context and the module path which its variables are
+  // qualified with. Variables exported by modules are accessed through the
+  // module names, e.g. `M.x`.
+  var staq = [[ctx, null]];
+  while (staq.length) {
+    var pair = staq.shift();
+    var variables = pair[0].getAllVariables();
+    var modulePath = pair[1];
+    for (var i = 0, variable; variable = variables[i]; i++) {
+      if (variable.isVariable()) {
+        var prototypeName = 'function_app_typed';
+        // TODO(harukam): Do not create variable block of type
+        // variables_get_typed because it could be first-order function.
+        // Otherwise, the following case must be fixed:
+        //  1. There is 'let b = ? in a :: b' block.
+        //  2. Add arguments using mutator on let block.
+        //  3. Type error occurs since variable b has 'a list type but was
+        //     expected of type 'b -> 'c.
+        var fieldName = 'VAR';
+      } else if (variable.isConstructor()) {
+        var prototypeName = 'create_construct_typed';
+        var fieldName = 'CONSTRUCTOR';
+      } else if (variable.isRecord()) {
+        var prototypeName = 'create_record_typed';
+        var fieldName = 'RECORD';
+      } else if (variable.isRecordField()) {
+        var prototypeName = 'record_field_get_typed';
+        var fieldName = 'FIELD';
+      } else if (variable.isTypeAlias()) {
+        // Type abbreviations are used only in type workbenches.
+        continue;
+      } else {
+        goog.asserts.fail('Not supported type of variable.');
+      }
+      blocks.push(newGetterBlock(prototypeName, fieldName, variable,
+          modulePath));
+      if (variable.isRecord()) {
+        blocks.push(newGetterBlock('record_with_typed', 'RECORD', variable,
+            modulePath));
+      } else if (variable.isMutableField()) {
+        blocks.push(newGetterBlock('record_field_set_typed', 'FIELD',
+            variable, modulePath));
+      }
+    }
+    var moduleNames = pair[0].getModuleNames();
+    for (var i = 0, name; name = moduleNames[i]; i++) {
+      var path = modulePath ? modulePath + '.' + name : name;
+      staq.push([pair[0].getModule(name), path]);
+    }
   }
   return blocks;
 };
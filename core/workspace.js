@@ -361,6 +361,30 @@ Blockly.Workspace.prototype.getCtorDataName = function(id) {
   return this.getStructureName(Blockly.BoundVariableAbstract.CONSTRUCTOR, id);
 };
 
+/**
+ * Finds the id of structure with the given name.
+ * @param {number} label The type of variable.
+ * @param {!string} name The name of structure.
+ * @return {string} The string to identify structure declaration or null.
+ */
+Blockly.Workspace.prototype.getStructureIdByName = function(label, name) {
+  if (Blockly.BoundVariableAbstract.isConstructorLabel(label)) {
+    var blockType = 'defined_datatype_typed';
+  } else if (Blockly.BoundVariableAbstract.isRecordLabel(label)) {
+    var blockType = 'defined_recordtype_typed';
+  } else {
+    return null;
+  }
+  var topBlocks = this.getTopBlocks();
+  for (var i = 0, topBlock; topBlock = topBlocks[i]; i++) {
+    if (topBlock.type === blockType &&
+        topBlock.getField('DATANAME').getText() === name) {
+      return topBlock.getStructureId();
+    }
+  }
+  return null;
+};
+
 /**
  * Initialize the database for bound variables.
  */
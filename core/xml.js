@@ -163,6 +163,10 @@ Blockly.Xml.fieldToDomBoundVariable_ = function(field, rootBlock) {
     // The variable is a variable reference.
     container.setAttribute('isvalue', 'false');
     var reference = field.getVariable();
+    var modulePath = reference.getModulePath();
+    if (modulePath) {
+      container.setAttribute('module', modulePath);
+    }
     var value = reference.getBoundValue();
     // If the reference refers to a value existing in the blocks currently
     // being encoded, do not store the reference relation in XML. Otherwise,
@@ -983,6 +987,7 @@ Blockly.Xml.domToFieldBoundVariable_ = function(block, xml, text, field) {
       }
     }
   } else {
+    variable.setModulePath(xml.getAttribute('module'));
     var childDom = xml.children.length && xml.children[0];
     // Build the variable binding if <refer-to> DOM is specified.
     if (childDom && childDom.nodeName.toLowerCase() == 'refer-to') {
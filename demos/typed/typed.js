@@ -19,6 +19,7 @@ Typed.SCRIPTS_FOR_DEV = [
   "../../block_of_ocaml/converter.js",
   "../../block_of_ocaml/utils.js",
   "../universe/eval.js",
+  "../universe/evaluator.js",
 ];
 
 Typed.SCRIPTS_FOR_PROD = [
@@ -31,6 +32,7 @@ Typed.SCRIPTS_FOR_PROD = [
   "converter.js",
   "block_of_ocaml_utils.js",
   "eval.js",
+  "evaluator.js",
 ];
 
 Typed.BOOT = (function() {
@@ -58,6 +60,10 @@ Typed.BOOT = (function() {
 
 Typed.workspace = null;
 
+Typed.problemsPanel = null;
+
+Typed.stepperPanel = null;
+
 Typed.defaultCode =
     "(* 目的：この関数の目的を書く *)\n" +
     "(* f : 型 -> 型 *)\n" +
@@ -94,6 +100,17 @@ Typed.init = function() {
       Typed.getWorkspaceOptions_());
   onresize();
   Blockly.svgResize(Typed.workspace);
+
+  Typed.problemsPanel = new Blockly.ProblemsPanel(Typed.workspace,
+      document.getElementById('problemsPanel'));
+
+  Typed.stepperPanel = new Blockly.StepperPanel(Typed.workspace,
+      document.getElementById('stepperPanel'), Typed.getStepperOptions_());
+  Blockly.stepBlock = function(block, prefix) {
+    Typed.stepperPanel.start(block, prefix);
+  };
+
+  Blockly.evaluateBlock = Typed.evaluateBlock;
 };
 
 Typed.setDocumentTitle_ = function() {
@@ -128,6 +145,19 @@ Typed.getWorkspaceOptions_ = function() {
   return options;
 };
 
+/**
+ * ステップ実行パネルのワークスペースに渡すオプションを返す。
+ */
+Typed.getStepperOptions_ = function() {
+  var options = {zoom: {controls: true, wheel: true, startScale: 0.8}};
+  // Use local media files if the DEVMODE is enabled.
+  if (Typed.DEVMODE) {
+    options['path'] = '../../';
+    options['media'] = '../../media/';
+  }
+  return options;
+};
+
 Typed.getBBox_ = function(element) {
   var height = element.offsetHeight;
   var width = element.offsetWidth;
@@ -166,6 +196,26 @@ Typed.runCode = function() {
   element.insertAdjacentHTML('beforeend', '<hr>');
 }
 
+/**
+ * Evaluate the block on its own and pass its value and type to the callback.
+ * Used as Blockly.evaluateBlock.
+ */
+Typed.evaluateBlock = function(block, prefix, callback) {
+  var code = Blockly.TypedLang.blockToEvaluationCode(block, prefix);
+  var answer = '';
+  var errors = Evaluator.runCodeWithOutput(code, function(kind, text) {
+    if (kind == 'toploop') {
+      answer = text;
+    }
+  });
+  if (errors.length) {
+    var message = errors[errors.length - 1].message;
+    callback(Evaluator.stripLocation(message).trim());
+  } else {
+    callback(answer.trim());
+  }
+}
+
 Typed.clearToplevel = function() {
   const element = document.getElementById('toplevel');
   element.innerHTML = '';
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Runs programs with the js_of_ocaml toplevel in eval.js, and
+ * reports their output and errors. Used by typed.js of demos/{typed, universe}
+ * and by worker.js.
+ *
+ * eval.js built from toplevel/eval.ml exports evaluator.runCodeWithOutput,
+ * which returns the errors of the program. eval.js built before it only
+ * exports evaluator.runCode, which appends the output to #toplevel and returns
+ * nothing. With such an eval.js, the output is captured, and the errors are
+ * recovered from the messages of the toplevel: a phrase which prints a marker
+ * is inserted after each phrase, so that the output can be split by phrase.
+ */
+'use strict';
+
+var Evaluator = {};
+
+/**
+ * The text printed after each phrase by Evaluator.MARKER_PHRASE.
+ * @type {string}
+ */
+Evaluator.MARKER = '\u0001;;\u0001';
+
+/**
+ * The phrase inserted after each phrase. It prints nothing but the marker.
+ * Pervasives is deprecated since OCaml 4.08, but eval.js built by such an
+ * OCaml has evaluator.runCodeWithOutput.
+ * @type {string}
+ */
+Evaluator.MARKER_PHRASE = 'let () = Pervasives.print_string "\\001;;\\001";;';
+
+/**
+ * Locations at the head of error messages. OCaml before 4.08 prints
+ * "Characters 12-20:" for the toplevel (the offsets are in the whole
+ * program). Otherwise, the line and the columns are printed:
+ * 'File "", line 2, characters 4-12:' or "Line 2, characters 4-12:".
+ * @type {!RegExp}
+ */
+Evaluator.LOCATION_REGEXP = new RegExp('^(?:Characters (\\d+)-(\\d+)|' +
+    '(?:File "[^"]*", line|Line) (\\d+), characters (\\d+)-(\\d+)):\\n');
+
+/**
+ * Run the program, and pass its output to the callback.
+ * @param {string} program The program.
+ * @param {function(string, string)} output Function called with the channel
+ *     ('stdout', 'stderr' or 'toploop') and the text flushed to it.
+ * @return {!Array.<{start: number, end: number, message: string}>} The
+ *     compile errors and uncaught exceptions. The range is the byte offsets
+ *     in the program.
+ */
+Evaluator.runCodeWithOutput = function(program, output) {
+  if (evaluator.runCodeWithOutput) {
+    return Array.from(evaluator.runCodeWithOutput(program, output),
+        function(error) {
+          return {start: error.start, end: error.end, message: error.message};
+        });
+  }
+  var ends = Evaluator.phraseEnds(program);
+  var code = '';
+  var start = 0;
+  for (var i = 0; i < ends.length; i++) {
+    code += program.slice(start, ends[i]) + Evaluator.MARKER_PHRASE;
+    start = ends[i];
+  }
+  code += program.slice(start);
+
+  // The output of each phrase. The output after the run (e.g. of big_bang)
+  // is just passed to the callback.
+  var phrases = [{stderr: '', toploop: ''}];
+  var running = true;
+  var toplevel = {
+    appendChild: function(div) {
+      var kind = div.className;
+      var texts = div.textContent.split(Evaluator.MARKER);
+      for (var i = 0; i < texts.length; i++) {
+        if (i && running) {
+          phrases.push({stderr: '', toploop: ''});
+        }
+        if (texts[i]) {
+          var phrase = phrases[phrases.length - 1];
+          if (running && kind in phrase) {
+            phrase[kind] += texts[i];
+          }
+          output(kind, texts[i]);
+        }
+      }
+      return div;
+    }
+  };
+  Evaluator.withToplevel_(toplevel, function() {
+    evaluator.runCode(code);
+  });
+  running = false;
+
+  var errors = [];
+  var markerBytes = Evaluator.byteLength_(Evaluator.MARKER_PHRASE);
+  start = 0;
+  for (var i = 0; i < phrases.length && i <= ends.length; i++) {
+    var end = i < ends.length ? ends[i] : program.length;
+    var text = program.slice(start, end);
+    var shift = i * markerBytes;
+    var range = Evaluator.trimmedRange_(program, start, end);
+    start = end;
+    var reports = phrases[i].stderr.split(/^(?=Characters \d|File "|Line \d)/m);
+    for (var j = 0, report; report = reports[j]; j++) {
+      var body = report.replace(Evaluator.LOCATION_REGEXP, '');
+      if (!/^Error/.test(body)) {
+        continue;  // Warnings.
+      }
+      var codeRange = Evaluator.errorRange(report, code,
+          [range[0] + shift, range[1] + shift]);
+      errors.push({
+        start: codeRange[0] - shift,
+        end: codeRange[1] - shift,
+        message: report
+      });
+    }
+    var exception = /^Exception:[^]*/m.exec(phrases[i].toploop);
+    if (exception && text.trim()) {
+      errors.push({start: range[0], end: range[1], message: exception[0]});
+    }
+  }
+  return errors;
+};
+
+/**
+ * Returns the range of the error which has the given message, in the same way
+ * as error_range in toplevel/eval.ml.
+ * @param {string} message The message of the error.
+ * @param {string} program The program which was run.
+ * @param {!Array.<number>} defaultRange The range if the message does not
+ *     start with a location.
+ * @return {!Array.<number>} The start and end byte offsets in the program.
+ */
+Evaluator.errorRange = function(message, program, defaultRange) {
+  var match = Evaluator.LOCATION_REGEXP.exec(message);
+  if (!match) {
+    return defaultRange;
+  }
+  if (match[1]) {
+    return [Number(match[1]), Number(match[2])];
+  }
+  var lines = program.split('\n').slice(0, Number(match[3]) - 1);
+  var lineStart = lines.length ?
+      Evaluator.byteLength_(lines.join('\n') + '\n') : 0;
+  return [lineStart + Number(match[4]), lineStart + Number(match[5])];
+};
+
+/**
+ * Remove the location at the head of the error message.
+ * @param {string} message The message.
+ * @return {string} The message without the location.
+ */
+Evaluator.stripLocation = function(message) {
+  return message.replace(Evaluator.LOCATION_REGEXP, '');
+};
+
+/**
+ * Returns the indices just after the ";;" which end the phrases of the
+ * program. ";;" in comments, strings and characters are skipped.
+ * @param {string} program The program.
+ * @return {!Array.<number>} The indices.
+ */
+Evaluator.phraseEnds = function(program) {
+  var ends = [];
+  var comments = 0;
+  for (var i = 0; i < program.length; i++) {
+    var c = program[i];
+    if (program.startsWith('(*', i)) {
+      comments++;
+      i++;
+    } else if (comments && program.startsWith('*)', i)) {
+      comments--;
+      i++;
+    } else if (c == '"') {
+      for (i++; i < program.length && program[i] != '"'; i++) {
+        if (program[i] == '\\') {
+          i++;
+        }
+      }
+    } else if (c == '\'') {
+      // Type variables like 'a are not characters.
+      var match = /^'(?:\\(?:\d{3}|x[\da-fA-F]{2}|.)|[^\\'])'/.exec(
+          program.slice(i, i + 6));
+      if (match) {
+        i += match[0].length - 1;
+      }
+    } else if (!comments && program.startsWith(';;', i)) {
+      ends.push(i + 2);
+      i++;
+    }
+  }
+  return ends;
+};
+
+/**
+ * Returns the byte offsets of the phrase between the indices, without the
+ * spaces around it and the ";;" at its end.
+ * @param {string} program The program.
+ * @param {number} start The index of the start of the phrase.
+ * @param {number} end The index of the end of the phrase.
+ * @return {!Array.<number>} The start and end byte offsets.
+ * @private
+ */
+Evaluator.trimmedRange_ = function(program, start, end) {
+  var text = program.slice(start, end).replace(/;;$/, '');
+  var leading = text.length - text.replace(/^\s+/, '').length;
+  var startBytes = Evaluator.byteLength_(program.slice(0, start + leading));
+  return [startBytes, startBytes + Evaluator.byteLength_(text.trim())];
+};
+
+/**
+ * Returns the length of the string in UTF-8.
+ * @param {string} str The string.
+ * @return {number} The number of bytes.
+ * @private
+ */
+Evaluator.byteLength_ = function(str) {
+  return new TextEncoder().encode(str).length;
+};
+
+/**
+ * Call the function while document.getElementById('toplevel'), where
+ * evaluator.runCode appends the output, returns the given object.
+ * @param {!Object} toplevel The object which receives the output.
+ * @param {function()} f The function.
+ * @private
+ */
+Evaluator.withToplevel_ = function(toplevel, f) {
+  var isOwn = document.hasOwnProperty('getElementById');
+  var getElementById = document.getElementById;
+  document.getElementById = function(id) {
+    return id == 'toplevel' ? toplevel : getElementById.call(document, id);
+  };
+  try {
+    f();
+  } finally {
+    if (isOwn) {
+      document.getElementById = getElementById;
+    } else {
+      delete document.getElementById;
+    }
+  }
+};
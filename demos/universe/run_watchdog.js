@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Enforces the limits on a program which Typed.runProgram in
+ * typed.js runs in worker.js.
+ *
+ * The time limit applies to the program until the worker reports 'done', and
+ * then to each handler of big_bang which the program has started. While the
+ * worker is idle, it sends a heartbeat at the interval given in the 'run'
+ * message. A tick or draw handler which does not return blocks the
+ * heartbeats, so the time limit passes without any of them.
+ */
+'use strict';
+
+/**
+ * Watch a program running in a worker.
+ * @param {{time: number, steps: number}} limits The time limit in
+ *     milliseconds, and the number of draw steps allowed.
+ * @param {function(string)} onExceeded Called with the kind of the limit
+ *     exceeded first: 'time' for the program, 'handlerTime' for a handler of
+ *     big_bang, or 'steps'.
+ * @param {{setTimeout: !Function, clearTimeout: !Function}=} opt_timers
+ *     Functions to use instead of window.setTimeout and window.clearTimeout.
+ * @constructor
+ */
+var RunWatchdog = function(limits, onExceeded, opt_timers) {
+  this.limits_ = limits;
+  this.onExceeded_ = onExceeded;
+  this.timers_ = opt_timers || window;
+  /**
+   * The number of draw steps so far.
+   * @type {number}
+   */
+  this.steps = 0;
+  this.timer_ = null;
+  this.programDone_ = false;
+  this.stopped_ = false;
+};
+
+/**
+ * The longest interval of heartbeats in milliseconds. Heartbeats are more
+ * frequent if the time limit is short.
+ * @type {number}
+ */
+RunWatchdog.MAX_HEARTBEAT_INTERVAL = 1000;
+
+/**
+ * Returns the interval at which the worker should send heartbeats.
+ * @return {number} The interval in milliseconds.
+ */
+RunWatchdog.prototype.getHeartbeatInterval = function() {
+  return Math.min(RunWatchdog.MAX_HEARTBEAT_INTERVAL,
+      this.limits_.time / 4);
+};
+
+/**
+ * Start measuring the time of the program. Call it once the worker is ready.
+ */
+RunWatchdog.prototype.start = function() {
+  this.arm_('time');
+};
+
+/**
+ * Notify that the program has finished. Handlers of big_bang it has started
+ * are each given the time limit from now on.
+ */
+RunWatchdog.prototype.programDone = function() {
+  this.programDone_ = true;
+  this.arm_('handlerTime');
+};
+
+/**
+ * Notify that a heartbeat has arrived from the worker.
+ */
+RunWatchdog.prototype.heartbeat = function() {
+  if (this.programDone_) {
+    this.arm_('handlerTime');
+  }
+};
+
+/**
+ * Count a draw step.
+ */
+RunWatchdog.prototype.step = function() {
+  this.steps++;
+  if (this.limits_.steps < this.steps) {
+    this.exceed_('steps');
+  }
+};
+
+/**
+ * Stop watching. No limit is reported after this.
+ */
+RunWatchdog.prototype.stop = function() {
+  this.stopped_ = true;
+  this.clear_();
+};
+
+/**
+ * Restart the timer of the time limit.
+ * @param {string} kind The kind of the limit to report when the time is up.
+ * @private
+ */
+RunWatchdog.prototype.arm_ = function(kind) {
+  if (this.stopped_) {
+    return;
+  }
+  this.clear_();
+  var watchdog = this;
+  this.timer_ = this.timers_.setTimeout(function() {
+    watchdog.timer_ = null;
+    watchdog.exceed_(kind);
+  }, this.limits_.time);
+};
+
+/**
+ * @private
+ */
+RunWatchdog.prototype.clear_ = function() {
+  if (this.timer_ !== null) {
+    this.timers_.clearTimeout(this.timer_);
+    this.timer_ = null;
+  }
+};
+
+/**
+ * Report a limit exceeded, and stop watching.
+ * @param {string} kind The kind of the limit.
+ * @private
+ */
+RunWatchdog.prototype.exceed_ = function(kind) {
+  if (this.stopped_) {
+    return;
+  }
+  this.stop();
+  this.onExceeded_(kind);
+};
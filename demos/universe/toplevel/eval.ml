@@ -19,17 +19,121 @@ let append_string output cl s =
   Dom.appendChild span (d##createTextNode (Js.string s));
   Dom.appendChild output span
 
-let runCode str =
+(* An error reported while executing a program.  start_pos and end_pos are
+   byte offsets in the program. *)
+type error = {
+  start_pos : int;
+  end_pos : int;
+  message : string;
+}
+
+let js_of_error error =
+  object%js
+    val start = error.start_pos
+    val end_ = error.end_pos
+    val message = Js.string error.message
+  end
+
+(* The range of the whole phrase.  Directives do not have locations. *)
+let phrase_range = function
+  | Parsetree.Ptop_def (first :: _ as items) ->
+    let last = List.nth items (List.length items - 1) in
+    Some (first.Parsetree.pstr_loc.Location.loc_start.Lexing.pos_cnum,
+          last.Parsetree.pstr_loc.Location.loc_end.Lexing.pos_cnum)
+  | _ -> None
+
+(* The byte offset of the start of the n-th line (from 1) of code. *)
+let rec line_start code n pos =
+  if n <= 1 then pos
+  else match String.index_from code pos '\n' with
+    | i -> line_start code (n - 1) (i + 1)
+    | exception Not_found -> String.length code
+
+(* Compile errors start with "Characters 12-20:" before OCaml 4.08, where the
+   offsets are in the whole code.  Since 4.08, they start with
+   "Line 2, characters 4-12:", where the offsets are in the line.  Otherwise,
+   the error is reported at the given range.  Evaluator.errorRange in
+   evaluator.js does the same. *)
+let error_range code message default =
+  let in_line n s e = let pos = line_start code n 0 in (pos + s, pos + e) in
+  try Scanf.sscanf message "Characters %d-%d:" (fun s e -> (s, e))
+  with _ ->
+  try Scanf.sscanf message "Line %d, characters %d-%d:" in_line
+  with _ ->
+  try Scanf.sscanf message "File %S, line %d, characters %d-%d:"
+        (fun _ n s e -> in_line n s e)
+  with _ -> default
+
+(* Same as JsooTop.execute, but returns the compile errors and the uncaught
+   exceptions of the phrases in code. *)
+let execute ppf code =
+  let lb = Lexing.from_string code in
+  let buffer = Buffer.create 100 in
+  let buffer_ppf = Format.formatter_of_buffer buffer in
+  (* Move what was printed for the current phrase to out. *)
+  let flush_to out =
+    Format.pp_print_flush buffer_ppf ();
+    let message = Buffer.contents buffer in
+    Buffer.clear buffer;
+    Format.pp_print_string out message;
+    Format.pp_print_flush out ();
+    message in
+  let errors = ref [] in
+  let add_error (start_pos, end_pos) message =
+    errors := { start_pos; end_pos; message } :: !errors in
+  Location.input_name := "//toplevel//";
+  (try
+    while true do
+      let range = ref None in
+      try
+        let phr = !Toploop.parse_toplevel_phrase lb in
+        range := phrase_range phr;
+        let phr = JsooTopPpx.preprocess_phrase phr in
+        let ok = Toploop.execute_phrase true buffer_ppf phr in
+        let message = flush_to ppf in
+        begin match !range with
+        | Some r when not ok -> add_error r message
+        | _ -> ()
+        end
+      with
+      | End_of_file -> raise End_of_file
+      | exn ->
+        ignore (flush_to ppf);
+        Errors.report_error buffer_ppf exn;
+        let message = flush_to Format.err_formatter in
+        let default = match !range with
+          | Some r -> r
+          | None -> (Lexing.lexeme_start lb, Lexing.lexeme_end lb) in
+        add_error (error_range code message default) message
+    done
+  with End_of_file -> flush_all ());
+  List.rev !errors
+
+(* output is called with the class of the channel ("stdout", "stderr" or
+   "toploop") and the string flushed to it.  Returns the errors as an array
+   of { start, end, message }. *)
+let run_with_output output str =
   let toploop_ = open_out "/dev/null" in
   let toploop_ppf = Format.formatter_of_out_channel toploop_ in
   JsooTop.initialize ();
-  let dom = Dom_html.getElementById "toplevel" in
-  Sys_js.set_channel_flusher stdout (append_string dom "stdout");
-  Sys_js.set_channel_flusher stderr (append_string dom "stderr");
-  Sys_js.set_channel_flusher toploop_ (append_string dom "toploop");
+  Sys_js.set_channel_flusher stdout (output "stdout");
+  Sys_js.set_channel_flusher stderr (output "stderr");
+  Sys_js.set_channel_flusher toploop_ (output "toploop");
   let txt = Js.to_string str in
-  let _ret = JsooTop.execute true toploop_ppf txt in
-  ()
+  let errors = execute toploop_ppf txt in
+  Js.array (Array.of_list (List.map js_of_error errors))
+
+let runCode str =
+  let dom = Dom_html.getElementById "toplevel" in
+  run_with_output (append_string dom) str
+
+(* Used in worker.js, where there is no DOM to append the output to. *)
+let runCodeWithOutput str (output : (Js.js_string Js.t -> Js.js_string Js.t
+                                     -> unit) Js.callback) =
+  let output cl s =
+    Js.Unsafe.fun_call output
+      [| Js.Unsafe.inject (Js.string cl); Js.Unsafe.inject (Js.string s) |] in
+  run_with_output output str
 
 let runGame str =
   let toploop_ = open_out "/dev/null" in
@@ -45,5 +149,6 @@ let () =
     "evaluator"
     (object%js
        val runCode = runCode
+       val runCodeWithOutput = runCodeWithOutput
        val runGame = runGame
     end)
@@ -22,6 +22,8 @@ Typed.SCRIPTS_FOR_DEV = [
   "../codemirror/mode/mllike/mllike.js",
   "../codemirror/addon/runmode/runmode.js",
   "eval.js",
+  "evaluator.js",
+  "run_watchdog.js",
 ];
 
 Typed.SCRIPTS_FOR_PROD = [
@@ -34,6 +36,8 @@ Typed.SCRIPTS_FOR_PROD = [
   "converter.js",
   "block_of_ocaml_utils.js",
   "eval.js",
+  "evaluator.js",
+  "run_watchdog.js",
 ];
 
 Typed.BOOT = (function() {
@@ -106,6 +110,8 @@ Typed.init = function() {
       Typed.getWorkspaceOptions_());
   onresize();
   Blockly.svgResize(Typed.workspace);
+
+  Blockly.evaluateBlock = Typed.evaluateBlock;
 };
 
 Typed.setDocumentTitle_ = function() {
@@ -130,7 +136,8 @@ Typed.getWorkspaceOptions_ = function() {
            {controls: true,
             wheel: true},
        collapse: false,
-       typedVersion: true
+       typedVersion: true,
+       typeFilter: 'dim'
       };
   // Use local media files if the DEVMODE is enabled.
   if (Typed.DEVMODE) {
@@ -199,8 +206,13 @@ Typed.saveCode = function() {
   // https://ja.stackoverflow.com/questions/12081/javascriptchrome%E3%83%96%E3%83%A9%E3%82%A6%E3%82%B6%E3%81%A7-%E5%90%8D%E5%89%8D%E3%82%92%E4%BB%98%E3%81%91%E3%81%A6%E4%BF%9D%E5%AD%98-%E3%83%80%E3%82%A4%E3%82%A2%E3%83%AD%E3%82%B0%E3%82%92%E8%A1%A8%E7%A4%BA%E3%81%97%E4%BF%9D%E5%AD%98%E3%81%99%E3%82%8B%E3%82%88%E3%81%86%E3%81%AB%E3%81%97%E3%81%9F%E3%81%84
 }
 
-/* 読み込み中マーク (spinner) を表示 */
-function openModal() {
+/**
+ * 読み込み中マーク (spinner) を表示
+ * @param {function()=} opt_onCancel - 指定されると中止ボタンを表示し、
+ *     押されたときに呼ぶ
+ * @param {string=} opt_message - spinner の下に表示する文字列
+ */
+function openModal(opt_onCancel, opt_message) {
   var element =
       '<div id="container"></div>' + /* gray background */
       '<div id="container-loader">' +
@@ -208,12 +220,29 @@ function openModal() {
       '</div>';
   var target = document.getElementById('blocklyDiv');
   target.insertAdjacentHTML('beforebegin',element);
+  var loader = document.getElementById('container-loader');
+  if (opt_message) {
+    var message = document.createElement('div');
+    message.className = 'loader-message';
+    message.textContent = opt_message;
+    loader.appendChild(message);
+  }
+  if (opt_onCancel) {
+    var button = document.createElement('button');
+    button.className = 'btn';
+    button.textContent = '中止';
+    button.onclick = opt_onCancel;
+    loader.appendChild(button);
+  }
 }
 
 /* 読み込み中マーク (spinner) を削除 */
 function closeModal() {
-  document.getElementById("container").remove();
-  document.getElementById('container-loader').remove();
+  var container = document.getElementById("container");
+  if (container) {
+    container.remove();
+    document.getElementById('container-loader').remove();
+  }
 }
 
 /**
@@ -293,12 +322,20 @@ Typed.clearCanvas = function () {
   canvas.replaceWith(newCanvas); // remove old canvas
 }
 
+/**
+ * 最後に Typed.programToRun で生成したコードのソースマップ
+ * (位置は Typed.programTop の後ろから数える)
+ */
+Typed.sourceMap = null;
+
 Typed.programToRun = function () {
   try {
     Blockly.PrintSemiSemi = true;
-    var code = Blockly.TypedLang.workspaceToCode(Typed.workspace);
+    var result =
+        Blockly.TypedLang.workspaceToCodeWithSourceMap(Typed.workspace);
     Blockly.PrintSemiSemi = false;
-    var program = Typed.programTop + code;
+    Typed.sourceMap = result.sourceMap;
+    var program = Typed.programTop + result.code;
     return program;
   } catch (e) {
     console.warn('Some of blocks are not supported for converting:');
@@ -307,22 +344,414 @@ Typed.programToRun = function () {
   }
 }
 
-Typed.runCode = function() {
+/**
+ * UTF-8 でのバイト位置を文字列中の位置に変換する
+ * @param {string} str - 文字列
+ * @param {number} byteOffset - str を UTF-8 で表したときのバイト位置
+ * @return {number} 文字列中の位置
+ */
+Typed.byteOffsetToIndex = function(str, byteOffset) {
+  var bytes = 0;
+  var i = 0;
+  while (i < str.length && bytes < byteOffset) {
+    var code = str.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (0xD800 <= code && code < 0xDC00) {  // サロゲートペア
+      bytes += 4;
+      i++;
+    } else {
+      bytes += 3;
+    }
+    i++;
+  }
+  return i;
+}
+
+/**
+ * Evaluator.runCodeWithOutput が返したエラーを、そのコードを生成したブロックに
+ * 警告として表示する
+ * @param {string} program - 実行したプログラム
+ * @param {Array<{start: number, end: number, message: string}>} errors -
+ *     Evaluator.runCodeWithOutput が返したエラー (位置は program 中のバイト位置)
+ */
+Typed.showErrorsOnBlocks = function(program, errors) {
+  const blocks = Typed.workspace.getAllBlocks();
+  for (var i = 0, block; block = blocks[i]; i++) {
+    block.setWarningText(null, 'toplevel');
+  }
+  if (!errors || !Typed.sourceMap) {
+    return;
+  }
+  const top = Typed.programTop.length;
+  for (var i = 0, error; error = errors[i]; i++) {
+    const start = Typed.byteOffsetToIndex(program, error.start) - top;
+    const end = Typed.byteOffsetToIndex(program, error.end) - top;
+    const blockId = Typed.sourceMap.getBlockIdAtOffset(start, end);
+    const block = blockId && Typed.workspace.getBlockById(blockId);
+    if (block) {
+      block.setWarningText(Evaluator.stripLocation(error.message),
+          'toplevel');
+    }
+  }
+}
+
+/**
+ * プログラムの実行の上限の既定値
+ * time: プログラムの実行時間、および big_bang の tick や描画などの処理
+ *     1 回ごとの実行時間 (ミリ秒)
+ * steps: 描画の回数 (big_bang の tick ごとに 1 回)
+ * ページに #timeLimit (秒) と #stepLimit の入力欄があればその値を使う
+ */
+Typed.runLimits = {time: 10000, steps: 100000};
+
+Typed.getRunLimits = function() {
+  const limits = {time: Typed.runLimits.time, steps: Typed.runLimits.steps};
+  const timeInput = document.getElementById('timeLimit');
+  if (timeInput && 0 < Number(timeInput.value)) {
+    limits.time = Number(timeInput.value) * 1000;
+  }
+  const stepInput = document.getElementById('stepLimit');
+  if (stepInput && 0 < Number(stepInput.value)) {
+    limits.steps = Number(stepInput.value);
+  }
+  return limits;
+}
+
+/**
+ * 実行中のプログラムの状態 (実行中でなければ null)
+ *   worker: プログラムを実行している Worker
+ *   watchdog: 実行の上限を監視する RunWatchdog (run_watchdog.js を参照)
+ *   done: プログラムの実行が終わったか (big_bang は続いていてもよい)
+ *   onDone: 実行が終わったときに呼ぶ関数
+ *   onOutput: 出力を受け取る関数
+ *   canvases: 描画命令の対象の canvas (ID 0 が CanvasForUniverse)
+ *   images: 読み込んだ画像 (src ごと)
+ */
+Typed.runner = null;
+
+/**
+ * toplevel の出力を表示する (eval.ml の append_string と同じ)
+ * @param {string} kind - 'stdout', 'stderr' または 'toploop'
+ * @param {string} text - 出力された文字列
+ */
+Typed.appendOutput = function(kind, text) {
+  const span = document.createElement('div');
+  span.classList.add(kind);
+  span.appendChild(document.createTextNode(text));
+  document.getElementById('toplevel').appendChild(span);
+}
+
+/**
+ * プログラムを Worker で実行する。Worker を作れない場合 (file:// で開いた
+ * ときなど) はこれまでどおり UI スレッドで実行する。
+ * @param {string} program - 実行するプログラム
+ * @param {function(Array)=} opt_onDone - 実行が終わったときにエラーの配列
+ *     を受け取る関数
+ * @param {function(string, string)=} opt_onOutput - 指定されると toplevel
+ *     に表示する代わりに出力の種類と文字列を渡す関数
+ */
+Typed.runProgram = function(program, opt_onDone, opt_onOutput) {
+  Typed.stopCode();
   Typed.clearCanvas();
-  var program = Typed.programToRun();
+  if (program === null) {
+    return;
+  }
   console.log(program);
-  evaluator.runCode(program);
-  const element = document.getElementById('toplevel');
-  element.insertAdjacentHTML('beforeend', '<hr>');
+  const onDone = opt_onDone || function() {};
+  var worker;
+  try {
+    worker = new Worker('worker.js');
+  } catch (e) {
+    console.warn('Could not start a worker. Run the program in the page.');
+    onDone(Evaluator.runCodeWithOutput(program,
+        opt_onOutput || Typed.appendOutput));
+    if (!opt_onOutput) {
+      document.getElementById('toplevel').insertAdjacentHTML('beforeend', '<hr>');
+    }
+    return;
+  }
+  const limits = Typed.getRunLimits();
+  const runner = {
+    worker: worker,
+    watchdog: new RunWatchdog(limits, function(kind) {
+      Typed.stopCode(Typed.limitMessage_(limits, kind));
+    }),
+    done: false,
+    onDone: onDone,
+    onOutput: opt_onOutput || Typed.appendOutput,
+    canvases: {0: document.getElementById('CanvasForUniverse')},
+    images: {}
+  };
+  Typed.runner = runner;
+  Typed.updateRunButtons();
+  openModal(function() {
+    Typed.stopCode('停止しました。');
+  }, '実行中');
+  worker.onmessage = function(e) {
+    if (Typed.runner === runner) {
+      Typed.onWorkerMessage_(runner, program, e.data);
+    }
+  };
+  worker.onerror = function(e) {
+    if (Typed.runner === runner) {
+      Typed.stopCode(e.message);
+    }
+  };
+}
+
+Typed.onWorkerMessage_ = function(runner, program, data) {
+  switch (data.type) {
+    case 'ready':
+      // eval.js の読み込みが終わってから時間を計る
+      runner.watchdog.start();
+      runner.worker.postMessage({type: 'run', program: program,
+          heartbeat: runner.watchdog.getHeartbeatInterval()});
+      break;
+    case 'alive':
+      runner.watchdog.heartbeat();
+      break;
+    case 'output':
+      runner.onOutput(data.kind, data.text);
+      break;
+    case 'draw':
+      Typed.replayDrawCommands_(runner, data.commands);
+      runner.watchdog.step();
+      break;
+    case 'loadImage':
+      var image = new Image();
+      image.onload = image.onerror = function() {
+        runner.images[data.src] = image;
+        runner.worker.postMessage({type: 'imageLoaded', src: data.src,
+            width: image.naturalWidth, height: image.naturalHeight});
+      };
+      image.src = data.src;
+      break;
+    case 'done':
+      // big_bang の処理が止まらなくなったときのために監視を続ける
+      runner.watchdog.programDone();
+      runner.done = true;
+      closeModal();
+      runner.onDone(data.errors);
+      if (runner.onOutput == Typed.appendOutput) {
+        document.getElementById('toplevel').insertAdjacentHTML('beforeend', '<hr>');
+      }
+      break;
+  }
+}
+
+/**
+ * 実行の上限を超えたときに表示するメッセージ
+ * @param {{time: number, steps: number}} limits - Typed.getRunLimits() の値
+ * @param {string} kind - RunWatchdog が報告した上限の種類
+ * @return {string} メッセージ
+ */
+Typed.limitMessage_ = function(limits, kind) {
+  if (kind == 'steps') {
+    return limits.steps + ' ステップを超えたので停止しました。';
+  }
+  const message = limits.time / 1000 + ' 秒以内に終わらなかったので' +
+      '停止しました。';
+  return kind == 'handlerTime' ? 'big_bang の処理が ' + message : message;
+}
+
+/**
+ * Worker の描画命令を canvas で実行する (命令の形式は worker.js を参照)
+ */
+Typed.replayDrawCommands_ = function(runner, commands) {
+  const decode = function(value) {
+    if (value && typeof value == 'object' && !Array.isArray(value)) {
+      if ('canvas' in value) {
+        return Typed.getRunnerCanvas_(runner, value.canvas);
+      }
+      if ('image' in value) {
+        return runner.images[value.image];
+      }
+    }
+    return value;
+  };
+  for (var i = 0; i < commands.length; i++) {
+    const canvas = Typed.getRunnerCanvas_(runner, commands[i][0]);
+    const context = canvas.getContext('2d');
+    const kind = commands[i][1];
+    const name = commands[i][2];
+    const value = commands[i][3];
+    try {
+      if (kind == 'set') {
+        canvas[name] = value;
+      } else if (kind == 'ctxSet') {
+        context[name] = decode(value);
+      } else {
+        context[name].apply(context, value.map(decode));
+      }
+    } catch (e) {
+      console.warn('Failed to draw: ' + name, e);
+    }
+  }
+}
+
+Typed.getRunnerCanvas_ = function(runner, id) {
+  if (!runner.canvases[id]) {
+    runner.canvases[id] = document.createElement('canvas');
+  }
+  return runner.canvases[id];
+}
+
+/**
+ * キーボードとマウスのイベントを実行中のプログラムに送る
+ */
+Typed.forwardEvent_ = function(target, e) {
+  const runner = Typed.runner;
+  if (!runner || !runner.done) {
+    return;
+  }
+  const names = ['key', 'code', 'keyCode', 'charCode', 'which', 'shiftKey',
+      'ctrlKey', 'altKey', 'metaKey', 'button', 'buttons', 'clientX',
+      'clientY', 'offsetX', 'offsetY', 'pageX', 'pageY'];
+  const event = {type: e.type};
+  for (var i = 0; i < names.length; i++) {
+    event[names[i]] = e[names[i]];
+  }
+  const message = {type: 'event', target: target, name: e.type, event: event};
+  if (target == 'canvas') {
+    const rect = e.target.getBoundingClientRect();
+    message.rect = {left: rect.left, top: rect.top, right: rect.right,
+        bottom: rect.bottom, width: rect.width, height: rect.height,
+        x: rect.left, y: rect.top};
+  }
+  runner.worker.postMessage(message);
+}
+
+['keydown', 'keyup', 'keypress'].forEach(function(name) {
+  document.addEventListener(name, function(e) {
+    Typed.forwardEvent_('document', e);
+  });
+});
+['mousedown', 'mouseup', 'mousemove', 'click'].forEach(function(name) {
+  document.addEventListener(name, function(e) {
+    if (e.target.id == 'CanvasForUniverse') {
+      Typed.forwardEvent_('canvas', e);
+    }
+  });
+});
+
+/**
+ * 実行中のプログラムを止める
+ * @param {string=} opt_reason - 止めた理由 (toplevel に表示する)
+ */
+Typed.stopCode = function(opt_reason) {
+  const runner = Typed.runner;
+  if (!runner) {
+    return;
+  }
+  Typed.runner = null;
+  runner.worker.terminate();
+  runner.watchdog.stop();
+  if (!runner.done) {
+    closeModal();
+  }
+  if (opt_reason) {
+    Typed.appendOutput('stderr', opt_reason);
+  }
+  if (!runner.done) {
+    document.getElementById('toplevel').insertAdjacentHTML('beforeend', '<hr>');
+  }
+  Typed.updateRunButtons();
+}
+
+/**
+ * 実行中だけ停止ボタン (#stopButton) を押せるようにする
+ */
+Typed.updateRunButtons = function() {
+  const stopButton = document.getElementById('stopButton');
+  if (stopButton) {
+    stopButton.disabled = !Typed.runner;
+  }
+}
+
+/**
+ * ブロックだけを評価して、その値と型を callback に渡す
+ * (Blockly.evaluateBlock として使う)
+ * 実行中のプログラムを止めたり canvas を消したりしないように、runProgram
+ * とは別の Worker で評価する。描画命令は無視する。
+ * @param {!Blockly.Block} block - 評価するブロック
+ * @param {!Array<!Blockly.Block>} prefix - 先に実行するトップレベルの定義
+ * @param {function(string)} callback - 結果の文字列を受け取る関数
+ */
+Typed.evaluateBlock = function(block, prefix, callback) {
+  const program = Typed.programTop +
+      Blockly.TypedLang.blockToEvaluationCode(block, prefix);
+  var answer = '';
+  const onOutput = function(kind, text) {
+    if (kind == 'toploop') {
+      answer = text;  // 最後の文の結果
+    } else {
+      Typed.appendOutput(kind, text);
+    }
+  };
+  const onDone = function(errors) {
+    if (errors && errors.length) {
+      const error = errors[errors.length - 1];
+      callback(Evaluator.stripLocation(error.message).trim());
+    } else {
+      callback(answer.trim());
+    }
+  };
+  var worker;
+  try {
+    worker = new Worker('worker.js');
+  } catch (e) {
+    onDone(Evaluator.runCodeWithOutput(program, onOutput));
+    return;
+  }
+  const limits = Typed.getRunLimits();
+  var timer = null;
+  const finish = function(result) {
+    clearTimeout(timer);
+    worker.terminate();
+    result();
+  };
+  worker.onmessage = function(e) {
+    const data = e.data;
+    switch (data.type) {
+      case 'ready':
+        timer = setTimeout(function() {
+          finish(function() {
+            callback(limits.time / 1000 + ' 秒以内に終わらなかったので' +
+                '停止しました。');
+          });
+        }, limits.time);
+        worker.postMessage({type: 'run', program: program});
+        break;
+      case 'output':
+        onOutput(data.kind, data.text);
+        break;
+      case 'done':
+        finish(function() {
+          onDone(data.errors);
+        });
+        break;
+    }
+  };
+  worker.onerror = function(e) {
+    finish(function() {
+      callback(e.message);
+    });
+  };
+}
+
+Typed.runCode = function() {
+  var program = Typed.programToRun();
+  Typed.runProgram(program, function(errors) {
+    Typed.showErrorsOnBlocks(program, errors);
+  });
 }
 
 Typed.runStorageCode = function() {
-  Typed.clearCanvas();
   var program = sessionStorage.getItem('key');
-  console.log(program);
-  evaluator.runCode(program);
-  const element = document.getElementById('toplevel');
-  element.insertAdjacentHTML('beforeend', '<hr>');
+  Typed.runProgram(program);
 }
 
 Typed.runGame = function() { // Not used.  To be deleted soon.
@@ -360,13 +789,11 @@ Typed.runGame = function() { // Not used.  To be deleted soon.
     program += "           ~to_draw_last:draw_last\n";
   }
   program += "           ~onload:false;;\n";
-  console.log(program);
-  evaluator.runCode(program);
-  const element = document.getElementById('toplevel');
-  element.insertAdjacentHTML('beforeend', '<hr>');
+  Typed.runProgram(program);
 }
 
 Typed.clearToplevel = function() {
+  Typed.stopCode();
   Typed.clearCanvas();
   const element = document.getElementById('toplevel');
   element.innerHTML = '';
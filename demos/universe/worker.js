@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Web Worker which runs programs with the js_of_ocaml toplevel
+ * in eval.js (through Evaluator in evaluator.js), so that a program which does
+ * not terminate does not freeze the page. Typed.runProgram in typed.js is the
+ * other end of the message protocol.
+ *
+ * Messages from the page:
+ *   {type: 'run', program: string, heartbeat: (number|undefined)}
+ *   {type: 'event', target: 'canvas'|'document', name: string, event: Object}
+ *   {type: 'imageLoaded', src: string, width: number, height: number}
+ * Messages to the page:
+ *   {type: 'ready'}
+ *   {type: 'output', kind: 'stdout'|'stderr'|'toploop', text: string}
+ *   {type: 'draw', commands: !Array.<!Array>}
+ *   {type: 'loadImage', src: string}
+ *   {type: 'done', errors: Array.<{start: number, end: number,
+ *       message: string}>}
+ *   {type: 'alive'}
+ * If the 'run' message has a heartbeat interval in milliseconds, 'alive' is
+ * sent at that interval after 'done', whenever the worker is not busy with a
+ * handler of big_bang. RunWatchdog in run_watchdog.js stops the worker when
+ * they cease.
+ *
+ * The Universe library draws on the canvas found by document.getElementById.
+ * There is no DOM in a worker, so a fake document is provided whose canvases
+ * record what is drawn on them. The records are sent to the page as draw
+ * commands and replayed there on the real canvas:
+ *   [canvasId, 'set', name, value] sets a property of a canvas.
+ *   [canvasId, 'ctxSet', name, value] sets a property of its 2D context.
+ *   [canvasId, 'ctxCall', name, args] calls a method of its 2D context.
+ * Images and canvases among values and arguments are encoded as {image: src}
+ * and {canvas: canvasId}. The canvas 'CanvasForUniverse' has the ID 0.
+ */
+'use strict';
+
+var Shim = {};
+
+/**
+ * Send a message to the page.
+ * @param {!Object} message The message.
+ */
+Shim.postMessage = function(message) {
+  postMessage(message);
+};
+
+/**
+ * Draw commands which have not been sent to the page yet.
+ * @type {!Array.<!Array>}
+ */
+Shim.commands = [];
+
+/**
+ * Queue a draw command. Commands queued in the same turn of the event loop
+ * (e.g. a tick of the Universe library) are sent together as one step.
+ * @param {!Array} command The draw command.
+ */
+Shim.queue = function(command) {
+  if (!Shim.commands.length) {
+    setTimeout(Shim.flush, 0);
+  }
+  Shim.commands.push(command);
+};
+
+/**
+ * Send the queued draw commands to the page.
+ */
+Shim.flush = function() {
+  if (Shim.commands.length) {
+    Shim.postMessage({type: 'draw', commands: Shim.commands});
+    Shim.commands = [];
+  }
+};
+
+/**
+ * Encode a value which can not be sent to the page as it is.
+ * @param {*} value The value.
+ * @return {*} The encoded value.
+ */
+Shim.encode = function(value) {
+  if (value instanceof Shim.Canvas) {
+    return {canvas: value.id_};
+  }
+  if (value instanceof Shim.Image) {
+    return {image: value.src};
+  }
+  return value;
+};
+
+/**
+ * Mixin for objects which receive events forwarded from the page. Both
+ * on<name> handlers and listeners added with addEventListener are called.
+ * @constructor
+ */
+Shim.EventTarget = function() {
+  this.listeners_ = Object.create(null);
+};
+
+Shim.EventTarget.prototype.addEventListener = function(name, listener) {
+  (this.listeners_[name] = this.listeners_[name] || []).push(listener);
+};
+
+Shim.EventTarget.prototype.removeEventListener = function(name, listener) {
+  var listeners = this.listeners_[name] || [];
+  var i = listeners.indexOf(listener);
+  if (i != -1) {
+    listeners.splice(i, 1);
+  }
+};
+
+/**
+ * Call the handlers for an event.
+ * @param {string} name The name of the event, e.g. 'keydown'.
+ * @param {!Object} event The event.
+ */
+Shim.EventTarget.prototype.dispatch = function(name, event) {
+  event.target = event.currentTarget = this;
+  event.preventDefault = event.stopPropagation = function() {};
+  if (typeof this['on' + name] == 'function') {
+    this['on' + name](event);
+  }
+  var listeners = (this.listeners_[name] || []).slice();
+  for (var i = 0; i < listeners.length; i++) {
+    listeners[i].call(this, event);
+  }
+};
+
+/**
+ * A canvas whose drawing is recorded as draw commands.
+ * @param {number} id The ID of the canvas shared with the page.
+ * @constructor
+ */
+Shim.Canvas = function(id) {
+  Shim.EventTarget.call(this);
+  this.id_ = id;
+  this.width_ = 300;
+  this.height_ = 150;
+  this.context_ = null;
+  /**
+   * The bounding rectangle of the real canvas, sent with mouse events.
+   * @type {!Object}
+   */
+  this.rect = {left: 0, top: 0, right: 300, bottom: 150, width: 300,
+      height: 150, x: 0, y: 0};
+};
+Shim.Canvas.prototype = Object.create(Shim.EventTarget.prototype);
+
+// big_bang checks the tag name of the element found by getElementById.
+Shim.Canvas.prototype.tagName = 'CANVAS';
+
+/**
+ * The number of canvases created so far.
+ * @type {number}
+ */
+Shim.Canvas.count = 0;
+
+['width', 'height'].forEach(function(name) {
+  Object.defineProperty(Shim.Canvas.prototype, name, {
+    get: function() {
+      return this[name + '_'];
+    },
+    set: function(value) {
+      this[name + '_'] = value;
+      Shim.queue([this.id_, 'set', name, value]);
+    }
+  });
+});
+
+Shim.Canvas.prototype.getContext = function(type) {
+  if (type != '2d') {
+    return null;
+  }
+  if (!this.context_) {
+    this.context_ = Shim.createContext(this);
+  }
+  return this.context_;
+};
+
+Shim.Canvas.prototype.getBoundingClientRect = function() {
+  return this.rect;
+};
+
+Shim.Canvas.prototype.focus = function() {};
+
+/**
+ * Canvas used to answer measureText() if the browser has OffscreenCanvas.
+ * @type {CanvasRenderingContext2D}
+ */
+Shim.measuringContext = typeof OffscreenCanvas == 'undefined' ? null :
+    new OffscreenCanvas(1, 1).getContext('2d');
+
+/**
+ * Create a 2D context which records property assignments and method calls on
+ * it. Properties read back return the value last assigned.
+ * @param {!Shim.Canvas} canvas The canvas of the context.
+ * @return {!Object} The context.
+ */
+Shim.createContext = function(canvas) {
+  var state = {canvas: canvas, font: '10px sans-serif'};
+  var methods = Object.create(null);
+  methods.measureText = function(text) {
+    if (Shim.measuringContext) {
+      Shim.measuringContext.font = state.font;
+      return {width: Shim.measuringContext.measureText(text).width};
+    }
+    // Approximate the width from the size of the font.
+    var size = parseFloat(/(\d+(\.\d+)?)px/.exec(state.font)[1]) || 10;
+    return {width: String(text).length * size * 0.6};
+  };
+  return new Proxy(state, {
+    get: function(target, name) {
+      if (name in methods) {
+        return methods[name];
+      }
+      if (name in target) {
+        return target[name];
+      }
+      return function() {
+        var args = Array.prototype.map.call(arguments, Shim.encode);
+        Shim.queue([canvas.id_, 'ctxCall', name, args]);
+      };
+    },
+    set: function(target, name, value) {
+      target[name] = value;
+      Shim.queue([canvas.id_, 'ctxSet', name, Shim.encode(value)]);
+      return true;
+    }
+  });
+};
+
+/**
+ * An image which the page loads for the worker.
+ * @constructor
+ */
+Shim.Image = function() {
+  Shim.EventTarget.call(this);
+  this.src_ = '';
+  this.width = this.height = this.naturalWidth = this.naturalHeight = 0;
+  this.complete = false;
+};
+Shim.Image.prototype = Object.create(Shim.EventTarget.prototype);
+
+/**
+ * Images waiting for the page to load them, keyed by source.
+ * @type {!Object.<string, !Array.<!Shim.Image>>}
+ */
+Shim.Image.loading = Object.create(null);
+
+Object.defineProperty(Shim.Image.prototype, 'src', {
+  get: function() {
+    return this.src_;
+  },
+  set: function(src) {
+    this.src_ = src;
+    this.complete = false;
+    if (!Shim.Image.loading[src]) {
+      Shim.Image.loading[src] = [];
+      Shim.postMessage({type: 'loadImage', src: src});
+    }
+    Shim.Image.loading[src].push(this);
+  }
+});
+
+/**
+ * An element which only keeps its class and text. eval.js built without
+ * evaluator.runCodeWithOutput prints the output as such elements.
+ * @constructor
+ */
+Shim.Div = function() {
+  var div = this;
+  this.className = '';
+  this.textContent = '';
+  this.classList = {
+    add: function(name) {
+      div.className += (div.className ? ' ' : '') + name;
+    }
+  };
+};
+
+Shim.Div.prototype.appendChild = function(node) {
+  this.textContent += node.data;
+  return node;
+};
+
+/**
+ * The fake document. Elements other than canvases, images and divs are not
+ * supported.
+ */
+Shim.document = new Shim.EventTarget();
+Shim.document.canvas_ = new Shim.Canvas(Shim.Canvas.count++);
+Shim.document.getElementById = function(id) {
+  return id == 'CanvasForUniverse' ? this.canvas_ : null;
+};
+Shim.document.createElement = function(tagName) {
+  switch (String(tagName).toLowerCase()) {
+    case 'canvas':
+      return new Shim.Canvas(Shim.Canvas.count++);
+    case 'img':
+      return new Shim.Image();
+    case 'div':
+      return new Shim.Div();
+    case 'title':
+      return {text: ''};
+  }
+  throw Error('Elements <' + tagName + '> are not available in the worker.');
+};
+Shim.document.createTextNode = function(text) {
+  return {data: text};
+};
+// big_bang reads the offsets of the body to locate mouse events on the
+// canvas, and appends a <title> named after the world to the head.
+Shim.document.head = {
+  appendChild: function(node) {
+    return node;
+  }
+};
+Shim.document.body = {
+  clientTop: 0,
+  clientLeft: 0,
+  appendChild: function(node) {
+    return node;
+  }
+};
+Shim.document.documentElement = {clientTop: 0, clientLeft: 0};
+
+/**
+ * Handle a message from the page.
+ * @param {!MessageEvent} e The message event.
+ */
+Shim.onMessage = function(e) {
+  var data = e.data;
+  switch (data.type) {
+    case 'run':
+      var errors = Evaluator.runCodeWithOutput(data.program,
+          function(kind, text) {
+            Shim.postMessage({type: 'output', kind: kind, text: text});
+          });
+      Shim.flush();
+      Shim.postMessage({type: 'done', errors: errors});
+      if (data.heartbeat) {
+        setInterval(function() {
+          Shim.postMessage({type: 'alive'});
+        }, data.heartbeat);
+      }
+      break;
+    case 'event':
+      var target = data.target == 'canvas' ? Shim.document.canvas_ :
+          Shim.document;
+      if (data.rect) {
+        Shim.document.canvas_.rect = data.rect;
+      }
+      target.dispatch(data.name, data.event);
+      if (target != Shim.document) {
+        // Let the event bubble up to the document.
+        Shim.document.dispatch(data.name, data.event);
+      }
+      break;
+    case 'imageLoaded':
+      var images = Shim.Image.loading[data.src] || [];
+      delete Shim.Image.loading[data.src];
+      for (var i = 0; i < images.length; i++) {
+        var image = images[i];
+        image.width = image.naturalWidth = data.width;
+        image.height = image.naturalHeight = data.height;
+        image.complete = true;
+        image.dispatch('load', {});
+      }
+      break;
+  }
+};
+
+// Tests load this file in a page to check the shim, where there is no
+// importScripts.
+if (typeof importScripts == 'function') {
+  // Dom_html in eval.js looks the document up once it is loaded.
+  self.document = Shim.document;
+  self.Image = Shim.Image;
+  importScripts('eval.js', 'evaluator.js');
+  self.onmessage = Shim.onMessage;
+  Shim.postMessage({type: 'ready'});
+}
@@ -55,6 +55,8 @@ Blockly.TypedLang.addReservedWords(
  * See precedence section of parser.mly in the OCaml distribution.
  */
 Blockly.TypedLang.ORDER_ATOMIC = 0;           // 0 "" ...
+Blockly.TypedLang.ORDER_PREFIX = 1.1;         // ! (PREFIXOP)
+Blockly.TypedLang.ORDER_DOT = 1.2;            // .(
 Blockly.TypedLang.ORDER_FUNCTION_CALL = 2;    // f x
 Blockly.TypedLang.ORDER_CONSTANT_CONSTRUCTOR = 3; // C x
 Blockly.TypedLang.ORDER_POWER = 4;            // ** (INFIXOP4)
@@ -71,11 +73,13 @@ Blockly.TypedLang.ORDER_LOGICAL_AND = 13;     // &&
 Blockly.TypedLang.ORDER_LOGICAL_OR = 14;      // ||
 Blockly.TypedLang.ORDER_ARROW = 15;           // ->
 Blockly.TypedLang.ORDER_COMMA = 16;           // ,
+Blockly.TypedLang.ORDER_ASSIGNMENT = 16.5;    // := <-
 Blockly.TypedLang.ORDER_ELSE = 17;            // else
 Blockly.TypedLang.ORDER_THEN = 18;            // then
 Blockly.TypedLang.ORDER_WITH = 19;            // with
 Blockly.TypedLang.ORDER_SEMI = 20;            // ;
 Blockly.TypedLang.ORDER_IN = 21;              // in
+Blockly.TypedLang.ORDER_AS = 22;              // as (in patterns)
 Blockly.TypedLang.ORDER_EXPR = 50;            // any expression
 Blockly.TypedLang.ORDER_NONE = 99;            // (...)
 
@@ -93,7 +97,9 @@ Blockly.TypedLang.ORDER_OVERRIDES = [
   // a || (b || c) -> a || b || c
   [Blockly.TypedLang.ORDER_LOGICAL_OR, Blockly.TypedLang.ORDER_LOGICAL_OR],
   // a ^ (b ^ c) -> a ^ b ^ c
-  [Blockly.TypedLang.ORDER_CONCAT_STRING, Blockly.TypedLang.ORDER_CONCAT_STRING]
+  [Blockly.TypedLang.ORDER_CONCAT_STRING, Blockly.TypedLang.ORDER_CONCAT_STRING],
+  // a; (b; c) -> a; b; c
+  [Blockly.TypedLang.ORDER_SEMI, Blockly.TypedLang.ORDER_SEMI]
 ];
 
 /**
@@ -224,7 +230,7 @@ Blockly.TypedLang.scrub_ = function(block, code, opt_thisOnly) {
   }
   var nextBlock = block.nextConnection && block.nextConnection.targetBlock();
   var nextCode = opt_thisOnly ? '' : Blockly.TypedLang.blockToCode(nextBlock);
-  return commentCode + code + nextCode;
+  return Blockly.TypedLang.markSpan_(block, commentCode + code) + nextCode;
 };
 
 /**
@@ -289,3 +295,282 @@ Blockly.TypedLang.getAdjusted = function(block, atId, opt_delta, opt_negate,
   }
   return at;
 };
+
+/**
+ * Generate a program which runs the given toplevel statements and then prints
+ * the value and type of the given value block.
+ * @param {!Blockly.Block} block The value block to evaluate.
+ * @param {!Array.<!Blockly.Block>} prefix The toplevel statements to run
+ *     before it. See Blockly.Block.prototype.getToplevelPrefix.
+ * @return {string} The program.
+ */
+Blockly.TypedLang.blockToEvaluationCode = function(block, prefix) {
+  var printSemiSemi = Blockly.PrintSemiSemi;
+  Blockly.PrintSemiSemi = true;
+  try {
+    Blockly.TypedLang.init(block.workspace);
+    var code = '';
+    for (var i = 0, statement; statement = prefix[i]; i++) {
+      code += Blockly.TypedLang.blockToCode(statement, true);
+    }
+    var expression = Blockly.TypedLang.blockToCode(block, true);
+    if (Array.isArray(expression)) {
+      expression = expression[0];
+    }
+    code += expression + ';;\n';
+    return Blockly.TypedLang.finish(code).replace(/^\s+\n/, '');
+  } finally {
+    Blockly.PrintSemiSemi = printSemiSemi;
+  }
+};
+
+/**
+ * Characters to mark the start and end of code generated by each block while
+ * a source map is being recorded. The start marker is followed by the block
+ * ID and SPAN_ID_END_. These characters are in the private use area of
+ * Unicode, and never appear in the code generated from blocks.
+ * @private
+ */
+Blockly.TypedLang.SPAN_START_ = '\uE000';
+Blockly.TypedLang.SPAN_ID_END_ = '\uE001';
+Blockly.TypedLang.SPAN_END_ = '\uE002';
+
+/**
+ * Whether the code generated by each block is enclosed with span markers.
+ * @type {boolean}
+ * @private
+ */
+Blockly.TypedLang.recordingSpans_ = false;
+
+/**
+ * Enclose the code generated by the block with span markers if a source map
+ * is being recorded. Leading newlines and a trailing newline are left outside
+ * of the span so that trimming blank lines at the top of the code and
+ * indenting nested statements see the same text as without the markers.
+ * @param {!Blockly.Block} block The block which generated the code.
+ * @param {string} code The code.
+ * @return {string} The code with span markers.
+ * @private
+ */
+Blockly.TypedLang.markSpan_ = function(block, code) {
+  if (!Blockly.TypedLang.recordingSpans_ || !code) {
+    return code;
+  }
+  var leading = code.match(/^\n*/)[0];
+  code = code.substring(leading.length);
+  var newline = code.charAt(code.length - 1) == '\n' ? '\n' : '';
+  code = newline ? code.slice(0, -1) : code;
+  return leading + Blockly.TypedLang.SPAN_START_ + block.id +
+      Blockly.TypedLang.SPAN_ID_END_ + code + Blockly.TypedLang.SPAN_END_ +
+      newline;
+};
+
+/**
+ * Generate code for all blocks in the workspace together with the source map
+ * which relates each range of the code to the block which generated it.
+ * @param {!Blockly.Workspace} workspace Workspace to generate code from.
+ * @return {{code: string, sourceMap: !Blockly.TypedLang.SourceMap}} The
+ *     generated code, which is identical with workspaceToCode(), and its
+ *     source map.
+ */
+Blockly.TypedLang.workspaceToCodeWithSourceMap = function(workspace) {
+  Blockly.TypedLang.recordingSpans_ = true;
+  try {
+    var marked = Blockly.TypedLang.workspaceToCode(workspace);
+  } finally {
+    Blockly.TypedLang.recordingSpans_ = false;
+  }
+  var code = '';
+  var spans = [];
+  var openSpans = [];
+  for (var i = 0; i < marked.length; i++) {
+    var c = marked[i];
+    if (c == Blockly.TypedLang.SPAN_START_) {
+      var idEnd = marked.indexOf(Blockly.TypedLang.SPAN_ID_END_, i);
+      var span = {blockId: marked.substring(i + 1, idEnd), start: code.length,
+          end: code.length};
+      spans.push(span);
+      openSpans.push(span);
+      i = idEnd;
+    } else if (c == Blockly.TypedLang.SPAN_END_) {
+      openSpans.pop().end = code.length;
+    } else {
+      code += c;
+    }
+  }
+  // Markers may have kept workspaceToCode() from trimming whitespace. Trim it
+  // again while moving the spans.
+  var trims = [[/^\s+\n/, ''], [/\n\s+$/, '\n'], [/[ \t]+\n/g, '\n']];
+  for (var i = 0; i < trims.length; i++) {
+    code = Blockly.TypedLang.replaceInSpans_(code, trims[i][0], trims[i][1],
+        spans);
+  }
+  return {code: code,
+      sourceMap: new Blockly.TypedLang.SourceMap(code, spans)};
+};
+
+/**
+ * Replace matches of the pattern with the given text, and move the start and
+ * end of spans after the replaced ranges.
+ * @param {string} code The code.
+ * @param {!RegExp} regex The pattern to replace.
+ * @param {string} replacement The text which replaces each match. Must be
+ *     either the head or the tail of every match.
+ * @param {!Array.<{start: number, end: number}>} spans The spans to update.
+ * @return {string} The replaced code.
+ * @private
+ */
+Blockly.TypedLang.replaceInSpans_ = function(code, regex, replacement,
+    spans) {
+  var edits = [];
+  code.replace(regex, function(match, offset) {
+    var kept = replacement.length;
+    var removedStart = match.slice(0, kept) == replacement ?
+        offset + kept : offset;
+    edits.push([removedStart, match.length - kept]);
+    return replacement;
+  });
+  var moveOffset = function(offset) {
+    var moved = offset;
+    for (var i = 0; i < edits.length; i++) {
+      var start = edits[i][0];
+      var removed = edits[i][1];
+      if (start < offset) {
+        moved -= Math.min(removed, offset - start);
+      }
+    }
+    return moved;
+  };
+  for (var i = 0, span; span = spans[i]; i++) {
+    span.start = moveOffset(span.start);
+    span.end = moveOffset(span.end);
+  }
+  return code.replace(regex, replacement);
+};
+
+/**
+ * Class for a source map, which relates ranges of generated code to the blocks
+ * which generated them. Lines are numbered from 1 and columns from 0, as in
+ * locations reported by the OCaml toplevel.
+ * @param {string} code The generated code.
+ * @param {!Array.<{blockId: string, start: number, end: number}>} spans The
+ *     ranges of the code generated by each block, given by character offsets.
+ *     The range of a block includes those of its nested blocks.
+ * @constructor
+ */
+Blockly.TypedLang.SourceMap = function(code, spans) {
+  /**
+   * @type {string}
+   * @private
+   */
+  this.code_ = code;
+  /**
+   * The spans sorted by their start offsets. An outer span precedes spans
+   * nested in it.
+   * @type {!Array.<{blockId: string, start: number, end: number}>}
+   * @private
+   */
+  this.spans_ = spans.slice().sort(function(a, b) {
+    return a.start - b.start || b.end - a.end;
+  });
+  /**
+   * The offsets at which each line starts.
+   * @type {!Array.<number>}
+   * @private
+   */
+  this.lineStarts_ = [0];
+  for (var i = 0; i < code.length; i++) {
+    if (code[i] == '\n') {
+      this.lineStarts_.push(i + 1);
+    }
+  }
+};
+
+/**
+ * Returns the spans of the code generated by each block.
+ * @return {!Array.<{blockId: string, start: number, end: number}>} The spans.
+ */
+Blockly.TypedLang.SourceMap.prototype.getSpans = function() {
+  return this.spans_.slice();
+};
+
+/**
+ * Convert a line and column into the character offset in the code.
+ * @param {number} line The line number, starting at 1.
+ * @param {number} column The column number, starting at 0.
+ * @return {number} The offset, or -1 if the line does not exist.
+ */
+Blockly.TypedLang.SourceMap.prototype.toOffset = function(line, column) {
+  if (line < 1 || this.lineStarts_.length < line) {
+    return -1;
+  }
+  return this.lineStarts_[line - 1] + column;
+};
+
+/**
+ * Convert a character offset in the code into the line and column.
+ * @param {number} offset The offset.
+ * @return {{line: number, column: number}} The position.
+ */
+Blockly.TypedLang.SourceMap.prototype.toPosition = function(offset) {
+  var line = 0;
+  while (line + 1 < this.lineStarts_.length &&
+      this.lineStarts_[line + 1] <= offset) {
+    line++;
+  }
+  return {line: line + 1, column: offset - this.lineStarts_[line]};
+};
+
+/**
+ * Find the innermost block which generated the code at the given position.
+ * @param {number} line The line number, starting at 1.
+ * @param {number} column The column number, starting at 0.
+ * @return {?string} The ID of the block, or null if the code at the position
+ *     is not generated by any block.
+ */
+Blockly.TypedLang.SourceMap.prototype.getBlockIdAt = function(line, column) {
+  return this.getBlockIdAtOffset(this.toOffset(line, column));
+};
+
+/**
+ * Find the innermost block which generated the code at the given offset, or
+ * the whole range of the code from the offset if the end is given.
+ * @param {number} offset The offset.
+ * @param {number=} opt_end The exclusive end offset of the range.
+ * @return {?string} The ID of the block, or null if no block generated the
+ *     code.
+ */
+Blockly.TypedLang.SourceMap.prototype.getBlockIdAtOffset = function(offset,
+    opt_end) {
+  if (offset < 0) {
+    return null;
+  }
+  var end = opt_end === undefined ? offset + 1 : Math.max(opt_end, offset + 1);
+  var found = null;
+  for (var i = 0, span; span = this.spans_[i]; i++) {
+    if (offset < span.start) {
+      break;
+    }
+    if (end <= span.end) {
+      found = span.blockId;
+    }
+  }
+  return found;
+};
+
+/**
+ * Find the range of the code which the given block generated.
+ * @param {string} blockId The ID of the block.
+ * @return {?{start: {line: number, column: number},
+ *     end: {line: number, column: number}}} The range, or null if the block
+ *     did not generate any code. The end is exclusive.
+ */
+Blockly.TypedLang.SourceMap.prototype.getRangeOfBlock = function(blockId) {
+  for (var i = 0, span; span = this.spans_[i]; i++) {
+    if (span.blockId == blockId) {
+      return {start: this.toPosition(span.start),
+          end: this.toPosition(span.end)};
+    }
+  }
+  return null;
+};
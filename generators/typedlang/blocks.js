@@ -254,7 +254,7 @@ Blockly.TypedLang['logic_ternary_typed'] = function(block) {
     var value_elseif = Blockly.TypedLang.valueToCode(block, 'ELSEIF' + i,
         Blockly.TypedLang.ORDER_EXPR) || '?';
     var value_then = Blockly.TypedLang.valueToCode(block, 'THEN' + i,
-        Blockly.TypedLang.ORDER_EXPR) || '?';
+        Blockly.TypedLang.ORDER_THEN) || '?';
     code += '\n  else if ' + value_elseif + ' then ' + value_then;
   }
   var value_else = Blockly.TypedLang.valueToCode(block, 'ELSE',
@@ -364,6 +364,28 @@ Blockly.TypedLang['string_typed'] = function(block) {
   return [literal, Blockly.TypedLang.ORDER_ATOMIC];
 };
 
+Blockly.TypedLang['char_typed'] = function(block) {
+  var value = block.getFieldValue('CHAR');
+  var escapes = {'\'': '\\\'', '\\': '\\\\', '\n': '\\n', '\t': '\\t',
+      '\r': '\\r'};
+  var literal = '\'' + (escapes[value] || value) + '\'';
+  return [literal, Blockly.TypedLang.ORDER_ATOMIC];
+};
+
+Blockly.TypedLang['printf_typed'] = function(block) {
+  var name = block.isSprintf_ ? 'Printf.sprintf' : 'Printf.printf';
+  var args = [name, JSON.stringify(block.getFieldValue('FORMAT'))];
+  for (var i = 0; i < block.conversions_.length; i++) {
+    args.push(Blockly.TypedLang.valueToCode(block, 'ARG' + i,
+        Blockly.TypedLang.ORDER_FUNCTION_CALL) || '?');
+  }
+  return [args.join(' '), Blockly.TypedLang.ORDER_FUNCTION_CALL];
+};
+
+Blockly.TypedLang['sprintf_typed'] = function(block) {
+  return Blockly.TypedLang['printf_typed'].call(this, block);
+};
+
 Blockly.TypedLang['concat_string_typed'] = function(block) {
   var left = Blockly.TypedLang.valueToCode(block, 'A',
       Blockly.TypedLang.ORDER_CONCAT_STRING) || '?';
@@ -565,6 +587,51 @@ Blockly.TypedLang['pair_create_typed'] = function(block) {
   return [code, Blockly.TypedLang.ORDER_ATOMIC];
 };
 
+Blockly.TypedLang['tuple_create_typed'] = function(block) {
+  var items = [];
+  for (var i = 0; i < block.itemCount_; i++) {
+    items.push(Blockly.TypedLang.valueToCode(block, 'ITEM' + i,
+        Blockly.TypedLang.ORDER_COMMA) || '?');
+  }
+  var code = '(' + items.join(', ') + ')';
+  return [code, Blockly.TypedLang.ORDER_ATOMIC];
+};
+
+Blockly.TypedLang['ref_get_typed'] = function(block) {
+  var ref = Blockly.TypedLang.valueToCode(block, 'REF',
+      Blockly.TypedLang.ORDER_PREFIX) || '?';
+  return ['!' + ref, Blockly.TypedLang.ORDER_PREFIX];
+};
+
+Blockly.TypedLang['ref_set_typed'] = function(block) {
+  var ref = Blockly.TypedLang.valueToCode(block, 'REF',
+      Blockly.TypedLang.ORDER_ASSIGNMENT) || '?';
+  var value = Blockly.TypedLang.valueToCode(block, 'VALUE',
+      Blockly.TypedLang.ORDER_ASSIGNMENT) || '?';
+  var code = ref + ' := ' + value;
+  return [code, Blockly.TypedLang.ORDER_ASSIGNMENT];
+};
+
+Blockly.TypedLang['array_get_typed'] = function(block) {
+  var array = Blockly.TypedLang.valueToCode(block, 'ARRAY',
+      Blockly.TypedLang.ORDER_DOT) || '?';
+  var index = Blockly.TypedLang.valueToCode(block, 'INDEX',
+      Blockly.TypedLang.ORDER_NONE) || '?';
+  var code = array + '.(' + index + ')';
+  return [code, Blockly.TypedLang.ORDER_DOT];
+};
+
+Blockly.TypedLang['array_set_typed'] = function(block) {
+  var array = Blockly.TypedLang.valueToCode(block, 'ARRAY',
+      Blockly.TypedLang.ORDER_DOT) || '?';
+  var index = Blockly.TypedLang.valueToCode(block, 'INDEX',
+      Blockly.TypedLang.ORDER_NONE) || '?';
+  var value = Blockly.TypedLang.valueToCode(block, 'VALUE',
+      Blockly.TypedLang.ORDER_ASSIGNMENT) || '?';
+  var code = array + '.(' + index + ') <- ' + value;
+  return [code, Blockly.TypedLang.ORDER_ASSIGNMENT];
+};
+
 Blockly.TypedLang['pair_first_typed'] = function(block) {
   var arg = Blockly.TypedLang.valueToCode(block, 'FIRST',
       Blockly.TypedLang.ORDER_FUNCTION_CALL) || '?';
@@ -580,12 +647,13 @@ Blockly.TypedLang['pair_second_typed'] = function(block) {
 };
 
 Blockly.TypedLang['function_app_typed'] = function(block) {
-  var code = block.getField('VAR').getVariableName();
+  var code = block.typedReference['VAR'].getQualifiedName();
   var params = [];
   for (var i = 0; i < block.paramCount_; i++) {
     var p = Blockly.TypedLang.valueToCode(block, 'PARAM' + i,
         Blockly.TypedLang.ORDER_FUNCTION_CALL) || '?';
-    params.push(p);
+    var label = block.getParamLabel(i);
+    params.push(label ? '~' + label + ':' + p : p);
   }
   if (params.length == 0) {
     return [code, Blockly.TypedLang.ORDER_ATOMIC];
@@ -595,10 +663,40 @@ Blockly.TypedLang['function_app_typed'] = function(block) {
 };
 
 Blockly.TypedLang['lambda_typed'] = function(block) {
-  var varname = block.typedValue['VAR'].getVariableName();
+  var params = [];
+  for (var i = 0; i < block.paramCount_; i++) {
+    var variable = block.typedValue[block.getParamFieldName_(i)];
+    params.push(variable.getVariableName());
+  }
   var body = Blockly.TypedLang.valueToCode(block, 'RETURN',
       Blockly.TypedLang.ORDER_ARROW) || '?';
-  var code = 'fun ' + varname + ' -> ' + body;
+  var code = 'fun ' + params.join(' ') + ' -> ' + body;
+  return [code, Blockly.TypedLang.ORDER_EXPR];
+};
+
+Blockly.TypedLang['lambda_pattern_typed'] = function(block) {
+  var params = [];
+  for (var i = 0; i < block.argumentCount_; i++) {
+    var pattern = Blockly.TypedLang.valueToCode(block, 'ARG' + i,
+        Blockly.TypedLang.ORDER_FUNCTION_CALL) || '?';
+    params.push(pattern);
+  }
+  var body = Blockly.TypedLang.valueToCode(block, 'RETURN',
+      Blockly.TypedLang.ORDER_ARROW) || '?';
+  var code = 'fun ' + params.join(' ') + ' -> ' + body;
+  return [code, Blockly.TypedLang.ORDER_EXPR];
+};
+
+Blockly.TypedLang['function_typed'] = function(block) {
+  var code = 'function';
+  for (var i = 0; i < block.itemCount_; i++) {
+    var pattern = Blockly.TypedLang.valueToCode(block, 'PATTERN' + i,
+        Blockly.TypedLang.ORDER_EXPR) || '?';
+    var output = Blockly.TypedLang.valueToCode(block, 'OUTPUT' + i,
+        Blockly.TypedLang.ORDER_EXPR) || '?';
+    code += '\n  | ' + pattern +
+        Blockly.TypedLang.guardToCode_(block, i) + ' -> ' + output;
+  }
   return [code, Blockly.TypedLang.ORDER_EXPR];
 };
 
@@ -611,6 +709,23 @@ Blockly.TypedLang['lambda_app_typed'] = function(block) {
   return [code, Blockly.TypedLang.ORDER_FUNCTION_CALL];
 };
 
+/**
+ * Generate the 'when' guard of a case of match or try.
+ * @param {!Blockly.Block} block The match or try block.
+ * @param {number} index The index of the case.
+ * @return {string} The code of the guard, or '' if the case has no guard.
+ * @private
+ */
+Blockly.TypedLang.guardToCode_ = function(block, index) {
+  if (!block.hasGuard(index)) {
+    return '';
+  }
+  // A sequence or another match in the guard must be parenthesized.
+  var guard = Blockly.TypedLang.valueToCode(block, 'GUARD' + index,
+      Blockly.TypedLang.ORDER_WITH) || '?';
+  return ' when ' + guard;
+};
+
 Blockly.TypedLang['match_typed'] = function(block) {
   if (block.itemCount_ == 0) {
     return ['', Blockly.TypedLang.ORDER_ATOMIC];
@@ -623,13 +738,77 @@ Blockly.TypedLang['match_typed'] = function(block) {
         Blockly.TypedLang.ORDER_EXPR) || '?';
     var output = Blockly.TypedLang.valueToCode(block, 'OUTPUT' + i,
         Blockly.TypedLang.ORDER_EXPR) || '?';
-    code += '\n  | ' + pattern + ' -> ' + output;
+    code += '\n  | ' + pattern +
+        Blockly.TypedLang.guardToCode_(block, i) + ' -> ' + output;
+  }
+  return [code, Blockly.TypedLang.ORDER_EXPR];
+};
+
+Blockly.TypedLang['raise_typed'] = function(block) {
+  var exn = Blockly.TypedLang.valueToCode(block, 'EXN',
+      Blockly.TypedLang.ORDER_FUNCTION_CALL) || '?';
+  return ['raise ' + exn, Blockly.TypedLang.ORDER_FUNCTION_CALL];
+};
+
+Blockly.TypedLang['failwith_typed'] = function(block) {
+  var message = Blockly.TypedLang.valueToCode(block, 'MESSAGE',
+      Blockly.TypedLang.ORDER_FUNCTION_CALL) || '?';
+  return ['failwith ' + message, Blockly.TypedLang.ORDER_FUNCTION_CALL];
+};
+
+Blockly.TypedLang['try_typed'] = function(block) {
+  var input = Blockly.TypedLang.valueToCode(block, 'INPUT',
+      Blockly.TypedLang.ORDER_EXPR) || '?';
+  var code = 'try ' + input + ' with';
+  for (var i = 0; i < block.itemCount_; i++) {
+    var pattern = Blockly.TypedLang.valueToCode(block, 'PATTERN' + i,
+        Blockly.TypedLang.ORDER_EXPR) || '?';
+    var output = Blockly.TypedLang.valueToCode(block, 'OUTPUT' + i,
+        Blockly.TypedLang.ORDER_EXPR) || '?';
+    code += '\n  | ' + pattern +
+        Blockly.TypedLang.guardToCode_(block, i) + ' -> ' + output;
   }
   return [code, Blockly.TypedLang.ORDER_EXPR];
 };
 
+Blockly.TypedLang['sequence_typed'] = function(block) {
+  var first = Blockly.TypedLang.valueToCode(block, 'FIRST',
+      Blockly.TypedLang.ORDER_SEMI) || '?';
+  var second = Blockly.TypedLang.valueToCode(block, 'SECOND',
+      Blockly.TypedLang.ORDER_SEMI) || '?';
+  return [first + ';\n' + second, Blockly.TypedLang.ORDER_SEMI];
+};
+
+Blockly.TypedLang['for_typed'] = function(block) {
+  var varname = block.typedValue['VAR'].getVariableName();
+  // Bounds must not be sequences, which need parentheses.
+  var from = Blockly.TypedLang.valueToCode(block, 'FROM',
+      Blockly.TypedLang.ORDER_WITH) || '?';
+  var to = Blockly.TypedLang.valueToCode(block, 'TO',
+      Blockly.TypedLang.ORDER_WITH) || '?';
+  var direction = block.getFieldValue('DIRECTION') == 'DOWNTO' ?
+      ' downto ' : ' to ';
+  var body = Blockly.TypedLang.valueToCode(block, 'DO',
+      Blockly.TypedLang.ORDER_NONE) || '?';
+  var code = 'for ' + varname + ' = ' + from + direction + to + ' do\n' +
+      Blockly.TypedLang.prefixLines(body, Blockly.TypedLang.INDENT) +
+      '\ndone';
+  return [code, Blockly.TypedLang.ORDER_ATOMIC];
+};
+
+Blockly.TypedLang['while_typed'] = function(block) {
+  var cond = Blockly.TypedLang.valueToCode(block, 'COND',
+      Blockly.TypedLang.ORDER_WITH) || '?';
+  var body = Blockly.TypedLang.valueToCode(block, 'DO',
+      Blockly.TypedLang.ORDER_NONE) || '?';
+  var code = 'while ' + cond + ' do\n' +
+      Blockly.TypedLang.prefixLines(body, Blockly.TypedLang.INDENT) +
+      '\ndone';
+  return [code, Blockly.TypedLang.ORDER_ATOMIC];
+};
+
 Blockly.TypedLang['variables_get_typed'] = function(block) {
-  var varname = block.typedReference['VAR'].getVariableName();
+  var varname = block.typedReference['VAR'].getQualifiedName();
   return [varname, Blockly.TypedLang.ORDER_ATOMIC];
 };
 
@@ -640,7 +819,9 @@ Blockly.TypedLang['let_typed'] = function(block) {
   for (var i = 0; i < block.argumentCount_; i++) {
     var argn = 'ARG' + i;
     var val = block.typedValue[argn];
-    args.push(val.getVariableName());
+    // Labeled arguments are punned, e.g. "~x" and "?x".
+    var label = block.argLabels_[i] || '';
+    args.push(label + val.getVariableName());
   }
   var varname = block.typedValue['VAR'].getVariableName();
   var arg = args.length == 0 ? '' : ' ' + args.join(' ');
@@ -655,6 +836,12 @@ Blockly.TypedLang['let_typed'] = function(block) {
   } else {
     code += varname + arg + ' =\n  ' + exp1;
   }
+  for (var i = 0; i < block.andCount_; i++) {
+    var andName = block.typedValue['AND_VAR' + i].getVariableName();
+    var andExp = Blockly.TypedLang.valueToCode(block, 'AND_EXP' + i,
+        Blockly.TypedLang.ORDER_NONE) || '?';
+    code += '\nand ' + andName + ' = ' + andExp;
+  }
 
   if (block.getIsStatement()) {
     if (Blockly.PrintSemiSemi) {
@@ -715,6 +902,26 @@ Blockly.TypedLang['letstatement_fun_pattern_typed'] = function(block) {
   return Blockly.TypedLang['let_fun_pattern_typed'].call(this, block);
 };
 
+Blockly.TypedLang['module_typed'] = function(block) {
+  var body = Blockly.TypedLang.statementToCode(block, 'BODY');
+  var code = 'module ' + block.getFieldValue('NAME') + ' = struct\n' + body +
+      'end';
+  if (Blockly.PrintSemiSemi) {
+    code += ';;';
+  }
+  code += '\n';
+  return code;
+};
+
+Blockly.TypedLang['open_module_typed'] = function(block) {
+  var code = 'open ' + block.getFieldValue('MODULE');
+  if (Blockly.PrintSemiSemi) {
+    code += ';;';
+  }
+  code += '\n';
+  return code;
+};
+
 Blockly.TypedLang['dummy_statement_typed'] = function(block) {
   var code = Blockly.TypedLang.valueToCode(block, 'VALUE',
       Blockly.TypedLang.ORDER_ATOMIC) || '?';
@@ -806,7 +1013,11 @@ Blockly.TypedLang['defined_recordtype_typed'] = function(block) {
   var code = 'type ' + dataName + ' = {\n';
   for (var i = 0; i < block.itemCount_; i++) {
     var recordField = block.getField('FIELD' + i);
-    code += '  ' + recordField.getVariableName();
+    code += '  ';
+    if (block.isMutableField('FIELD' + i)) {
+      code += 'mutable ';
+    }
+    code += recordField.getVariableName();
     code += ' : ';
     var typeCtor = Blockly.TypedLang.valueToCode(block, 'FIELD_INP' + i,
         Blockly.TypedLang.ORDER_SEMI) || '?';
@@ -849,7 +1060,7 @@ Blockly.TypedLang['create_record_typed'] = function(block) {
   var pairs = [];
   for (var i = 0; i < block.fieldCount_; i++) {
     var recordField = block.getField('FIELD' + i);
-    var fieldName = recordField.getVariableName();
+    var fieldName = recordField.getVariable().getQualifiedName();
     var fieldInput = Blockly.TypedLang.valueToCode(block, 'FIELD_INP' + i,
         Blockly.TypedLang.ORDER_SEMI) || '?';
     pairs.push([fieldName, fieldInput]);
@@ -858,6 +1069,44 @@ Blockly.TypedLang['create_record_typed'] = function(block) {
       Blockly.TypedLang.ORDER_ATOMIC];
 };
 
+Blockly.TypedLang['record_with_typed'] = function(block) {
+  var original = Blockly.TypedLang.valueToCode(block, 'ORIGINAL',
+      Blockly.TypedLang.ORDER_DOT) || '?';
+  var pairs = [];
+  for (var i = 0; i < block.fieldCount_; i++) {
+    var fieldInput = Blockly.TypedLang.valueToCode(block, 'FIELD_INP' + i,
+        Blockly.TypedLang.ORDER_SEMI);
+    if (fieldInput) {
+      // Fields without any value are copied from the original record.
+      var fieldName = block.getField('FIELD' + i).getVariable()
+          .getQualifiedName();
+      pairs.push(fieldName + ' = ' + fieldInput);
+    }
+  }
+  if (pairs.length == 0) {
+    return [original, Blockly.TypedLang.ORDER_DOT];
+  }
+  var code = '{' + original + ' with ' + pairs.join('; ') + '}';
+  return [code, Blockly.TypedLang.ORDER_ATOMIC];
+};
+
+Blockly.TypedLang['record_field_get_typed'] = function(block) {
+  var record = Blockly.TypedLang.valueToCode(block, 'RECORD',
+      Blockly.TypedLang.ORDER_DOT) || '?';
+  var fieldName = block.getField('FIELD').getVariable().getQualifiedName();
+  return [record + '.' + fieldName, Blockly.TypedLang.ORDER_DOT];
+};
+
+Blockly.TypedLang['record_field_set_typed'] = function(block) {
+  var record = Blockly.TypedLang.valueToCode(block, 'RECORD',
+      Blockly.TypedLang.ORDER_DOT) || '?';
+  var value = Blockly.TypedLang.valueToCode(block, 'VALUE',
+      Blockly.TypedLang.ORDER_ASSIGNMENT) || '?';
+  var fieldName = block.getField('FIELD').getVariable().getQualifiedName();
+  var code = record + '.' + fieldName + ' <- ' + value;
+  return [code, Blockly.TypedLang.ORDER_ASSIGNMENT];
+};
+
 Blockly.TypedLang['defined_datatype_typed'] = function(block) {
   if (block.itemCount_ == 0) {
     // The constructor definition is empty.
@@ -865,10 +1114,13 @@ Blockly.TypedLang['defined_datatype_typed'] = function(block) {
   }
   var field = block.getField('DATANAME');
   var dataName = field.getText();
-  var code = 'type ' + dataName + ' =';
+  var params = goog.array.map(block.getTypeParameterNames(),
+      function(name) { return '\'' + name; });
+  var code = 'type ' +
+      Blockly.TypeExpr.CONSTRUCT.getTypeArgumentsText(params) + dataName + ' =';
   for (var i = 0; i < block.itemCount_; i++) {
     var typeCtor = Blockly.TypedLang.valueToCode(block, 'CTR_INP' + i,
-        Blockly.TypedLang.ORDER_SEMI) || '?';
+        Blockly.TypedLang.ORDER_SEMI);
     var ctorField = block.getField('CTR' + i);
     code += '\n  | ' + ctorField.getVariableName();
     if (typeCtor) {
@@ -882,6 +1134,40 @@ Blockly.TypedLang['defined_datatype_typed'] = function(block) {
   return code;
 };
 
+Blockly.TypedLang['exception_declaration_typed'] = function(block) {
+  var typeCtor = Blockly.TypedLang.valueToCode(block, 'CTR_INP',
+      Blockly.TypedLang.ORDER_SEMI);
+  var code = 'exception ' + block.getField('CTR').getVariableName();
+  if (typeCtor) {
+    code += ' of ' + typeCtor;
+  }
+  if (Blockly.PrintSemiSemi) {
+    code += ';;';
+  }
+  code += '\n';
+  return code;
+};
+
+Blockly.TypedLang['defined_type_alias_typed'] = function(block) {
+  var typeCtor = Blockly.TypedLang.valueToCode(block, 'TYPE',
+      Blockly.TypedLang.ORDER_NONE) || '?';
+  var code = 'type ' + block.getField('DATANAME').getVariableName() + ' = ' +
+      typeCtor;
+  if (Blockly.PrintSemiSemi) {
+    code += ';;';
+  }
+  code += '\n';
+  return code;
+};
+
+Blockly.TypedLang['type_annotation_typed'] = function(block) {
+  var exp = Blockly.TypedLang.valueToCode(block, 'EXP',
+      Blockly.TypedLang.ORDER_NONE) || '?';
+  var typeCtor = Blockly.TypedLang.valueToCode(block, 'TYPE',
+      Blockly.TypedLang.ORDER_NONE) || '?';
+  return ['(' + exp + ' : ' + typeCtor + ')', Blockly.TypedLang.ORDER_ATOMIC];
+};
+
 Blockly.TypedLang['create_construct_typed'] = function(block) {
   var params = [];
   for (var i = 0, input; input = block.inputList[i]; i++) {
@@ -894,11 +1180,12 @@ Blockly.TypedLang['create_construct_typed'] = function(block) {
     params.push(param);
   }
   var field = block.getField('CONSTRUCTOR');
-  var code = field.getVariableName();
-  if (params.length != 0) {
-    code += ' (' + params.join(', ') + ')';
+  var code = field.getVariable().getQualifiedName();
+  if (params.length == 0) {
+    return [code, Blockly.TypedLang.ORDER_ATOMIC];
   }
-  return [code, Blockly.TypedLang.ORDER_ATOMIC];
+  code += ' (' + params.join(', ') + ')';
+  return [code, Blockly.TypedLang.ORDER_CONSTANT_CONSTRUCTOR];
 };
 
 Blockly.TypedLang['int_type_typed'] = function(block) {
@@ -917,6 +1204,10 @@ Blockly.TypedLang['string_type_typed'] = function(block) {
   return ['string', Blockly.TypedLang.ORDER_ATOMIC];
 };
 
+Blockly.TypedLang['char_type_typed'] = function(block) {
+  return ['char', Blockly.TypedLang.ORDER_ATOMIC];
+};
+
 Blockly.TypedLang.tupleTypeUtil_ = function(block, names) {
   var tuples = '';
   for (var i = 0, name; name = names[i]; i++) {
@@ -930,7 +1221,9 @@ Blockly.TypedLang.tupleTypeUtil_ = function(block, names) {
   var parentBlock = block.getParent();
   var isTopLevel = !!parentBlock &&
       (parentBlock.type === 'defined_datatype_typed' ||
-       parentBlock.type === 'defined_recordtype_typed');
+       parentBlock.type === 'defined_recordtype_typed' ||
+       parentBlock.type === 'defined_type_alias_typed' ||
+       parentBlock.type === 'exception_declaration_typed');
   var code = '';
   if (!isTopLevel) {
     code += '(';
@@ -965,11 +1258,43 @@ Blockly.TypedLang['aoption_type_constructor_typed'] = function(block) {
   return [param + ' option', Blockly.TypedLang.ORDER_FUNCTION_CALL];
 };
 
+Blockly.TypedLang['fun_type_constructor_typed'] = function(block) {
+  var arg = Blockly.TypedLang.valueToCode(block, 'ARG',
+      Blockly.TypedLang.ORDER_ARROW) || '?';
+  var ret = Blockly.TypedLang.valueToCode(block, 'RETURN',
+      Blockly.TypedLang.ORDER_NONE) || '?';
+  return [arg + ' -> ' + ret, Blockly.TypedLang.ORDER_ARROW];
+};
+
 Blockly.TypedLang['user_record_type_typed'] = function(block) {
   var code = block.getField('NAME').getText();
   return [code, Blockly.TypedLang.ORDER_ATOMIC];
 };
 
+Blockly.TypedLang['type_alias_type_typed'] = function(block) {
+  var code = block.getField('TYPENAME').getVariableName();
+  return [code, Blockly.TypedLang.ORDER_ATOMIC];
+};
+
+Blockly.TypedLang['type_variable_typed'] = function(block) {
+  return ['\'' + block.getFieldValue('NAME'), Blockly.TypedLang.ORDER_ATOMIC];
+};
+
+Blockly.TypedLang['recursive_datatype_type_typed'] = function(block) {
+  var params = [];
+  for (var i = 0; i < block.itemCount_; i++) {
+    var order = block.itemCount_ == 1 ?
+        Blockly.TypedLang.ORDER_FUNCTION_CALL : Blockly.TypedLang.ORDER_NONE;
+    params.push(Blockly.TypedLang.valueToCode(block, 'ITEM' + i, order) ||
+        '?');
+  }
+  var datatypeBlock = block.getDatatypeBlock();
+  var name = datatypeBlock ? datatypeBlock.getFieldValue('DATANAME') :
+      block.getFieldValue('NAME');
+  var code = Blockly.TypeExpr.CONSTRUCT.getTypeArgumentsText(params) + name;
+  return [code, Blockly.TypedLang.ORDER_FUNCTION_CALL];
+};
+
 Blockly.TypedLang['variable_pattern_typed'] = function(block) {
   var code = block.getField('VAR').getVariableName();
   return [code, Blockly.TypedLang.ORDER_ATOMIC];
@@ -1003,6 +1328,29 @@ Blockly.TypedLang['pair_pattern_typed'] = function(block) {
   return ['(' + left + ', ' + right + ')', order];
 };
 
+Blockly.TypedLang['tuple_pattern_typed'] = function(block) {
+  var order = Blockly.TypedLang.ORDER_ATOMIC;
+  var items = [];
+  for (var i = 0; i < block.itemCount_; i++) {
+    items.push(Blockly.TypedLang.valueToCode(block, 'ITEM' + i, order) || '?');
+  }
+  return ['(' + items.join(', ') + ')', order];
+};
+
+Blockly.TypedLang['or_pattern_typed'] = function(block) {
+  var order = Blockly.TypedLang.ORDER_LOGICAL_OR;
+  var left = Blockly.TypedLang.valueToCode(block, 'LEFT', order) || '?';
+  var right = Blockly.TypedLang.valueToCode(block, 'RIGHT', order) || '?';
+  return [left + ' | ' + right, order];
+};
+
+Blockly.TypedLang['alias_pattern_typed'] = function(block) {
+  var order = Blockly.TypedLang.ORDER_AS;
+  var pattern = Blockly.TypedLang.valueToCode(block, 'PATTERN', order) || '?';
+  var name = block.getField('VAR').getVariableName();
+  return [pattern + ' as ' + name, order];
+};
+
 Blockly.TypedLang['record_pattern_typed'] = function(block) {
   var pairs = [];
   for (var i = 0; i < block.fieldCount_; i++) {
@@ -1016,3 +1364,38 @@ Blockly.TypedLang['record_pattern_typed'] = function(block) {
   return [Blockly.TypedLang.recordTypeUtil_(pairs),
       Blockly.TypedLang.ORDER_ATOMIC];
 };
+
+Blockly.TypedLang['construct_pattern_typed'] = function(block) {
+  var params = [];
+  for (var i = 0; i < block.paramCount_; i++) {
+    var param = Blockly.TypedLang.valueToCode(block, 'PARAM' + i,
+        Blockly.TypedLang.ORDER_ATOMIC) || '?';
+    params.push(param);
+  }
+  var code = block.getField('CONSTRUCTOR').getVariableName();
+  if (params.length != 0) {
+    code += ' (' + params.join(', ') + ')';
+  }
+  return [code, Blockly.TypedLang.ORDER_ATOMIC];
+};
+
+/**
+ * Generates code for blocks defined by Blockly.LibrarySignatures.
+ * @param {!Blockly.Block} block The block applying a library function.
+ * @return {!Array} The code and its order.
+ */
+Blockly.TypedLang.libraryFunction = function(block) {
+  var n = block.getParameterCount();
+  if (n == 0) {
+    return [block.libraryFunctionName, Blockly.TypedLang.ORDER_ATOMIC];
+  }
+  var code = block.libraryFunctionName;
+  for (var i = 0; i < n; i++) {
+    code += ' ' + (Blockly.TypedLang.valueToCode(block, 'PARAM' + i,
+        Blockly.TypedLang.ORDER_FUNCTION_CALL) || '?');
+  }
+  return [code, Blockly.TypedLang.ORDER_FUNCTION_CALL];
+};
+
+Blockly.LibrarySignatures.registerGenerator(Blockly.TypedLang,
+    Blockly.TypedLang.libraryFunction);
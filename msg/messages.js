@@ -94,6 +94,14 @@ Blockly.Msg.IMAGE_HUE = '#832561';
 Blockly.Msg.SCENE_HUE = '#9d0006';
 /// {{Notranslate}} Hue value for all option blocks.
 Blockly.Msg.OPTION_HUE = '#f08300';
+/// {{Notranslate}} Hue value for all reference blocks.
+Blockly.Msg.REF_HUE = '#b16286';
+/// {{Notranslate}} Hue value for all array blocks.
+Blockly.Msg.ARRAYS_HUE = '#d79921';
+/// {{Notranslate}} Hue value for all blocks related to exceptions.
+Blockly.Msg.EXCEPTIONS_HUE = '#cc241d';
+/// {{Notranslate}} Hue value for all blocks related to modules.
+Blockly.Msg.MODULES_HUE = '#458588';
 
 /// default name - A simple, general default name for a variable, preferably short.
 /// For more context, see
@@ -608,6 +616,66 @@ Blockly.Msg.MATH_INT_OF_STRING = 'Convert a float to an integer.';
 Blockly.Msg.STRING_OF_INT = 'Convert an integer to a string.';
 
 Blockly.Msg.STRING_CONCAT = 'Combine strings.';
+/// tooltip - Describes the block which returns the length of a string.
+Blockly.Msg.STRING_LENGTH_TOOLTIP = 'Return the number of characters in a string.';
+/// tooltip - Describes the block which returns a character in a string.
+Blockly.Msg.STRING_GET_TOOLTIP = 'Return the character at the given position in a string. The first character is at position 0.';
+/// tooltip - Describes the block which returns a part of a string.
+Blockly.Msg.STRING_SUB_TOOLTIP = 'Return the part of a string which starts at the given position and has the given length.';
+/// tooltip - Describes the block which creates a string repeating a character.
+Blockly.Msg.STRING_MAKE_TOOLTIP = 'Return a string of the given length in which every character is the given one.';
+/// tooltip - Describes the block which converts a string to uppercase.
+Blockly.Msg.STRING_UPPERCASE_ASCII_TOOLTIP = 'Return a copy of a string with all lowercase letters translated to uppercase.';
+/// tooltip - Describes the block which concatenates a list of strings.
+Blockly.Msg.STRING_CONCAT_LIST_TOOLTIP = 'Concatenate a list of strings, inserting the separator between each.';
+/// tooltip - Describes the block which represents a character.
+Blockly.Msg.CHAR_TOOLTIP = 'A character.';
+/// tooltip - Describes the block which returns the code of a character.
+Blockly.Msg.CHAR_CODE_TOOLTIP = 'Return the ASCII code of a character.';
+/// tooltip - Describes the block which returns the character of a code.
+Blockly.Msg.CHAR_CHR_TOOLTIP = 'Return the character with the given ASCII code.';
+/// tooltip - Describes the block which creates a mutable reference.
+Blockly.Msg.REF_CREATE_TOOLTIP = 'Create a new reference holding the given value.';
+/// tooltip - Describes the block which returns the content of a reference.
+Blockly.Msg.REF_GET_TOOLTIP = 'Return the current content of a reference.';
+/// tooltip - Describes the block which updates the content of a reference.
+Blockly.Msg.REF_SET_TOOLTIP = 'Replace the content of a reference with the given value.';
+/// tooltip - Describes the block which increments an integer reference.
+Blockly.Msg.REF_INCR_TOOLTIP = 'Increment the integer held by a reference by one.';
+/// tooltip - Describes the block which creates an array.
+Blockly.Msg.ARRAY_MAKE_TOOLTIP = 'Return a new array of the given length whose elements are all the given value.';
+/// tooltip - Describes the block which returns the length of an array.
+Blockly.Msg.ARRAY_LENGTH_TOOLTIP = 'Return the number of elements in an array.';
+/// tooltip - Describes the block which returns an element of an array.
+Blockly.Msg.ARRAY_GET_TOOLTIP = 'Return the element at the given position in an array. The first element is at position 0.';
+/// tooltip - Describes the block which updates an element of an array.
+Blockly.Msg.ARRAY_SET_TOOLTIP = 'Replace the element at the given position in an array with the given value.';
+/// tooltip - Describes the block which declares an exception.
+Blockly.Msg.EXCEPTION_DECLARATION_TOOLTIP = 'Declare a new exception, which may carry a value of the given type.';
+/// tooltip - Describes the block which raises an exception.
+Blockly.Msg.RAISE_TOOLTIP = 'Raise an exception.';
+/// tooltip - Describes the block which raises the exception Failure.
+Blockly.Msg.FAILWITH_TOOLTIP = 'Raise the exception Failure with the given message.';
+/// tooltip - Describes the block which handles exceptions.
+Blockly.Msg.TRY_TOOLTIP = 'Evaluate an expression, and if it raises an exception matching one of the patterns, evaluate the corresponding expression instead.';
+/// tooltip - Describes the block which evaluates two expressions in order.
+Blockly.Msg.SEQUENCE_TOOLTIP = 'Evaluate the first expression, whose value must be (), and then return the value of the second one.';
+/// tooltip - Describes the block of for loop.
+Blockly.Msg.FOR_LOOP_TOOLTIP = 'Evaluate the body for each integer from the first number to the second one, with the variable holding the integer.';
+/// tooltip - Describes the block of while loop.
+Blockly.Msg.WHILE_LOOP_TOOLTIP = 'Evaluate the body repeatedly while the condition is true.';
+/// tooltip - Describes the block which creates a tuple of any number of elements.
+Blockly.Msg.TUPLE_CREATE_TOOLTIP = 'Create a tuple of the given values. Use the gear icon to change the number of elements.';
+/// tooltip - Describes the pattern block which matches a tuple of any number of elements.
+Blockly.Msg.TUPLE_PATTERN_TOOLTIP = 'Match a tuple whose elements match the given patterns. Use the gear icon to change the number of elements.';
+/// tooltip - Describes the pattern block which matches either of two patterns.
+Blockly.Msg.OR_PATTERN_TOOLTIP = 'Match a value which matches either of the patterns. Both patterns must bind the same variables.';
+/// tooltip - Describes the pattern block which also binds the matched value to a variable.
+Blockly.Msg.ALIAS_PATTERN_TOOLTIP = 'Match a value with the pattern, and also bind the whole value to the variable.';
+/// tooltip - Describes the block of an anonymous function whose parameters are patterns.
+Blockly.Msg.LAMBDA_PATTERN_TOOLTIP = 'Create a function whose arguments are matched with the patterns. Use the gear icon to change the number of parameters.';
+/// tooltip - Describes the block of an anonymous function which matches its argument with cases.
+Blockly.Msg.FUNCTION_TOOLTIP = 'Create a function which matches its argument with the patterns, and returns the value of the expression of the first matched case.';
 
 Blockly.Msg.RANDOM_INT_TOOLTIP = 'Generate a random integer between 0 and one less than the first argument.';
 Blockly.Msg.RANDOM_FLOAT_TOOLTIP = 'Generate a random float number between 0. and less than the first argument.';
@@ -1276,8 +1344,35 @@ Blockly.Msg.ADD_IN = 'Add in';
 /// context menu - Remove 'in' from a let block
 Blockly.Msg.REMOVE_IN = 'Remove in';
 
+/// warning - This appears on a match block if some values are not matched by
+/// any of its patterns. Examples of such values follow this text.
+Blockly.Msg.MATCH_NOT_EXHAUSTIVE_WARNING = 'This pattern-matching is not exhaustive. Here are examples of values that are not matched:';
+/// warning - This appears on a pattern block of a match case which can never
+/// be matched because the preceding patterns match all the values.
+Blockly.Msg.MATCH_UNUSED_CASE_WARNING = 'This match case is unused.';
+/// warning - This appears on an or-pattern block if a variable is bound on
+/// only one side of it. Names of such variables follow this text.
+Blockly.Msg.OR_PATTERN_VARIABLES_WARNING = 'Both sides of this or-pattern must bind the same variables. These variables are bound on only one side:';
+
+/// header text - Title of the panel listing problems found on blocks in the workspace.\n\nParameters:\n* %1 - the number of problems.
+Blockly.Msg.PROBLEMS_PANEL_TITLE = 'Problems (%1)';
+/// list item - Shown in the problems panel when no problem is found.
+Blockly.Msg.PROBLEMS_PANEL_EMPTY = 'No problems found.';
+
+/// menu item - Shown disabled in the menu of an empty input when neither a variable nor a block can fill the input.
+Blockly.Msg.TYPED_HOLE_NO_SUGGESTION = 'No suggestions';
+
 /// tooltip
 Blockly.Msg.DEFINE_RECORD_TOOLTIP = 'Declare a record type';
+Blockly.Msg.RECORD_WITH_TOOLTIP = 'Create a copy of a record whose given fields are replaced with new values';
+Blockly.Msg.RECORD_FIELD_GET_TOOLTIP = 'Get the value of a field of a record';
+Blockly.Msg.RECORD_FIELD_SET_TOOLTIP = 'Replace the value of a mutable field of a record';
+Blockly.Msg.DEFINE_TYPE_ALIAS_TOOLTIP = 'Declare a new name for a type';
+Blockly.Msg.TYPE_ANNOTATION_TOOLTIP = 'State the type which the expression is expected to have';
+Blockly.Msg.PRINTF_TOOLTIP = 'Print the values formatted by the format string, in which %d, %s, %f, %b and %c stand for an int, string, float, bool and char respectively';
+Blockly.Msg.SPRINTF_TOOLTIP = 'Create a string of the values formatted by the format string, in which %d, %s, %f, %b and %c stand for an int, string, float, bool and char respectively';
+Blockly.Msg.MODULE_TOOLTIP = 'Define a module which groups the definitions inside it';
+Blockly.Msg.OPEN_MODULE_TOOLTIP = 'Make the definitions of a module available without the module name';
 Blockly.Msg.DEFINE_VARIABLE_TOOLTIP = 'Define a variable';
 Blockly.Msg.DEFINE_LET_REC_TOOLTIP = 'Define a recursive function';
 Blockly.Msg.DEFINE_LET_IN_TOOLTIP = 'Define a function';
@@ -1291,6 +1386,28 @@ Blockly.Msg.STRING_OF_BOOL = 'Convert bool to string';
 Blockly.Msg.BOOL_OF_STRING = 'Convert string to bool';
 Blockly.Msg.INCREASE_HOLE = 'Increase hole';
 Blockly.Msg.DECREASE_HOLE = 'Decrease hole';
+/// context menu - Evaluate the block on its own and show its value and type.
+Blockly.Msg.EVALUATE_BLOCK = 'Evaluate';
+/// bubble text - Shown while the block is being evaluated.
+Blockly.Msg.EVALUATING_BLOCK = 'Evaluating...';
+/// context menu - Evaluate the block one reduction at a time in the stepper.
+Blockly.Msg.STEP_BLOCK = 'Step through evaluation';
+/// button text - Go back to the previous step in the stepper.
+Blockly.Msg.STEPPER_BACK = 'Back';
+/// button text - Go on to the next step in the stepper.
+Blockly.Msg.STEPPER_FORWARD = 'Forward';
+/// button text - Close the stepper.
+Blockly.Msg.STEPPER_CLOSE = 'Close';
+/// header text - Shown in the stepper while the expression is reduced.\n\nParameters:\n* %1 - the number of steps taken so far.
+Blockly.Msg.STEPPER_STEP = 'Step %1';
+/// header text - Shown in the stepper when the expression is reduced to a value.\n\nParameters:\n* %1 - the number of steps taken.
+Blockly.Msg.STEPPER_VALUE = 'Step %1: evaluated to a value';
+/// header text - Shown in the stepper when the next step raises an exception.\n\nParameters:\n* %1 - the number of steps taken so far.\n* %2 - the exception, e.g. 'Division_by_zero'.
+Blockly.Msg.STEPPER_EXCEPTION = 'Step %1: raises the exception %2';
+/// header text - Shown in the stepper when it does not support a block in the program.
+Blockly.Msg.STEPPER_UNSUPPORTED_BLOCK = 'The stepper does not support this block.';
+/// header text - Shown in the stepper when a block in the program has an empty input.
+Blockly.Msg.STEPPER_EMPTY_INPUT = 'Fill all the inputs of this block to step through it.';
 Blockly.Msg.READ_IMAGE_TOOLTIP = 'Read an image of the given size';
 Blockly.Msg.IMAGE_WIDTH_TOOLTIP = 'Return the width of an image';
 Blockly.Msg.IMAGE_HEIGHT_TOOLTIP = 'Return the height of an image';
@@ -16,7 +16,10 @@ Test.UNCOMPRESSED_SCRIPTS = [
   '../../generators/typedlang.js',
   '../../generators/typedlang/blocks.js',
   '../../block_of_ocaml/utils.js',
-  '../../block_of_ocaml/converter.js'
+  '../../block_of_ocaml/converter.js',
+  '../../demos/universe/evaluator.js',
+  '../../demos/universe/run_watchdog.js',
+  '../../demos/universe/worker.js'
 ];
 
 Test.COMPRESSED_SCRIPTS = [
@@ -25,7 +28,10 @@ Test.COMPRESSED_SCRIPTS = [
   '../../blockly_compressed.js',
   '../../blocks_compressed.js',
   '../../typedlang_compressed.js',
-  '../../msg/js/en.js'
+  '../../msg/js/en.js',
+  '../../demos/universe/evaluator.js',
+  '../../demos/universe/run_watchdog.js',
+  '../../demos/universe/worker.js'
 ];
 
 var assertTrue, assertFalse;
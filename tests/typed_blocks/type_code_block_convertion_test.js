@@ -52,6 +52,942 @@ function test_code_generator_matchPatternBlock() {
   }
 }
 
+function test_code_generator_charAndStringBlocks() {
+  var workspace = create_typed_workspace();
+  try {
+    var charBlock = workspace.newBlock('char_typed');
+    assertTrue(charBlock.outputConnection.typeExpr.isChar());
+    assertEquals(Blockly.TypedLang.blockToCode(charBlock)[0], '\'a\'');
+    charBlock.setFieldValue('\'', 'CHAR');
+    assertEquals(Blockly.TypedLang.blockToCode(charBlock)[0], '\'\\\'\'');
+    // A char literal can not be longer than one character.
+    assertNull(charBlock.getField('CHAR').callValidator('ab'));
+    assertEquals(charBlock.getField('CHAR').callValidator('b'), 'b');
+
+    var make = workspace.newBlock('string_make_typed');
+    var count = workspace.newBlock('int_typed');
+    make.getInput('PARAM0').connection.connect(count.outputConnection);
+    make.getInput('PARAM1').connection.connect(charBlock.outputConnection);
+    var get = workspace.newBlock('string_get_typed');
+    get.getInput('PARAM0').connection.connect(make.outputConnection);
+    var code = workspace.newBlock('char_code_typed');
+    code.getInput('PARAM0').connection.connect(get.outputConnection);
+    assertTrue(code.outputConnection.typeExpr.isInt());
+    assertEquals(Blockly.TypedLang.blockToCode(code)[0],
+        'Char.code (String.get (String.make 0 \'\\\'\') ?)');
+
+    var str = workspace.newBlock('string_typed');
+    assertFalse(code.getInput('PARAM0').connection.checkType_(
+        str.outputConnection));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_charAndStringProgram() {
+  var workspace = create_typed_workspace();
+  try {
+    // let n = Char.code (String.get "abc" 0)
+    var letN = workspace.newBlock('letstatement_typed');
+    setVariableName(letN, 'n');
+    var code = workspace.newBlock('char_code_typed');
+    letN.getInput('EXP1').connection.connect(code.outputConnection);
+    var get = workspace.newBlock('string_get_typed');
+    code.getInput('PARAM0').connection.connect(get.outputConnection);
+    var str = workspace.newBlock('string_typed');
+    str.setFieldValue('abc', 'STRING');
+    get.getInput('PARAM0').connection.connect(str.outputConnection);
+    get.getInput('PARAM1').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(letN),
+        'let n = Char.code (String.get "abc" 0)\n');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letN).getTypeExpr()),
+        'int');
+
+    // let c = ('\n' : char)
+    var letC = workspace.newBlock('letstatement_typed');
+    setVariableName(letC, 'c');
+    connectAsStatements(letN, letC);
+    var annotation = workspace.newBlock('type_annotation_typed');
+    letC.getInput('EXP1').connection.connect(annotation.outputConnection);
+    var charBlock = workspace.newBlock('char_typed');
+    charBlock.setFieldValue('\n', 'CHAR');
+    annotation.getInput('EXP').connection.connect(charBlock.outputConnection);
+    annotation.getInput('TYPE').connection.connect(
+        workspace.newBlock('char_type_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(letC),
+        'let c = (\'\\n\' : char)\n');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letC).getTypeExpr()),
+        'char');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_refAndArrayBlocks() {
+  var workspace = create_typed_workspace();
+  try {
+    var refBlock = workspace.newBlock('ref_typed');
+    var getBlock = workspace.newBlock('ref_get_typed');
+    getBlock.getInput('REF').connection.connect(refBlock.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(getBlock)[0], '!(ref ?)');
+
+    var setBlock = workspace.newBlock('ref_set_typed');
+    var intBlock = workspace.newBlock('int_typed');
+    setBlock.getInput('VALUE').connection.connect(intBlock.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(setBlock)[0], '? := 0');
+    // An int ref is expected for the left-hand side.
+    var floatRef = workspace.newBlock('ref_typed');
+    floatRef.getInput('PARAM0').connection.connect(
+        workspace.newBlock('float_typed').outputConnection);
+    assertFalse(setBlock.getInput('REF').connection.checkType_(
+        floatRef.outputConnection));
+
+    var makeBlock = workspace.newBlock('array_make_typed');
+    var arraySet = workspace.newBlock('array_set_typed');
+    arraySet.getInput('ARRAY').connection.connect(makeBlock.outputConnection);
+    var arrayGet = workspace.newBlock('array_get_typed');
+    var lengthBlock = workspace.newBlock('array_length_typed');
+    arrayGet.getInput('INDEX').connection.connect(
+        lengthBlock.outputConnection);
+    arraySet.getInput('VALUE').connection.connect(arrayGet.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(arraySet)[0],
+        '(Array.make ? ?).(?) <- ?.(Array.length ?)');
+    assertEquals(arraySet.outputConnection.typeExpr.label,
+        Blockly.TypeExpr.UNIT_);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_exceptionBlocks() {
+  var workspace = create_typed_workspace();
+  try {
+    var declBlock = workspace.newBlock('exception_declaration_typed');
+    var exnValue = declBlock.getField('CTR').getVariable();
+    exnValue.setVariableName('Invalid');
+    assertEquals(Blockly.TypedLang.blockToCode(declBlock),
+        'exception Invalid\n');
+    var pairType = workspace.newBlock('pair_type_constructor_typed');
+    pairType.getInput('LEFT').connection.connect(
+        workspace.newBlock('int_type_typed').outputConnection);
+    pairType.getInput('RIGHT').connection.connect(
+        workspace.newBlock('string_type_typed').outputConnection);
+    declBlock.getInput('CTR_INP').connection.connect(
+        pairType.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(declBlock),
+        'exception Invalid of int * string\n');
+
+    var letBlock = workspace.newBlock('letstatement_typed');
+    connectAsStatements(declBlock, letBlock);
+    var tryBlock = workspace.newBlock('try_typed');
+    letBlock.getInput('EXP1').connection.connect(tryBlock.outputConnection);
+    var raiseBlock = workspace.newBlock('raise_typed');
+    tryBlock.getInput('INPUT').connection.connect(raiseBlock.outputConnection);
+    var ctorBlock = createReferenceBlock(exnValue);
+    raiseBlock.getInput('EXN').connection.connect(ctorBlock.outputConnection);
+    var failBlock = workspace.newBlock('failwith_typed');
+    var stringBlock = workspace.newBlock('string_typed');
+    failBlock.getInput('MESSAGE').connection.connect(
+        stringBlock.outputConnection);
+    tryBlock.getInput('OUTPUT0').connection.connect(
+        failBlock.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(tryBlock)[0],
+        'try raise (Invalid (?, ?)) with\n  | ? -> failwith "foo"');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_sequenceAndLoops() {
+  var workspace = create_typed_workspace();
+  try {
+    var forBlock = workspace.newBlock('for_typed');
+    forBlock.setFieldValue('DOWNTO', 'DIRECTION');
+    var seq1 = workspace.newBlock('sequence_typed');
+    var seq2 = workspace.newBlock('sequence_typed');
+    forBlock.getInput('DO').connection.connect(seq1.outputConnection);
+    seq1.getInput('SECOND').connection.connect(seq2.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(forBlock)[0],
+        'for i = ? downto ? do\n  ?;\n  ?;\n  ?\ndone');
+
+    // A sequence in a condition or a branch must be parenthesized.
+    var whileBlock = workspace.newBlock('while_typed');
+    var seq3 = workspace.newBlock('sequence_typed');
+    whileBlock.getInput('COND').connection.connect(seq3.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(whileBlock)[0],
+        'while (?;\n?) do\n  ?\ndone');
+    var ifBlock = workspace.newBlock('logic_ternary_typed');
+    seq3.unplug();
+    ifBlock.getInput('THEN').connection.connect(seq3.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(ifBlock)[0],
+        'if ? then (?;\n?)\n  else ?');
+    // The loop is an atomic expression followed by a sequence.
+    var seq4 = workspace.newBlock('sequence_typed');
+    seq4.getInput('FIRST').connection.connect(whileBlock.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(seq4)[0],
+        'while ? do\n  ?\ndone;\n?');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_loopProgram() {
+  var workspace = create_typed_workspace();
+  try {
+    // let sum = let r = ref 0 in for i = 1 to 10 do r := !r + i done; !r
+    var letSum = workspace.newBlock('letstatement_typed');
+    setVariableName(letSum, 'sum');
+    var letR = workspace.newBlock('let_typed');
+    setVariableName(letR, 'r');
+    letSum.getInput('EXP1').connection.connect(letR.outputConnection);
+    var refBlock = workspace.newBlock('ref_typed');
+    refBlock.getInput('PARAM0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    letR.getInput('EXP1').connection.connect(refBlock.outputConnection);
+    var seq = workspace.newBlock('sequence_typed');
+    letR.getInput('EXP2').connection.connect(seq.outputConnection);
+
+    var forBlock = workspace.newBlock('for_typed');
+    seq.getInput('FIRST').connection.connect(forBlock.outputConnection);
+    var from = workspace.newBlock('int_typed');
+    from.setFieldValue('1', 'INT');
+    forBlock.getInput('FROM').connection.connect(from.outputConnection);
+    var to = workspace.newBlock('int_typed');
+    to.setFieldValue('10', 'INT');
+    forBlock.getInput('TO').connection.connect(to.outputConnection);
+    var setBlock = workspace.newBlock('ref_set_typed');
+    forBlock.getInput('DO').connection.connect(setBlock.outputConnection);
+    setBlock.getInput('REF').connection.connect(
+        createReferenceBlock(getVariable(letR)).outputConnection);
+    var add = workspace.newBlock('int_arithmetic_typed');
+    setBlock.getInput('VALUE').connection.connect(add.outputConnection);
+    var deref = workspace.newBlock('ref_get_typed');
+    add.getInput('A').connection.connect(deref.outputConnection);
+    deref.getInput('REF').connection.connect(
+        createReferenceBlock(getVariable(letR)).outputConnection);
+    add.getInput('B').connection.connect(
+        createReferenceBlock(forBlock.typedValue['VAR']).outputConnection);
+
+    var result = workspace.newBlock('ref_get_typed');
+    seq.getInput('SECOND').connection.connect(result.outputConnection);
+    result.getInput('REF').connection.connect(
+        createReferenceBlock(getVariable(letR)).outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(letSum),
+        'let sum = let r = ref 0\n' +
+        '  in for i = 1 to 10 do\n' +
+        '  r := !r + i\n' +
+        'done;\n' +
+        '!r\n');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letSum).getTypeExpr()),
+        'int');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letR).getTypeExpr()),
+        'int ref');
+
+    // let count = let n = ref 10 in while !n > 0 do n := !n - 1 done
+    var letCount = workspace.newBlock('letstatement_typed');
+    setVariableName(letCount, 'count');
+    var letN = workspace.newBlock('let_typed');
+    setVariableName(letN, 'n');
+    letCount.getInput('EXP1').connection.connect(letN.outputConnection);
+    var refBlock2 = workspace.newBlock('ref_typed');
+    var ten = workspace.newBlock('int_typed');
+    ten.setFieldValue('10', 'INT');
+    refBlock2.getInput('PARAM0').connection.connect(ten.outputConnection);
+    letN.getInput('EXP1').connection.connect(refBlock2.outputConnection);
+    var whileBlock = workspace.newBlock('while_typed');
+    letN.getInput('EXP2').connection.connect(whileBlock.outputConnection);
+    var compare = workspace.newBlock('logic_compare_typed');
+    compare.setFieldValue('GT', 'OP');
+    whileBlock.getInput('COND').connection.connect(compare.outputConnection);
+    var deref2 = workspace.newBlock('ref_get_typed');
+    compare.getInput('A').connection.connect(deref2.outputConnection);
+    deref2.getInput('REF').connection.connect(
+        createReferenceBlock(getVariable(letN)).outputConnection);
+    compare.getInput('B').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    var setBlock2 = workspace.newBlock('ref_set_typed');
+    whileBlock.getInput('DO').connection.connect(setBlock2.outputConnection);
+    setBlock2.getInput('REF').connection.connect(
+        createReferenceBlock(getVariable(letN)).outputConnection);
+    var sub = workspace.newBlock('int_arithmetic_typed');
+    sub.setFieldValue('MINUS_INT', 'OP_INT');
+    setBlock2.getInput('VALUE').connection.connect(sub.outputConnection);
+    var deref3 = workspace.newBlock('ref_get_typed');
+    sub.getInput('A').connection.connect(deref3.outputConnection);
+    deref3.getInput('REF').connection.connect(
+        createReferenceBlock(getVariable(letN)).outputConnection);
+    var one = workspace.newBlock('int_typed');
+    one.setFieldValue('1', 'INT');
+    sub.getInput('B').connection.connect(one.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(letCount),
+        'let count = let n = ref 10\n' +
+        '  in while !n > 0 do\n' +
+        '  n := !n - 1\n' +
+        'done\n');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letCount).getTypeExpr()),
+        'unit');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_tuples() {
+  var workspace = create_typed_workspace();
+  try {
+    var tupleBlock = workspace.newBlock('tuple_create_typed');
+    tupleBlock.resizeItems(4);
+    var pairBlock = workspace.newBlock('pair_create_typed');
+    tupleBlock.getInput('ITEM1').connection.connect(
+        pairBlock.outputConnection);
+    tupleBlock.getInput('ITEM3').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(tupleBlock)[0],
+        '(?, (?, ?), ?, 0)');
+
+    var pattern = workspace.newBlock('tuple_pattern_typed');
+    var some = workspace.newBlock('option_some_pattern_typed');
+    pattern.getInput('ITEM0').connection.connect(some.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(pattern)[0],
+        '((Some ?), ?, ?)');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_tupleProgram() {
+  var workspace = create_typed_workspace();
+  try {
+    // let t = (1, 2., true, "foo")
+    var letT = workspace.newBlock('letstatement_typed');
+    setVariableName(letT, 't');
+    var tupleBlock = workspace.newBlock('tuple_create_typed');
+    tupleBlock.resizeItems(4);
+    letT.getInput('EXP1').connection.connect(tupleBlock.outputConnection);
+    var types = ['int_typed', 'float_typed', 'logic_boolean_typed',
+        'string_typed'];
+    var items = goog.array.map(types, function(type) {
+      return workspace.newBlock(type);
+    });
+    items[0].setFieldValue('1', 'INT');
+    items[1].setFieldValue('2.', 'Float');
+    for (var i = 0; i < items.length; i++) {
+      tupleBlock.getInput('ITEM' + i).connection.connect(
+          items[i].outputConnection);
+    }
+    assertEquals(Blockly.TypedLang.blockToCode(letT),
+        'let t = (1, 2., true, "foo")\n');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letT).getTypeExpr()),
+        'int * float * bool * string');
+
+    // let s = match t with (x, y, z, w) -> (w, z, y, x)
+    var letS = workspace.newBlock('letstatement_typed');
+    setVariableName(letS, 's');
+    connectAsStatements(letT, letS);
+    var matchBlock = workspace.newBlock('match_typed');
+    matchBlock.resizePatternInput(1);
+    letS.getInput('EXP1').connection.connect(matchBlock.outputConnection);
+    matchBlock.getInput('INPUT').connection.connect(
+        createReferenceBlock(getVariable(letT)).outputConnection);
+    var pattern = workspace.newBlock('tuple_pattern_typed');
+    pattern.resizeItems(4);
+    matchBlock.getInput('PATTERN0').connection.connect(
+        pattern.outputConnection);
+    var names = ['x', 'y', 'z', 'w'];
+    var values = [];
+    for (var i = 0; i < names.length; i++) {
+      var variablePattern = workspace.newBlock('variable_pattern_typed');
+      var value = variablePattern.getField('VAR').getVariable();
+      value.setVariableName(names[i]);
+      pattern.getInput('ITEM' + i).connection.connect(
+          variablePattern.outputConnection);
+      values.push(value);
+    }
+    var swapped = workspace.newBlock('tuple_create_typed');
+    swapped.resizeItems(4);
+    matchBlock.getInput('OUTPUT0').connection.connect(
+        swapped.outputConnection);
+    for (var i = 0; i < values.length; i++) {
+      swapped.getInput('ITEM' + i).connection.connect(
+          createReferenceBlock(values[3 - i]).outputConnection);
+    }
+    assertEquals(Blockly.TypedLang.blockToCode(letS),
+        'let s = match t with\n' +
+        '  | (x, y, z, w) -> (w, z, y, x)\n');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letS).getTypeExpr()),
+        'string * bool * float * int');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_orAliasAndGuard() {
+  var workspace = create_typed_workspace();
+  try {
+    var matchBlock = workspace.newBlock('match_typed');
+    matchBlock.resizePatternInput(2);
+    var orBlock = workspace.newBlock('or_pattern_typed');
+    var orBlock2 = workspace.newBlock('or_pattern_typed');
+    orBlock.getInput('RIGHT').connection.connect(orBlock2.outputConnection);
+    var aliasBlock = workspace.newBlock('alias_pattern_typed');
+    aliasBlock.getInput('PATTERN').connection.connect(orBlock.outputConnection);
+    matchBlock.getInput('PATTERN0').connection.connect(
+        aliasBlock.outputConnection);
+    matchBlock.setGuard(1, true);
+    var seq = workspace.newBlock('sequence_typed');
+    matchBlock.getInput('GUARD1').connection.connect(seq.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(matchBlock)[0],
+        'match ? with\n  | ? | ? | ? as x -> ?\n  | ? when (?;\n?) -> ?');
+
+    // Or-patterns and aliases in a tuple are parenthesized.
+    var tupleBlock = workspace.newBlock('tuple_pattern_typed');
+    aliasBlock.unplug();
+    orBlock2.unplug();
+    tupleBlock.getInput('ITEM0').connection.connect(
+        aliasBlock.outputConnection);
+    tupleBlock.getInput('ITEM1').connection.connect(orBlock2.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(tupleBlock)[0],
+        '((? | ? as x), (? | ?), ?)');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_orAliasAndGuardProgram() {
+  var workspace = create_typed_workspace();
+  try {
+    // let f p = match p with
+    //   | (x, y) | (y, x) as q when x > 0 -> fst q
+    //   | r -> snd r
+    var letF = workspace.newBlock('letstatement_typed');
+    setVariableName(letF, 'f');
+    addArguments(letF, ['p']);
+    var matchBlock = workspace.newBlock('match_typed');
+    matchBlock.resizePatternInput(2);
+    letF.getInput('EXP1').connection.connect(matchBlock.outputConnection);
+    matchBlock.getInput('INPUT').connection.connect(
+        createReferenceBlock(letF.typedValue['ARG0']).outputConnection);
+
+    var orBlock = workspace.newBlock('or_pattern_typed');
+    var sides = {'LEFT': ['x', 'y'], 'RIGHT': ['y', 'x']};
+    var xValue = null;
+    for (var side in sides) {
+      var pairPattern = workspace.newBlock('pair_pattern_typed');
+      var names = sides[side];
+      for (var i = 0; i < names.length; i++) {
+        var variablePattern = workspace.newBlock('variable_pattern_typed');
+        var value = variablePattern.getField('VAR').getVariable();
+        value.setVariableName(names[i]);
+        pairPattern.getInput(i == 0 ? 'LEFT' : 'RIGHT').connection.connect(
+            variablePattern.outputConnection);
+        if (side == 'LEFT' && names[i] == 'x') {
+          xValue = value;
+        }
+      }
+      orBlock.getInput(side).connection.connect(pairPattern.outputConnection);
+    }
+    var aliasBlock = workspace.newBlock('alias_pattern_typed');
+    var qValue = aliasBlock.getField('VAR').getVariable();
+    qValue.setVariableName('q');
+    aliasBlock.getInput('PATTERN').connection.connect(orBlock.outputConnection);
+    matchBlock.getInput('PATTERN0').connection.connect(
+        aliasBlock.outputConnection);
+
+    matchBlock.setGuard(0, true);
+    var compare = workspace.newBlock('logic_compare_typed');
+    compare.setFieldValue('GT', 'OP');
+    matchBlock.getInput('GUARD0').connection.connect(compare.outputConnection);
+    compare.getInput('A').connection.connect(
+        createReferenceBlock(xValue).outputConnection);
+    compare.getInput('B').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    var fstBlock = workspace.newBlock('pair_first_typed');
+    matchBlock.getInput('OUTPUT0').connection.connect(
+        fstBlock.outputConnection);
+    fstBlock.getInput('FIRST').connection.connect(
+        createReferenceBlock(qValue).outputConnection);
+
+    var rPattern = workspace.newBlock('variable_pattern_typed');
+    var rValue = rPattern.getField('VAR').getVariable();
+    rValue.setVariableName('r');
+    matchBlock.getInput('PATTERN1').connection.connect(
+        rPattern.outputConnection);
+    var sndBlock = workspace.newBlock('pair_second_typed');
+    matchBlock.getInput('OUTPUT1').connection.connect(
+        sndBlock.outputConnection);
+    sndBlock.getInput('SECOND').connection.connect(
+        createReferenceBlock(rValue).outputConnection);
+
+    assertEquals(Blockly.TypedLang.blockToCode(letF),
+        'let f p =\n' +
+        '  match p with\n' +
+        '  | (x, y) | (y, x) as q when x > 0 -> fst q\n' +
+        '  | r -> snd r\n');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letF).getTypeExpr()),
+        'int * int -> int');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_letRecAnd() {
+  var workspace = create_typed_workspace();
+  try {
+    var block = workspace.newBlock('letstatement_typed');
+    block.setRecursiveFlag(true);
+    block.resizeAndBindings(2);
+    setVariableName(block, 'even');
+    block.typedValue['AND_VAR0'].setVariableName('odd');
+    block.typedValue['AND_VAR1'].setVariableName('zero');
+    block.getInput('AND_EXP1').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(block),
+        'let rec even = ?\nand odd = ?\nand zero = 0\n');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_lambdaParameters() {
+  var workspace = create_typed_workspace();
+  try {
+    var block = workspace.newBlock('lambda_typed');
+    block.resizeParameters(3);
+    block.typedValue['VAR'].setVariableName('x');
+    block.typedValue['VAR1'].setVariableName('y');
+    block.typedValue['VAR2'].setVariableName('z');
+    assertEquals(Blockly.TypedLang.blockToCode(block)[0], 'fun x y z -> ?');
+
+    var patternBlock = workspace.newBlock('lambda_pattern_typed');
+    patternBlock.resizePatternArgument(2);
+    patternBlock.getInput('ARG0').connection.connect(
+        workspace.newBlock('pair_pattern_typed').outputConnection);
+    patternBlock.getInput('ARG1').connection.connect(
+        workspace.newBlock('option_some_pattern_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(patternBlock)[0],
+        'fun (?, ?) (Some ?) -> ?');
+
+    var functionBlock = workspace.newBlock('function_typed');
+    functionBlock.resizePatternInput(2);
+    functionBlock.setGuard(0, true);
+    assertEquals(Blockly.TypedLang.blockToCode(functionBlock)[0],
+        'function\n  | ? when ? -> ?\n  | ? -> ?');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_labeledArguments() {
+  var workspace = create_typed_workspace();
+  try {
+    var letBlock = createLetBlockWithArguments(workspace, 'f x step z');
+    var mutator = create_mock_mutator(letBlock, 'let_arg_item');
+    var item = mutator.rootBlock_.getInputTargetBlock('STACK');
+    item.setFieldValue('~', 'LABEL');
+    item.getNextBlock().setFieldValue('?', 'LABEL');
+    mutator._update();
+    mutator.dispose();
+    var app = createReferenceBlock(letBlock.typedValue['VAR'], true);
+    letBlock.getInput('EXP2').connection.connect(app.outputConnection);
+    app.changeParamLabel_(1, 'x');
+    app.getInput('PARAM2').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(letBlock)[0],
+        'let f ~x ?step z =\n  ?\n  in f ~step:? ~x:? 0');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_parametricDatatype() {
+  var workspace = create_typed_workspace();
+  try {
+    var defineCtr = workspace.newBlock('defined_datatype_typed');
+    defineCtr.getField('PARAMS').setValue('(\'k, \'v)');
+    defineCtr.getField('DATANAME').setText('assoc');
+    getVariable(defineCtr, 0).setVariableName('Nil');
+    getVariable(defineCtr, 1).setVariableName('Cons');
+    var pairType = workspace.newBlock('pair_type_constructor_typed');
+    defineCtr.getInput('CTR_INP1').connection.connect(
+        pairType.outputConnection);
+    var keyType = workspace.newBlock('type_variable_typed');
+    keyType.setFieldValue('k', 'NAME');
+    pairType.getInput('LEFT').connection.connect(keyType.outputConnection);
+    var selfType = workspace.newBlock('recursive_datatype_type_typed');
+    selfType.resizeItemInputs(2);
+    pairType.getInput('RIGHT').connection.connect(selfType.outputConnection);
+    var valueType = workspace.newBlock('type_variable_typed');
+    valueType.setFieldValue('v', 'NAME');
+    selfType.getInput('ITEM1').connection.connect(valueType.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(defineCtr),
+        'type (\'k, \'v) assoc =\n  | Nil\n  | Cons of \'k * (?, \'v) assoc\n');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_recordFieldAccess() {
+  var workspace = create_typed_workspace();
+  try {
+    var defineRecord = workspace.newBlock('defined_recordtype_typed');
+    getVariable(defineRecord).setVariableName('point');
+    var xValue = defineRecord.getField('FIELD0').getVariable();
+    var yValue = defineRecord.getField('FIELD1').getVariable();
+    xValue.setVariableName('x');
+    yValue.setVariableName('y');
+    defineRecord.getInput('FIELD_INP0').connection.connect(
+        workspace.newBlock('int_type_typed').outputConnection);
+    defineRecord.getInput('FIELD_INP1').connection.connect(
+        workspace.newBlock('float_type_typed').outputConnection);
+    defineRecord.setMutableField('FIELD0', true);
+    assertEquals(Blockly.TypedLang.blockToCode(defineRecord),
+        'type point = {\n  mutable x : int;\n  y : float;\n}\n');
+
+    var getBlock = createReferenceBlock(xValue);
+    assertEquals(Blockly.TypedLang.blockToCode(getBlock)[0], '?.x');
+    var setBlock = workspace.newBlock('record_field_set_typed');
+    setBlock.getField('FIELD').setVariableName('x');
+    setBlock.getInput('VALUE').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(setBlock)[0], '?.x <- 0');
+
+    var withBlock = workspace.newBlock('record_with_typed');
+    var reference = withBlock.getField('RECORD').getVariable();
+    reference.setVariableName('point');
+    reference.setBoundValue(getVariable(defineRecord));
+    assertEquals(Blockly.TypedLang.blockToCode(withBlock)[0], '?');
+    withBlock.getInput('FIELD_INP1').connection.connect(
+        workspace.newBlock('float_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(withBlock)[0],
+        '{? with y = 0.}');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_typeAnnotation() {
+  var workspace = create_typed_workspace();
+  try {
+    var newTypeBlock = function(type, opt_children) {
+      var block = workspace.newBlock(type);
+      var children = opt_children || {};
+      for (var name in children) {
+        block.getInput(name).connection.connect(
+            children[name].outputConnection);
+      }
+      return block;
+    };
+    var defineAlias = workspace.newBlock('defined_type_alias_typed');
+    getVariable(defineAlias).setVariableName('point');
+    defineAlias.getInput('TYPE').connection.connect(
+        newTypeBlock('pair_type_constructor_typed', {
+          'LEFT': newTypeBlock('int_type_typed'),
+          'RIGHT': newTypeBlock('int_type_typed')
+        }).outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(defineAlias),
+        'type point = int * int\n');
+
+    var annotation = workspace.newBlock('type_annotation_typed');
+    assertEquals(Blockly.TypedLang.blockToCode(annotation)[0], '(? : ?)');
+    var intToInt = function() {
+      return newTypeBlock('fun_type_constructor_typed', {
+        'ARG': newTypeBlock('int_type_typed'),
+        'RETURN': newTypeBlock('int_type_typed')
+      });
+    };
+    var funType = newTypeBlock('fun_type_constructor_typed', {
+      'ARG': intToInt(),
+      'RETURN': newTypeBlock('fun_type_constructor_typed', {
+        'ARG': newTypeBlock('float_type_typed'),
+        'RETURN': newTypeBlock('alist_type_constructor_typed', {
+          'ITEM': intToInt()
+        })
+      })
+    });
+    annotation.getInput('TYPE').connection.connect(funType.outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(annotation)[0],
+        '(? : (int -> int) -> float -> (int -> int) list)');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_moduleStructure() {
+  var workspace = create_typed_workspace();
+  try {
+    var moduleBlock = workspace.newBlock('module_typed');
+    assertEquals(Blockly.TypedLang.blockToCode(moduleBlock),
+        'module M = struct\nend\n');
+    var letN = workspace.newBlock('letstatement_typed');
+    setVariableName(letN, 'n');
+    letN.getInput('EXP1').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    moduleBlock.getInput('BODY').connection.connect(letN.previousConnection);
+
+    var letA = workspace.newBlock('letstatement_typed');
+    setVariableName(letA, 'a');
+    connectAsStatements(moduleBlock, letA);
+    var ref = createReferenceBlock(getVariable(letN));
+    getVariable(ref).setModulePath('M');
+    letA.getInput('EXP1').connection.connect(ref.outputConnection);
+    var openBlock = workspace.newBlock('open_module_typed');
+    connectAsStatements(letA, openBlock);
+    assertEquals(Blockly.TypedLang.blockToCode(moduleBlock),
+        'module M = struct\n' +
+        '  let n = 0\n' +
+        'end\n' +
+        'let a = M.n\n' +
+        'open M\n');
+
+    moduleBlock.getField('NAME').setValue('Num');
+    assertEquals(Blockly.TypedLang.blockToCode(letA), 'let a = Num.n\n' +
+        'open M\n');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_printf() {
+  var workspace = create_typed_workspace();
+  try {
+    var printf = workspace.newBlock('printf_typed');
+    printf.setFormat('%s = %d\n');
+    assertEquals(Blockly.TypedLang.blockToCode(printf)[0],
+        'Printf.printf "%s = %d\\n" ? ?');
+    var sprintf = workspace.newBlock('sprintf_typed');
+    sprintf.setFormat('%d');
+    var arith = workspace.newBlock('int_arithmetic_typed');
+    sprintf.getInput('ARG0').connection.connect(arith.outputConnection);
+    printf.getInput('ARG0').connection.connect(sprintf.outputConnection);
+    printf.getInput('ARG1').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(printf)[0],
+        'Printf.printf "%s = %d\\n" (Printf.sprintf "%d" (? + ?)) 0');
+
+    // The inputs are restored from the format string in XML.
+    var xml = Blockly.Xml.blockToDom(printf);
+    var restored = Blockly.Xml.domToBlock(xml, workspace);
+    assertEquals(Blockly.TypedLang.blockToCode(restored)[0],
+        Blockly.TypedLang.blockToCode(printf)[0]);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_printfProgram() {
+  var workspace = create_typed_workspace();
+  try {
+    // let u = let s = Printf.sprintf "%s: %d" "x" 1 in
+    //   Printf.printf "%s %f %b %c" s 1. true 'a'
+    var letU = workspace.newBlock('letstatement_typed');
+    setVariableName(letU, 'u');
+    var letS = workspace.newBlock('let_typed');
+    setVariableName(letS, 's');
+    letU.getInput('EXP1').connection.connect(letS.outputConnection);
+    var sprintf = workspace.newBlock('sprintf_typed');
+    assertTrue(sprintf.setFormat('%s: %d'));
+    letS.getInput('EXP1').connection.connect(sprintf.outputConnection);
+    var str = workspace.newBlock('string_typed');
+    str.setFieldValue('x', 'STRING');
+    sprintf.getInput('ARG0').connection.connect(str.outputConnection);
+    var one = workspace.newBlock('int_typed');
+    one.setFieldValue('1', 'INT');
+    sprintf.getInput('ARG1').connection.connect(one.outputConnection);
+
+    var printf = workspace.newBlock('printf_typed');
+    assertTrue(printf.setFormat('%s %f %b %c'));
+    letS.getInput('EXP2').connection.connect(printf.outputConnection);
+    var args = goog.array.map(
+        ['float_typed', 'logic_boolean_typed', 'char_typed'],
+        function(type) {
+          return workspace.newBlock(type);
+        });
+    args.unshift(createReferenceBlock(getVariable(letS)));
+    for (var i = 0; i < args.length; i++) {
+      printf.getInput('ARG' + i).connection.connect(args[i].outputConnection);
+    }
+    assertEquals(Blockly.TypedLang.blockToCode(letU),
+        'let u = let s = Printf.sprintf "%s: %d" "x" 1\n' +
+        '  in Printf.printf "%s %f %b %c" s 0. true \'a\'\n');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letS).getTypeExpr()),
+        'string');
+    assertEquals(Blockly.TypeExpr.print(getVariable(letU).getTypeExpr()),
+        'unit');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_sourceMap() {
+  var workspace = create_typed_workspace();
+  var printSemiSemi = Blockly.PrintSemiSemi;
+  try {
+    Blockly.PrintSemiSemi = true;
+    // (* one *)
+    // let x = 1 + 2;;
+    // module M = struct
+    //   let y = x;;
+    // end;;
+    var letX = workspace.newBlock('letstatement_typed');
+    setVariableName(letX, 'x');
+    letX.setCommentText('one');
+    var arith = workspace.newBlock('int_arithmetic_typed');
+    letX.getInput('EXP1').connection.connect(arith.outputConnection);
+    var int1 = workspace.newBlock('int_typed');
+    int1.setFieldValue('1', 'INT');
+    arith.getInput('A').connection.connect(int1.outputConnection);
+    var int2 = workspace.newBlock('int_typed');
+    int2.setFieldValue('2', 'INT');
+    arith.getInput('B').connection.connect(int2.outputConnection);
+    var moduleBlock = workspace.newBlock('module_typed');
+    connectAsStatements(letX, moduleBlock);
+    var letY = workspace.newBlock('letstatement_typed');
+    setVariableName(letY, 'y');
+    moduleBlock.getInput('BODY').connection.connect(letY.previousConnection);
+    var refX = createReferenceBlock(getVariable(letX));
+    letY.getInput('EXP1').connection.connect(refX.outputConnection);
+
+    var result = Blockly.TypedLang.workspaceToCodeWithSourceMap(workspace);
+    assertEquals(result.code, Blockly.TypedLang.workspaceToCode(workspace));
+    assertEquals(result.code,
+        '(* one *)\n' +
+        'let x = 1 + 2;;\n' +
+        'module M = struct\n' +
+        '  let y = x;;\n' +
+        'end;;\n');
+    var sourceMap = result.sourceMap;
+    assertEquals(sourceMap.getBlockIdAt(1, 3), letX.id);
+    assertEquals(sourceMap.getBlockIdAt(2, 0), letX.id);
+    assertEquals(sourceMap.getBlockIdAt(2, 8), int1.id);
+    assertEquals(sourceMap.getBlockIdAt(2, 10), arith.id);
+    assertEquals(sourceMap.getBlockIdAt(2, 12), int2.id);
+    assertEquals(sourceMap.getBlockIdAt(2, 14), letX.id);
+    assertNull(sourceMap.getBlockIdAt(2, 15));
+    assertEquals(sourceMap.getBlockIdAt(4, 1), moduleBlock.id);
+    assertEquals(sourceMap.getBlockIdAt(4, 2), letY.id);
+    assertEquals(sourceMap.getBlockIdAt(4, 10), refX.id);
+    assertEquals(sourceMap.getBlockIdAt(5, 0), moduleBlock.id);
+    assertNull(sourceMap.getBlockIdAt(9, 0));
+
+    var range = sourceMap.getRangeOfBlock(arith.id);
+    assertEquals(range.start.line, 2);
+    assertEquals(range.start.column, 8);
+    assertEquals(range.end.line, 2);
+    assertEquals(range.end.column, 13);
+    range = sourceMap.getRangeOfBlock(moduleBlock.id);
+    assertEquals(range.start.line, 3);
+    assertEquals(range.start.column, 0);
+    assertEquals(range.end.line, 5);
+    assertEquals(range.end.column, 5);
+    assertNull(sourceMap.getRangeOfBlock('undefined-id'));
+  } finally {
+    Blockly.PrintSemiSemi = printSemiSemi;
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_sourceMapBlockOfRange() {
+  var workspace = create_typed_workspace();
+  try {
+    // let x = 1 + 2
+    var letX = workspace.newBlock('letstatement_typed');
+    setVariableName(letX, 'x');
+    var arith = workspace.newBlock('int_arithmetic_typed');
+    letX.getInput('EXP1').connection.connect(arith.outputConnection);
+    var int1 = workspace.newBlock('int_typed');
+    int1.setFieldValue('1', 'INT');
+    arith.getInput('A').connection.connect(int1.outputConnection);
+    var int2 = workspace.newBlock('int_typed');
+    int2.setFieldValue('2', 'INT');
+    arith.getInput('B').connection.connect(int2.outputConnection);
+
+    var result = Blockly.TypedLang.workspaceToCodeWithSourceMap(workspace);
+    assertEquals(result.code, 'let x = 1 + 2\n');
+    var sourceMap = result.sourceMap;
+    assertEquals(sourceMap.getBlockIdAtOffset(8), int1.id);
+    assertEquals(sourceMap.getBlockIdAtOffset(8, 9), int1.id);
+    assertEquals(sourceMap.getBlockIdAtOffset(8, 13), arith.id);
+    assertEquals(sourceMap.getBlockIdAtOffset(4, 13), letX.id);
+    assertEquals(sourceMap.getBlockIdAtOffset(12, 12), int2.id);
+    assertNull(sourceMap.getBlockIdAtOffset(4, 14));
+    assertNull(sourceMap.getBlockIdAtOffset(-1));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_code_generator_evaluateBlockWithToplevelPrefix() {
+  var workspace = create_typed_workspace();
+  // Connect the operands after the arithmetic block is connected to the
+  // parent so that the variable references are resolved.
+  var newArith = function(connection, a, b) {
+    var arith = workspace.newBlock('int_arithmetic_typed');
+    connection.connect(arith.outputConnection);
+    arith.getInput('A').connection.connect(a.outputConnection);
+    arith.getInput('B').connection.connect(b.outputConnection);
+    return arith;
+  };
+  var newInt = function(n) {
+    var block = workspace.newBlock('int_typed');
+    block.setFieldValue(String(n), 'INT');
+    return block;
+  };
+  var newLet = function(name, opt_prev) {
+    var block = workspace.newBlock('letstatement_typed');
+    setVariableName(block, name);
+    if (opt_prev) {
+      connectAsStatements(opt_prev, block);
+    }
+    return block;
+  };
+  try {
+    // let a = 1;;
+    // let b = 2;;
+    // let c = a + 3;;
+    // let d = b + a;;
+    // let e = fun x -> x + a;;
+    var letA = newLet('a');
+    letA.getInput('EXP1').connection.connect(newInt(1).outputConnection);
+    var letB = newLet('b', letA);
+    letB.getInput('EXP1').connection.connect(newInt(2).outputConnection);
+    var letC = newLet('c', letB);
+    var arithC = newArith(letC.getInput('EXP1').connection,
+        createReferenceBlock(getVariable(letA)), newInt(3));
+    var letD = newLet('d', letC);
+    var arithD = newArith(letD.getInput('EXP1').connection,
+        createReferenceBlock(getVariable(letB)),
+        createReferenceBlock(getVariable(letA)));
+    var letE = newLet('e', letD);
+    var lambda = workspace.newBlock('lambda_typed');
+    letE.getInput('EXP1').connection.connect(lambda.outputConnection);
+    var arithE = newArith(lambda.getInput('RETURN').connection,
+        createReferenceBlock(getVariable(lambda)),
+        createReferenceBlock(getVariable(letA)));
+
+    var prefix = arithC.getToplevelPrefix();
+    assertEquals(prefix.length, 1);
+    assertEquals(prefix[0], letA);
+    assertEquals(Blockly.TypedLang.blockToEvaluationCode(arithC, prefix),
+        'let a = 1;;\n' +
+        'a + 3;;\n');
+    prefix = arithD.getToplevelPrefix();
+    assertEquals(prefix.length, 2);
+    assertEquals(Blockly.TypedLang.blockToEvaluationCode(arithD, prefix),
+        'let a = 1;;\n' +
+        'let b = 2;;\n' +
+        'b + a;;\n');
+    assertEquals(letA.getInputTargetBlock('EXP1').getToplevelPrefix().length,
+        0);
+    assertEquals(lambda.getToplevelPrefix().length, 1);
+    // x is bound by the lambda outside of the block.
+    assertNull(arithE.getToplevelPrefix());
+    // PrintSemiSemi is restored.
+    assertFalse(Blockly.PrintSemiSemi);
+  } finally {
+    workspace.dispose();
+  }
+}
+
 /** End tests for code generator. */
 
 /** Begin tests for block generator. */
@@ -79,7 +1015,34 @@ var codeList = [
   "type t = Ctor1 | Ctor2 of string | Bar of int * string * float | Foo of int * int",
   "[1;2;3]",
   "[]",
-  "[[1;2];[2;3;4];[4;5;6]]"
+  "[[1;2];[2;3;4];[4;5;6]]",
+  "Char.code (String.get \"abc\" 0)",
+  "String.concat \", \" [String.make 3 'a'; String.uppercase_ascii \"b\"]",
+  "exception Negative of int\n" +
+      "let check n = if n < 0 then raise (Negative n) else n\n" +
+      "let x = try check (-1) with Negative n -> n | _ -> failwith \"bug\"",
+  "let r = ref 0 in for i = 1 to 10 do r := !r + i done; !r",
+  "let n = ref 10 in while !n > 0 do n := !n - 1; n := !n - 1 done",
+  "let (x, y, z, w) = (1, 2.0, true, \"foo\") in (w, z, y, x)",
+  "match (1, 2, 3) with (0, _, _) -> 0 | (_, y, z) -> y + z",
+  "let f p = match p with (x, 0) | (0, x) -> x | (x, y) as q when x > y -> fst q | _ -> 0",
+  "match [1; 2] with ([] | [_]) as l -> List.length l | x :: _ -> x",
+  "let rec even n = if n = 0 then true else odd (n - 1) and odd n = if n = 0 then false else even (n - 1)",
+  "let add = fun x y -> x + y in add 1 2",
+  "let f = fun (x, y) (Some z) -> x + y + z",
+  "let rec sum = function [] -> 0 | x :: rest -> x + sum rest",
+  "let f ~x ?step z = x + z in f ~step:1.0 ~x:2 3",
+  "type 'a tree = Leaf | Node of 'a tree * 'a * 'a tree\n" +
+      "let t = Node (Leaf, 1, Leaf)",
+  "type point = {mutable x : int; y : float}\n" +
+      "let move p = p.x <- p.x + 1; {p with y = 2.0}",
+  "type point = int * int\n" +
+      "let swap = (fun (x, y) -> (y, x) : point -> point)",
+  "module M = struct let id x = x let n = 1 end\n" +
+      "let a = M.id M.n\n" +
+      "open M\n" +
+      "let b = id n",
+  "let s = Printf.sprintf \"%s: %d\" \"x\" 1 in Printf.printf \"%s %f %b %c\" s 1.0 true 'a'"
 ];
 
 function test_block_generator_convertSampleCodeList() {
@@ -0,0 +1,124 @@
+'use strict';
+
+// Tests of demos/universe/evaluator.js. The messages are the ones printed by
+// the OCaml 4.04 toplevel of demos/universe/eval.js, which reports locations
+// as 'File "", line 2, characters 8-9:'. eval.js built from toplevel/eval.ml
+// names the input //toplevel//, for which OCaml before 4.08 prints
+// "Characters 20-21:" and later versions print "Line 2, characters 8-9:".
+
+function test_type_evaluator_errorRange() {
+  var program = 'let x = 1;;\nlet y = x +. 1.;;\n';
+  var messages = [
+    'File "", line 2, characters 8-9:\n' +
+        'Error: This expression has type int but an expression was expected ' +
+        'of type\n         float\n',
+    'Characters 20-21:\nError: This expression has type int\n',
+    'Line 2, characters 8-9:\nError: This expression has type int\n'
+  ];
+  for (var i = 0; i < messages.length; i++) {
+    var range = Evaluator.errorRange(messages[i], program, [0, 1]);
+    assertEquals(range.join(), '20,21');
+    assertEquals(Evaluator.stripLocation(messages[i]).indexOf('Error'), 0);
+  }
+  assertEquals(Evaluator.errorRange('Exception: Not_found.\n', program,
+      [12, 28]).join(), '12,28');
+
+  // The offsets are in bytes.
+  program = 'let s = "日本";;\nlet y = 1 + s;;\n';
+  range = Evaluator.errorRange(
+      'File "", line 2, characters 12-13:\nError: This expression has type ' +
+      'string\n', program, [0, 0]);
+  assertEquals(range.join(), '31,32');
+}
+
+function test_type_evaluator_phraseEnds() {
+  var program = 'let a = ";;" ;;\n' +
+      '(* ;; "*)" *) let b = \';\';;\n' +
+      'let f (x : \'a) = x;;\n' +
+      'let c = 3';
+  var ends = Evaluator.phraseEnds(program);
+  assertEquals(ends.length, 3);
+  assertEquals(program.slice(0, ends[0]), 'let a = ";;" ;;');
+  assertEquals(program.slice(ends[0], ends[1]),
+      '\n(* ;; "*)" *) let b = \';\';;');
+  assertEquals(program.slice(ends[1], ends[2]), '\nlet f (x : \'a) = x;;');
+}
+
+function test_type_evaluator_runCodeWithOldEvaluator() {
+  var savedEvaluator = window.evaluator;
+  // Print the output of the OCaml 4.04 toplevel for each phrase followed by
+  // the marker phrase, in the same way as evaluator.runCode of eval.js.
+  var outputs = [
+    [
+      ['toploop', 'val s : string = "\\230\\151\\165"\n']
+    ],
+    [
+      ['stderr', 'File "", line 2, characters 12-13:\n'],
+      ['stderr', 'Error: This expression has type string but an expression ' +
+          'was expected of type\n'],
+      ['stderr', '         int'],
+      ['stderr', '\n']
+    ],
+    [
+      ['stdout', 'hi'],
+      ['toploop', '- : unit = ()\n']
+    ],
+    [
+      ['toploop', 'Exception: Division_by_zero.\n']
+    ],
+    [
+      ['stderr', 'File "", line 4, characters 8-23:\n'],
+      ['stderr', 'Warning 8: this pattern-matching is not exhaustive.\n'],
+      ['toploop', 'val f : int -> int = <fun>\n']
+    ]
+  ];
+  var program = 'let s = "日";;\n' +
+      'let y = 1 + s;;\n' +
+      'print_string "hi";; let z = 1 / 0;;\n' +
+      'let f = function 0 -> 1;;\n';
+  var executed = null;
+  window.evaluator = {
+    runCode: function(code) {
+      executed = code;
+      var toplevel = document.getElementById('toplevel');
+      for (var i = 0; i < outputs.length; i++) {
+        for (var j = 0; j < outputs[i].length; j++) {
+          var div = document.createElement('div');
+          div.classList.add(outputs[i][j][0]);
+          var text = outputs[i][j][1];
+          if (j == outputs[i].length - 1) {
+            text += Evaluator.MARKER;
+          }
+          div.appendChild(document.createTextNode(text));
+          toplevel.appendChild(div);
+        }
+      }
+    }
+  };
+  try {
+    var printed = [];
+    var errors = Evaluator.runCodeWithOutput(program, function(kind, text) {
+      printed.push(kind + ':' + text);
+    });
+    assertEquals(executed.split(Evaluator.MARKER_PHRASE).length - 1, 5);
+    assertEquals(printed.length, 11);
+    assertEquals(printed[5], 'stdout:hi');
+    assertEquals(printed.join('').indexOf(Evaluator.MARKER), -1);
+    // The warning is not an error.
+    assertEquals(errors.length, 2);
+    var bytes = new TextEncoder().encode(program);
+    var textAt = function(error) {
+      return new TextDecoder().decode(bytes.slice(error.start, error.end));
+    };
+    assertEquals(textAt(errors[0]), 's');
+    assertEquals(Evaluator.stripLocation(errors[0].message).split('\n')[0],
+        'Error: This expression has type string but an expression was ' +
+        'expected of type');
+    assertEquals(textAt(errors[1]), 'let z = 1 / 0');
+    assertEquals(errors[1].message, 'Exception: Division_by_zero.\n');
+    // The element of the page is not used.
+    assertNull(document.getElementById('toplevel'));
+  } finally {
+    window.evaluator = savedEvaluator;
+  }
+}
@@ -654,3 +654,334 @@ function test_type_expr_pairUsingTuple() {
   assertFalse(pair2.secondType().isFloat());
   assertTrue(pair2.secondType().isTypeVar());
 }
+
+function test_type_expr_parseTypes() {
+  var type = Blockly.TypeExpr.parse('int -> float * bool -> string list');
+  assertTrue(type.isFunction());
+  assertTrue(type.arg_type.isInt());
+  var pair = type.return_type.arg_type;
+  assertTrue(pair.isTuple());
+  assertTrue(pair.firstType().isFloat());
+  assertTrue(pair.secondType().isBool());
+  var list = type.return_type.return_type;
+  assertTrue(list.isList());
+  assertTrue(list.element_type.isString());
+
+  type = Blockly.TypeExpr.parse('(int * unit) * (int -> int) option list');
+  assertTrue(type.isTuple());
+  assertEquals(type.getChildren().length, 2);
+  assertTrue(type.firstType().isTuple());
+  assertEquals(type.firstType().secondType().label, Blockly.TypeExpr.UNIT_);
+  assertTrue(type.secondType().isList());
+  assertTrue(type.secondType().element_type.isOption());
+  assertTrue(type.secondType().element_type.element_type.isFunction());
+
+  type = Blockly.TypeExpr.parse('int * int * int');
+  assertEquals(type.getChildren().length, 3);
+}
+
+function test_type_expr_parseTypeVariables() {
+  var tvars = {};
+  var type = Blockly.TypeExpr.parse("('a -> 'b) -> 'a list -> 'b list", tvars);
+  var a = type.arg_type.arg_type;
+  var b = type.arg_type.return_type;
+  assertTrue(a.isTypeVar());
+  assertTrue(b.isTypeVar());
+  assertNotEquals(a.name, b.name);
+  assertEquals(type.return_type.arg_type.element_type, a);
+  assertEquals(type.return_type.return_type.element_type, b);
+  assertEquals(tvars['a'], a);
+  assertEquals(tvars['b'], b);
+
+  // The same map shares type variables among types.
+  var other = Blockly.TypeExpr.parse("'a option", tvars);
+  assertEquals(other.element_type, a);
+  // Otherwise, type variables are fresh ones.
+  other = Blockly.TypeExpr.parse("'a option");
+  assertNotEquals(other.element_type.name, a.name);
+
+  type.arg_type.unify(Blockly.TypeExpr.parse('int -> bool'));
+  assertTrue(type.return_type.arg_type.element_type.deref().isInt());
+  assertTrue(type.return_type.return_type.element_type.deref().isBool());
+}
+
+function test_type_expr_parseStructureTypes() {
+  var lookup = function(name) {
+    if (name == 'shape') {
+      return new Blockly.TypeExpr.CONSTRUCT('shape-id');
+    } else if (name == 'person') {
+      return new Blockly.TypeExpr.RECORD('person-id');
+    }
+    return null;
+  };
+  var type = Blockly.TypeExpr.parse('shape list -> person', null, lookup);
+  assertTrue(type.arg_type.element_type.isConstruct());
+  assertEquals(type.arg_type.element_type.id, 'shape-id');
+  assertTrue(type.return_type.isRecord());
+  assertEquals(type.return_type.id, 'person-id');
+
+  var workspace = create_typed_workspace();
+  try {
+    var defineCtr = workspace.newBlock('defined_datatype_typed');
+    defineCtr.getField('DATANAME').setText('shape');
+    var id = defineCtr.getStructureId();
+    assertEquals(workspace.getStructureIdByName(
+        Blockly.BoundVariableAbstract.CONSTRUCTOR, 'shape'), id);
+    assertNull(workspace.getStructureIdByName(
+        Blockly.BoundVariableAbstract.RECORD, 'shape'));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_expr_parseErrors() {
+  function parseFails(text) {
+    try {
+      Blockly.TypeExpr.parse(text, null, function() { return null; });
+    } catch (e) {
+      return true;
+    }
+    return false;
+  }
+  assertTrue(parseFails(''));
+  assertTrue(parseFails('int ->'));
+  assertTrue(parseFails('(int * bool'));
+  assertTrue(parseFails('int)'));
+  assertTrue(parseFails('int vector'));
+  assertTrue(parseFails('undefined_type'));
+  assertTrue(parseFails('int + int'));
+  assertFalse(parseFails(' int  list '));
+}
+
+function test_type_expr_printTypes() {
+  var texts = [
+    "('a -> 'b) -> 'a list -> 'b list",
+    'int * (float -> bool) -> string option',
+    '(int * int) * int',
+    '(int -> int) -> int',
+    "('a * 'b) list",
+    'unit'
+  ];
+  for (var i = 0; i < texts.length; i++) {
+    var type = Blockly.TypeExpr.parse(texts[i]);
+    assertEquals(Blockly.TypeExpr.print(type), texts[i]);
+  }
+
+  // Type variables are named in order of appearance.
+  var x = new Blockly.TypeExpr.TVAR('X', null);
+  var y = new Blockly.TypeExpr.TVAR('Y', null);
+  var z = new Blockly.TypeExpr.TVAR('Z', new Blockly.TypeExpr.INT());
+  var type = Blockly.TypeExpr.createFunType([y, x, z, y]);
+  assertEquals(Blockly.TypeExpr.print(type), "'a -> 'b -> int -> 'a");
+  var names = {};
+  Blockly.TypeExpr.print(y, names);
+  assertEquals(Blockly.TypeExpr.print(x, names), "'b");
+}
+
+function test_type_expr_charType() {
+  var charType = new Blockly.TypeExpr.CHAR();
+  assertTrue(charType.isChar());
+  assertFalse(charType.isString());
+  assertEquals(charType.getDisplayText(), 'char');
+  assertTrue(charType.clone().isChar());
+  assertFalse(charType.ableToUnify(new Blockly.TypeExpr.STRING()));
+  var tvar = Blockly.TypeExpr.generateTypeVar();
+  tvar.unify(charType);
+  assertTrue(tvar.deref().isChar());
+  var type = Blockly.TypeExpr.parse('char list -> string');
+  assertTrue(type.arg_type.element_type.isChar());
+  assertEquals(Blockly.TypeExpr.print(type), 'char list -> string');
+}
+
+function test_type_expr_refAndArrayTypes() {
+  var a = new Blockly.TypeExpr.TVAR('A', null);
+  var refType = new Blockly.TypeExpr.REF(a);
+  assertTrue(refType.isRef());
+  assertEquals(refType.toString(), 'REF[<A=null>]');
+  assertEquals(refType.getDisplayText(), '\'a ref');
+  var arrayType = new Blockly.TypeExpr.ARRAY(new Blockly.TypeExpr.INT());
+  assertTrue(arrayType.isArray());
+  assertEquals(arrayType.getDisplayText(), 'int array');
+
+  // Unification
+  assertFalse(refType.ableToUnify(arrayType));
+  assertFalse(refType.ableToUnify(new Blockly.TypeExpr.LIST(a)));
+  assertTrue(refType.ableToUnify(new Blockly.TypeExpr.REF(arrayType)));
+  refType.unify(new Blockly.TypeExpr.REF(arrayType));
+  assertTrue(a.deref().isArray());
+  assertEquals(refType.deepDeref().toString(), 'REF[ARRAY[INT]]');
+
+  // Occur check
+  var b = new Blockly.TypeExpr.TVAR('B', null);
+  assertTrue(new Blockly.TypeExpr.ARRAY(b).occur('B'));
+  var err = null;
+  try {
+    b.unify(new Blockly.TypeExpr.REF(b));
+  } catch (e) {
+    err = e;
+  }
+  assertEquals(err.label, Blockly.TypeExpr.ERROR_OCCUR_CHECK);
+
+  // Cloning
+  var cloned = refType.clone();
+  assertTrue(cloned.isRef());
+  assertNotEquals(cloned.element_type, refType.element_type);
+
+  var type = Blockly.TypeExpr.parse('\'a ref -> int array array');
+  assertTrue(type.arg_type.isRef());
+  assertTrue(type.return_type.element_type.isArray());
+  assertEquals(Blockly.TypeExpr.print(type), '\'a ref -> int array array');
+}
+
+function test_type_expr_labeledFunctionTypes() {
+  var type = Blockly.TypeExpr.parse('x:int -> ?step:int -> \'a -> \'a');
+  assertEquals(type.argLabel, 'x');
+  assertFalse(type.optional);
+  assertEquals(type.return_type.argLabel, 'step');
+  assertTrue(type.return_type.optional);
+  assertEquals(type.return_type.return_type.argLabel, '');
+  assertEquals(Blockly.TypeExpr.print(type),
+      'x:int -> ?step:int -> \'a -> \'a');
+  var parsed = Blockly.TypeExpr.parse('~f:(int -> int) -> unit');
+  assertEquals(Blockly.TypeExpr.print(parsed), 'f:(int -> int) -> unit');
+  assertEquals(type.clone().return_type.getLabelPrefix(), '?step:');
+
+  // Labels must agree in unification.
+  var labeled = Blockly.TypeExpr.parse('x:int -> int');
+  assertTrue(labeled.ableToUnify(Blockly.TypeExpr.parse('x:\'a -> \'a')));
+  assertFalse(labeled.ableToUnify(Blockly.TypeExpr.parse('int -> int')));
+  assertFalse(labeled.ableToUnify(Blockly.TypeExpr.parse('y:int -> int')));
+  assertFalse(labeled.ableToUnify(Blockly.TypeExpr.parse('?x:int -> int')));
+  assertFalse(Blockly.TypeExpr.equals(labeled,
+      Blockly.TypeExpr.parse('int -> int')));
+
+  assertThrows(function() {
+    Blockly.TypeExpr.parse('x:int');
+  });
+}
+
+function test_type_expr_applyLabels() {
+  var print = function(type) {
+    return Blockly.TypeExpr.print(type);
+  };
+  var type = Blockly.TypeExpr.parse(
+      'x:int -> ?step:float -> string -> y:bool -> unit');
+  // Labeled arguments commute.
+  var applied = Blockly.TypeExpr.applyLabels(type, ['y', 'x']);
+  assertEquals(print(applied.argTypes[0]), 'bool');
+  assertEquals(print(applied.argTypes[1]), 'int');
+  assertEquals(print(applied.returnType), '?step:float -> string -> unit');
+
+  // The optional argument before an applied unlabeled one is omitted.
+  applied = Blockly.TypeExpr.applyLabels(type, ['', 'x']);
+  assertEquals(print(applied.argTypes[0]), 'string');
+  assertEquals(print(applied.returnType), 'y:bool -> unit');
+  applied = Blockly.TypeExpr.applyLabels(type, ['step', 'x', 'y', '']);
+  assertEquals(print(applied.argTypes[0]), 'float');
+  assertEquals(print(applied.returnType), 'unit');
+
+  // Labels can be omitted in a total application.
+  applied = Blockly.TypeExpr.applyLabels(type, ['', '', '']);
+  assertEquals(goog.array.map(applied.argTypes, print).join(),
+      'int,string,bool');
+  assertEquals(print(applied.returnType), 'unit');
+
+  // Further arguments are applied to the return type.
+  var tvar = Blockly.TypeExpr.generateTypeVar();
+  var f = new Blockly.TypeExpr.FUN(new Blockly.TypeExpr.INT(), tvar, 'x');
+  applied = Blockly.TypeExpr.applyLabels(f, ['x', '', 'z']);
+  assertEquals(print(applied.argTypes[0]), 'int');
+  assertEquals(print(f), 'x:int -> \'a -> z:\'b -> \'c');
+  assertEquals(print(applied.returnType), '\'a');
+
+  var err = null;
+  try {
+    Blockly.TypeExpr.applyLabels(
+        Blockly.TypeExpr.parse('x:int -> int -> int'), ['', '', '']);
+  } catch (e) {
+    err = e;
+  }
+  assertEquals(err.label, Blockly.TypeExpr.ERROR_LABEL_INCONSISTENT);
+}
+
+function test_type_expr_typeArgumentsOfConstruct() {
+  var lookup = function(name) {
+    return name == 'tree' || name == 'map' ?
+        new Blockly.TypeExpr.CONSTRUCT(name) : null;
+  };
+  var type = Blockly.TypeExpr.parse('int tree', {}, lookup);
+  assertTrue(type.isConstruct());
+  assertEquals(type.params.length, 1);
+  assertTrue(type.params[0].isInt());
+  type = Blockly.TypeExpr.parse('(string, \'a tree) map -> \'a', {}, lookup);
+  assertEquals(Blockly.TypeExpr.print(type), '(string, \'a tree) map -> \'a');
+  assertThrows(function() {
+    Blockly.TypeExpr.parse('(int, int) list', {}, lookup);
+  });
+
+  // Type arguments are unified with each other.
+  var tvars = {};
+  var intTree = Blockly.TypeExpr.parse('int tree', tvars, lookup);
+  var tvarTree = Blockly.TypeExpr.parse('\'a tree', tvars, lookup);
+  intTree.unify(tvarTree);
+  assertTrue(tvars['a'].deref().isInt());
+  assertFalse(intTree.ableToUnify(Blockly.TypeExpr.parse('bool tree', {},
+      lookup)));
+  assertTrue(Blockly.TypeExpr.equals(intTree.clone(), intTree.deepDeref()));
+
+  // A constructor type without type arguments yet adopts them.
+  var unbound = new Blockly.TypeExpr.CONSTRUCT(null);
+  unbound.unify(intTree);
+  assertEquals(unbound.id, 'tree');
+  assertTrue(unbound.params[0].isInt());
+
+  // Type variables are substituted in a clone.
+  tvars = {};
+  var def = Blockly.TypeExpr.parse('\'a tree * \'a * \'b', tvars, lookup);
+  var map = {};
+  map[tvars['a'].name] = new Blockly.TypeExpr.FLOAT();
+  var substituted = def.substitute(map);
+  assertEquals(Blockly.TypeExpr.print(substituted), 'float tree * float * \'a');
+  assertEquals(substituted.getChildren()[2], tvars['b']);
+  assertEquals(Blockly.TypeExpr.print(def), '\'a tree * \'a * \'b');
+}
+
+function test_type_expr_alias() {
+  var pairType = Blockly.TypeExpr.parse('int * int');
+  var point = new Blockly.TypeExpr.ALIAS('point', pairType);
+  assertTrue(point.isAlias());
+  assertEquals(point.getDisplayText(), 'point');
+  assertEquals(Blockly.TypeExpr.print(new Blockly.TypeExpr.LIST(point)),
+      'point list');
+  assertTrue(Blockly.TypeExpr.equals(point.clone(), point.deepDeref()));
+  assertFalse(Blockly.TypeExpr.equals(point,
+      new Blockly.TypeExpr.ALIAS('coord', pairType.clone())));
+
+  // The abbreviation is expanded during unification.
+  var tvars = {};
+  var tuple = Blockly.TypeExpr.parse('\'a * int', tvars);
+  point.unify(tuple);
+  assertTrue(tvars['a'].deref().isInt());
+  assertTrue(point.ableToUnify(pairType));
+  assertFalse(point.ableToUnify(Blockly.TypeExpr.parse('int * float')));
+  var nested = new Blockly.TypeExpr.ALIAS('segment',
+      new Blockly.TypeExpr.TUPLE(point, point.clone()));
+  assertTrue(nested.ableToUnify(
+      Blockly.TypeExpr.parse('(int * int) * (int * int)')));
+  var self = new Blockly.TypeExpr.ALIAS('self', point);
+  assertTrue(self.ableToUnify(point));
+  assertEquals(self.expand(), pairType);
+
+  // A type variable bound to the abbreviation is displayed by its name.
+  var tvar = Blockly.TypeExpr.generateTypeVar();
+  tvar.unify(point);
+  assertEquals(tvar.getDisplayText(), 'point');
+  assertEquals(Blockly.TypeExpr.print(
+      new Blockly.TypeExpr.FUN(tvar, new Blockly.TypeExpr.INT())),
+      'point -> int');
+
+  // An abbreviation of an unknown type can not be unified.
+  var unknown = new Blockly.TypeExpr.ALIAS('t', new Blockly.TypeExpr.UNKNOWN());
+  assertTrue(unknown.hasUnknown());
+  assertFalse(unknown.ableToUnify(Blockly.TypeExpr.parse('int')));
+}
@@ -0,0 +1,102 @@
+'use strict';
+
+function test_type_library_signatures_parseMli() {
+  var entries = Blockly.LibrarySignatures.parseMli(
+      '(* Reverses a list. *)\n' +
+      'val rev : \'a list -> \'a list\n' +
+      'val map : (\'a -> \'b) ->\n' +
+      '    \'a list -> \'b list\n', 'List');
+  assertEquals(entries.length, 2);
+  assertEquals(entries[0].name, 'List.rev');
+  assertEquals(entries[0].type, '\'a list -> \'a list');
+  assertEquals(entries[1].name, 'List.map');
+  assertEquals(entries[1].type, '(\'a -> \'b) ->\n    \'a list -> \'b list');
+
+  var failed = false;
+  try {
+    Blockly.LibrarySignatures.parseMli('let rev : int');
+  } catch (e) {
+    failed = true;
+  }
+  assertTrue(failed);
+}
+
+function test_type_library_signatures_defineBlocks() {
+  var types = Blockly.LibrarySignatures.register([
+    {name: 'List.rev', type: '\'a list -> \'a list'},
+    {
+      name: 'List.combine',
+      type: '\'a list -> \'b list -> (\'a * \'b) list',
+      block: 'test_list_combine_typed'
+    }
+  ]);
+  assertEquals(types.join(), 'library_List_rev_typed,test_list_combine_typed');
+  assertEquals(Blockly.LibrarySignatures.getEntry(types[1]).name,
+      'List.combine');
+  assertNull(Blockly.LibrarySignatures.getEntry('int_typed'));
+
+  var workspace = create_typed_workspace();
+  try {
+    var block = workspace.newBlock('test_list_combine_typed');
+    assertEquals(block.getParameterCount(), 2);
+    assertEquals(block.tooltip,
+        'List.combine : \'a list -> \'b list -> (\'a * \'b) list');
+    var intList = workspace.newBlock('lists_create_with_typed');
+    intList.getInput('ADD0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    block.getInput('PARAM0').connection.connect(intList.outputConnection);
+    var outType = block.outputConnection.typeExpr.deref();
+    assertTrue(outType.isList());
+    var pairType = outType.element_type.deref();
+    assertTrue(pairType.firstType().deref().isInt());
+    assertTrue(pairType.secondType().deref().isTypeVar());
+
+    // Each block has its own type variables.
+    var other = workspace.newBlock('test_list_combine_typed');
+    assertTrue(other.getInput('PARAM0').connection.typeExpr.element_type
+        .deref().isTypeVar());
+
+    var floatBlock = workspace.newBlock('float_typed');
+    assertFalse(block.getInput('PARAM1').connection.checkType_(
+        floatBlock.outputConnection));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_library_signatures_generateCode() {
+  Blockly.LibrarySignatures.register(
+      'val List.length : \'a list -> int\nval max_int : int');
+  var workspace = create_typed_workspace();
+  try {
+    var block = workspace.newBlock('library_List_length_typed');
+    var code = Blockly.TypedLang.blockToCode(block);
+    assertEquals(code[0], 'List.length ?');
+    var rev = workspace.newBlock('library_List_rev_typed');
+    block.getInput('PARAM0').connection.connect(rev.outputConnection);
+    code = Blockly.TypedLang.blockToCode(block);
+    assertEquals(code[0], 'List.length (List.rev ?)');
+
+    var constant = workspace.newBlock('library_max_int_typed');
+    assertEquals(constant.getParameterCount(), 0);
+    assertTrue(constant.outputConnection.typeExpr.isInt());
+    assertEquals(Blockly.TypedLang.blockToCode(constant)[0], 'max_int');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_library_signatures_registerJson() {
+  var types = Blockly.LibrarySignatures.register(
+      '[{"name": "String.length", "type": "string -> int"}]');
+  assertEquals(types.join(), 'library_String_length_typed');
+
+  var failed = false;
+  try {
+    Blockly.LibrarySignatures.register([{name: 'f', type: 'int ->'}]);
+  } catch (e) {
+    failed = true;
+  }
+  assertTrue(failed);
+  assertUndefined(Blockly.Blocks['library_f_typed']);
+}
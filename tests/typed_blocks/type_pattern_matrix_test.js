@@ -0,0 +1,184 @@
+'use strict';
+
+function patternsToStrings(patterns) {
+  return goog.array.map(patterns, function(p) { return p.toString(); });
+}
+
+function test_type_pattern_matrix_missingListCases() {
+  var M = Blockly.PatternMatrix;
+  var nil = new M.Pattern(M.NIL);
+  var consNil = new M.Pattern(M.CONS, [M.wildcard(), nil]);
+  var result = M.analyze([nil]);
+  assertEquals(patternsToStrings(result.missing).join(), '_ :: _');
+  result = M.analyze([consNil]);
+  assertEquals(patternsToStrings(result.missing).join(), '[]');
+  result = M.analyze([nil, consNil]);
+  assertEquals(patternsToStrings(result.missing).join(), '_ :: _ :: _');
+  assertEquals(result.unused.length, 0);
+}
+
+function test_type_pattern_matrix_unusedCases() {
+  var M = Blockly.PatternMatrix;
+  var nil = new M.Pattern(M.NIL);
+  var cons = new M.Pattern(M.CONS, [M.wildcard(), M.wildcard()]);
+  var result = M.analyze([nil, cons, M.wildcard(), nil]);
+  assertEquals(result.missing.length, 0);
+  assertEquals(result.unused.join(), '2,3');
+
+  var some = new M.Pattern(M.SOME, [M.wildcard()]);
+  result = M.analyze([M.wildcard(), some]);
+  assertEquals(result.missing.length, 0);
+  assertEquals(result.unused.join(), '1');
+}
+
+function test_type_pattern_matrix_nestedPatterns() {
+  var M = Blockly.PatternMatrix;
+  var pair = M.createTupleConstructor(2);
+  var nil = new M.Pattern(M.NIL);
+  var none = new M.Pattern(M.NONE);
+  var someSome = new M.Pattern(M.SOME,
+      [new M.Pattern(M.SOME, [M.wildcard()])]);
+  var result = M.analyze([someSome]);
+  assertEquals(patternsToStrings(result.missing).join(), 'None');
+  result = M.analyze([none, someSome]);
+  assertEquals(patternsToStrings(result.missing).join(), 'Some None');
+
+  var p1 = new M.Pattern(pair, [nil, M.wildcard()]);
+  var p2 = new M.Pattern(pair, [M.wildcard(), none]);
+  result = M.analyze([p1, p2]);
+  assertEquals(patternsToStrings(result.missing).join(), '(_ :: _, Some _)');
+}
+
+function test_type_pattern_matrix_recordsAndVariants() {
+  var M = Blockly.PatternMatrix;
+  var record = M.createRecordConstructor('point', ['x', 'y']);
+  var optionPattern = new M.Pattern(record,
+      [M.wildcard(), new M.Pattern(M.NONE)]);
+  var result = M.analyze([optionPattern]);
+  assertEquals(patternsToStrings(result.missing).join(), '{x = _; y = Some _}');
+
+  var signature = M.createVariantSignature('id', ['Leaf', 'Node'], [0, 3]);
+  var leaf = new M.Pattern(signature.getConstructor('Leaf'));
+  result = M.analyze([leaf]);
+  assertEquals(patternsToStrings(result.missing).join(), 'Node (_, _, _)');
+  var node = new M.Pattern(signature.getConstructor('Node'),
+      [M.wildcard(), leaf, M.wildcard()]);
+  result = M.analyze([node, leaf]);
+  assertEquals(patternsToStrings(result.missing).join(),
+      'Node (_, Node (_, _, _), _)');
+}
+
+function test_type_pattern_matrix_illTypedPatterns() {
+  var M = Blockly.PatternMatrix;
+  var result = M.analyze([new M.Pattern(M.NIL), new M.Pattern(M.NONE)]);
+  assertNull(result);
+}
+
+function test_type_pattern_matrix_matchBlockWithListPatterns() {
+  var workspace = create_typed_workspace();
+  try {
+    var block = workspace.newBlock('match_typed');
+    block.resizePatternInput(3);
+    assertNull(block.analyzePatterns());
+
+    var nil = workspace.newBlock('empty_construct_pattern_typed');
+    block.getInput('PATTERN0').connection.connect(nil.outputConnection);
+    var cons = workspace.newBlock('cons_construct_pattern_typed');
+    block.getInput('PATTERN1').connection.connect(cons.outputConnection);
+    var variable = workspace.newBlock('variable_pattern_typed');
+    block.getInput('PATTERN2').connection.connect(variable.outputConnection);
+    // The pattern `? :: ?` is not completed.
+    assertNull(block.analyzePatterns());
+
+    var first = workspace.newBlock('variable_pattern_typed');
+    cons.getInput('FIRST').connection.connect(first.outputConnection);
+    var rest = workspace.newBlock('empty_construct_pattern_typed');
+    cons.getInput('CONS').connection.connect(rest.outputConnection);
+    var result = block.analyzePatterns();
+    assertEquals(result.missing.length, 0);
+    assertEquals(result.unused.length, 0);
+
+    block.resizePatternInput(2);
+    result = block.analyzePatterns();
+    assertEquals(patternsToStrings(result.missing).join(), '_ :: _ :: _');
+
+    rest.dispose();
+    var restVar = workspace.newBlock('variable_pattern_typed');
+    cons.getInput('CONS').connection.connect(restVar.outputConnection);
+    block.resizePatternInput(3);
+    var extra = workspace.newBlock('empty_construct_pattern_typed');
+    block.getInput('PATTERN2').connection.connect(extra.outputConnection);
+    result = block.analyzePatterns();
+    assertEquals(result.missing.length, 0);
+    assertEquals(result.unused.join(), '2');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_pattern_matrix_matchBlockWithConstructorPatterns() {
+  var workspace = create_typed_workspace();
+  try {
+    var defineCtr = workspace.newBlock('defined_datatype_typed');
+    defineCtr.getField('DATANAME').setText('shape');
+    var ctorValue0 = getVariable(defineCtr, 0);
+    var ctorValue1 = getVariable(defineCtr, 1);
+    ctorValue0.setVariableName('Dot');
+    ctorValue1.setVariableName('Box');
+    var pairType = workspace.newBlock('pair_type_constructor_typed');
+    defineCtr.getInput('CTR_INP1').connection.connect(
+        pairType.outputConnection);
+    pairType.getInput('LEFT').connection.connect(
+        workspace.newBlock('int_type_typed').outputConnection);
+    pairType.getInput('RIGHT').connection.connect(
+        workspace.newBlock('int_type_typed').outputConnection);
+
+    var block = workspace.newBlock('match_typed');
+    connectAsStatements(defineCtr, block);
+    var ctorPattern = workspace.newBlock('construct_pattern_typed');
+    var reference = getVariable(ctorPattern);
+    reference.setVariableName('Box');
+    reference.setBoundValue(ctorValue1);
+    assertEquals(ctorPattern.paramCount_, 2);
+    block.getInput('PATTERN0').connection.connect(
+        ctorPattern.outputConnection);
+    for (var i = 0; i < 2; i++) {
+      var param = workspace.newBlock('variable_pattern_typed');
+      ctorPattern.getInput('PARAM' + i).connection.connect(
+          param.outputConnection);
+    }
+    var result = block.analyzePatterns();
+    assertEquals(patternsToStrings(result.missing).join(), 'Dot');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_pattern_matrix_orPatternsAndGuards() {
+  var M = Blockly.PatternMatrix;
+  var nil = new M.Pattern(M.NIL);
+  var cons = new M.Pattern(M.CONS, [M.wildcard(), M.wildcard()]);
+  var none = new M.Pattern(M.NONE);
+  var some = new M.Pattern(M.SOME, [M.wildcard()]);
+  var nilOrCons = M.orPattern(nil, cons);
+  assertEquals(nilOrCons.toString(), '[] | _ :: _');
+  var result = M.analyze([nilOrCons, M.wildcard()]);
+  assertEquals(result.missing.length, 0);
+  assertEquals(result.unused.join(), '1');
+
+  // Or-patterns inside of a tuple are expanded.
+  var pair = M.createTupleConstructor(2);
+  var p1 = new M.Pattern(pair, [M.orPattern(none, some), nil]);
+  assertEquals(p1.toString(), '((None | Some _), [])');
+  assertEquals(p1.expandOrPatterns().length, 2);
+  result = M.analyze([p1]);
+  assertEquals(patternsToStrings(result.missing).join(),
+      '(None, _ :: _),(Some _, _ :: _)');
+
+  // A guarded case covers no values.
+  result = M.analyze([nil, cons, cons], [false, true, false]);
+  assertEquals(result.missing.length, 0);
+  assertEquals(result.unused.length, 0);
+  result = M.analyze([nil, cons], [false, true]);
+  assertEquals(patternsToStrings(result.missing).join(), '_ :: _');
+}
@@ -0,0 +1,154 @@
+'use strict';
+
+function getProblemLabels(problems) {
+  return goog.array.map(problems, function(p) { return p.item.label; });
+}
+
+function test_type_problems_panel_emptyInputs() {
+  var workspace = create_typed_workspace();
+  try {
+    var block = workspace.newBlock('int_arithmetic_typed');
+    var problems = Blockly.ProblemsPanel.collectProblems(workspace);
+    assertEquals(problems.length, 2);
+    assertEquals(problems[0].item.label, Blockly.ErrorItem.EMPTY_INPUT);
+    assertEquals(problems[0].block, block);
+    assertEquals(problems[0].item.errorElement, block.getInput('A'));
+    assertEquals(problems[1].item.errorElement, block.getInput('B'));
+
+    var left = workspace.newBlock('int_typed');
+    block.getInput('A').connection.connect(left.outputConnection);
+    var right = workspace.newBlock('int_typed');
+    block.getInput('B').connection.connect(right.outputConnection);
+    problems = Blockly.ProblemsPanel.collectProblems(workspace);
+    assertEquals(problems.length, 0);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_problems_panel_unboundVariables() {
+  var workspace = create_typed_workspace();
+  try {
+    var letBlock = workspace.newBlock('let_typed');
+    setVariableName(letBlock, 'x');
+    var exp1 = workspace.newBlock('int_typed');
+    letBlock.getInput('EXP1').connection.connect(exp1.outputConnection);
+    var varBlock = workspace.newBlock('variables_get_typed');
+    setVariableName(varBlock, 'x');
+    letBlock.getInput('EXP2').connection.connect(varBlock.outputConnection);
+    var problems = Blockly.ProblemsPanel.collectProblems(workspace);
+    assertEquals(problems.length, 0);
+
+    // A reference left at the top level is not bound to any value.
+    varBlock.unplug();
+    problems = Blockly.ProblemsPanel.collectProblems(workspace);
+    var labels = getProblemLabels(problems);
+    assertTrue(labels.indexOf(Blockly.ErrorItem.UNBOUND_VARIABLE) != -1);
+    var index = labels.indexOf(Blockly.ErrorItem.UNBOUND_VARIABLE);
+    assertEquals(problems[index].block, varBlock);
+    assertTrue(problems[index].toMessage().indexOf('`x\'') != -1);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_problems_panel_orphanBlocks() {
+  var workspace = create_typed_workspace();
+  try {
+    var pattern = workspace.newBlock('variable_pattern_typed');
+    var typeCtor = workspace.newBlock('int_type_typed');
+    var problems = Blockly.ProblemsPanel.collectProblems(workspace);
+    var labels = getProblemLabels(problems);
+    assertEquals(labels.length, 2);
+    assertTrue(labels.indexOf(Blockly.ErrorItem.ORPHAN_PATTERN) != -1);
+    assertTrue(labels.indexOf(Blockly.ErrorItem.ORPHAN_TYPE_CTOR) != -1);
+    for (var i = 0, problem; problem = problems[i]; i++) {
+      var expected = problem.item.label == Blockly.ErrorItem.ORPHAN_PATTERN ?
+          pattern : typeCtor;
+      assertEquals(problem.block, expected);
+    }
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_problems_panel_typeErrors() {
+  var workspace = create_typed_workspace();
+  try {
+    var block = workspace.newBlock('int_arithmetic_typed');
+    var right = workspace.newBlock('int_typed');
+    block.getInput('B').connection.connect(right.outputConnection);
+    var left = workspace.newBlock('float_typed');
+    // Skip type checking to put the block in an ill-typed state.
+    block.getInput('A').connection.connect(left.outputConnection, true);
+    var problems = Blockly.ProblemsPanel.collectProblems(workspace);
+    assertEquals(problems.length, 1);
+    assertEquals(problems[0].item.label, Blockly.ErrorItem.TYPE_ERROR);
+    assertEquals(problems[0].block, block);
+    assertTrue(problems[0].item.errorElement instanceof Blockly.TypeExpr.Error);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_problems_panel_orPatternVariables() {
+  var workspace = create_typed_workspace();
+  try {
+    // match ? with Some x | None -> ? | ? -> ?
+    var block = workspace.newBlock('match_typed');
+    var orBlock = workspace.newBlock('or_pattern_typed');
+    var someBlock = workspace.newBlock('option_some_pattern_typed');
+    var variablePattern = workspace.newBlock('variable_pattern_typed');
+    variablePattern.getField('VAR').getVariable().setVariableName('x');
+    someBlock.getInput('PARAM').connection.connect(
+        variablePattern.outputConnection);
+    orBlock.getInput('LEFT').connection.connect(someBlock.outputConnection);
+    orBlock.getInput('RIGHT').connection.connect(
+        workspace.newBlock('option_none_pattern_typed').outputConnection);
+    block.getInput('PATTERN0').connection.connect(orBlock.outputConnection);
+    var problems = Blockly.ProblemsPanel.collectProblems(workspace);
+    var labels = getProblemLabels(problems);
+    var index = labels.indexOf(Blockly.ErrorItem.OR_PATTERN_VARIABLES);
+    assertTrue(index != -1);
+    assertEquals(problems[index].block, orBlock);
+    assertEquals(problems[index].item.errorTarget.join(), 'x');
+    assertTrue(problems[index].toMessage().indexOf('x') != -1);
+
+    variablePattern.dispose();
+    problems = Blockly.ProblemsPanel.collectProblems(workspace);
+    labels = getProblemLabels(problems);
+    assertEquals(labels.indexOf(Blockly.ErrorItem.OR_PATTERN_VARIABLES), -1);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_problems_panel_renderList() {
+  var workspace = create_typed_workspace();
+  var container = document.createElement('div');
+  var panel = null;
+  try {
+    var block = workspace.newBlock('int_arithmetic_typed');
+    panel = new Blockly.ProblemsPanel(workspace, container);
+    assertEquals(panel.getProblems().length, 2);
+    var items = container.getElementsByClassName('blocklyProblemsItem');
+    assertEquals(items.length, 2);
+
+    var left = workspace.newBlock('int_typed');
+    block.getInput('A').connection.connect(left.outputConnection);
+    var right = workspace.newBlock('int_typed');
+    block.getInput('B').connection.connect(right.outputConnection);
+    panel.update();
+    assertEquals(panel.getProblems().length, 0);
+    items = container.getElementsByClassName('blocklyProblemsItem');
+    assertEquals(items.length, 0);
+    items = container.getElementsByClassName('blocklyProblemsEmpty');
+    assertEquals(items.length, 1);
+  } finally {
+    if (panel) {
+      panel.dispose();
+    }
+    workspace.dispose();
+  }
+  assertEquals(container.childNodes.length, 0);
+}
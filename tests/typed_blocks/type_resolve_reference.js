@@ -649,3 +649,45 @@ function test_resolve_reference_datatypeDeclarationBlocksTriggerTypeInf() {
     workspace.dispose();
   }
 }
+
+function test_resolve_reference_qualifiedReferenceToNestedModule() {
+  var workspace = create_typed_workspace();
+  try {
+    // module M = struct module N = struct let x = ? end end
+    var moduleM = workspace.newBlock('module_typed');
+    var moduleN = workspace.newBlock('module_typed');
+    moduleN.getField('NAME').setValue('N');
+    moduleM.getInput('BODY').connection.connect(moduleN.previousConnection);
+    var letX = workspace.newBlock('letstatement_typed');
+    moduleN.getInput('BODY').connection.connect(letX.previousConnection);
+    var letA = workspace.newBlock('letstatement_typed');
+    connectAsStatements(moduleM, letA);
+
+    var exp1 = letA.getInput('EXP1').connection;
+    var varBlock = createReferenceBlock(letX.typedValue['VAR'], false);
+    varBlock.typedReference['VAR'].removeBoundValue();
+    assertFalse(varBlock.resolveReference(exp1));
+    varBlock.typedReference['VAR'].setModulePath('N');
+    assertFalse(varBlock.resolveReference(exp1));
+    varBlock.typedReference['VAR'].setModulePath('M.N');
+    assertTrue(varBlock.resolveReference(exp1, true));
+    exp1.connect(varBlock.outputConnection);
+    assertEquals(varBlock.typedReference['VAR'].getBoundValue(),
+        letX.typedValue['VAR']);
+
+    // The module path is kept in the copy of the block.
+    var xml = Blockly.Xml.blockToDom(varBlock);
+    var copied = Blockly.Xml.domToBlock(xml, workspace);
+    assertEquals(copied.typedReference['VAR'].getQualifiedName(),
+        varBlock.typedReference['VAR'].getQualifiedName());
+    assertEquals(copied.typedReference['VAR'].getBoundValue(),
+        letX.typedValue['VAR']);
+
+    // Renaming the outer module updates the path.
+    moduleM.getField('NAME').setValue('Outer');
+    assertEquals(varBlock.typedReference['VAR'].getModulePath(), 'Outer.N');
+    assertTrue(letA.resolveReference(moduleM.nextConnection));
+  } finally {
+    workspace.dispose();
+  }
+}
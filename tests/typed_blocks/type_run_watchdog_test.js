@@ -0,0 +1,121 @@
+'use strict';
+
+// Tests of demos/universe/run_watchdog.js, with timers which fire only when a
+// test calls fire().
+
+function createFakeTimers() {
+  return {
+    pending: {},
+    nextId: 1,
+    setTimeout: function(callback, delay) {
+      var id = this.nextId++;
+      this.pending[id] = {callback: callback, delay: delay};
+      return id;
+    },
+    clearTimeout: function(id) {
+      delete this.pending[id];
+    },
+    getDelays: function() {
+      var delays = [];
+      for (var id in this.pending) {
+        delays.push(this.pending[id].delay);
+      }
+      return delays;
+    },
+    fire: function() {
+      var pending = this.pending;
+      this.pending = {};
+      for (var id in pending) {
+        pending[id].callback();
+      }
+    }
+  };
+}
+
+function test_type_run_watchdog_programTimeLimit() {
+  var timers = createFakeTimers();
+  var reports = [];
+  var watchdog = new RunWatchdog({time: 3000, steps: 10}, function(kind) {
+    reports.push(kind);
+  }, timers);
+  assertEquals(timers.getDelays().length, 0);
+  watchdog.start();
+  assertEquals(timers.getDelays().join(), '3000');
+  // Heartbeats do not extend the time of the program itself.
+  watchdog.heartbeat();
+  assertEquals(timers.getDelays().join(), '3000');
+  timers.fire();
+  assertEquals(reports.join(), 'time');
+
+  // Nothing is reported after the first limit.
+  watchdog.step();
+  watchdog.programDone();
+  assertEquals(timers.getDelays().length, 0);
+  assertEquals(reports.join(), 'time');
+}
+
+function test_type_run_watchdog_handlerTimeLimit() {
+  var timers = createFakeTimers();
+  var reports = [];
+  var watchdog = new RunWatchdog({time: 3000, steps: 10}, function(kind) {
+    reports.push(kind);
+  }, timers);
+  watchdog.start();
+  // The limit stays armed after the program has finished, so that big_bang
+  // handlers which run forever are stopped.
+  watchdog.programDone();
+  assertEquals(timers.getDelays().join(), '3000');
+  var firstTimer = timers.nextId - 1;
+  watchdog.heartbeat();
+  assertEquals(timers.getDelays().join(), '3000');
+  assertUndefined(timers.pending[firstTimer]);
+  assertEquals(reports.length, 0);
+  timers.fire();
+  assertEquals(reports.join(), 'handlerTime');
+  assertEquals(timers.getDelays().length, 0);
+}
+
+function test_type_run_watchdog_stepLimit() {
+  var timers = createFakeTimers();
+  var reports = [];
+  var watchdog = new RunWatchdog({time: 3000, steps: 2}, function(kind) {
+    reports.push(kind);
+  }, timers);
+  watchdog.start();
+  watchdog.step();
+  watchdog.step();
+  assertEquals(reports.length, 0);
+  watchdog.step();
+  assertEquals(watchdog.steps, 3);
+  assertEquals(reports.join(), 'steps');
+  // The timer is cleared together.
+  assertEquals(timers.getDelays().length, 0);
+}
+
+function test_type_run_watchdog_stop() {
+  var timers = createFakeTimers();
+  var reports = [];
+  var watchdog = new RunWatchdog({time: 3000, steps: 1}, function(kind) {
+    reports.push(kind);
+  }, timers);
+  watchdog.start();
+  watchdog.programDone();
+  watchdog.stop();
+  assertEquals(timers.getDelays().length, 0);
+  watchdog.heartbeat();
+  watchdog.step();
+  watchdog.step();
+  assertEquals(timers.getDelays().length, 0);
+  assertEquals(reports.length, 0);
+}
+
+function test_type_run_watchdog_heartbeatInterval() {
+  var watchdog = new RunWatchdog({time: 10000, steps: 1}, function() {},
+      createFakeTimers());
+  assertEquals(watchdog.getHeartbeatInterval(),
+      RunWatchdog.MAX_HEARTBEAT_INTERVAL);
+  // Several heartbeats fit in a short time limit.
+  watchdog = new RunWatchdog({time: 400, steps: 1}, function() {},
+      createFakeTimers());
+  assertEquals(watchdog.getHeartbeatInterval(), 100);
+}
@@ -0,0 +1,349 @@
+'use strict';
+
+// Step the stepper to the end, and return the code of every term in the
+// trace rendered as blocks.
+function stepperTraceCodes(stepper, workspace) {
+  var codes = [];
+  do {
+    var rendered = stepper.renderTerm(workspace);
+    Blockly.TypedLang.init(workspace);
+    var code = Blockly.TypedLang.blockToCode(rendered.block, true);
+    codes.push(Array.isArray(code) ? code[0] : code);
+    rendered.block.dispose();
+  } while (stepper.forward());
+  return codes;
+}
+
+function newStepperInt(workspace, n) {
+  var block = workspace.newBlock('int_typed');
+  block.setFieldValue(String(n), 'INT');
+  return block;
+}
+
+// Create an arithmetic block. If the parent connection is given, the block is
+// connected to it before its operands so that references on the operands are
+// in the scope of their values.
+function newStepperArith(workspace, op, a, b, opt_parentConnection) {
+  var block = workspace.newBlock('int_arithmetic_typed');
+  block.setFieldValue(op, 'OP_INT');
+  if (opt_parentConnection) {
+    opt_parentConnection.connect(block.outputConnection);
+  }
+  block.getInput('A').connection.connect(a.outputConnection);
+  block.getInput('B').connection.connect(b.outputConnection);
+  return block;
+}
+
+function test_type_stepper_arithmetic() {
+  var workspace = create_typed_workspace();
+  var termWorkspace = create_typed_workspace();
+  try {
+    // (1 + 2) * (10 - 4)
+    var add = newStepperArith(workspace, 'ADD_INT',
+        newStepperInt(workspace, 1), newStepperInt(workspace, 2));
+    var sub = newStepperArith(workspace, 'MINUS_INT',
+        newStepperInt(workspace, 10), newStepperInt(workspace, 4));
+    var mul = newStepperArith(workspace, 'MULTIPLY_INT', add, sub);
+
+    var stepper = new Blockly.Stepper(mul);
+    assertEquals(stepper.getIndex(), 0);
+    assertFalse(stepper.canBack());
+    // Subexpressions are evaluated from right to left like OCaml.
+    assertEquals(stepper.getRedex().blockId, sub.id);
+    var rendered = stepper.renderTerm(termWorkspace);
+    assertEquals(rendered.redexBlock.type, 'int_arithmetic_typed');
+    assertEquals(rendered.redexBlock.getParent(), rendered.block);
+    assertEquals(rendered.redexBlock.outputConnection,
+        rendered.block.getInput('B').connection.targetConnection);
+    rendered.block.dispose();
+
+    var codes = stepperTraceCodes(stepper, termWorkspace);
+    assertEquals(codes.join('\n'), [
+      '(1 + 2) * (10 - 4)',
+      '(1 + 2) * 6',
+      '3 * 6',
+      '18'].join('\n'));
+    assertEquals(stepper.getIndex(), 3);
+    assertNull(stepper.getRedex());
+    assertFalse(stepper.canForward());
+    assertEquals(stepper.getTerm().value, 18);
+
+    // The trace is replayed.
+    assertTrue(stepper.back());
+    assertTrue(stepper.back());
+    assertEquals(stepper.getIndex(), 1);
+    assertEquals(stepper.getRedex().blockId, add.id);
+    assertTrue(stepper.forward());
+    assertEquals(stepper.getIndex(), 2);
+    assertTrue(stepper.back());
+    assertTrue(stepper.back());
+    assertFalse(stepper.back());
+    assertEquals(stepper.getIndex(), 0);
+  } finally {
+    workspace.dispose();
+    termWorkspace.dispose();
+  }
+}
+
+function test_type_stepper_letAndApplication() {
+  var workspace = create_typed_workspace();
+  var termWorkspace = create_typed_workspace();
+  try {
+    // let f x = x * 2 in f (f 3)
+    var letBlock = createLetBlockWithArguments(workspace, 'f x', false);
+    var x = letBlock.typedValue['ARG0'];
+    newStepperArith(workspace, 'MULTIPLY_INT', createReferenceBlock(x),
+        newStepperInt(workspace, 2), letBlock.getInput('EXP1').connection);
+    var outer = createReferenceBlock(getVariable(letBlock), true);
+    letBlock.getInput('EXP2').connection.connect(outer.outputConnection);
+    var inner = createReferenceBlock(getVariable(letBlock), true);
+    outer.getInput('PARAM0').connection.connect(inner.outputConnection);
+    inner.getInput('PARAM0').connection.connect(
+        newStepperInt(workspace, 3).outputConnection);
+
+    var stepper = new Blockly.Stepper(letBlock);
+    assertEquals(stepper.getRedex().blockId, letBlock.id);
+    var codes = stepperTraceCodes(stepper, termWorkspace);
+    assertEquals(codes.join('\n'), [
+      'let f x =\n  x * 2\n  in f (f 3)',
+      '(fun x -> x * 2) ((fun x -> x * 2) 3)',
+      '(fun x -> x * 2) (3 * 2)',
+      '(fun x -> x * 2) 6',
+      '6 * 2',
+      '12'].join('\n'));
+  } finally {
+    workspace.dispose();
+    termWorkspace.dispose();
+  }
+}
+
+function test_type_stepper_letrecAndIf() {
+  var workspace = create_typed_workspace();
+  var termWorkspace = create_typed_workspace();
+  try {
+    // let rec f n = if n <= 0 then 0 else n + f (n - 1) in f 2
+    var letBlock = createLetBlockWithArguments(workspace, 'f n', true);
+    var n = letBlock.typedValue['ARG0'];
+    var ternary = workspace.newBlock('logic_ternary_typed');
+    letBlock.getInput('EXP1').connection.connect(ternary.outputConnection);
+    var compare = workspace.newBlock('logic_compare_typed');
+    compare.setFieldValue('LTE', 'OP');
+    ternary.getInput('IF').connection.connect(compare.outputConnection);
+    compare.getInput('A').connection.connect(
+        createReferenceBlock(n).outputConnection);
+    compare.getInput('B').connection.connect(
+        newStepperInt(workspace, 0).outputConnection);
+    ternary.getInput('THEN').connection.connect(
+        newStepperInt(workspace, 0).outputConnection);
+    var add = workspace.newBlock('int_arithmetic_typed');
+    ternary.getInput('ELSE').connection.connect(add.outputConnection);
+    add.getInput('A').connection.connect(
+        createReferenceBlock(n).outputConnection);
+    var recursion = createReferenceBlock(getVariable(letBlock), true);
+    add.getInput('B').connection.connect(recursion.outputConnection);
+    newStepperArith(workspace, 'MINUS_INT', createReferenceBlock(n),
+        newStepperInt(workspace, 1), recursion.getInput('PARAM0').connection);
+    var app = createReferenceBlock(getVariable(letBlock), true);
+    letBlock.getInput('EXP2').connection.connect(app.outputConnection);
+    app.getInput('PARAM0').connection.connect(
+        newStepperInt(workspace, 2).outputConnection);
+
+    var stepper = new Blockly.Stepper(letBlock);
+    // The recursive function stays bound while the body is evaluated.
+    assertEquals(stepper.getRedex().blockId, app.id);
+    var codes = stepperTraceCodes(stepper, termWorkspace);
+    assertEquals(codes[codes.length - 1], '3');
+    assertEquals(stepper.getTerm().value, 3);
+    var steps = stepper.getIndex();
+    assertTrue(10 < steps);
+    for (var i = 0; i < steps; i++) {
+      assertTrue(stepper.back());
+    }
+    assertFalse(stepper.canBack());
+    assertEquals(stepper.getRedex().blockId, app.id);
+    for (var i = 0; i < steps; i++) {
+      assertTrue(stepper.forward());
+    }
+    assertFalse(stepper.canForward());
+  } finally {
+    workspace.dispose();
+    termWorkspace.dispose();
+  }
+}
+
+function test_type_stepper_matchWithGuard() {
+  var workspace = create_typed_workspace();
+  var termWorkspace = create_typed_workspace();
+  try {
+    // match [1; 2] with
+    // | [] -> 0
+    // | x :: _ when x > 1 -> x
+    // | x :: rest -> x + 10
+    var match = workspace.newBlock('match_typed');
+    match.resizePatternInput(3);
+    match.setGuard(1, true);
+    var list = workspace.newBlock('lists_create_with_typed');
+    var mutation = goog.dom.createDom('mutation');
+    mutation.setAttribute('items', 2);
+    list.domToMutation(mutation);
+    match.getInput('INPUT').connection.connect(list.outputConnection);
+    list.getInput('ADD0').connection.connect(
+        newStepperInt(workspace, 1).outputConnection);
+    list.getInput('ADD1').connection.connect(
+        newStepperInt(workspace, 2).outputConnection);
+    match.getInput('PATTERN0').connection.connect(
+        workspace.newBlock('empty_construct_pattern_typed').outputConnection);
+    match.getInput('OUTPUT0').connection.connect(
+        newStepperInt(workspace, 0).outputConnection);
+    var values = [];
+    for (var i = 1; i <= 2; i++) {
+      var cons = workspace.newBlock('cons_construct_pattern_typed');
+      var first = workspace.newBlock('variable_pattern_typed');
+      var rest = workspace.newBlock('variable_pattern_typed');
+      first.getField('VAR').getVariable().setVariableName('x');
+      rest.getField('VAR').getVariable().setVariableName('rest');
+      cons.getInput('FIRST').connection.connect(first.outputConnection);
+      cons.getInput('CONS').connection.connect(rest.outputConnection);
+      match.getInput('PATTERN' + i).connection.connect(cons.outputConnection);
+      values.push(first.getField('VAR').getVariable());
+    }
+    var guard = workspace.newBlock('logic_compare_typed');
+    guard.setFieldValue('GT', 'OP');
+    match.getInput('GUARD1').connection.connect(guard.outputConnection);
+    guard.getInput('A').connection.connect(
+        createReferenceBlock(values[0]).outputConnection);
+    guard.getInput('B').connection.connect(
+        newStepperInt(workspace, 1).outputConnection);
+    match.getInput('OUTPUT1').connection.connect(
+        createReferenceBlock(values[0]).outputConnection);
+    newStepperArith(workspace, 'ADD_INT', createReferenceBlock(values[1]),
+        newStepperInt(workspace, 10), match.getInput('OUTPUT2').connection);
+
+    var stepper = new Blockly.Stepper(match);
+    var codes = stepperTraceCodes(stepper, termWorkspace);
+    assertEquals(codes[codes.length - 1], '11');
+    // The guard is evaluated with x bound to 1, and fails.
+    for (var i = 0; i < codes.length; i++) {
+      if (codes[i].indexOf('when 1 > 1') != -1) {
+        break;
+      }
+    }
+    assertTrue(i < codes.length);
+    assertTrue(codes[i + 1].indexOf('when false') != -1);
+    assertEquals(codes[codes.length - 2], '1 + 10');
+  } finally {
+    workspace.dispose();
+    termWorkspace.dispose();
+  }
+}
+
+function test_type_stepper_pairs() {
+  var workspace = create_typed_workspace();
+  var termWorkspace = create_typed_workspace();
+  try {
+    // fst (1 + 1, 3 * 3)
+    var fst = workspace.newBlock('pair_first_typed');
+    var pair = workspace.newBlock('pair_create_typed');
+    fst.getInput('FIRST').connection.connect(pair.outputConnection);
+    newStepperArith(workspace, 'ADD_INT', newStepperInt(workspace, 1),
+        newStepperInt(workspace, 1), pair.getInput('FIRST').connection);
+    newStepperArith(workspace, 'MULTIPLY_INT', newStepperInt(workspace, 3),
+        newStepperInt(workspace, 3), pair.getInput('SECOND').connection);
+
+    var stepper = new Blockly.Stepper(fst);
+    var codes = stepperTraceCodes(stepper, termWorkspace);
+    assertEquals(codes.join('\n'), [
+      'fst (1 + 1, 3 * 3)',
+      'fst (1 + 1, 9)',
+      'fst (2, 9)',
+      '2'].join('\n'));
+  } finally {
+    workspace.dispose();
+    termWorkspace.dispose();
+  }
+}
+
+function test_type_stepper_exception() {
+  var workspace = create_typed_workspace();
+  try {
+    // 10 / (2 - 2)
+    var sub = newStepperArith(workspace, 'MINUS_INT',
+        newStepperInt(workspace, 2), newStepperInt(workspace, 2));
+    var div = newStepperArith(workspace, 'DIVIDE_INT',
+        newStepperInt(workspace, 10), sub);
+    var stepper = new Blockly.Stepper(div);
+    assertNull(stepper.getException());
+    assertTrue(stepper.forward());
+    assertEquals(stepper.getRedex().blockId, div.id);
+    assertEquals(stepper.getException(), 'Division_by_zero');
+    assertFalse(stepper.canForward());
+    assertFalse(stepper.forward());
+    assertEquals(stepper.getIndex(), 1);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_stepper_unsupportedBlocks() {
+  var workspace = create_typed_workspace();
+  try {
+    var arith = workspace.newBlock('int_arithmetic_typed');
+    arith.getInput('A').connection.connect(
+        newStepperInt(workspace, 1).outputConnection);
+    try {
+      new Blockly.Stepper(arith);
+      fail('An empty input must not be stepped.');
+    } catch (e) {
+      assertEquals(e.blockId, arith.id);
+      assertEquals(e.message, Blockly.Msg['STEPPER_EMPTY_INPUT']);
+    }
+    var length = workspace.newBlock('list_length_typed');
+    arith.getInput('B').connection.connect(length.outputConnection);
+    try {
+      new Blockly.Stepper(arith);
+      fail('The block is not supported.');
+    } catch (e) {
+      assertEquals(e.blockId, length.id);
+      assertEquals(e.message, Blockly.Msg['STEPPER_UNSUPPORTED_BLOCK']);
+    }
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_stepper_toplevelPrefix() {
+  var workspace = create_typed_workspace();
+  var termWorkspace = create_typed_workspace();
+  try {
+    // let a = 5;;
+    // let b = 1;;
+    // a * 2
+    var letA = workspace.newBlock('letstatement_typed');
+    setVariableName(letA, 'a');
+    letA.getInput('EXP1').connection.connect(
+        newStepperInt(workspace, 5).outputConnection);
+    var letB = workspace.newBlock('letstatement_typed');
+    setVariableName(letB, 'b');
+    letB.getInput('EXP1').connection.connect(
+        newStepperInt(workspace, 1).outputConnection);
+    connectAsStatements(letA, letB);
+    var letC = workspace.newBlock('letstatement_typed');
+    setVariableName(letC, 'c');
+    connectAsStatements(letB, letC);
+    var mul = newStepperArith(workspace, 'MULTIPLY_INT',
+        createReferenceBlock(getVariable(letA)), newStepperInt(workspace, 2),
+        letC.getInput('EXP1').connection);
+
+    var prefix = mul.getToplevelPrefix();
+    var stepper = new Blockly.Stepper(mul, prefix);
+    // Only the statement the block uses is kept.
+    var codes = stepperTraceCodes(stepper, termWorkspace);
+    assertEquals(codes.join('\n'), [
+      'let a = 5\n  in a * 2',
+      '5 * 2',
+      '10'].join('\n'));
+  } finally {
+    workspace.dispose();
+    termWorkspace.dispose();
+  }
+}
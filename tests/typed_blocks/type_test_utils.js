@@ -23,11 +23,13 @@ function getVariableFieldName(block, opt_n) {
     case 'function_app_typed':
       return 'VAR';
     case 'defined_recordtype_typed':
+    case 'defined_type_alias_typed':
       return 'DATANAME';
     case 'defined_datatype_typed':
       goog.asserts.assert(goog.isNumber(opt_n));
       return 'CTR' + opt_n;
     case 'create_construct_typed':
+    case 'construct_pattern_typed':
       return 'CONSTRUCTOR';
     case 'create_record_typed':
     case 'record_pattern_typed':
@@ -126,6 +128,11 @@ function createReferenceBlock(value, useAppBlock, opt_workspace) {
     assertTrue(!useAppBlock);
     var block = workspace.newBlock(prototypeName);
     var ref = block.getField('RECORD').getVariable();
+  } else if (value.isRecordField()) {
+    var prototypeName = 'record_field_get_typed';
+    assertTrue(!useAppBlock);
+    var block = workspace.newBlock(prototypeName);
+    var ref = block.getField('FIELD').getVariable();
   } else {
     var prototypeName = useAppBlock ? 'function_app_typed' :
       'variables_get_typed';
@@ -267,7 +274,8 @@ function disableAllTypeCheck(block) {
 
 function addArguments(letBlock, additionalArgs) {
   assertTrue(letBlock.type === 'let_typed' ||
-      letBlock.type === 'letrec_typed');
+      letBlock.type === 'letrec_typed' ||
+      letBlock.type === 'letstatement_typed');
   if (goog.isString(additionalArgs)) {
     additionalArgs = additionalArgs.split(' ');
   }
@@ -0,0 +1,175 @@
+'use strict';
+
+function createTypedHoleTestBlocks(workspace) {
+  // let x = 1 in let y = 1.0 in ? + ?
+  var letX = workspace.newBlock('let_typed');
+  setVariableName(letX, 'x');
+  letX.getInput('EXP1').connection.connect(
+      workspace.newBlock('int_typed').outputConnection);
+  var letY = workspace.newBlock('let_typed');
+  setVariableName(letY, 'y');
+  letY.getInput('EXP1').connection.connect(
+      workspace.newBlock('float_typed').outputConnection);
+  letX.getInput('EXP2').connection.connect(letY.outputConnection);
+  var arith = workspace.newBlock('int_arithmetic_typed');
+  letY.getInput('EXP2').connection.connect(arith.outputConnection);
+  return {letX: letX, letY: letY, arith: arith};
+}
+
+function test_type_typed_hole_expectedType() {
+  var workspace = create_typed_workspace();
+  try {
+    var blocks = createTypedHoleTestBlocks(workspace);
+    var connection = blocks.arith.getInput('A').connection;
+    assertTrue(Blockly.TypedHole.isHole(connection));
+    var type = Blockly.TypedHole.getExpectedType(connection);
+    assertTrue(type.isInt());
+    assertFalse(Blockly.TypedHole.isHole(
+        blocks.letX.getInput('EXP1').connection));
+
+    var pattern = workspace.newBlock('pair_pattern_typed');
+    assertNull(Blockly.TypedHole.getExpectedType(
+        pattern.getInput('LEFT').connection));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_typed_hole_variableSuggestions() {
+  var workspace = create_typed_workspace();
+  try {
+    var blocks = createTypedHoleTestBlocks(workspace);
+    var connection = blocks.arith.getInput('A').connection;
+    var variables = Blockly.TypedHole.getVariableSuggestions(connection);
+    assertEquals(variables.length, 1);
+    assertEquals(variables[0], getVariable(blocks.letX));
+
+    // Both of variables are acceptable for a hole of any type.
+    var letZ = workspace.newBlock('let_typed');
+    blocks.arith.dispose();
+    blocks.letY.getInput('EXP2').connection.connect(letZ.outputConnection);
+    variables = Blockly.TypedHole.getVariableSuggestions(
+        letZ.getInput('EXP1').connection);
+    assertEquals(variables.length, 2);
+    assertEquals(variables[0], getVariable(blocks.letX));
+    assertEquals(variables[1], getVariable(blocks.letY));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_typed_hole_blockSuggestions() {
+  var workspace = create_typed_workspace();
+  try {
+    var blocks = createTypedHoleTestBlocks(workspace);
+    var xml = Blockly.Xml.textToDom(
+        '<xml>' +
+        '<block type="int_typed"></block>' +
+        '<block type="float_typed"></block>' +
+        '<block type="logic_boolean_typed"></block>' +
+        '<block type="list_length_typed"></block>' +
+        '</xml>');
+    var xmlList = goog.array.filter(xml.childNodes,
+        function(node) { return !!node.tagName; });
+    var connection = blocks.arith.getInput('A').connection;
+    var suggestions = Blockly.TypedHole.getBlockSuggestions(connection,
+        xmlList);
+    assertEquals(suggestions.length, 2);
+    assertEquals(suggestions[0].xml.getAttribute('type'), 'int_typed');
+    assertEquals(suggestions[1].xml.getAttribute('type'), 'list_length_typed');
+    // Candidate blocks must not be left on any workspace.
+    assertEquals(workspace.getAllBlocks().length, 5);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_typed_hole_toolboxBlocks() {
+  var tree = Blockly.Xml.textToDom(
+      '<xml>' +
+      '<category name="a"><block type="int_typed"></block></category>' +
+      '<category name="b">' +
+      '  <category name="c"><block type="float_typed"></block></category>' +
+      '  <block type="lambda_app_typed">' +
+      '    <value name="ARG"><block type="int_typed"></block></value>' +
+      '  </block>' +
+      '</category>' +
+      '</xml>');
+  var workspace = new Blockly.Workspace(
+      {typedVersion: true, languageTree: tree});
+  try {
+    var xmlList = Blockly.TypedHole.getToolboxBlocks(workspace);
+    var types = goog.array.map(xmlList,
+        function(xml) { return xml.getAttribute('type'); });
+    assertEquals(types.join(), 'int_typed,float_typed,lambda_app_typed');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_typed_hole_insertSuggestions() {
+  var workspace = create_typed_workspace();
+  try {
+    var blocks = createTypedHoleTestBlocks(workspace);
+    var left = blocks.arith.getInput('A').connection;
+    var value = getVariable(blocks.letX);
+    var reference = Blockly.TypedHole.insertVariable(left, value);
+    assertEquals(left.targetBlock(), reference);
+    assertEquals(getVariable(reference).getBoundValue(), value);
+    assertFalse(Blockly.TypedHole.isHole(left));
+
+    var right = blocks.arith.getInput('B').connection;
+    var xml = Blockly.Xml.textToDom(
+        '<xml><block type="int_typed"></block></xml>');
+    var block = Blockly.TypedHole.insertBlock(right, xml.firstChild);
+    assertEquals(right.targetBlock(), block);
+    assertTrue(blocks.letX.allInputsFilled());
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_typed_hole_filterConnection() {
+  var workspace = create_typed_workspace();
+  var savedSelected = Blockly.selected;
+  try {
+    var blocks = createTypedHoleTestBlocks(workspace);
+    Blockly.selected = null;
+    assertNull(Blockly.TypedHole.getFilterConnection(workspace));
+
+    Blockly.selected = blocks.arith;
+    var connection = Blockly.TypedHole.getFilterConnection(workspace);
+    assertEquals(connection, blocks.arith.getInput('A').connection);
+    var other = create_typed_workspace();
+    try {
+      assertNull(Blockly.TypedHole.getFilterConnection(other));
+    } finally {
+      other.dispose();
+    }
+
+    var expected = Blockly.TypedHole.getExpectedType(connection);
+    assertTrue(Blockly.TypedHole.canFillWith(expected,
+        workspace.newBlock('int_typed')));
+    assertFalse(Blockly.TypedHole.canFillWith(expected,
+        workspace.newBlock('float_typed')));
+    assertFalse(Blockly.TypedHole.canFillWith(expected,
+        workspace.newBlock('letstatement_typed')));
+
+    // The block has no hole after both inputs are filled.
+    blocks.arith.getInput('A').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    blocks.arith.getInput('B').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertNull(Blockly.TypedHole.getFilterConnection(workspace));
+  } finally {
+    Blockly.selected = savedSelected;
+    workspace.dispose();
+  }
+}
+
+function test_type_typed_hole_typeFilterOption() {
+  assertNull(new Blockly.Options({}).typeFilter);
+  assertNull(new Blockly.Options({typeFilter: 'unknown'}).typeFilter);
+  assertEquals(new Blockly.Options({typeFilter: 'dim'}).typeFilter, 'dim');
+  assertEquals(new Blockly.Options({typeFilter: 'hide'}).typeFilter, 'hide');
+}
@@ -1652,3 +1652,1360 @@ function test_type_unification_fixTypeErrorLetPolyApplication() {
     workspace.dispose();
   }
 }
+
+function test_type_unification_valueRestriction() {
+  var workspace = create_typed_workspace();
+  try {
+    // let f = fun x -> ? in ...
+    var letBlock = workspace.newBlock('let_typed');
+    setVariableName(letBlock, 'f');
+    var lambdaBlock = workspace.newBlock('lambda_typed');
+    setVariableName(lambdaBlock, 'x');
+    letBlock.getInput('EXP1').connection.connect(lambdaBlock.outputConnection);
+    assertTrue(lambdaBlock.isNonExpansive());
+    assertEquals(letBlock.lastTypeScheme_['VAR'].names.length, 2);
+
+    // let f = !(ref (fun x -> ?)) in ...
+    lambdaBlock.unplug();
+    var refBlock = workspace.newBlock('ref_typed');
+    refBlock.getInput('PARAM0').connection.connect(
+        lambdaBlock.outputConnection);
+    var getBlock = workspace.newBlock('ref_get_typed');
+    getBlock.getInput('REF').connection.connect(refBlock.outputConnection);
+    letBlock.getInput('EXP1').connection.connect(getBlock.outputConnection);
+    assertFalse(getBlock.isNonExpansive());
+    assertTrue(getVariable(letBlock).getTypeExpr().deref().isFunction());
+    assertEquals(letBlock.lastTypeScheme_['VAR'].names.length, 0);
+
+    // Values made of values are non-expansive, but not the ones containing
+    // an application.
+    var pairBlock = workspace.newBlock('pair_create_typed');
+    pairBlock.getInput('FIRST').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertTrue(pairBlock.isNonExpansive());
+    var refBlock2 = workspace.newBlock('ref_typed');
+    pairBlock.getInput('SECOND').connection.connect(
+        refBlock2.outputConnection);
+    assertFalse(pairBlock.isNonExpansive());
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_valueRestrictionAlias() {
+  var workspace = create_typed_workspace();
+  try {
+    // let f = fun x -> x in let g = f in ...
+    var letBlock = workspace.newBlock('let_typed');
+    setVariableName(letBlock, 'f');
+    var lambdaBlock = workspace.newBlock('lambda_typed');
+    setVariableName(lambdaBlock, 'x');
+    var xBlock = createReferenceBlock(getVariable(lambdaBlock));
+    lambdaBlock.getInput('RETURN').connection.connect(xBlock.outputConnection);
+    letBlock.getInput('EXP1').connection.connect(lambdaBlock.outputConnection);
+    var letBlock2 = workspace.newBlock('let_typed');
+    setVariableName(letBlock2, 'g');
+    letBlock.getInput('EXP2').connection.connect(letBlock2.outputConnection);
+    var fBlock = createReferenceBlock(getVariable(letBlock), true);
+    letBlock2.getInput('EXP1').connection.connect(fBlock.outputConnection);
+    assertTrue(fBlock.isNonExpansive());
+    assertEquals(letBlock2.lastTypeScheme_['VAR'].names.length, 1);
+
+    // let g = f 1 in ...
+    fBlock.resizeStructure(1);
+    assertFalse(fBlock.isNonExpansive());
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_exceptions() {
+  var workspace = create_typed_workspace();
+  try {
+    // exception Error_code of int
+    var declBlock = workspace.newBlock('exception_declaration_typed');
+    var exnValue = declBlock.getField('CTR').getVariable();
+    exnValue.setVariableName('Error_code');
+    assertTrue(exnValue.isConstructor());
+    declBlock.getInput('CTR_INP').connection.connect(
+        workspace.newBlock('int_type_typed').outputConnection);
+
+    // let _ = try raise (Error_code 1) with Error_code x -> 0
+    var letBlock = workspace.newBlock('letstatement_typed');
+    connectAsStatements(declBlock, letBlock);
+    var tryBlock = workspace.newBlock('try_typed');
+    letBlock.getInput('EXP1').connection.connect(tryBlock.outputConnection);
+    var raiseBlock = workspace.newBlock('raise_typed');
+    tryBlock.getInput('INPUT').connection.connect(raiseBlock.outputConnection);
+    var ctorBlock = createReferenceBlock(exnValue);
+    assertStructureInputSize(ctorBlock, 1);
+    ctorBlock.getInput('PARAM0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    raiseBlock.getInput('EXN').connection.connect(ctorBlock.outputConnection);
+    assertEquals(Blockly.TypeExpr.print(ctorBlock.outputConnection.typeExpr),
+        'exn');
+    assertTrue(Blockly.TypeExpr.parse('exn').ableToUnify(
+        ctorBlock.outputConnection.typeExpr));
+
+    var patternBlock = workspace.newBlock('construct_pattern_typed');
+    var reference = patternBlock.getField('CONSTRUCTOR').getVariable();
+    reference.setVariableName('Error_code');
+    reference.setBoundValue(exnValue);
+    tryBlock.getInput('PATTERN0').connection.connect(
+        patternBlock.outputConnection);
+    assertEquals(patternBlock.paramCount_, 1);
+    var varPattern = workspace.newBlock('variable_pattern_typed');
+    patternBlock.getInput('PARAM0').connection.connect(
+        varPattern.outputConnection);
+    var patternVar = varPattern.getField('VAR').getVariable();
+    assertTrue(patternVar.getTypeExpr().deref().isInt());
+    tryBlock.getInput('OUTPUT0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertTrue(tryBlock.outputConnection.typeExpr.deref().isInt());
+    assertTrue(raiseBlock.outputConnection.typeExpr.deref().isInt());
+
+    // Only exceptions can be raised, and failwith takes a message.
+    var raiseBlock2 = workspace.newBlock('raise_typed');
+    assertFalse(raiseBlock2.getInput('EXN').connection.checkType_(
+        workspace.newBlock('int_typed').outputConnection));
+    var failBlock = workspace.newBlock('failwith_typed');
+    assertTrue(failBlock.getInput('MESSAGE').connection.checkType_(
+        workspace.newBlock('string_typed').outputConnection));
+    assertTrue(failBlock.outputConnection.typeExpr.deref().isTypeVar());
+
+    // Exceptions are not bound outside the declaration.
+    var otherCtor = createReferenceBlock(exnValue);
+    assertFalse(otherCtor.resolveReference(null));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_sequenceAndLoops() {
+  var workspace = create_typed_workspace();
+  try {
+    // for i = 0 to 9 do ?; i done
+    var forBlock = workspace.newBlock('for_typed');
+    var index = forBlock.getField('VAR').getVariable();
+    assertTrue(index.getTypeExpr().isInt());
+    var seqBlock = workspace.newBlock('sequence_typed');
+    forBlock.getInput('DO').connection.connect(seqBlock.outputConnection);
+    var varBlock = workspace.newBlock('variables_get_typed');
+    setVariableName(varBlock, 'i');
+    getVariable(varBlock).setBoundValue(index);
+    // The body of loop must be of unit type.
+    assertFalse(seqBlock.getInput('SECOND').connection.checkType_(
+        varBlock.outputConnection));
+    assertEquals(forBlock.outputConnection.typeExpr.label,
+        Blockly.TypeExpr.UNIT_);
+
+    // for i = 0 to i do .. done, where the bound can not refer to i.
+    assertFalse(varBlock.resolveReference(forBlock.getInput('TO').connection));
+    // for i = 0 to 9 do ? := i; ? done
+    var setBlock = workspace.newBlock('ref_set_typed');
+    seqBlock.getInput('FIRST').connection.connect(setBlock.outputConnection);
+    setBlock.getInput('VALUE').connection.connect(varBlock.outputConnection);
+    assertTrue(varBlock.resolveReference(
+        varBlock.outputConnection.targetConnection));
+
+    // while true do ? done; 1
+    var whileBlock = workspace.newBlock('while_typed');
+    whileBlock.getInput('COND').connection.connect(
+        workspace.newBlock('logic_boolean_typed').outputConnection);
+    assertFalse(whileBlock.getInput('DO').connection.checkType_(
+        workspace.newBlock('int_typed').outputConnection));
+    var seqBlock2 = workspace.newBlock('sequence_typed');
+    assertTrue(seqBlock2.outputConnection.typeExpr.deref().isTypeVar());
+    seqBlock2.getInput('FIRST').connection.connect(
+        whileBlock.outputConnection);
+    seqBlock2.getInput('SECOND').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertTrue(seqBlock2.outputConnection.typeExpr.deref().isInt());
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_tuples() {
+  var workspace = create_typed_workspace();
+  try {
+    // (1, ?, 1.0)
+    var tupleBlock = workspace.newBlock('tuple_create_typed');
+    assertEquals(tupleBlock.itemCount_, 3);
+    tupleBlock.getInput('ITEM0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    tupleBlock.getInput('ITEM2').connection.connect(
+        workspace.newBlock('float_typed').outputConnection);
+    var tupleType = tupleBlock.outputConnection.typeExpr;
+    assertTrue(tupleType.isTuple());
+    var children = tupleType.getChildren();
+    assertEquals(children.length, 3);
+    assertTrue(children[0].deref().isInt());
+    assertTrue(children[1].deref().isTypeVar());
+    assertTrue(children[2].deref().isFloat());
+    assertTrue(tupleBlock.isNonExpansive());
+
+    // Tuples of different sizes are not unifiable.
+    var pair = new Blockly.TypeExpr.TUPLE(new Blockly.TypeExpr.INT(),
+        new Blockly.TypeExpr.INT());
+    assertFalse(tupleType.ableToUnify(pair));
+
+    // fst (1, ?, 1.0) is ill-typed. Removing the last element makes it a pair,
+    // and adding an element again disconnects it from fst.
+    var fstBlock = workspace.newBlock('pair_first_typed');
+    var fstConnection = fstBlock.getInput('FIRST').connection;
+    assertFalse(fstConnection.checkType_(tupleBlock.outputConnection));
+    tupleBlock.resizeItems(2);
+    assertEquals(tupleBlock.outputConnection.typeExpr.getChildren().length, 2);
+    assertNull(tupleBlock.getInput('ITEM2'));
+    fstConnection.connect(tupleBlock.outputConnection);
+    assertTrue(fstBlock.outputConnection.typeExpr.deref().isInt());
+    tupleBlock.resizeItems(3);
+    assertNull(tupleBlock.getParent());
+    assertEquals(tupleBlock.getInput('ITEM0').connection.targetBlock().type,
+        'int_typed');
+
+    var xml = Blockly.Xml.textToDom(
+        '<xml><block type="tuple_create_typed">' +
+        '<mutation items="4"></mutation></block></xml>');
+    var block = Blockly.Xml.domToBlock(xml.firstChild, workspace);
+    assertEquals(block.itemCount_, 4);
+    assertEquals(block.outputConnection.typeExpr.getChildren().length, 4);
+    assertEquals(block.mutationToDom().getAttribute('items'), '4');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_tuplePattern() {
+  var workspace = create_typed_workspace();
+  try {
+    // match (1, true, 1.0) with (x, y, z) -> y
+    var block = workspace.newBlock('match_typed');
+    var tupleBlock = workspace.newBlock('tuple_create_typed');
+    tupleBlock.getInput('ITEM0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    tupleBlock.getInput('ITEM1').connection.connect(
+        workspace.newBlock('logic_boolean_typed').outputConnection);
+    tupleBlock.getInput('ITEM2').connection.connect(
+        workspace.newBlock('float_typed').outputConnection);
+    block.getInput('INPUT').connection.connect(tupleBlock.outputConnection);
+
+    var pattern = workspace.newBlock('tuple_pattern_typed');
+    var values = [];
+    var names = ['x', 'y', 'z'];
+    for (var i = 0; i < names.length; i++) {
+      var variablePattern = workspace.newBlock('variable_pattern_typed');
+      var value = variablePattern.getField('VAR').getVariable();
+      value.setVariableName(names[i]);
+      pattern.getInput('ITEM' + i).connection.connect(
+          variablePattern.outputConnection);
+      values.push(value);
+    }
+    var ptnConn = block.getInput('PATTERN0').connection;
+    ptnConn.connect(pattern.outputConnection);
+    assertTrue(values[0].getTypeExpr().deref().isInt());
+    assertTrue(values[1].getTypeExpr().deref().isBool());
+    assertTrue(values[2].getTypeExpr().deref().isFloat());
+
+    var reference = createReferenceBlock(values[1]);
+    var outConn = block.getInput('OUTPUT0').connection;
+    assertTrue(reference.resolveReference(outConn));
+    outConn.connect(reference.outputConnection);
+    assertTrue(block.outputConnection.typeExpr.deref().isBool());
+    assertEquals(pattern.getMatrixPattern().toString(), '(_, _, _)');
+
+    // A pattern of four elements does not match a triple, so the pattern is
+    // disconnected and the reference to y is removed.
+    pattern.resizeItems(4);
+    assertNull(pattern.getParent());
+    assertNull(outConn.targetBlock());
+    assertFalse(ptnConn.checkType_(pattern.outputConnection));
+    pattern.resizeItems(2);
+    assertEquals(pattern.itemCount_, 2);
+    assertNull(pattern.getInput('ITEM2'));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_orAndAliasPatterns() {
+  var workspace = create_typed_workspace();
+  try {
+    // match (1, 2) with ((x, y) | (y, x)) as p when ? -> ?
+    var block = workspace.newBlock('match_typed');
+    var pairBlock = workspace.newBlock('pair_create_typed');
+    pairBlock.getInput('FIRST').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    block.getInput('INPUT').connection.connect(pairBlock.outputConnection);
+
+    var orBlock = workspace.newBlock('or_pattern_typed');
+    var sides = [['x', 'y'], ['y', 'x']];
+    var names = ['LEFT', 'RIGHT'];
+    var values = {};
+    for (var i = 0; i < names.length; i++) {
+      var pairPattern = workspace.newBlock('pair_pattern_typed');
+      for (var j = 0; j < names.length; j++) {
+        var variablePattern = workspace.newBlock('variable_pattern_typed');
+        var value = variablePattern.getField('VAR').getVariable();
+        value.setVariableName(sides[i][j]);
+        pairPattern.getInput(names[j]).connection.connect(
+            variablePattern.outputConnection);
+        values[names[i] + sides[i][j]] = value;
+      }
+      orBlock.getInput(names[i]).connection.connect(
+          pairPattern.outputConnection);
+    }
+    assertEquals(orBlock.getUnsharedVariableNames().length, 0);
+    var aliasBlock = workspace.newBlock('alias_pattern_typed');
+    var alias = aliasBlock.getField('VAR').getVariable();
+    alias.setVariableName('p');
+    aliasBlock.getInput('PATTERN').connection.connect(orBlock.outputConnection);
+    block.getInput('PATTERN0').connection.connect(aliasBlock.outputConnection);
+
+    // Variables of the same name on both sides have the same type.
+    assertTrue(values['LEFTx'].getTypeExpr().deref().isInt());
+    assertTrue(values['RIGHTx'].getTypeExpr().deref().isInt());
+    assertTrue(values['LEFTy'].getTypeExpr().deref().isInt());
+    assertTrue(alias.getTypeExpr().deref().isTuple());
+
+    // The guard is of bool type and can refer to the variables.
+    block.setGuard(0, true);
+    assertTrue(block.hasGuard(0));
+    assertEquals(block.mutationToDom().getAttribute('guards'), '0');
+    var guardConnection = block.getInput('GUARD0').connection;
+    var xBlock = createReferenceBlock(values['LEFTx']);
+    assertTrue(xBlock.resolveReference(guardConnection));
+    assertFalse(guardConnection.checkType_(xBlock.outputConnection));
+    xBlock.dispose();
+    guardConnection.connect(
+        workspace.newBlock('logic_boolean_typed').outputConnection);
+    var pBlock = createReferenceBlock(alias);
+    var outputConnection = block.getInput('OUTPUT0').connection;
+    assertTrue(pBlock.resolveReference(outputConnection));
+    outputConnection.connect(pBlock.outputConnection);
+    assertTrue(block.outputConnection.typeExpr.deref().isTuple());
+
+    // Renaming a variable on either side renames its twin on the other side.
+    values['LEFTx'].setVariableName('z');
+    assertEquals(values['RIGHTx'].getVariableName(), 'z');
+    values['RIGHTy'].setVariableName('w');
+    assertEquals(values['LEFTy'].getVariableName(), 'w');
+    assertEquals(values['LEFTx'].getVariableName(), 'z');
+    assertEquals(orBlock.getUnsharedVariableNames().length, 0);
+
+    // The right side must bind the same variables as the left side.
+    var right = orBlock.getInputTargetBlock('RIGHT');
+    right.getInputTargetBlock('LEFT').dispose();
+    assertEquals(orBlock.getUnsharedVariableNames().join(), 'w');
+
+    block.setGuard(0, false);
+    assertNull(block.getInput('GUARD0'));
+    var xml = Blockly.Xml.textToDom(
+        '<xml><mutation items="2" guards="1"></mutation></xml>');
+    block.domToMutation(xml.firstChild);
+    assertFalse(block.hasGuard(0));
+    assertTrue(block.hasGuard(1));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_letRecAndBindings() {
+  var workspace = create_typed_workspace();
+  try {
+    // let rec f x = g x and g = fun y -> f y in ?
+    var letBlock = createLetBlockWithArguments(workspace, 'f x', true);
+    var mutator = create_mock_mutator(letBlock, 'let_and_item');
+    mutator._append();
+    mutator._update();
+    mutator.dispose();
+    assertEquals(letBlock.andCount_, 1);
+    assertEquals(letBlock.argumentCount_, 1);
+    var f = letBlock.typedValue['VAR'];
+    var x = letBlock.typedValue['ARG0'];
+    var g = letBlock.typedValue['AND_VAR0'];
+    g.setVariableName('g');
+
+    var xml = Blockly.Xml.blockToDom(letBlock);
+    assertEquals(xml.querySelector('mutation').getAttribute('ands'), '1');
+    var copied = Blockly.Xml.domToBlock(xml, workspace);
+    assertEquals(copied.andCount_, 1);
+    assertEquals(getVariableName(copied), 'f');
+    assertEquals(copied.typedValue['AND_VAR0'].getVariableName(), 'g');
+    copied.dispose();
+
+    // All the names are visible in every body.
+    var exp1 = letBlock.getInput('EXP1').connection;
+    var andExp = letBlock.getInput('AND_EXP0').connection;
+    var gApp = createReferenceBlock(g, true);
+    assertTrue(gApp.resolveReference(exp1));
+    gApp.resizeStructure(1);
+    exp1.connect(gApp.outputConnection);
+    gApp.getInput('PARAM0').connection.connect(
+        createReferenceBlock(x).outputConnection);
+    var lambdaBlock = workspace.newBlock('lambda_typed');
+    setVariableName(lambdaBlock, 'y');
+    andExp.connect(lambdaBlock.outputConnection);
+    var fApp = createReferenceBlock(f, true);
+    assertTrue(fApp.resolveReference(andExp));
+    fApp.resizeStructure(1);
+    lambdaBlock.getInput('RETURN').connection.connect(fApp.outputConnection);
+    fApp.getInput('PARAM0').connection.connect(
+        createReferenceBlock(getVariable(lambdaBlock)).outputConnection);
+
+    // The types are unified as one group, and then generalized.
+    var fType = f.getTypeExpr().deref();
+    var gType = g.getTypeExpr().deref();
+    assertTrue(fType.isFunction());
+    assertTrue(gType.isFunction());
+    assertEquals(fType.arg_type.deref(), gType.arg_type.deref());
+    assertEquals(fType.return_type.deref(), gType.return_type.deref());
+    assertEquals(letBlock.lastTypeScheme_['VAR'].names.length, 2);
+    assertEquals(letBlock.lastTypeScheme_['AND_VAR0'].names.length, 2);
+    var fRef = createReferenceBlock(f);
+    assertTrue(fRef.resolveReference(letBlock.getInput('EXP2').connection));
+    fRef.dispose();
+    assertEquals(letBlock.getRecursiveReferences().length, 2);
+
+    // The recursive references are removed with the 'rec' flag.
+    letBlock.setRecursiveFlag(false);
+    assertNull(gApp.workspace);
+    assertNull(fApp.workspace);
+    var gRef = createReferenceBlock(g);
+    assertFalse(gRef.resolveReference(exp1));
+    assertTrue(gRef.resolveReference(letBlock.getInput('EXP2').connection));
+    gRef.dispose();
+
+    letBlock.resizeAndBindings(0);
+    assertNull(letBlock.getInput('AND0'));
+    assertNull(letBlock.getInput('AND_EXP0'));
+    assertNull(lambdaBlock.workspace);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_multiParameterLambda() {
+  var workspace = create_typed_workspace();
+  try {
+    // fun x y -> x + y
+    var block = workspace.newBlock('lambda_typed');
+    assertEquals(block.paramCount_, 1);
+    var mutator = create_mock_mutator(block, 'parameters_arg_item');
+    mutator._append();
+    mutator._update();
+    mutator.dispose();
+    assertEquals(block.paramCount_, 2);
+    var x = block.typedValue['VAR'];
+    var y = block.typedValue['VAR1'];
+    x.setVariableName('x');
+    y.setVariableName('y');
+    var arith = workspace.newBlock('int_arithmetic_typed');
+    block.getInput('RETURN').connection.connect(arith.outputConnection);
+    arith.getInput('A').connection.connect(
+        createReferenceBlock(x).outputConnection);
+    var yRef = createReferenceBlock(y);
+    arith.getInput('B').connection.connect(yRef.outputConnection);
+    var type = block.outputConnection.typeExpr.deref();
+    assertTrue(type.arg_type.deref().isInt());
+    assertTrue(type.return_type.deref().isFunction());
+    assertTrue(type.return_type.deref().arg_type.deref().isInt());
+    assertTrue(type.return_type.deref().return_type.deref().isInt());
+    assertEquals(block.mutationToDom().getAttribute('params'), '2');
+
+    // The function is curried, so it can be applied to one argument.
+    var app = workspace.newBlock('lambda_app_typed');
+    app.getInput('FUN').connection.connect(block.outputConnection);
+    assertTrue(app.outputConnection.typeExpr.deref().isFunction());
+
+    // The reference to the removed parameter is removed, too.
+    block.resizeParameters(1);
+    assertNull(yRef.workspace);
+    assertTrue(app.outputConnection.typeExpr.deref().isInt());
+    mutator = create_mock_mutator(block, 'parameters_arg_item');
+    assertFalse(block.wouldChange(mutator.rootBlock_));
+    mutator.rootBlock_.getInputTargetBlock('STACK').dispose();
+    assertFalse(block.wouldChange(mutator.rootBlock_));
+    mutator.dispose();
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_lambdaPattern() {
+  var workspace = create_typed_workspace();
+  try {
+    // fun (a, b) -> a + b
+    var block = workspace.newBlock('lambda_pattern_typed');
+    assertEquals(block.argumentCount_, 1);
+    var pairPattern = workspace.newBlock('pair_pattern_typed');
+    var values = [];
+    var names = ['LEFT', 'RIGHT'];
+    for (var i = 0; i < names.length; i++) {
+      var variablePattern = workspace.newBlock('variable_pattern_typed');
+      pairPattern.getInput(names[i]).connection.connect(
+          variablePattern.outputConnection);
+      var value = variablePattern.getField('VAR').getVariable();
+      value.setVariableName(i == 0 ? 'a' : 'b');
+      values.push(value);
+    }
+    block.getInput('ARG0').connection.connect(pairPattern.outputConnection);
+    var arith = workspace.newBlock('int_arithmetic_typed');
+    var returnConnection = block.getInput('RETURN').connection;
+    returnConnection.connect(arith.outputConnection);
+    var aRef = createReferenceBlock(values[0]);
+    assertTrue(aRef.resolveReference(arith.getInput('A').connection));
+    arith.getInput('A').connection.connect(aRef.outputConnection);
+    arith.getInput('B').connection.connect(
+        createReferenceBlock(values[1]).outputConnection);
+    var type = block.outputConnection.typeExpr.deref();
+    assertTrue(type.isFunction());
+    assertTrue(type.arg_type.deref().isTuple());
+    assertTrue(values[1].getTypeExpr().deref().isInt());
+    assertTrue(type.return_type.deref().isInt());
+
+    // fun (a, b) c -> a + b
+    block.resizePatternArgument(2);
+    type = block.outputConnection.typeExpr.deref();
+    assertTrue(type.return_type.deref().isFunction());
+    assertTrue(type.return_type.deref().return_type.deref().isInt());
+    block.resizePatternArgument(1);
+    assertNull(block.getInput('ARG1'));
+    assertEquals(block.getInputTargetBlock('ARG0'), pairPattern);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_functionBlock() {
+  var workspace = create_typed_workspace();
+  try {
+    // function [] -> 0 | x :: rest -> x
+    var block = workspace.newBlock('function_typed');
+    block.resizePatternInput(2);
+    var xml = Blockly.PatternWorkbench.createEmptyListDom();
+    block.getInput('PATTERN0').connection.connect(
+        Blockly.Xml.domToBlock(xml, workspace).outputConnection);
+    var b1 = Blockly.PatternWorkbench.createVariableDom('x', 'true');
+    var v1 = Blockly.PatternWorkbench.createValueDom('FIRST', b1);
+    var b2 = Blockly.PatternWorkbench.createVariableDom('rest', 'true');
+    var v2 = Blockly.PatternWorkbench.createValueDom('CONS', b2);
+    xml = Blockly.PatternWorkbench.createConsDom([v1, v2]);
+    var consBlock = Blockly.Xml.domToBlock(xml, workspace);
+    block.getInput('PATTERN1').connection.connect(consBlock.outputConnection);
+    block.getInput('OUTPUT0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    var x = consBlock.getInputTargetBlock('FIRST').getField('VAR')
+        .getVariable();
+    var xRef = createReferenceBlock(x);
+    var output = block.getInput('OUTPUT1').connection;
+    assertTrue(xRef.resolveReference(output));
+    output.connect(xRef.outputConnection);
+
+    var type = block.outputConnection.typeExpr.deref();
+    assertTrue(type.isFunction());
+    assertTrue(type.arg_type.deref().isList());
+    assertTrue(type.arg_type.deref().element_type.deref().isInt());
+    assertTrue(type.return_type.deref().isInt());
+    assertTrue(block.isNonExpansive());
+    assertEquals(block.analyzePatterns().missing.length, 0);
+
+    block.resizePatternInput(1);
+    var missing = block.analyzePatterns().missing;
+    assertEquals(missing.length, 1);
+    assertEquals(missing[0].toString(), '_ :: _');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_labeledArguments() {
+  var workspace = create_typed_workspace();
+  try {
+    // let f ~x ?step z = x + z in f ~x:<> ~step:<> <>
+    var letBlock = createLetBlockWithArguments(workspace, 'f x step z');
+    var mutator = create_mock_mutator(letBlock, 'let_arg_item');
+    var item = mutator.rootBlock_.getInputTargetBlock('STACK');
+    item.setFieldValue('~', 'LABEL');
+    item.getNextBlock().setFieldValue('?', 'LABEL');
+    mutator._update();
+    mutator.dispose();
+    assertEquals(letBlock.getArgumentLabel(0), 'x');
+    assertEquals(letBlock.getArgumentLabel(1), 'step');
+    assertEquals(letBlock.getArgumentLabel(2), '');
+    assertTrue(letBlock.isOptionalArgument(1));
+    assertEquals(letBlock.getFieldValue('ARG_LABEL0'), '~');
+
+    var xml = Blockly.Xml.blockToDom(letBlock);
+    var copied = Blockly.Xml.domToBlock(xml, workspace);
+    assertTrue(copied.isOptionalArgument(1));
+    assertEquals(copied.getArgumentLabel(0), 'x');
+    copied.dispose();
+
+    var arith = workspace.newBlock('int_arithmetic_typed');
+    letBlock.getInput('EXP1').connection.connect(arith.outputConnection);
+    arith.getInput('A').connection.connect(
+        createReferenceBlock(letBlock.typedValue['ARG0']).outputConnection);
+    arith.getInput('B').connection.connect(
+        createReferenceBlock(letBlock.typedValue['ARG2']).outputConnection);
+    var funType = letBlock.typedValue['VAR'].getTypeExpr();
+    assertEquals(Blockly.TypeExpr.print(funType),
+        'x:int -> ?step:\'a -> int -> int');
+    // The optional argument is an option in the body.
+    var stepType = letBlock.typedValue['ARG1'].getTypeExpr().deref();
+    assertTrue(stepType.isOption());
+
+    // Labels of the application follow those of the function.
+    var app = createReferenceBlock(letBlock.typedValue['VAR'], true);
+    letBlock.getInput('EXP2').connection.connect(app.outputConnection);
+    assertEquals(app.paramCount_, 3);
+    assertEquals(app.getParamLabel(0), 'x');
+    assertEquals(app.getParamLabel(1), 'step');
+    assertEquals(app.getParamLabel(2), '');
+    assertTrue(app.outputConnection.typeExpr.deref().isInt());
+
+    // Labeled arguments can be supplied in any order.
+    assertEquals(app.changeParamLabel_(0, 'step'), 'step');
+    assertEquals(app.getParamLabel(0), 'step');
+    assertEquals(app.getParamLabel(1), 'x');
+    assertEquals(app.getFieldValue('LABEL1'), 'x');
+    app.getInput('PARAM0').connection.connect(
+        workspace.newBlock('float_typed').outputConnection);
+    app.getInput('PARAM1').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertTrue(app.getInput('PARAM1').connection.typeExpr.deref().isInt());
+    // f is polymorphic in the type of step.
+    var printed = Blockly.TypeExpr.print(
+        app.typedReference['VAR'].getTypeExpr());
+    assertEquals(printed, 'x:int -> ?step:float -> int -> int');
+
+    // A float can not be supplied as ~x anymore.
+    assertNull(app.changeParamLabel_(0, 'x'));
+    assertEquals(app.getParamLabel(0), 'step');
+
+    xml = Blockly.Xml.blockToDom(app);
+    assertEquals(xml.querySelector('mutation').getAttribute('labels'),
+        'step,x,');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_bigBangArguments() {
+  var workspace = create_typed_workspace();
+  try {
+    var block = workspace.newBlock('big_bang_typed');
+    block.drawCount_ = 1;
+    block.tickCount_ = 1;
+    block.rateCount_ = 1;
+    block.updateShape_();
+    var worldType = block.getInput('INITIAL_WORLD').connection.typeExpr;
+    var tickType = block.getInput('TICK').connection.typeExpr;
+    assertEquals(Blockly.TypeExpr.print(tickType), '\'a -> \'a');
+    assertTrue(block.getInput('RATE').connection.typeExpr.isInt());
+
+    // let world = 0;; big_bang <>
+    var letBlock = workspace.newBlock('letstatement_typed');
+    letBlock.nextConnection.connect(block.previousConnection);
+    block.getInput('INITIAL_WORLD').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertTrue(worldType.deref().isInt());
+    assertEquals(Blockly.TypeExpr.print(
+        block.getInput('DRAW').connection.typeExpr), 'int -> scene_t');
+    assertFalse(block.getInput('RATE').connection.checkType_(
+        workspace.newBlock('float_typed').outputConnection));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function createTreeDatatypeBlock(workspace) {
+  // type 'a tree = Leaf | Node of 'a tree * 'a * 'a tree
+  var defineCtr = workspace.newBlock('defined_datatype_typed');
+  defineCtr.getField('PARAMS').setValue('\'a');
+  defineCtr.getField('DATANAME').setText('tree');
+  getVariable(defineCtr, 0).setVariableName('Leaf');
+  getVariable(defineCtr, 1).setVariableName('Node');
+  var tripleType = workspace.newBlock('triple_type_constructor_typed');
+  defineCtr.getInput('CTR_INP1').connection.connect(
+      tripleType.outputConnection);
+  for (var i = 0; i < 3; i++) {
+    var tvarType = workspace.newBlock('type_variable_typed');
+    tvarType.setFieldValue('a', 'NAME');
+    if (i == 1) {
+      var typeBlock = tvarType;
+    } else {
+      var typeBlock = workspace.newBlock('recursive_datatype_type_typed');
+      typeBlock.resizeItemInputs(1);
+      typeBlock.getInput('ITEM0').connection.connect(
+          tvarType.outputConnection);
+    }
+    tripleType.getInput('ITEM' + i).connection.connect(
+        typeBlock.outputConnection);
+  }
+  return defineCtr;
+}
+
+function test_type_unification_parametricDatatype() {
+  var workspace = create_typed_workspace();
+  var savedMainWorkspace = Blockly.mainWorkspace;
+  Blockly.mainWorkspace = workspace;
+  try {
+    var defineCtr = createTreeDatatypeBlock(workspace);
+    var leafValue = getVariable(defineCtr, 0);
+    var nodeValue = getVariable(defineCtr, 1);
+    assertEquals(defineCtr.getTypeParameterNames().join(), 'a');
+    assertEquals(Blockly.TypeExpr.print(
+        defineCtr.getStructureTypeDef('CTR1')), '\'a tree * \'a * \'a tree');
+    var scheme = nodeValue.getTypeScheme();
+    assertEquals(scheme.names.length, 1);
+
+    // Creates "Node (Leaf, v, Leaf)" at the connection in the scope.
+    var createNode = function(connection, valueBlock) {
+      var node = createReferenceBlock(nodeValue);
+      assertStructureInputSize(node, 3);
+      connection.connect(node.outputConnection);
+      node.getInput('PARAM0').connection.connect(
+          createReferenceBlock(leafValue).outputConnection);
+      node.getInput('PARAM1').connection.connect(valueBlock.outputConnection);
+      node.getInput('PARAM2').connection.connect(
+          createReferenceBlock(leafValue).outputConnection);
+      return node;
+    };
+    // Each use of constructors is instantiated freshly.
+    var let1 = workspace.newBlock('letstatement_typed');
+    var let2 = workspace.newBlock('letstatement_typed');
+    connectAsStatements(defineCtr, let1);
+    connectAsStatements(let1, let2);
+    var intNode = createNode(let1.getInput('EXP1').connection,
+        workspace.newBlock('int_typed'));
+    var boolNode = createNode(let2.getInput('EXP1').connection,
+        workspace.newBlock('logic_boolean_typed'));
+    assertEquals(Blockly.TypeExpr.print(intNode.outputConnection.typeExpr),
+        'int tree');
+    assertEquals(Blockly.TypeExpr.print(boolNode.outputConnection.typeExpr),
+        'bool tree');
+    var leaf = intNode.getInputTargetBlock('PARAM2');
+    assertEquals(Blockly.TypeExpr.print(leaf.outputConnection.typeExpr),
+        'int tree');
+    assertFalse(intNode.getInput('PARAM0').connection.typeExpr.ableToUnify(
+        boolNode.outputConnection.typeExpr));
+
+    // So are constructor patterns.
+    var let3 = workspace.newBlock('letstatement_typed');
+    connectAsStatements(let2, let3);
+    var matchBlock = workspace.newBlock('match_typed');
+    let3.getInput('EXP1').connection.connect(matchBlock.outputConnection);
+    var ctorPattern = workspace.newBlock('construct_pattern_typed');
+    var reference = getVariable(ctorPattern);
+    reference.setVariableName('Node');
+    reference.setBoundValue(nodeValue);
+    assertEquals(ctorPattern.paramCount_, 3);
+    matchBlock.getInput('PATTERN0').connection.connect(
+        ctorPattern.outputConnection);
+    createNode(matchBlock.getInput('INPUT').connection,
+        workspace.newBlock('float_typed'));
+    var paramType = ctorPattern.getInput('PARAM1').connection.typeExpr;
+    assertEquals(Blockly.TypeExpr.print(paramType.pattExpr), 'float');
+    paramType = ctorPattern.getInput('PARAM2').connection.typeExpr;
+    assertEquals(Blockly.TypeExpr.print(paramType.pattExpr), 'float tree');
+  } finally {
+    Blockly.mainWorkspace = savedMainWorkspace;
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_datatypeTypeWorkbench() {
+  var workspace = create_typed_workspace();
+  var workbench;
+  try {
+    var defineCtr = workspace.newBlock('defined_datatype_typed');
+    defineCtr.getField('DATANAME').setText('pair');
+    assertNull(defineCtr.getField('PARAMS').callValidator('a'));
+    assertNull(defineCtr.getField('PARAMS').callValidator('(\'a, \'a)'));
+    assertEquals(defineCtr.getField('PARAMS').callValidator(' (\'a,\'b )'),
+        '(\'a, \'b)');
+    defineCtr.getField('PARAMS').setValue('(\'a, \'b)');
+    workbench = create_mock_workbench_impl_(Blockly.TypeWorkbench, defineCtr);
+    var blocks = getFlyoutBlocksFromWorkbench(workbench);
+    var tvarBlocks = goog.array.filter(blocks, function(block) {
+      return block.type == 'type_variable_typed';
+    });
+    assertEquals(tvarBlocks.length, 2);
+    assertEquals(tvarBlocks[1].getFieldValue('NAME'), 'b');
+    var selfBlock = goog.array.find(blocks, function(block) {
+      return block.type == 'recursive_datatype_type_typed';
+    });
+    assertEquals(selfBlock.itemCount_, 2);
+    assertEquals(selfBlock.getFieldValue('NAME'), 'pair');
+
+    // Type variables not declared as parameters are unknown.
+    var tvarType = workspace.newBlock('type_variable_typed');
+    tvarType.setFieldValue('c', 'NAME');
+    defineCtr.getInput('CTR_INP0').connection.connect(
+        tvarType.outputConnection);
+    assertTrue(defineCtr.getStructureTypeDef('CTR0').isUnknown());
+    tvarType.setFieldValue('b', 'NAME');
+    assertEquals(defineCtr.getStructureTypeDef('CTR0'),
+        defineCtr.getTypeParameter('b'));
+
+    var xml = Blockly.Xml.blockToDom(defineCtr);
+    var restored = Blockly.Xml.domToBlock(xml, workspace);
+    assertEquals(restored.getTypeParameterNames().join(), 'a,b');
+  } finally {
+    if (workbench) {
+      workbench.dispose();
+    }
+    workspace.dispose();
+  }
+}
+
+function createPointRecordBlock(workspace) {
+  // type point = {mutable x : int; y : float}
+  var defineRecord = workspace.newBlock('defined_recordtype_typed');
+  getVariable(defineRecord).setVariableName('point');
+  defineRecord.getField('FIELD0').getVariable().setVariableName('x');
+  defineRecord.getField('FIELD1').getVariable().setVariableName('y');
+  defineRecord.getInput('FIELD_INP0').connection.connect(
+      workspace.newBlock('int_type_typed').outputConnection);
+  defineRecord.getInput('FIELD_INP1').connection.connect(
+      workspace.newBlock('float_type_typed').outputConnection);
+  defineRecord.setMutableField('FIELD0', true);
+  return defineRecord;
+}
+
+function test_type_unification_recordFieldAccess() {
+  var workspace = create_typed_workspace();
+  try {
+    var defineRecord = createPointRecordBlock(workspace);
+    var recordValue = getVariable(defineRecord);
+    var xValue = defineRecord.getField('FIELD0').getVariable();
+    assertTrue(xValue.isMutableField());
+    assertFalse(defineRecord.getField('FIELD1').getVariable().isMutableField());
+
+    // let p = {x = ?; y = ?}
+    var let1 = workspace.newBlock('letstatement_typed');
+    setVariableName(let1, 'p');
+    connectAsStatements(defineRecord, let1);
+    let1.getInput('EXP1').connection.connect(
+        createReferenceBlock(recordValue).outputConnection);
+
+    // let v = p.x
+    var let2 = workspace.newBlock('letstatement_typed');
+    connectAsStatements(let1, let2);
+    var getBlock = workspace.newBlock('record_field_get_typed');
+    getBlock.getField('FIELD').getVariable().setVariableName('x');
+    let2.getInput('EXP1').connection.connect(getBlock.outputConnection);
+    assertEquals(getBlock.getField('FIELD').getBoundValue(), xValue);
+    assertTrue(getBlock.outputConnection.typeExpr.deref().isInt());
+    var recordInput = getBlock.getInput('RECORD').connection;
+    assertTrue(recordInput.typeExpr.deref().isRecord());
+    assertFalse(recordInput.checkType_(
+        workspace.newBlock('float_typed').outputConnection));
+    recordInput.connect(
+        createReferenceBlock(getVariable(let1), true).outputConnection);
+    assertTrue(getVariable(let2).getTypeExpr().deref().isInt());
+
+    // Renaming the field is reflected on every projection.
+    xValue.setVariableName('px');
+    assertEquals(getBlock.getField('FIELD').getVariableName(), 'px');
+
+    // let () = p.px <- 1
+    var let3 = workspace.newBlock('letstatement_typed');
+    connectAsStatements(let2, let3);
+    var setBlock = workspace.newBlock('record_field_set_typed');
+    setBlock.getField('FIELD').getVariable().setVariableName('px');
+    let3.getInput('EXP1').connection.connect(setBlock.outputConnection);
+    assertEquals(setBlock.outputConnection.typeExpr.label,
+        Blockly.TypeExpr.UNIT_);
+    var valueInput = setBlock.getInput('VALUE').connection;
+    assertFalse(valueInput.checkType_(
+        workspace.newBlock('float_typed').outputConnection));
+    valueInput.connect(workspace.newBlock('int_typed').outputConnection);
+    var pBlock = createReferenceBlock(getVariable(let1), true);
+    setBlock.getInput('RECORD').connection.connect(pBlock.outputConnection);
+
+    // Only mutable fields can be updated. The update is deleted together with
+    // the reference to p, which would be out of the scope of p otherwise.
+    var topBlockCount = workspace.getTopBlocks().length;
+    defineRecord.setMutableField('FIELD0', false);
+    assertNull(setBlock.workspace);
+    assertNull(pBlock.workspace);
+    assertNull(let3.getInputTargetBlock('EXP1'));
+    assertEquals(workspace.getTopBlocks().length, topBlockCount);
+
+    var xml = Blockly.Xml.blockToDom(defineRecord);
+    assertNull(xml.firstChild.getAttribute('mutable'));
+    defineRecord.setMutableField('FIELD1', true);
+    xml = Blockly.Xml.blockToDom(defineRecord);
+    assertEquals(xml.firstChild.getAttribute('mutable'), '1');
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_recordWith() {
+  var workspace = create_typed_workspace();
+  var workbench;
+  try {
+    var defineRecord = createPointRecordBlock(workspace);
+    var recordValue = getVariable(defineRecord);
+    var let1 = workspace.newBlock('letstatement_typed');
+    setVariableName(let1, 'p');
+    connectAsStatements(defineRecord, let1);
+    var recordBlock = createReferenceBlock(recordValue);
+    let1.getInput('EXP1').connection.connect(recordBlock.outputConnection);
+    // A record with mutable fields is not generalized.
+    assertFalse(recordBlock.isNonExpansive());
+
+    // let q = {p with y = 1.0}
+    var let2 = workspace.newBlock('letstatement_typed');
+    connectAsStatements(let1, let2);
+    var withBlock = workspace.newBlock('record_with_typed');
+    withBlock.getField('RECORD').getVariable().setVariableName('point');
+    let2.getInput('EXP1').connection.connect(withBlock.outputConnection);
+    assertEquals(withBlock.fieldCount_, 2);
+    assertTrue(withBlock.getInput('FIELD_INP1').connection.typeExpr.isFloat());
+    var originalInput = withBlock.getInput('ORIGINAL').connection;
+    assertFalse(originalInput.checkType_(
+        workspace.newBlock('int_typed').outputConnection));
+    originalInput.connect(
+        createReferenceBlock(getVariable(let1), true).outputConnection);
+    withBlock.getInput('FIELD_INP1').connection.connect(
+        workspace.newBlock('float_typed').outputConnection);
+    assertTrue(getVariable(let2).getTypeExpr().deref().isRecord());
+
+    // The workbench offers projections of every field, an update of the
+    // mutable field, and the functional update of the record.
+    workbench = create_mock_workbench(let2, 'EXP1');
+    var types = goog.array.map(getFlyoutBlocksFromWorkbench(workbench),
+        function(block) { return block.type; });
+    goog.array.sort(types);
+    assertEquals(types.join(), 'create_record_typed,function_app_typed,' +
+        'record_field_get_typed,record_field_get_typed,' +
+        'record_field_set_typed,record_with_typed');
+
+    // The reference to p can not be restored outside of its scope.
+    originalInput.targetBlock().dispose();
+    var xml = Blockly.Xml.blockToDom(withBlock);
+    var restored = Blockly.Xml.domToBlock(xml, workspace);
+    assertEquals(restored.fieldCount_, 2);
+    assertEquals(restored.getField('FIELD1').getVariableName(), 'y');
+  } finally {
+    if (workbench) {
+      workbench.dispose();
+    }
+    workspace.dispose();
+  }
+}
+
+function createPointAliasBlock(workspace) {
+  // type point = int * int
+  var defineAlias = workspace.newBlock('defined_type_alias_typed');
+  getVariable(defineAlias).setVariableName('point');
+  var pairType = workspace.newBlock('pair_type_constructor_typed');
+  pairType.getInput('LEFT').connection.connect(
+      workspace.newBlock('int_type_typed').outputConnection);
+  pairType.getInput('RIGHT').connection.connect(
+      workspace.newBlock('int_type_typed').outputConnection);
+  defineAlias.getInput('TYPE').connection.connect(pairType.outputConnection);
+  return defineAlias;
+}
+
+function test_type_unification_typeAlias() {
+  var workspace = create_typed_workspace();
+  var workbench;
+  try {
+    var defineAlias = workspace.newBlock('defined_type_alias_typed');
+    assertTrue(defineAlias.getAliasType().hasUnknown());
+    defineAlias.dispose();
+    defineAlias = createPointAliasBlock(workspace);
+    var aliasValue = getVariable(defineAlias);
+    assertTrue(aliasValue.isTypeAlias());
+    assertEquals(Blockly.TypeExpr.print(defineAlias.getAliasType().type),
+        'int * int');
+
+    // let origin = ((?, ?) : point)
+    var let1 = workspace.newBlock('letstatement_typed');
+    setVariableName(let1, 'origin');
+    connectAsStatements(defineAlias, let1);
+    var annotation = workspace.newBlock('type_annotation_typed');
+    let1.getInput('EXP1').connection.connect(annotation.outputConnection);
+
+    // The type workbench of the annotation offers the visible abbreviation.
+    workbench = create_mock_workbench_impl_(Blockly.TypeWorkbench, annotation);
+    var aliasBlocks = goog.array.filter(getFlyoutBlocksFromWorkbench(workbench),
+        function(block) { return block.type == 'type_alias_type_typed'; });
+    assertEquals(aliasBlocks.length, 1);
+    assertEquals(aliasBlocks[0].getField('TYPENAME').getBoundValue(),
+        aliasValue);
+
+    var aliasType = workspace.newBlock('type_alias_type_typed');
+    aliasType.getField('TYPENAME').getVariable().setVariableName('point');
+    annotation.getInput('TYPE').connection.connect(aliasType.outputConnection);
+    assertEquals(aliasType.getField('TYPENAME').getBoundValue(), aliasValue);
+    // The type of the variable is displayed by the name of the abbreviation.
+    var letType = getVariable(let1).getTypeExpr();
+    assertEquals(letType.getDisplayText(), 'point');
+
+    var expInput = annotation.getInput('EXP').connection;
+    assertFalse(expInput.checkType_(
+        workspace.newBlock('int_typed').outputConnection));
+    var pair = workspace.newBlock('pair_create_typed');
+    expInput.connect(pair.outputConnection);
+    assertTrue(pair.getInput('FIRST').connection.typeExpr.deref().isInt());
+    assertFalse(pair.getInput('SECOND').connection.checkType_(
+        workspace.newBlock('float_typed').outputConnection));
+
+    // The abbreviation is renamed with its references.
+    aliasValue.setVariableName('coord');
+    assertEquals(aliasType.getField('TYPENAME').getVariableName(), 'coord');
+    Blockly.Block.doTypeInference(workspace);
+    assertEquals(getVariable(let1).getTypeExpr().getDisplayText(), 'coord');
+  } finally {
+    if (workbench) {
+      workbench.dispose();
+    }
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_typeAnnotationOfFunction() {
+  var workspace = create_typed_workspace();
+  try {
+    // let f = (fun x -> ? : float -> float)
+    var let1 = workspace.newBlock('letstatement_typed');
+    setVariableName(let1, 'f');
+    var annotation = workspace.newBlock('type_annotation_typed');
+    let1.getInput('EXP1').connection.connect(annotation.outputConnection);
+    var lambda = workspace.newBlock('lambda_typed');
+    annotation.getInput('EXP').connection.connect(lambda.outputConnection);
+
+    // An incomplete type does not constrain the expression.
+    var funType = workspace.newBlock('fun_type_constructor_typed');
+    annotation.getInput('TYPE').connection.connect(funType.outputConnection);
+    assertNull(annotation.getAnnotatedType());
+    assertTrue(getVariable(lambda).getTypeExpr().deref().isTypeVar());
+    funType.getInput('ARG').connection.connect(
+        workspace.newBlock('float_type_typed').outputConnection);
+    funType.getInput('RETURN').connection.connect(
+        workspace.newBlock('float_type_typed').outputConnection);
+    Blockly.Block.doTypeInference(workspace);
+    assertTrue(getVariable(lambda).getTypeExpr().deref().isFloat());
+    assertEquals(Blockly.TypeExpr.print(getVariable(let1).getTypeExpr()),
+        'float -> float');
+
+    // The body of the function which disagrees with the stated type is
+    // rejected, rather than the application of f.
+    var returnInput = lambda.getInput('RETURN').connection;
+    assertFalse(returnInput.checkType_(
+        workspace.newBlock('int_typed').outputConnection));
+    var arith = workspace.newBlock('float_arithmetic_typed');
+    returnInput.connect(arith.outputConnection);
+    var x = createReferenceBlock(getVariable(lambda));
+    arith.getInput('A').connection.connect(x.outputConnection);
+    assertEquals(x.getField('VAR').getBoundValue(), getVariable(lambda));
+
+    // The stated type which disagrees with the expression is rejected too.
+    var returnTypeInput = funType.getInput('RETURN').connection;
+    returnTypeInput.targetBlock().dispose();
+    assertFalse(returnTypeInput.checkType_(
+        workspace.newBlock('int_type_typed').outputConnection));
+    returnTypeInput.connect(
+        workspace.newBlock('float_type_typed').outputConnection);
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_moduleStructure() {
+  var workspace = create_typed_workspace();
+  var workbench;
+  try {
+    // module M = struct
+    //   let id x = x
+    //   let n = 1
+    // end
+    var moduleBlock = workspace.newBlock('module_typed');
+    var letId = workspace.newBlock('letstatement_typed');
+    setVariableName(letId, 'id');
+    addArguments(letId, ['x']);
+    letId.getInput('EXP1').connection.connect(
+        createReferenceBlock(letId.typedValue['ARG0']).outputConnection);
+    var letN = workspace.newBlock('letstatement_typed');
+    setVariableName(letN, 'n');
+    letN.getInput('EXP1').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    moduleBlock.getInput('BODY').connection.connect(letId.previousConnection);
+    connectAsStatements(letId, letN);
+    var exports = moduleBlock.getExports();
+    assertEquals(exports.getVariableNames().sort().join(), 'id,n');
+
+    // let a = M.n
+    var letA = workspace.newBlock('letstatement_typed');
+    setVariableName(letA, 'a');
+    connectAsStatements(moduleBlock, letA);
+    var exp1 = letA.getInput('EXP1').connection;
+    var refN = workspace.newBlock('variables_get_typed');
+    refN.typedReference['VAR'].setVariableName('n');
+    // Bindings in the module are not visible without the module name.
+    assertFalse(exp1.checkType_(refN.outputConnection));
+    refN.typedReference['VAR'].setModulePath('M');
+    exp1.connect(refN.outputConnection);
+    assertEquals(refN.getField('VAR').getBoundValue(), getVariable(letN));
+    assertTrue(getVariable(letA).getTypeExpr().deref().isInt());
+
+    // The workbench offers the bindings qualified with the module name.
+    workbench = create_mock_workbench(letA, 'EXP1');
+    var qualified = goog.array.filter(
+        getFlyoutBlocksFromWorkbench(workbench, workspace), function(block) {
+          return !!getVariable(block).getModulePath();
+        });
+    var names = goog.array.map(qualified, function(block) {
+      return getVariable(block).getQualifiedName();
+    });
+    assertEquals(names.sort().join(), 'M.id,M.n');
+
+    // let b = (M.id 1, M.id true)
+    var letB = workspace.newBlock('letstatement_typed');
+    setVariableName(letB, 'b');
+    connectAsStatements(letA, letB);
+    var pair = workspace.newBlock('pair_create_typed');
+    letB.getInput('EXP1').connection.connect(pair.outputConnection);
+    var app1 = createReferenceBlock(getVariable(letId), true);
+    var app2 = createReferenceBlock(getVariable(letId), true);
+    getVariable(app1).setModulePath('M');
+    getVariable(app2).setModulePath('M');
+    pair.getInput('FIRST').connection.connect(app1.outputConnection);
+    pair.getInput('SECOND').connection.connect(app2.outputConnection);
+    app1.getInput('PARAM0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    app2.getInput('PARAM0').connection.connect(
+        workspace.newBlock('logic_boolean_typed').outputConnection);
+    Blockly.Block.doTypeInference(workspace);
+    assertEquals(Blockly.TypeExpr.print(getVariable(letB).getTypeExpr()),
+        'int * bool');
+
+    // open M
+    // let c = n
+    var openBlock = workspace.newBlock('open_module_typed');
+    connectAsStatements(letB, openBlock);
+    var letC = workspace.newBlock('letstatement_typed');
+    setVariableName(letC, 'c');
+    connectAsStatements(openBlock, letC);
+    var refN2 = workspace.newBlock('variables_get_typed');
+    refN2.typedReference['VAR'].setVariableName('n');
+    letC.getInput('EXP1').connection.connect(refN2.outputConnection);
+    assertEquals(refN2.getField('VAR').getBoundValue(), getVariable(letN));
+
+    // Qualified references follow the module when it's renamed.
+    moduleBlock.getField('NAME').setValue('Num');
+    assertEquals(getVariable(refN).getQualifiedName(), 'Num.n');
+    assertEquals(getVariable(app1).getQualifiedName(), 'Num.id');
+  } finally {
+    if (workbench) {
+      workbench.dispose();
+    }
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_qualifiedRecordLabels() {
+  var workspace = create_typed_workspace();
+  var workbench;
+  try {
+    // module M = struct
+    //   type point = {mutable x : int; y : float}
+    // end
+    var moduleBlock = workspace.newBlock('module_typed');
+    var defineRecord = createPointRecordBlock(workspace);
+    moduleBlock.getInput('BODY').connection.connect(
+        defineRecord.previousConnection);
+
+    // let p = ?
+    var letP = workspace.newBlock('letstatement_typed');
+    setVariableName(letP, 'p');
+    connectAsStatements(moduleBlock, letP);
+
+    // The workbench offers the record blocks of the module with their labels
+    // qualified.
+    workbench = create_mock_workbench(letP, 'EXP1');
+    var blocks = getFlyoutBlocksFromWorkbench(workbench, workspace);
+    var qualified = {};
+    for (var i = 0, block; block = blocks[i]; i++) {
+      var field = block.getField('RECORD') || block.getField('FIELD');
+      if (field && field.getVariable().getModulePath() == 'M') {
+        qualified[block.type] = block;
+      }
+    }
+    assertEquals(Object.keys(qualified).sort().join(),
+        'create_record_typed,record_field_get_typed,' +
+        'record_field_set_typed,record_with_typed');
+    var createBlock = qualified['create_record_typed'];
+    assertEquals(createBlock.getField('FIELD0').getVariable()
+        .getQualifiedName(), 'M.x');
+
+    // let p = {M.x = 1; M.y = 2.}
+    letP.getInput('EXP1').connection.connect(createBlock.outputConnection);
+    createBlock.getInput('FIELD_INP0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    createBlock.getInput('FIELD_INP1').connection.connect(
+        workspace.newBlock('float_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(createBlock)[0],
+        '{M.x = 0; M.y = 0.}');
+    assertTrue(getVariable(letP).getTypeExpr().deref().isRecord());
+
+    // let v = p.M.y
+    var letV = workspace.newBlock('letstatement_typed');
+    setVariableName(letV, 'v');
+    connectAsStatements(letP, letV);
+    var getBlock = goog.array.find(blocks, function(block) {
+      return block.type == 'record_field_get_typed' &&
+          block.getField('FIELD').getVariableName() == 'y';
+    });
+    letV.getInput('EXP1').connection.connect(getBlock.outputConnection);
+    getBlock.getInput('RECORD').connection.connect(
+        createReferenceBlock(getVariable(letP), true).outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(getBlock)[0], 'p.M.y');
+    assertTrue(getVariable(letV).getTypeExpr().deref().isFloat());
+
+    // let () = p.M.x <- 1
+    var letUnit = workspace.newBlock('letstatement_typed');
+    connectAsStatements(letV, letUnit);
+    var setBlock = qualified['record_field_set_typed'];
+    letUnit.getInput('EXP1').connection.connect(setBlock.outputConnection);
+    setBlock.getInput('RECORD').connection.connect(
+        createReferenceBlock(getVariable(letP), true).outputConnection);
+    setBlock.getInput('VALUE').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(setBlock)[0], 'p.M.x <- 0');
+
+    // let q = {p with M.x = 1}
+    var letQ = workspace.newBlock('letstatement_typed');
+    setVariableName(letQ, 'q');
+    connectAsStatements(letUnit, letQ);
+    var withBlock = qualified['record_with_typed'];
+    letQ.getInput('EXP1').connection.connect(withBlock.outputConnection);
+    withBlock.getInput('ORIGINAL').connection.connect(
+        createReferenceBlock(getVariable(letP), true).outputConnection);
+    withBlock.getInput('FIELD_INP0').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    assertEquals(Blockly.TypedLang.blockToCode(withBlock)[0],
+        '{p with M.x = 0}');
+    Blockly.Block.doTypeInference(workspace);
+    assertEquals(getVariable(letQ).getTypeExpr().deref().label,
+        getVariable(letP).getTypeExpr().deref().label);
+
+    // The labels keep their module path in XML, and follow renames of the
+    // module.
+    var xml = Blockly.Xml.blockToDom(createBlock);
+    var copied = Blockly.Xml.domToBlock(xml, workspace);
+    assertEquals(copied.getField('FIELD1').getVariable().getQualifiedName(),
+        'M.y');
+    copied.dispose();
+    moduleBlock.getField('NAME').setValue('Geo');
+    assertEquals(Blockly.TypedLang.blockToCode(createBlock)[0],
+        '{Geo.x = 0; Geo.y = 0.}');
+    assertEquals(Blockly.TypedLang.blockToCode(getBlock)[0], 'p.Geo.y');
+    assertTrue(letP.resolveReference(moduleBlock.nextConnection));
+  } finally {
+    if (workbench) {
+      workbench.dispose();
+    }
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_printfEditFormat() {
+  var workspace = create_typed_workspace();
+  try {
+    // fun x -> Printf.printf "%d" x
+    var lambdaBlock = workspace.newBlock('lambda_typed');
+    setVariableName(lambdaBlock, 'x');
+    var printf = workspace.newBlock('printf_typed');
+    lambdaBlock.getInput('RETURN').connection.connect(
+        printf.outputConnection);
+    var xBlock = createReferenceBlock(getVariable(lambdaBlock));
+    printf.getInput('ARG0').connection.connect(xBlock.outputConnection);
+    assertTrue(getVariable(lambdaBlock).getTypeExpr().deref().isInt());
+
+    // Typing "%s" in front of "%d" passes through "%%d", which has no
+    // conversion. The inputs are not changed until the edit is committed.
+    var field = printf.getField('FORMAT');
+    field.setValue('%%d');
+    field.setValue('%s%d');
+    assertEquals(printf.getInputTargetBlock('ARG0'), xBlock);
+    assertEquals(printf.conversions_.join(), 'd');
+
+    field.onFinishEditing_('%s%d');
+    assertEquals(printf.conversions_.join(), 's,d');
+    assertNull(printf.getInputTargetBlock('ARG0'));
+    assertNull(printf.getInputTargetBlock('ARG1'));
+    // The reference to x is not left outside the scope of x.
+    assertNull(xBlock.workspace);
+    assertEquals(workspace.getTopBlocks().length, 1);
+    assertTrue(printf.getInput('ARG0').connection.typeExpr.isString());
+
+    // The inputs are restored from XML before the blocks in them.
+    printf.getInput('ARG1').connection.connect(
+        workspace.newBlock('int_typed').outputConnection);
+    var xml = Blockly.Xml.blockToDom(printf);
+    var restored = Blockly.Xml.domToBlock(xml, workspace);
+    assertEquals(restored.getFieldValue('FORMAT'), '%s%d');
+    assertEquals(restored.conversions_.join(), 's,d');
+    assertNotNull(restored.getInputTargetBlock('ARG1'));
+  } finally {
+    workspace.dispose();
+  }
+}
+
+function test_type_unification_printfFormat() {
+  var workspace = create_typed_workspace();
+  try {
+    var printf = workspace.newBlock('printf_typed');
+    assertEquals(printf.outputConnection.typeExpr.label,
+        Blockly.TypeExpr.UNIT_);
+    assertEquals(printf.getFieldValue('FORMAT'), '%d');
+    assertNotNull(printf.getInput('ARG0'));
+    assertNull(printf.getInput('ARG1'));
+
+    var sprintf = workspace.newBlock('sprintf_typed');
+    assertTrue(sprintf.outputConnection.typeExpr.isString());
+    assertTrue(sprintf.setFormat('%d%% of %s'));
+    assertEquals(sprintf.conversions_.join(), 'd,s');
+    var arg0 = sprintf.getInput('ARG0').connection;
+    var arg1 = sprintf.getInput('ARG1').connection;
+    assertFalse(arg0.checkType_(
+        workspace.newBlock('string_typed').outputConnection));
+    var intBlock = workspace.newBlock('int_typed');
+    arg0.connect(intBlock.outputConnection);
+    var stringBlock = workspace.newBlock('string_typed');
+    arg1.connect(stringBlock.outputConnection);
+
+    // Inputs are kept for the unchanged head of conversions.
+    assertTrue(sprintf.setFormat('%d: %b %c'));
+    assertEquals(sprintf.getInputTargetBlock('ARG0'), intBlock);
+    assertNull(sprintf.getInputTargetBlock('ARG1'));
+    assertNull(stringBlock.getParent());
+    assertTrue(sprintf.getInput('ARG1').connection.typeExpr.isBool());
+    assertTrue(sprintf.getInput('ARG2').connection.typeExpr.isChar());
+    assertFalse(sprintf.getInput('ARG1').connection.checkType_(
+        stringBlock.outputConnection));
+
+    // Unsupported conversions are rejected.
+    var field = sprintf.getField('FORMAT');
+    assertNull(field.callValidator('%q'));
+    assertNull(field.callValidator('100%'));
+    assertFalse(sprintf.setFormat('%q'));
+    assertEquals(sprintf.conversions_.join(), 'd,b,c');
+
+    // The formatted string can be used as a string.
+    var concat = workspace.newBlock('concat_string_typed');
+    concat.getInput('A').connection.connect(sprintf.outputConnection);
+    assertFalse(concat.getInput('B').connection.checkType_(
+        printf.outputConnection));
+  } finally {
+    workspace.dispose();
+  }
+}
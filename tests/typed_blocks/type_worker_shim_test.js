@@ -0,0 +1,119 @@
+'use strict';
+
+// Tests of the fake document in demos/universe/worker.js. Messages the shim
+// sends to the page are collected instead of being posted.
+
+function withPostedMessages(f) {
+  var original = Shim.postMessage;
+  var messages = [];
+  Shim.postMessage = function(message) {
+    messages.push(message);
+  };
+  try {
+    f(messages);
+  } finally {
+    Shim.flush();
+    Shim.postMessage = original;
+  }
+}
+
+function test_type_worker_shim_queue() {
+  withPostedMessages(function(messages) {
+    var canvas = new Shim.Canvas(7);
+    canvas.width = 200;
+    canvas.height = 100;
+    assertEquals(canvas.width, 200);
+    // Commands queued in the same turn are sent together as one step.
+    assertEquals(messages.length, 0);
+    Shim.flush();
+    assertEquals(messages.length, 1);
+    assertEquals(messages[0].type, 'draw');
+    assertEquals(JSON.stringify(messages[0].commands),
+        '[[7,"set","width",200],[7,"set","height",100]]');
+    assertEquals(Shim.commands.length, 0);
+
+    // Nothing is sent without commands.
+    Shim.flush();
+    assertEquals(messages.length, 1);
+  });
+}
+
+function test_type_worker_shim_createContext() {
+  withPostedMessages(function(messages) {
+    var canvas = new Shim.Canvas(8);
+    assertNull(canvas.getContext('webgl'));
+    var context = canvas.getContext('2d');
+    assertEquals(canvas.getContext('2d'), context);
+    assertEquals(context.canvas, canvas);
+
+    // Assigned properties are read back.
+    context.fillStyle = 'red';
+    assertEquals(context.fillStyle, 'red');
+    context.font = '20px serif';
+    var width = context.measureText('abc').width;
+    assertTrue(typeof width == 'number' && 0 < width);
+
+    // Images and canvases in arguments are encoded.
+    var image = new Shim.Image();
+    image.src = 'a.png';
+    var other = Shim.document.createElement('canvas');
+    context.drawImage(image, 1, 2);
+    context.drawImage(other, 0, 0);
+    context.fillRect(0, 0, 10, 10);
+    Shim.flush();
+    assertEquals(messages[0].type, 'loadImage');
+    assertEquals(messages[0].src, 'a.png');
+    var draw = messages[1];
+    assertEquals(draw.type, 'draw');
+    assertEquals(JSON.stringify(draw.commands),
+        '[[8,"ctxSet","fillStyle","red"],' +
+        '[8,"ctxSet","font","20px serif"],' +
+        '[8,"ctxCall","drawImage",[{"image":"a.png"},1,2]],' +
+        '[8,"ctxCall","drawImage",[{"canvas":' + other.id_ + '},0,0]],' +
+        '[8,"ctxCall","fillRect",[0,0,10,10]]]');
+  });
+}
+
+function test_type_worker_shim_onMessage() {
+  withPostedMessages(function(messages) {
+    // Images of the same source are loaded once.
+    var image1 = new Shim.Image();
+    var image2 = new Shim.Image();
+    image1.src = image2.src = 'b.png';
+    assertEquals(messages.length, 1);
+    var loaded = 0;
+    image2.onload = function() {
+      loaded++;
+    };
+    var loadedData = {type: 'imageLoaded', src: 'b.png', width: 4, height: 3};
+    Shim.onMessage({data: loadedData});
+    assertTrue(image1.complete);
+    assertEquals(image1.width, 4);
+    assertEquals(image2.naturalHeight, 3);
+    assertEquals(loaded, 1);
+
+    // Events on the canvas bubble up to the document.
+    var received = [];
+    var canvas = Shim.document.getElementById('CanvasForUniverse');
+    var onCanvas = function(e) {
+      received.push('canvas ' + e.clientX);
+    };
+    var onDocument = function(e) {
+      received.push('document ' + e.clientX);
+    };
+    canvas.addEventListener('mousedown', onCanvas);
+    Shim.document.addEventListener('mousedown', onDocument);
+    try {
+      var rect = {left: 5, top: 5, right: 55, bottom: 55, width: 50};
+      var eventData = {type: 'event', target: 'canvas', name: 'mousedown'};
+      eventData.event = {clientX: 10};
+      eventData.rect = rect;
+      Shim.onMessage({data: eventData});
+      assertEquals(received.join(), 'canvas 10,document 10');
+      assertEquals(canvas.getBoundingClientRect(), rect);
+    } finally {
+      canvas.removeEventListener('mousedown', onCanvas);
+      Shim.document.removeEventListener('mousedown', onDocument);
+    }
+  });
+}
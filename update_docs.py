@@ -16,6 +16,7 @@ sourceMap = {
   "style.css": "demos/typed/",
   "typed.js": "demos/typed/",
   "eval.js": "demos/universe/",
+  "evaluator.js": "demos/universe/",
 }
 
 import os, shutil